@@ -0,0 +1,50 @@
+#!/bin/bash
+# Copy the Firebase JS SDK modules used by FireBlazor into a folder you serve yourself
+# Usage: ./scripts/self-host-firebase-sdk.sh <output-dir> [version]
+#
+# The modules come from the "firebase" npm package. Its CDN builds import firebase-app.js
+# from https://www.gstatic.com/..., so those imports are rewritten to "./firebase-app.js"
+# and nothing is fetched from the CDN at runtime.
+# Files are written to <output-dir>/<version>/, matching .UseSdk(sdk => sdk.FromBaseUrl(...)).
+
+set -e
+
+OUTPUT_DIR="$1"
+VERSION="${2:-12.7.0}"
+MODULES="app auth firestore storage database app-check ai"
+
+if [ -z "$OUTPUT_DIR" ]; then
+    echo "Usage: $0 <output-dir> [version]"
+    echo "Example: $0 samples/FireBlazor.Sample.Wasm/wwwroot/js/firebase 12.7.0"
+    exit 1
+fi
+
+WORK_DIR="$(mktemp -d)"
+trap 'rm -rf "$WORK_DIR"' EXIT
+
+echo "Downloading firebase@$VERSION from npm..."
+(cd "$WORK_DIR" && npm pack "firebase@$VERSION" --silent > /dev/null)
+
+TARGET_DIR="$OUTPUT_DIR/$VERSION"
+mkdir -p "$TARGET_DIR"
+
+for module in $MODULES; do
+    file="firebase-$module.js"
+    tar -xzf "$WORK_DIR"/firebase-*.tgz -C "$WORK_DIR" "package/$file" "package/$file.map"
+
+    # Point imports of other SDK modules at the same folder
+    sed -E \
+        -e "s#(from[[:space:]]*[\"'])https://www\.gstatic\.com/firebasejs/[^/\"']+/#\1./#g" \
+        -e "s#(import[[:space:]]*\([[:space:]]*[\"'])https://www\.gstatic\.com/firebasejs/[^/\"']+/#\1./#g" \
+        "$WORK_DIR/package/$file" > "$TARGET_DIR/$file"
+    cp "$WORK_DIR/package/$file.map" "$TARGET_DIR/$file.map"
+
+    if grep -Eq "(from|import)[[:space:]]*\(?[[:space:]]*[\"']https?://" "$TARGET_DIR/$file"; then
+        echo "Error: $file still imports from a remote URL"
+        exit 1
+    fi
+    echo "  $TARGET_DIR/$file"
+done
+
+echo "Done! Load these files with:"
+echo "  .UseSdk(sdk => sdk.FromBaseUrl(\"<url of $OUTPUT_DIR>\").WithVersion(\"$VERSION\"))"
@@ -13,7 +13,8 @@ public enum AILogicErrorCode
     ContentBlocked,
     NetworkError,
     Timeout,
-    ServiceUnavailable
+    ServiceUnavailable,
+    NotInitialized
 }
 
 public static class AILogicErrorCodeExtensions
@@ -28,6 +29,7 @@ public static class AILogicErrorCodeExtensions
         "ai/network-error" => AILogicErrorCode.NetworkError,
         "ai/timeout" => AILogicErrorCode.Timeout,
         "ai/service-unavailable" => AILogicErrorCode.ServiceUnavailable,
+        "ai/not-initialized" => AILogicErrorCode.NotInitialized,
         _ => AILogicErrorCode.Unknown
     };
 
@@ -41,6 +43,7 @@ public static class AILogicErrorCodeExtensions
         AILogicErrorCode.NetworkError => "ai/network-error",
         AILogicErrorCode.Timeout => "ai/timeout",
         AILogicErrorCode.ServiceUnavailable => "ai/service-unavailable",
+        AILogicErrorCode.NotInitialized => "ai/not-initialized",
         _ => "ai/unknown"
     };
 }
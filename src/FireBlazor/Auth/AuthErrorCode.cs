@@ -27,7 +27,11 @@ public enum AuthErrorCode
     ProviderAlreadyLinked,
     CredentialAlreadyInUse,
     PopupClosedByUser,
-    NetworkRequestFailed
+    NetworkRequestFailed,
+    InvalidPhoneNumber,
+    CodeExpired,
+    CaptchaCheckFailed,
+    NotInitialized
 }
 
 public static class AuthErrorCodeExtensions
@@ -51,6 +55,10 @@ public static class AuthErrorCodeExtensions
         "auth/credential-already-in-use" => AuthErrorCode.CredentialAlreadyInUse,
         "auth/popup-closed-by-user" => AuthErrorCode.PopupClosedByUser,
         "auth/network-request-failed" => AuthErrorCode.NetworkRequestFailed,
+        "auth/invalid-phone-number" => AuthErrorCode.InvalidPhoneNumber,
+        "auth/code-expired" => AuthErrorCode.CodeExpired,
+        "auth/captcha-check-failed" => AuthErrorCode.CaptchaCheckFailed,
+        "auth/not-initialized" => AuthErrorCode.NotInitialized,
         _ => AuthErrorCode.Unknown
     };
 
@@ -73,7 +81,11 @@ public static class AuthErrorCodeExtensions
         AuthErrorCode.CredentialAlreadyInUse => "auth/credential-already-in-use",
         AuthErrorCode.PopupClosedByUser => "auth/popup-closed-by-user",
         AuthErrorCode.NetworkRequestFailed => "auth/network-request-failed",
+        AuthErrorCode.InvalidPhoneNumber => "auth/invalid-phone-number",
+        AuthErrorCode.CodeExpired => "auth/code-expired",
+        AuthErrorCode.CaptchaCheckFailed => "auth/captcha-check-failed",
         AuthErrorCode.InvalidCredentials => "auth/invalid-credentials",
+        AuthErrorCode.NotInitialized => "auth/not-initialized",
         _ => "auth/unknown"
     };
 
@@ -0,0 +1,146 @@
+namespace FireBlazor;
+
+/// <summary>
+/// How OAuth sign-ins open the provider's page, set with <see cref="AuthOptions.WithSignInMode"/>.
+/// </summary>
+public enum AuthSignInMode
+{
+    /// <summary>Sign in in a popup window.</summary>
+    Popup,
+
+    /// <summary>
+    /// Navigate to the provider and back. The task returned by the sign-in call never completes, since
+    /// the page unloads; the outcome is in <see cref="IFirebaseAuth.RedirectResult"/> after the app
+    /// initializes again.
+    /// Use this where popups do not work, such as embedded webviews.
+    /// </summary>
+    Redirect,
+
+    /// <summary>
+    /// Sign in in a popup, and switch to a redirect if the popup is blocked or popups are not
+    /// supported in the browser (auth/popup-blocked, auth/operation-not-supported-in-this-environment).
+    /// </summary>
+    PopupWithRedirectFallback
+}
+
+/// <summary>
+/// Maps <see cref="AuthSignInMode"/> to the mode names used by the JS bridge.
+/// </summary>
+internal static class AuthSignInModeExtensions
+{
+    public static string ToJsMode(this AuthSignInMode mode) => mode switch
+    {
+        AuthSignInMode.Redirect => "redirect",
+        AuthSignInMode.PopupWithRedirectFallback => "popupWithRedirectFallback",
+        _ => "popup"
+    };
+}
+
+/// <summary>
+/// A sign-in provider for <see cref="IFirebaseAuth.SignInWithProviderAsync"/>.
+/// </summary>
+public sealed class AuthProviderOptions
+{
+    private const string SamlPrefix = "saml.";
+    private const string OidcPrefix = "oidc.";
+
+    /// <summary>
+    /// Provider id as configured in the Firebase console: a built-in provider such as "google.com",
+    /// "microsoft.com" or "apple.com", an OpenID Connect provider ("oidc.okta") or a SAML provider ("saml.adfs").
+    /// </summary>
+    public required string ProviderId { get; init; }
+
+    /// <summary>OAuth scopes to request in addition to the provider's defaults. Not supported by SAML providers.</summary>
+    public IReadOnlyList<string> Scopes { get; init; } = [];
+
+    /// <summary>
+    /// Extra parameters for the provider's authorization request, such as "prompt" = "select_account"
+    /// or a Microsoft "tenant".
+    /// </summary>
+    public IReadOnlyDictionary<string, string> CustomParameters { get; init; } = new Dictionary<string, string>();
+
+    /// <summary>Whether this is a SAML provider.</summary>
+    public bool IsSaml => ProviderId.StartsWith(SamlPrefix, StringComparison.Ordinal);
+
+    internal void Validate()
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(ProviderId, nameof(ProviderId));
+
+        if (ProviderId is SamlPrefix or OidcPrefix)
+            throw new ArgumentException($"Provider id \"{ProviderId}\" needs a provider name after the prefix.", nameof(ProviderId));
+        if (IsSaml && Scopes.Count > 0)
+            throw new ArgumentException("SAML providers do not support scopes.", nameof(Scopes));
+        if (Scopes.Any(string.IsNullOrWhiteSpace))
+            throw new ArgumentException("Scopes cannot be empty.", nameof(Scopes));
+    }
+}
+
+/// <summary>
+/// Result of <see cref="IFirebaseAuth.SignInWithProviderAsync"/>.
+/// </summary>
+public sealed class ProviderSignInResult
+{
+    public required FirebaseUser User { get; init; }
+
+    /// <summary>The provider's credential, or null if the provider returned none.</summary>
+    public OAuthCredential? Credential { get; init; }
+}
+
+/// <summary>
+/// Credential issued by an identity provider during sign-in.
+/// </summary>
+public sealed class OAuthCredential
+{
+    public required string ProviderId { get; init; }
+
+    public string? SignInMethod { get; init; }
+
+    /// <summary>OAuth access token for calling the provider's APIs with the granted scopes.</summary>
+    public string? AccessToken { get; init; }
+
+    /// <summary>OpenID Connect ID token, for providers that issue one.</summary>
+    public string? IdToken { get; init; }
+
+    /// <summary>OAuth 1.0 token secret (Twitter).</summary>
+    public string? Secret { get; init; }
+
+    // The JS SDK's serialization of a credential it issued, so it can be restored with its nonce or
+    // SAML pending token; null for credentials created in .NET
+    internal string? Json { get; init; }
+}
+
+/// <summary>
+/// Outcome of <see cref="IFirebaseAuth.LinkWithProviderAsync"/>.
+/// </summary>
+public enum AccountLinkStatus
+{
+    /// <summary>The provider was linked to the signed-in user, who keeps their uid.</summary>
+    Linked,
+
+    /// <summary>
+    /// The provider account already belongs to another user (auth/credential-already-in-use).
+    /// The signed-in user is unchanged.
+    /// </summary>
+    CredentialAlreadyInUse
+}
+
+/// <summary>
+/// Result of <see cref="IFirebaseAuth.LinkWithProviderAsync"/>.
+/// </summary>
+public sealed class AccountLinkResult
+{
+    public required AccountLinkStatus Status { get; init; }
+
+    /// <summary>The user with the provider linked, or null if the credential was already in use.</summary>
+    public FirebaseUser? User { get; init; }
+
+    /// <summary>The linked provider's credential, or null if the credential was already in use.</summary>
+    public OAuthCredential? Credential { get; init; }
+
+    /// <summary>
+    /// When <see cref="Status"/> is <see cref="AccountLinkStatus.CredentialAlreadyInUse"/>, the credential
+    /// for the account that owns the provider. Read the current user's data, sign in with
+    /// <see cref="IFirebaseAuth.SignInWithCredentialAsync"/> and merge the data into that account.
+    /// </summary>
+    public OAuthCredential? ConflictingCredential { get; init; }
+}
@@ -88,7 +88,7 @@ public sealed class FirebaseAuthenticationStateProvider : AuthenticationStatePro
         var claims = new List<Claim>
         {
             new(ClaimTypes.NameIdentifier, user.Uid),
-            new(ClaimTypes.Name, user.DisplayName ?? user.Email ?? user.Uid),
+            new(ClaimTypes.Name, user.DisplayName ?? user.Email ?? user.PhoneNumber ?? user.Uid),
         };
 
         if (!string.IsNullOrEmpty(user.Email))
@@ -96,6 +96,11 @@ public sealed class FirebaseAuthenticationStateProvider : AuthenticationStatePro
             claims.Add(new Claim(ClaimTypes.Email, user.Email));
         }
 
+        if (!string.IsNullOrEmpty(user.PhoneNumber))
+        {
+            claims.Add(new Claim(ClaimTypes.MobilePhone, user.PhoneNumber));
+        }
+
         // Extract roles from ID token
         var roles = ExtractRolesFromToken(idToken);
         foreach (var role in roles)
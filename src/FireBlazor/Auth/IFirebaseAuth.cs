@@ -12,18 +12,117 @@ public interface IFirebaseAuth
     /// <summary>Event raised when auth state changes.</summary>
     event Action<FirebaseUser?>? OnAuthStateChanged;
 
+    /// <summary>
+    /// Outcome of a redirect sign-in (<see cref="AuthSignInMode"/>) that returned to the app, processed
+    /// during initialization. Null if this page load did not come back from a redirect.
+    /// </summary>
+    Result<ProviderSignInResult>? RedirectResult { get; }
+
+    /// <summary>
+    /// Outcome of a <see cref="LinkWithProviderAsync"/> that completed by redirect, processed during
+    /// initialization. When the provider account belongs to another user, the status is
+    /// <see cref="AccountLinkStatus.CredentialAlreadyInUse"/> with its <see cref="AccountLinkResult.ConflictingCredential"/>.
+    /// Null if this page load did not come back from a link redirect; a link redirect that failed for
+    /// another reason is reported in <see cref="RedirectResult"/>.
+    /// </summary>
+    Result<AccountLinkResult>? RedirectLinkResult { get; }
+
     // Email/Password
     Task<Result<FirebaseUser>> SignInWithEmailAsync(string email, string password);
     Task<Result<FirebaseUser>> CreateUserWithEmailAsync(string email, string password);
     Task<Result<Unit>> SendPasswordResetEmailAsync(string email);
 
     // OAuth Providers
+
+    /// <summary>Signs in with Google.</summary>
+    /// <inheritdoc cref="SignInWithProviderAsync" path="/remarks"/>
     Task<Result<FirebaseUser>> SignInWithGoogleAsync();
+
+    /// <summary>Signs in with GitHub.</summary>
+    /// <inheritdoc cref="SignInWithProviderAsync" path="/remarks"/>
     Task<Result<FirebaseUser>> SignInWithGitHubAsync();
+
+    /// <summary>Signs in with Microsoft.</summary>
+    /// <inheritdoc cref="SignInWithProviderAsync" path="/remarks"/>
     Task<Result<FirebaseUser>> SignInWithMicrosoftAsync();
+
+    /// <summary>Signs in with Apple, requesting the email and name scopes.</summary>
+    /// <inheritdoc cref="SignInWithProviderAsync" path="/remarks"/>
     Task<Result<FirebaseUser>> SignInWithAppleAsync();
+
+    /// <summary>Signs in with Facebook.</summary>
+    /// <inheritdoc cref="SignInWithProviderAsync" path="/remarks"/>
     Task<Result<FirebaseUser>> SignInWithFacebookAsync();
 
+    /// <summary>
+    /// Signs in with any provider, including OpenID Connect ("oidc.*") and SAML ("saml.*") providers,
+    /// requesting the given scopes and custom parameters.
+    /// </summary>
+    /// <remarks>
+    /// How the provider's page opens depends on <see cref="AuthOptions.SignInMode"/>. With
+    /// <see cref="AuthSignInMode.Popup"/> the task completes when the popup closes. With
+    /// <see cref="AuthSignInMode.Redirect"/> the browser leaves the page, so the returned task never
+    /// completes; when the provider sends the browser back, the outcome is in
+    /// <see cref="RedirectResult"/> after initialization. With <see cref="AuthSignInMode.PopupWithRedirectFallback"/>
+    /// the task completes from the popup, unless the popup is blocked or not supported: then it
+    /// redirects and behaves as in redirect mode.
+    /// </remarks>
+    /// <param name="options">The provider, scopes and custom parameters.</param>
+    /// <returns>The signed-in user and the provider's credential.</returns>
+    Task<Result<ProviderSignInResult>> SignInWithProviderAsync(AuthProviderOptions options);
+
+    /// <summary>Signs in with a provider credential, such as <see cref="AccountLinkResult.ConflictingCredential"/>.</summary>
+    Task<Result<ProviderSignInResult>> SignInWithCredentialAsync(OAuthCredential credential);
+
+    // Anonymous users and account linking
+
+    /// <summary>Signs in as a new anonymous user, which can later be upgraded by linking.</summary>
+    Task<Result<FirebaseUser>> SignInAnonymouslyAsync();
+
+    /// <summary>
+    /// Adds an email and password to the signed-in user. An anonymous user becomes a permanent
+    /// account with the same uid. Fails with auth/email-already-in-use if another account has the email.
+    /// </summary>
+    Task<Result<FirebaseUser>> LinkWithEmailAsync(string email, string password);
+
+    /// <summary>
+    /// Links a provider to the signed-in user, using the configured <see cref="AuthSignInMode"/>. An
+    /// anonymous user becomes a permanent account with the same uid. If the provider account already
+    /// belongs to another user, the result has <see cref="AccountLinkStatus.CredentialAlreadyInUse"/>
+    /// and that account's credential.
+    /// </summary>
+    /// <remarks>
+    /// When the link runs as a redirect, the returned task never completes; the outcome is in
+    /// <see cref="RedirectLinkResult"/> after the app initializes again.
+    /// </remarks>
+    Task<Result<AccountLinkResult>> LinkWithProviderAsync(AuthProviderOptions options);
+
+    // Phone
+
+    /// <summary>
+    /// Runs the reCAPTCHA check in <see cref="PhoneSignInOptions.ContainerId"/> and sends an SMS code to
+    /// the number. Against the Auth emulator no reCAPTCHA is needed and no SMS is sent.
+    /// </summary>
+    /// <param name="phoneNumber">Phone number in E.164 format, such as "+15555550100".</param>
+    /// <param name="options">The element for the reCAPTCHA widget and how to show it.</param>
+    /// <returns>The verification to confirm with the code.</returns>
+    Task<Result<PhoneVerification>> SignInWithPhoneNumberAsync(string phoneNumber, PhoneSignInOptions options);
+
+    /// <summary>
+    /// Signs in with the SMS code. A wrong code fails with auth/invalid-verification-code and the
+    /// verification stays valid, so the user can try again.
+    /// </summary>
+    Task<Result<FirebaseUser>> ConfirmPhoneCodeAsync(string verificationId, string code);
+
+    /// <summary>Sends a new code to the same number. The returned verification replaces the old one.</summary>
+    Task<Result<PhoneVerification>> ResendPhoneCodeAsync(string verificationId);
+
+    /// <summary>
+    /// Removes the reCAPTCHA widget from the element, e.g. when the sign-in form is disposed or the
+    /// widget has expired. The next code requested through the element renders a new one.
+    /// </summary>
+    Task<Result<Unit>> ResetPhoneVerifierAsync(string containerId);
+
     // Sign Out
     Task<Result<Unit>> SignOutAsync();
 
@@ -38,6 +137,7 @@ public sealed class FirebaseUser
     public string? Email { get; init; }
     public string? DisplayName { get; init; }
     public string? PhotoUrl { get; init; }
+    public string? PhoneNumber { get; init; }
     public bool IsEmailVerified { get; init; }
     public bool IsAnonymous { get; init; }
     public IReadOnlyList<string> Providers { get; init; } = [];
@@ -0,0 +1,60 @@
+namespace FireBlazor;
+
+/// <summary>
+/// How the reCAPTCHA widget for phone sign-in is shown.
+/// </summary>
+public enum RecaptchaSize
+{
+    /// <summary>No widget; the check runs when the code is requested and only shows a challenge if needed.</summary>
+    Invisible,
+
+    /// <summary>The "I'm not a robot" checkbox.</summary>
+    Normal,
+
+    /// <summary>A smaller checkbox for narrow layouts.</summary>
+    Compact
+}
+
+/// <summary>
+/// Maps <see cref="RecaptchaSize"/> to the size names used by the JS bridge.
+/// </summary>
+internal static class RecaptchaSizeExtensions
+{
+    public static string ToJsSize(this RecaptchaSize size) => size switch
+    {
+        RecaptchaSize.Normal => "normal",
+        RecaptchaSize.Compact => "compact",
+        _ => "invisible"
+    };
+}
+
+/// <summary>
+/// Options for <see cref="IFirebaseAuth.SignInWithPhoneNumberAsync"/>.
+/// </summary>
+public sealed class PhoneSignInOptions
+{
+    /// <summary>
+    /// Id of the element the reCAPTCHA widget is rendered into. The widget is reused for later codes
+    /// requested through the same element until <see cref="IFirebaseAuth.ResetPhoneVerifierAsync"/>.
+    /// </summary>
+    public required string ContainerId { get; init; }
+
+    public RecaptchaSize Size { get; init; } = RecaptchaSize.Invisible;
+
+    internal void Validate()
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(ContainerId, nameof(ContainerId));
+    }
+}
+
+/// <summary>
+/// A phone sign-in waiting for its SMS code, returned by <see cref="IFirebaseAuth.SignInWithPhoneNumberAsync"/>
+/// and <see cref="IFirebaseAuth.ResendPhoneCodeAsync"/>.
+/// </summary>
+public sealed class PhoneVerification
+{
+    /// <summary>Pass to <see cref="IFirebaseAuth.ConfirmPhoneCodeAsync"/> with the code the user received.</summary>
+    public required string VerificationId { get; init; }
+
+    public required string PhoneNumber { get; init; }
+}
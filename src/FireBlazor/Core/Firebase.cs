@@ -28,7 +28,7 @@ internal sealed class Firebase : IFirebase
         _options = options;
         _logger = logger;
         _jsRuntime = jsRuntime;
-        _jsInterop = new FirebaseJsInterop(_jsRuntime);
+        _jsInterop = new FirebaseJsInterop(_jsRuntime, _options.AppName);
 
         _options.Validate();
         _logger.LogDebug("Firebase initialized for project: {ProjectId}", _options.ProjectId);
@@ -48,28 +48,58 @@ internal sealed class Firebase : IFirebase
         // Initialize Auth if configured
         if (_options.AuthOptions != null)
         {
-            await _jsInterop.InitializeAuthAsync(emulators?.AuthHost);
+            var redirect = await _jsInterop.InitializeAuthAsync(_options.AuthOptions.SignInMode, emulators?.AuthHost);
+            if (redirect.Error?.Code == AuthErrorCode.NotInitialized.ToFirebaseCode())
+                throw new FirebaseAuthException(AuthErrorCode.NotInitialized, redirect.Error.Message);
             _logger.LogDebug("Auth initialized{Emulator}", emulators?.IsAuthEnabled == true ? " (emulator)" : "");
+
+            // Complete a redirect sign-in that brought the browser back to the app
+            if (Auth is WasmFirebaseAuth auth)
+            {
+                auth.HandleRedirectResult(redirect);
+                if (auth.RedirectResult is { IsFailure: true } failed)
+                    _logger.LogWarning("Redirect sign-in failed: {Error}", failed.Error?.Message);
+            }
         }
 
         // Initialize Firestore if configured
         if (_options.FirestoreOptions != null)
         {
-            await _jsInterop.InitializeFirestoreAsync(_options.FirestoreOptions, emulators?.FirestoreHost);
+            var firestore = await _jsInterop.InitializeFirestoreAsync(_options.FirestoreOptions, emulators?.FirestoreHost);
+            if (!firestore.Success)
+                throw new FirestoreException(FirestoreErrorCodeExtensions.FromFirebaseCode(firestore.Error?.Code ?? "unknown"), firestore.Error?.Message ?? "Firestore failed to initialize");
             _logger.LogDebug("Firestore initialized{Emulator}", emulators?.IsFirestoreEnabled == true ? " (emulator)" : "");
         }
 
         // Initialize Storage if configured
         if (_options.StorageOptions != null)
         {
-            await _jsInterop.InitializeStorageAsync(emulators?.StorageHost);
+            var storage = await _jsInterop.InitializeStorageAsync(_options.StorageOptions.CustomBucket, emulators?.StorageHost);
+            if (!storage.Success)
+                throw new StorageException(StorageErrorCodeExtensions.FromFirebaseCode(storage.Error?.Code ?? "storage/unknown"), storage.Error?.Message ?? "Storage failed to initialize");
             _logger.LogDebug("Storage initialized{Emulator}", emulators?.IsStorageEnabled == true ? " (emulator)" : "");
+
+            // Start the upload queue so items left over from a previous session resume
+            if (_options.StorageOptions.UploadQueue != null)
+            {
+                var queue = await Storage.UploadQueue.StartAsync();
+                if (queue.IsFailure)
+                {
+                    _logger.LogWarning("Upload queue failed to start: {Error}", queue.Error?.Message);
+                }
+                else
+                {
+                    _logger.LogDebug("Upload queue started with {Count} queued item(s)", queue.Value.Count);
+                }
+            }
         }
 
         // Initialize Realtime Database if configured
         if (_options.RealtimeDbOptions != null)
         {
-            await _jsInterop.InitializeDatabaseAsync(_options.RealtimeDbOptions.CustomUrl, emulators?.RealtimeDatabaseHost);
+            var database = await _jsInterop.InitializeDatabaseAsync(_options.RealtimeDbOptions.CustomUrl, emulators?.RealtimeDatabaseHost);
+            if (!database.Success)
+                throw new FirebaseException(database.Error?.Code ?? "database/unknown", database.Error?.Message ?? "Realtime Database failed to initialize");
             _logger.LogDebug("Realtime Database initialized{Emulator}", emulators?.IsRealtimeDatabaseEnabled == true ? " (emulator)" : "");
         }
 
@@ -102,6 +132,90 @@ internal sealed class Firebase : IFirebase
         _logger.LogInformation("Firebase fully initialized for project: {ProjectId}", _options.ProjectId);
     }
 
+    public async Task<Result<FirebaseAppStatus>> GetServiceStatusAsync()
+    {
+        try
+        {
+            var result = await _jsInterop.GetServiceStatusAsync();
+            if (result.Success && result.Data != null)
+            {
+                return Result<FirebaseAppStatus>.Success(result.Data.ToAppStatus());
+            }
+
+            var error = result.Error ?? new JsError { Code = "app/unknown", Message = "Failed to read service status" };
+            return Result<FirebaseAppStatus>.Failure(new FirebaseError(error.Code, error.Message));
+        }
+        catch (Exception ex)
+        {
+            return Result<FirebaseAppStatus>.Failure(new FirebaseError("app/unknown", ex.Message));
+        }
+    }
+
+    public async Task<Result<IReadOnlyList<FirebaseSubscriptionInfo>>> GetSubscriptionsAsync()
+    {
+        try
+        {
+            var result = await _jsInterop.ListSubscriptionsAsync();
+            if (result.Success && result.Data != null)
+            {
+                IReadOnlyList<FirebaseSubscriptionInfo> subscriptions = result.Data
+                    .Select(s => s.ToSubscriptionInfo())
+                    .OrderBy(s => s.CreatedAt)
+                    .ToList();
+                return Result<IReadOnlyList<FirebaseSubscriptionInfo>>.Success(subscriptions);
+            }
+
+            var error = result.Error ?? new JsError { Code = "app/unknown", Message = "Failed to list subscriptions" };
+            return Result<IReadOnlyList<FirebaseSubscriptionInfo>>.Failure(new FirebaseError(error.Code, error.Message));
+        }
+        catch (Exception ex)
+        {
+            return Result<IReadOnlyList<FirebaseSubscriptionInfo>>.Failure(new FirebaseError("app/unknown", ex.Message));
+        }
+    }
+
+    public async Task<Result<Unit>> TerminateAsync()
+    {
+        try
+        {
+            // Release the App Check token subscription and its .NET callback before the app goes away
+            if (_appCheck is IAsyncDisposable appCheck)
+            {
+                await appCheck.DisposeAsync();
+            }
+
+            // Stop the upload queue; its items stay in browser storage
+            if (_storage is IAsyncDisposable storage)
+            {
+                await storage.DisposeAsync();
+            }
+
+            var result = await _jsInterop.TerminateAsync();
+
+            // Services are bound to the deleted app; recreate them on next access
+            _auth = null;
+            _firestore = null;
+            _storage = null;
+            _realtimeDb = null;
+            _appCheck = null;
+            _ai = null;
+            _initialized = false;
+
+            if (result.Success)
+            {
+                _logger.LogInformation("Firebase terminated for project: {ProjectId}", _options.ProjectId);
+                return Result<Unit>.Success(Unit.Value);
+            }
+
+            var error = result.Error ?? new JsError { Code = "app/unknown", Message = "Failed to terminate Firebase" };
+            return Result<Unit>.Failure(new FirebaseError(error.Code, error.Message));
+        }
+        catch (Exception ex)
+        {
+            return Result<Unit>.Failure(new FirebaseError("app/unknown", ex.Message));
+        }
+    }
+
     public IFirebaseAuth Auth => _auth ??= CreateAuthService();
     public IFirestore Firestore => _firestore ??= CreateFirestoreService();
     public IFirebaseStorage Storage => _storage ??= CreateStorageService();
@@ -138,7 +252,7 @@ internal sealed class Firebase : IFirebase
 
     private IFirebaseStorage CreateStorageService()
     {
-        return new WasmFirebaseStorage(_jsInterop);
+        return new WasmFirebaseStorage(_jsInterop, _options.StorageOptions);
     }
 
     private IRealtimeDatabase CreateRealtimeDbService()
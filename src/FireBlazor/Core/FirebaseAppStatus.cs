@@ -0,0 +1,52 @@
+namespace FireBlazor;
+
+/// <summary>
+/// Lifecycle status of a Firebase app and each of its services.
+/// Returned by <see cref="IFirebase.GetServiceStatusAsync"/>.
+/// </summary>
+public sealed record FirebaseAppStatus(
+    string AppName,
+    bool IsInitialized,
+    FirebaseServiceStatus Auth,
+    FirebaseServiceStatus Firestore,
+    FirebaseServiceStatus Storage,
+    FirebaseServiceStatus RealtimeDb,
+    FirebaseServiceStatus AppCheck,
+    FirebaseServiceStatus AI)
+{
+    /// <summary>
+    /// All services paired with a display name, in a stable order.
+    /// </summary>
+    public IReadOnlyList<KeyValuePair<string, FirebaseServiceStatus>> Services =>
+    [
+        new("Auth", Auth),
+        new("Firestore", Firestore),
+        new("Storage", Storage),
+        new("RealtimeDb", RealtimeDb),
+        new("AppCheck", AppCheck),
+        new("AI", AI)
+    ];
+}
+
+/// <summary>
+/// Initialization state of a single Firebase service.
+/// </summary>
+/// <param name="IsInitialized">Whether the service has been initialized for the app.</param>
+/// <param name="EmulatorHost">The emulator host the service is connected to, or null for production.</param>
+/// <param name="Options">Options the service was initialized with. Secrets such as site keys are never included.</param>
+public sealed record FirebaseServiceStatus(
+    bool IsInitialized,
+    string? EmulatorHost,
+    IReadOnlyDictionary<string, string?> Options)
+{
+    /// <summary>
+    /// Status for a service that has not been initialized.
+    /// </summary>
+    public static FirebaseServiceStatus NotInitialized { get; } =
+        new(false, null, new Dictionary<string, string?>());
+
+    /// <summary>
+    /// Whether the service is connected to a local emulator.
+    /// </summary>
+    public bool IsUsingEmulator => EmulatorHost != null;
+}
@@ -15,16 +15,29 @@ public sealed class FirebaseOptions
     public string? AppId { get; private set; }
     public string? MessagingSenderId { get; private set; }
 
+    /// <summary>
+    /// Name of the Firebase app instance. Null targets the default app.
+    /// Use distinct names to talk to several Firebase projects from the same page.
+    /// </summary>
+    public string? AppName { get; private set; }
+
     public LogLevel LogLevel { get; private set; } = LogLevel.Warning;
     public bool LogOperations { get; private set; }
     public bool LogSubscriptions { get; private set; }
 
+    /// <summary>
+    /// Real-time listeners alive longer than this are reported in the browser console as possible leaks.
+    /// Null disables the check.
+    /// </summary>
+    public TimeSpan? SubscriptionWarningAge { get; private set; }
+
     internal AuthOptions? AuthOptions { get; private set; }
     internal FirestoreOptions? FirestoreOptions { get; private set; }
     internal StorageOptions? StorageOptions { get; private set; }
     internal RealtimeDbOptions? RealtimeDbOptions { get; private set; }
     internal AppCheckOptions? AppCheckOptions { get; private set; }
     internal EmulatorOptions? EmulatorOptions { get; private set; }
+    internal SdkOptions? SdkOptions { get; private set; }
 
     public FirebaseOptions WithProject(string projectId)
     {
@@ -68,6 +81,13 @@ public sealed class FirebaseOptions
         return this;
     }
 
+    public FirebaseOptions WithAppName(string appName)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(appName, nameof(appName));
+        AppName = appName;
+        return this;
+    }
+
     public FirebaseOptions WithLogging(LogLevel logLevel = LogLevel.Debug)
     {
         LogLevel = logLevel;
@@ -81,6 +101,7 @@ public sealed class FirebaseOptions
         LogLevel = loggingOptions.LogLevel;
         LogOperations = loggingOptions.LogOperations;
         LogSubscriptions = loggingOptions.LogSubscriptions;
+        SubscriptionWarningAge = loggingOptions.SubscriptionWarningAge;
         return this;
     }
 
@@ -126,6 +147,17 @@ public sealed class FirebaseOptions
         return this;
     }
 
+    /// <summary>
+    /// Configures where the Firebase JavaScript SDK modules are loaded from.
+    /// Use this to self-host the SDK (e.g. for intranets with strict CSP and no CDN access).
+    /// </summary>
+    public FirebaseOptions UseSdk(Action<SdkOptions> configure)
+    {
+        SdkOptions = new SdkOptions();
+        configure(SdkOptions);
+        return this;
+    }
+
     public void Validate()
     {
         if (string.IsNullOrWhiteSpace(ProjectId))
@@ -138,6 +170,11 @@ public sealed class LoggingOptions
     public LogLevel LogLevel { get; set; } = LogLevel.Debug;
     public bool LogOperations { get; set; }
     public bool LogSubscriptions { get; set; }
+
+    /// <summary>
+    /// Warn about real-time listeners that stay alive longer than this. Null disables the check.
+    /// </summary>
+    public TimeSpan? SubscriptionWarningAge { get; set; }
 }
 
 public sealed class AuthOptions
@@ -149,6 +186,9 @@ public sealed class AuthOptions
     public string? AppleClientId { get; private set; }
     public string? FacebookAppId { get; private set; }
 
+    /// <summary>How OAuth sign-ins open the provider's page. Defaults to <see cref="AuthSignInMode.Popup"/>.</summary>
+    public AuthSignInMode SignInMode { get; private set; } = AuthSignInMode.Popup;
+
     public AuthOptions EnableEmailPassword()
     {
         EmailPasswordEnabled = true;
@@ -184,6 +224,16 @@ public sealed class AuthOptions
         FacebookAppId = appId;
         return this;
     }
+
+    /// <summary>
+    /// Sets how OAuth sign-ins open the provider's page. Redirect sign-ins complete when the app
+    /// loads again; the outcome is in <see cref="IFirebaseAuth.RedirectResult"/>.
+    /// </summary>
+    public AuthOptions WithSignInMode(AuthSignInMode mode)
+    {
+        SignInMode = mode;
+        return this;
+    }
 }
 
 public sealed class FirestoreOptions
@@ -202,14 +252,41 @@ public sealed class StorageOptions
     /// <summary>Default maximum file size for browser uploads (50 MB).</summary>
     public const long DefaultMaxBrowserFileSize = 50 * 1024 * 1024;
 
+    /// <summary>Default size above which downloads are transferred in chunks (4 MB).</summary>
+    public const long DefaultDownloadChunkThreshold = 4 * 1024 * 1024;
+
+    /// <summary>
+    /// Default bucket as a gs:// URL, used instead of <see cref="FirebaseOptions.StorageBucket"/> when set.
+    /// </summary>
     public string? CustomBucket { get; private set; }
 
     /// <summary>Maximum file size for browser file uploads. Defaults to 50 MB.</summary>
     public long MaxBrowserFileSize { get; private set; } = DefaultMaxBrowserFileSize;
 
+    /// <summary>
+    /// Downloads larger than this are streamed from JavaScript in chunks instead of
+    /// one interop transfer. Defaults to 4 MB.
+    /// </summary>
+    public long DownloadChunkThreshold { get; private set; } = DefaultDownloadChunkThreshold;
+
+    /// <summary>
+    /// Upload queue settings, or null if the queue is not started at initialization.
+    /// </summary>
+    public UploadQueueOptions? UploadQueue { get; private set; }
+
+    /// <summary>
+    /// Hash recorded and verified for uploads, or null if integrity checks are off.
+    /// </summary>
+    public UploadHashAlgorithm? UploadIntegrity { get; private set; }
+
+    /// <summary>
+    /// Sets the default bucket. References in other buckets are created with
+    /// <see cref="IFirebaseStorage.Ref(string, string)"/>.
+    /// </summary>
+    /// <param name="bucket">The bucket, as "gs://bucket-name" or "bucket-name".</param>
     public StorageOptions WithBucket(string bucket)
     {
-        CustomBucket = bucket;
+        CustomBucket = StorageBucket.Normalize(bucket, nameof(bucket));
         return this;
     }
 
@@ -222,6 +299,89 @@ public sealed class StorageOptions
         MaxBrowserFileSize = maxSize;
         return this;
     }
+
+    /// <summary>
+    /// Sets the size above which downloads are transferred in chunks.
+    /// </summary>
+    /// <param name="threshold">Threshold in bytes.</param>
+    public StorageOptions WithDownloadChunkThreshold(long threshold)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(threshold);
+        DownloadChunkThreshold = threshold;
+        return this;
+    }
+
+    /// <summary>
+    /// Enables the persistent upload queue (<see cref="IFirebaseStorage.UploadQueue"/>) and starts it
+    /// during initialization, so uploads queued in a previous session resume right away.
+    /// </summary>
+    /// <param name="configure">Optional retry settings.</param>
+    public StorageOptions WithUploadQueue(Action<UploadQueueOptions>? configure = null)
+    {
+        var options = new UploadQueueOptions();
+        configure?.Invoke(options);
+        UploadQueue = options;
+        return this;
+    }
+
+    /// <summary>
+    /// Enables integrity checks for <see cref="IStorageReference.PutAsync(Stream, StorageMetadata, Action{UploadProgress}, string, CancellationToken)"/>
+    /// and <see cref="IFirebaseStorage.UploadBatchAsync"/>. The data is hashed in the browser and the hash is
+    /// stored in custom metadata (see <see cref="FireBlazor.UploadIntegrity"/>). After the upload the stored
+    /// object is checked against the data; a mismatch fails the upload with <see cref="StorageErrorCode.IntegrityMismatch"/>.
+    /// <para>
+    /// Streams are hashed chunk by chunk as the browser reads them, so hashing adds no copy of the payload:
+    /// memory use is the same as without integrity checks (the browser assembles the upload as a Blob either
+    /// way). The hash is computed in JavaScript on the page's thread, which yields between chunks, so the
+    /// page stays responsive but large uploads take longer to start.
+    /// </para>
+    /// </summary>
+    /// <param name="algorithm">
+    /// The hash to compute and store. With <see cref="UploadHashAlgorithm.Md5"/> the object's MD5 as reported by
+    /// Storage must match. Storage reports no SHA-256, so with <see cref="UploadHashAlgorithm.Sha256"/> only the
+    /// stored size is checked and the hash is kept for checks you run later.
+    /// </param>
+    public StorageOptions WithUploadIntegrity(UploadHashAlgorithm algorithm = UploadHashAlgorithm.Md5)
+    {
+        UploadIntegrity = algorithm;
+        return this;
+    }
+}
+
+/// <summary>
+/// Retry settings for the persistent upload queue.
+/// </summary>
+public sealed class UploadQueueOptions
+{
+    /// <summary>Attempts made before an item is marked failed. Defaults to 5.</summary>
+    public int MaxAttempts { get; private set; } = 5;
+
+    /// <summary>Delay before the first retry; doubled after each failed attempt. Defaults to 2 seconds.</summary>
+    public TimeSpan InitialBackoff { get; private set; } = TimeSpan.FromSeconds(2);
+
+    /// <summary>Upper bound for the retry delay. Defaults to 5 minutes.</summary>
+    public TimeSpan MaxBackoff { get; private set; } = TimeSpan.FromMinutes(5);
+
+    public UploadQueueOptions WithMaxAttempts(int maxAttempts)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxAttempts);
+        MaxAttempts = maxAttempts;
+        return this;
+    }
+
+    /// <summary>
+    /// Sets the retry delays.
+    /// </summary>
+    /// <param name="initial">Delay before the first retry.</param>
+    /// <param name="max">Upper bound for the delay.</param>
+    public UploadQueueOptions WithBackoff(TimeSpan initial, TimeSpan max)
+    {
+        ArgumentOutOfRangeException.ThrowIfLessThan(initial, TimeSpan.Zero);
+        ArgumentOutOfRangeException.ThrowIfLessThan(max, initial);
+        InitialBackoff = initial;
+        MaxBackoff = max;
+        return this;
+    }
 }
 
 public sealed class RealtimeDbOptions
@@ -362,6 +522,46 @@ public sealed class AppCheckOptions
     }
 }
 
+/// <summary>
+/// Configuration options for loading the Firebase JavaScript SDK.
+/// </summary>
+public sealed class SdkOptions
+{
+    /// <summary>Default CDN base URL for the Firebase JavaScript SDK.</summary>
+    public const string DefaultBaseUrl = "https://www.gstatic.com/firebasejs";
+    /// <summary>Default Firebase JavaScript SDK version.</summary>
+    public const string DefaultVersion = "12.7.0";
+
+    /// <summary>
+    /// Base URL the SDK modules are loaded from. Relative URLs are resolved against the document base URI.
+    /// </summary>
+    public string BaseUrl { get; private set; } = DefaultBaseUrl;
+
+    /// <summary>
+    /// SDK version appended to the base URL (e.g. "{BaseUrl}/{Version}/firebase-app.js").
+    /// An empty version loads modules directly from the base URL.
+    /// </summary>
+    public string Version { get; private set; } = DefaultVersion;
+
+    /// <summary>Loads SDK modules from a custom base URL (e.g. "/js/firebase").</summary>
+    /// <param name="baseUrl">Absolute or document-relative base URL.</param>
+    public SdkOptions FromBaseUrl(string baseUrl)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(baseUrl, nameof(baseUrl));
+        BaseUrl = baseUrl.TrimEnd('/');
+        return this;
+    }
+
+    /// <summary>Sets the SDK version segment of the module URL.</summary>
+    /// <param name="version">SDK version (e.g. "12.7.0"), or an empty string for unversioned paths.</param>
+    public SdkOptions WithVersion(string version)
+    {
+        ArgumentNullException.ThrowIfNull(version);
+        Version = version;
+        return this;
+    }
+}
+
 /// <summary>
 /// Configuration options for connecting to Firebase Emulator Suite.
 /// </summary>
@@ -0,0 +1,27 @@
+namespace FireBlazor;
+
+/// <summary>
+/// An active real-time listener as recorded by the subscription registry.
+/// Returned by <see cref="IFirebase.GetSubscriptionsAsync"/>.
+/// </summary>
+/// <param name="Id">Subscription id, unique across services.</param>
+/// <param name="Service">Owning service: "auth", "firestore", "database" or "appCheck".</param>
+/// <param name="Kind">Listener type, e.g. "document", "collection", "value", "child_added" or "connectionState".</param>
+/// <param name="Path">Document, collection or database path, if the listener has one.</param>
+/// <param name="Query">Query parameters as JSON, if the listener was created from a query.</param>
+/// <param name="AppName">Name of the Firebase app the listener belongs to.</param>
+/// <param name="CreatedAt">When the listener was attached.</param>
+/// <param name="Age">How long the listener had been alive when it was listed.</param>
+/// <param name="SnapshotCount">Number of snapshots delivered so far.</param>
+/// <param name="LastSnapshotAt">When the last snapshot was delivered, if any.</param>
+public sealed record FirebaseSubscriptionInfo(
+    int Id,
+    string Service,
+    string Kind,
+    string? Path,
+    string? Query,
+    string AppName,
+    DateTimeOffset CreatedAt,
+    TimeSpan Age,
+    int SnapshotCount,
+    DateTimeOffset? LastSnapshotAt);
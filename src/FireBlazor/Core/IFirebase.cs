@@ -36,6 +36,26 @@ public interface IFirebase
     /// Sets up the Firebase app and connects to emulators if configured.
     /// </summary>
     Task InitializeAsync();
+
+    /// <summary>
+    /// Reports which services are initialized for this app, which emulators they use
+    /// and the options they were initialized with.
+    /// </summary>
+    Task<Result<FirebaseAppStatus>> GetServiceStatusAsync();
+
+    /// <summary>
+    /// Lists every active real-time listener of this app across services, oldest first.
+    /// Listeners of other named apps are listed by their own <see cref="IFirebase"/>.
+    /// Useful for finding listeners leaked by components that were never disposed.
+    /// </summary>
+    Task<Result<IReadOnlyList<FirebaseSubscriptionInfo>>> GetSubscriptionsAsync();
+
+    /// <summary>
+    /// Shuts the Firebase app down: releases every listener and chat session, terminates Firestore,
+    /// takes the Realtime Database offline and deletes the app.
+    /// Call <see cref="InitializeAsync"/> again to start over, e.g. after switching tenants.
+    /// </summary>
+    Task<Result<Unit>> TerminateAsync();
 }
 
 /// <summary>
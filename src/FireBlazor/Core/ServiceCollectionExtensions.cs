@@ -74,6 +74,36 @@ public static class ServiceCollectionExtensions
         return services;
     }
 
+    /// <summary>
+    /// Adds a named Firebase app as a keyed <see cref="IFirebase"/> service.
+    /// Use this alongside the default app to talk to several Firebase projects side by side.
+    /// Resolve it with <c>[Inject(Key = "name")]</c> or <c>GetRequiredKeyedService&lt;IFirebase&gt;("name")</c>.
+    /// </summary>
+    public static IServiceCollection AddFirebase(
+        this IServiceCollection services,
+        string name,
+        Action<FirebaseOptions> configure)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(name, nameof(name));
+
+        var options = new FirebaseOptions();
+        configure(options);
+        options.WithAppName(name);
+
+        services.AddKeyedSingleton(name, options);
+        services.AddKeyedScoped<IFirebase>(name, (sp, key) =>
+        {
+            var opts = sp.GetRequiredKeyedService<FirebaseOptions>(key);
+            var logger = sp.GetRequiredService<ILogger<Firebase>>();
+            var jsRuntime = sp.GetRequiredService<IJSRuntime>();
+            return new Firebase(opts, logger, jsRuntime);
+        });
+
+        services.TryAddSingleton(typeof(ILogger<>), typeof(NullLogger<>));
+
+        return services;
+    }
+
     /// <summary>
     /// Adds Firebase authorization integration with Blazor's authorization system.
     /// Enables [Authorize] attributes, AuthorizeView components, and role-based access control.
@@ -15,6 +15,8 @@ public sealed class FirebaseDebugState
     private FirebaseUser? _currentUser;
     private bool _isAuthenticated;
     private int _activeSubscriptionCount;
+    private FirebaseAppStatus? _serviceStatus;
+    private IReadOnlyList<FirebaseSubscriptionInfo> _subscriptions = [];
 
     /// <summary>
     /// Maximum number of operations to keep in history.
@@ -68,6 +70,34 @@ public sealed class FirebaseDebugState
         }
     }
 
+    /// <summary>
+    /// Active real-time listeners as last reported by the subscription registry (oldest first).
+    /// </summary>
+    public IReadOnlyList<FirebaseSubscriptionInfo> Subscriptions
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _subscriptions;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Last reported initialization status of the Firebase app and its services, if loaded.
+    /// </summary>
+    public FirebaseAppStatus? ServiceStatus
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _serviceStatus;
+            }
+        }
+    }
+
     /// <summary>
     /// Recent Firebase operations (most recent first).
     /// </summary>
@@ -158,6 +188,31 @@ public sealed class FirebaseDebugState
         RaiseStateChanged();
     }
 
+    /// <summary>
+    /// Updates the active listeners and the subscription count.
+    /// </summary>
+    public void UpdateSubscriptions(IReadOnlyList<FirebaseSubscriptionInfo> subscriptions)
+    {
+        lock (_lock)
+        {
+            _subscriptions = subscriptions;
+            _activeSubscriptionCount = subscriptions.Count;
+        }
+        RaiseStateChanged();
+    }
+
+    /// <summary>
+    /// Updates the service initialization status.
+    /// </summary>
+    public void UpdateServiceStatus(FirebaseAppStatus? status)
+    {
+        lock (_lock)
+        {
+            _serviceStatus = status;
+        }
+        RaiseStateChanged();
+    }
+
     /// <summary>
     /// Clears all operation and error history.
     /// </summary>
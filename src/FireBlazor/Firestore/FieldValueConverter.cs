@@ -4,14 +4,35 @@ using System.Text.Json.Serialization;
 namespace FireBlazor;
 
 /// <summary>
-/// JSON converter that deserializes Firestore timestamp objects to DateTime.
-/// Firestore returns timestamps as {seconds: number, nanoseconds: number} objects.
+/// JSON converter that maps Firestore timestamp objects to and from DateTime.
+/// Firestore returns timestamps as {seconds: number, nanoseconds: number} objects,
+/// and values are written back tagged so the JS bridge stores a real Timestamp.
 /// </summary>
 public sealed class FirestoreTimestampConverter : JsonConverter<DateTime?>
+{
+    public override DateTime? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        return FirestoreTimestampReader.Read(ref reader);
+    }
+
+    public override void Write(Utf8JsonWriter writer, DateTime? value, JsonSerializerOptions options)
+    {
+        if (value.HasValue)
+            FirestoreTypedValue.WriteTimestamp(writer, value.Value);
+        else
+            writer.WriteNullValue();
+    }
+}
+
+/// <summary>
+/// Reads timestamps in the shapes the JS bridge produces: ISO strings, and
+/// {seconds, nanoseconds} objects (optionally tagged with "__type__": "timestamp").
+/// </summary>
+internal static class FirestoreTimestampReader
 {
     private static readonly DateTime UnixEpoch = new(1970, 1, 1, 0, 0, 0, DateTimeKind.Utc);
 
-    public override DateTime? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    public static DateTime? Read(ref Utf8JsonReader reader)
     {
         if (reader.TokenType == JsonTokenType.Null)
             return null;
@@ -40,6 +61,8 @@ public sealed class FirestoreTimestampConverter : JsonConverter<DateTime?>
                         seconds = reader.GetInt64();
                     else if (prop is "nanoseconds" or "_nanoseconds")
                         nanoseconds = reader.GetInt32();
+                    else
+                        reader.Skip();
                 }
             }
 
@@ -56,14 +79,6 @@ public sealed class FirestoreTimestampConverter : JsonConverter<DateTime?>
 
         throw new JsonException($"Cannot convert token type {reader.TokenType} to DateTime");
     }
-
-    public override void Write(Utf8JsonWriter writer, DateTime? value, JsonSerializerOptions options)
-    {
-        if (value.HasValue)
-            writer.WriteStringValue(value.Value.ToString("O")); // ISO 8601 format
-        else
-            writer.WriteNullValue();
-    }
 }
 
 /// <summary>
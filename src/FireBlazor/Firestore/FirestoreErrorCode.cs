@@ -19,7 +19,8 @@ public enum FirestoreErrorCode
     Internal,
     Unavailable,
     DataLoss,
-    Unauthenticated
+    Unauthenticated,
+    NotInitialized
 }
 
 public static class FirestoreErrorCodeExtensions
@@ -40,6 +41,7 @@ public static class FirestoreErrorCodeExtensions
         "unavailable" => FirestoreErrorCode.Unavailable,
         "data-loss" => FirestoreErrorCode.DataLoss,
         "unauthenticated" => FirestoreErrorCode.Unauthenticated,
+        "firestore/not-initialized" => FirestoreErrorCode.NotInitialized,
         _ => FirestoreErrorCode.Unknown
     };
 
@@ -59,6 +61,7 @@ public static class FirestoreErrorCodeExtensions
         FirestoreErrorCode.Unavailable => "unavailable",
         FirestoreErrorCode.DataLoss => "data-loss",
         FirestoreErrorCode.Unauthenticated => "unauthenticated",
+        FirestoreErrorCode.NotInitialized => "firestore/not-initialized",
         _ => "unknown"
     };
 }
@@ -0,0 +1,202 @@
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace FireBlazor;
+
+/// <summary>
+/// Shared reading and writing of the objects the JS bridge tags with "__type__" for Firestore-specific values.
+/// Written tags are converted back to SDK types by transformFieldValues in fireblazor.js.
+/// </summary>
+internal static class FirestoreTypedValue
+{
+    public const string TypeProperty = "__type__";
+
+    /// <summary>
+    /// Reads the current object into an element. Untagged objects are accepted so values
+    /// previously stored as plain maps still deserialize; a tag for another type is rejected.
+    /// </summary>
+    public static JsonElement ReadTagged(ref Utf8JsonReader reader, string expectedType)
+    {
+        using var document = JsonDocument.ParseValue(ref reader);
+        var element = document.RootElement.Clone();
+
+        if (element.ValueKind != JsonValueKind.Object ||
+            (element.TryGetProperty(TypeProperty, out var type) && type.GetString() != expectedType))
+        {
+            throw new JsonException($"Expected a Firestore {expectedType} value");
+        }
+
+        return element;
+    }
+
+    /// <summary>
+    /// Starts a tagged object. The caller writes the value properties and ends the object.
+    /// </summary>
+    public static void WriteStartTagged(Utf8JsonWriter writer, string type)
+    {
+        writer.WriteStartObject();
+        writer.WriteString(TypeProperty, type);
+    }
+
+    /// <summary>
+    /// Writes a DateTime as a Firestore timestamp. Unspecified kinds are treated as UTC.
+    /// </summary>
+    public static void WriteTimestamp(Utf8JsonWriter writer, DateTime value)
+    {
+        var utc = value.Kind switch
+        {
+            DateTimeKind.Local => value.ToUniversalTime(),
+            DateTimeKind.Unspecified => DateTime.SpecifyKind(value, DateTimeKind.Utc),
+            _ => value
+        };
+
+        var ticks = utc.Ticks - DateTime.UnixEpoch.Ticks;
+        var seconds = Math.DivRem(ticks, TimeSpan.TicksPerSecond, out var remainder);
+        if (remainder < 0)
+        {
+            // Firestore requires non-negative nanoseconds for pre-epoch values
+            seconds--;
+            remainder += TimeSpan.TicksPerSecond;
+        }
+
+        WriteStartTagged(writer, "timestamp");
+        writer.WriteNumber("seconds", seconds);
+        writer.WriteNumber("nanoseconds", remainder * 100); // 1 tick = 100 nanoseconds
+        writer.WriteEndObject();
+    }
+}
+
+/// <summary>
+/// JSON converter that maps Firestore timestamps to and from non-nullable DateTime.
+/// </summary>
+public sealed class FirestoreDateTimeConverter : JsonConverter<DateTime>
+{
+    public override DateTime Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        return FirestoreTimestampReader.Read(ref reader)
+            ?? throw new JsonException("Cannot convert null to DateTime");
+    }
+
+    public override void Write(Utf8JsonWriter writer, DateTime value, JsonSerializerOptions options)
+    {
+        FirestoreTypedValue.WriteTimestamp(writer, value);
+    }
+}
+
+/// <summary>
+/// JSON converter that maps Firestore timestamps to and from DateTimeOffset (UTC).
+/// </summary>
+public sealed class FirestoreDateTimeOffsetConverter : JsonConverter<DateTimeOffset>
+{
+    public override DateTimeOffset Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        if (reader.TokenType == JsonTokenType.String)
+            return DateTimeOffset.Parse(reader.GetString()!);
+
+        var value = FirestoreTimestampReader.Read(ref reader)
+            ?? throw new JsonException("Cannot convert null to DateTimeOffset");
+        return new DateTimeOffset(DateTime.SpecifyKind(value, DateTimeKind.Utc));
+    }
+
+    public override void Write(Utf8JsonWriter writer, DateTimeOffset value, JsonSerializerOptions options)
+    {
+        FirestoreTypedValue.WriteTimestamp(writer, value.UtcDateTime);
+    }
+}
+
+/// <summary>
+/// JSON converter for Firestore GeoPoint values: {"__type__": "geopoint", "latitude", "longitude"}.
+/// </summary>
+public sealed class GeoPointConverter : JsonConverter<GeoPoint>
+{
+    public override GeoPoint Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        var element = FirestoreTypedValue.ReadTagged(ref reader, "geopoint");
+        return new GeoPoint(
+            element.GetProperty("latitude").GetDouble(),
+            element.GetProperty("longitude").GetDouble());
+    }
+
+    public override void Write(Utf8JsonWriter writer, GeoPoint value, JsonSerializerOptions options)
+    {
+        FirestoreTypedValue.WriteStartTagged(writer, "geopoint");
+        writer.WriteNumber("latitude", value.Latitude);
+        writer.WriteNumber("longitude", value.Longitude);
+        writer.WriteEndObject();
+    }
+}
+
+/// <summary>
+/// JSON converter for Firestore reference fields: {"__type__": "reference", "path": "users/abc"}.
+/// </summary>
+public sealed class DocumentReferenceConverter : JsonConverter<DocumentReference>
+{
+    public override DocumentReference? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        if (reader.TokenType == JsonTokenType.Null)
+            return null;
+
+        var element = FirestoreTypedValue.ReadTagged(ref reader, "reference");
+        var path = element.GetProperty("path").GetString();
+        if (string.IsNullOrEmpty(path))
+            throw new JsonException("Firestore reference is missing a path");
+
+        return DocumentReference.FromPath(path);
+    }
+
+    public override void Write(Utf8JsonWriter writer, DocumentReference value, JsonSerializerOptions options)
+    {
+        FirestoreTypedValue.WriteStartTagged(writer, "reference");
+        writer.WriteString("path", value.Path);
+        writer.WriteEndObject();
+    }
+}
+
+/// <summary>
+/// JSON converter for Firestore Bytes fields: {"__type__": "bytes", "base64": "..."}.
+/// Plain base64 strings are also accepted.
+/// </summary>
+public sealed class FirestoreBytesConverter : JsonConverter<byte[]>
+{
+    public override byte[]? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        if (reader.TokenType == JsonTokenType.Null)
+            return null;
+
+        if (reader.TokenType == JsonTokenType.String)
+            return reader.GetBytesFromBase64();
+
+        var element = FirestoreTypedValue.ReadTagged(ref reader, "bytes");
+        return element.GetProperty("base64").GetBytesFromBase64();
+    }
+
+    public override void Write(Utf8JsonWriter writer, byte[] value, JsonSerializerOptions options)
+    {
+        FirestoreTypedValue.WriteStartTagged(writer, "bytes");
+        writer.WriteBase64String("base64", value);
+        writer.WriteEndObject();
+    }
+}
+
+/// <summary>
+/// JSON converter for Firestore vector fields: {"__type__": "vector", "values": [...]}.
+/// </summary>
+public sealed class VectorValueConverter : JsonConverter<VectorValue>
+{
+    public override VectorValue? Read(ref Utf8JsonReader reader, Type typeToConvert, JsonSerializerOptions options)
+    {
+        if (reader.TokenType == JsonTokenType.Null)
+            return null;
+
+        var element = FirestoreTypedValue.ReadTagged(ref reader, "vector");
+        return new VectorValue(element.GetProperty("values").EnumerateArray().Select(v => v.GetDouble()));
+    }
+
+    public override void Write(Utf8JsonWriter writer, VectorValue value, JsonSerializerOptions options)
+    {
+        FirestoreTypedValue.WriteStartTagged(writer, "vector");
+        writer.WritePropertyName("values");
+        JsonSerializer.Serialize(writer, value.Values, options);
+        writer.WriteEndObject();
+    }
+}
@@ -0,0 +1,8 @@
+namespace FireBlazor;
+
+/// <summary>
+/// A geographical point stored as a Firestore GeoPoint.
+/// </summary>
+/// <param name="Latitude">Latitude in degrees, between -90 and 90.</param>
+/// <param name="Longitude">Longitude in degrees, between -180 and 180.</param>
+public readonly record struct GeoPoint(double Latitude, double Longitude);
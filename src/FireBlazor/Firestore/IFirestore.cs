@@ -73,10 +73,26 @@ public sealed class SnapshotMetadata
     public bool HasPendingWrites { get; init; }
 }
 
+/// <summary>
+/// A Firestore reference field value. Written as a real document reference, not a map.
+/// </summary>
 public sealed class DocumentReference
 {
     public required string Id { get; init; }
     public required string Path { get; init; }
+
+    /// <summary>
+    /// Creates a reference from a document path such as "users/alice".
+    /// </summary>
+    public static DocumentReference FromPath(string path)
+    {
+        ArgumentException.ThrowIfNullOrEmpty(path);
+        return new DocumentReference
+        {
+            Id = path[(path.LastIndexOf('/') + 1)..],
+            Path = path
+        };
+    }
 }
 
 public interface IWriteBatch
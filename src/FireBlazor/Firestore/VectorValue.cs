@@ -0,0 +1,18 @@
+namespace FireBlazor;
+
+/// <summary>
+/// A Firestore vector field, such as an embedding used for nearest-neighbour search.
+/// </summary>
+public sealed class VectorValue
+{
+    /// <summary>
+    /// The vector components.
+    /// </summary>
+    public IReadOnlyList<double> Values { get; }
+
+    public VectorValue(IEnumerable<double> values)
+    {
+        ArgumentNullException.ThrowIfNull(values);
+        Values = values.ToArray();
+    }
+}
@@ -11,7 +11,17 @@ internal static class FirestoreJsonOptions
     {
         PropertyNameCaseInsensitive = true,
         PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
-        Converters = { new FieldValueConverter(), new FirestoreTimestampConverter() }
+        Converters =
+        {
+            new FieldValueConverter(),
+            new FirestoreTimestampConverter(),
+            new FirestoreDateTimeConverter(),
+            new FirestoreDateTimeOffsetConverter(),
+            new GeoPointConverter(),
+            new DocumentReferenceConverter(),
+            new FirestoreBytesConverter(),
+            new VectorValueConverter()
+        }
     };
 }
 
@@ -0,0 +1,77 @@
+using Microsoft.JSInterop;
+
+namespace FireBlazor.Platform.Wasm;
+
+/// <summary>
+/// Read-only stream over a JavaScript stream reference. Data is pulled from the browser
+/// in chunks as it is read, and the JavaScript side is released when the stream is disposed.
+/// </summary>
+internal sealed class JsDownloadStream : Stream
+{
+    private readonly IJSStreamReference _reference;
+    private readonly Stream _inner;
+    private long _position;
+    private bool _disposed;
+
+    public JsDownloadStream(IJSStreamReference reference, Stream inner)
+    {
+        _reference = reference;
+        _inner = inner;
+    }
+
+    public override bool CanRead => true;
+    public override bool CanSeek => false;
+    public override bool CanWrite => false;
+    public override long Length => _reference.Length;
+
+    public override long Position
+    {
+        get => _position;
+        set => throw new NotSupportedException();
+    }
+
+    public override int Read(byte[] buffer, int offset, int count)
+    {
+        var read = _inner.Read(buffer, offset, count);
+        _position += read;
+        return read;
+    }
+
+    public override Task<int> ReadAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken) =>
+        ReadAsync(buffer.AsMemory(offset, count), cancellationToken).AsTask();
+
+    public override async ValueTask<int> ReadAsync(Memory<byte> buffer, CancellationToken cancellationToken = default)
+    {
+        var read = await _inner.ReadAsync(buffer, cancellationToken);
+        _position += read;
+        return read;
+    }
+
+    public override void Flush() { }
+    public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
+    public override void SetLength(long value) => throw new NotSupportedException();
+    public override void Write(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+
+    protected override void Dispose(bool disposing)
+    {
+        if (disposing && !_disposed)
+        {
+            _disposed = true;
+            _inner.Dispose();
+            // Synchronous disposal cannot await the JS call, so the release is fire-and-forget
+            _ = _reference.DisposeAsync().AsTask();
+        }
+        base.Dispose(disposing);
+    }
+
+    public override async ValueTask DisposeAsync()
+    {
+        if (!_disposed)
+        {
+            _disposed = true;
+            await _inner.DisposeAsync();
+            await _reference.DisposeAsync();
+        }
+        GC.SuppressFinalize(this);
+    }
+}
@@ -9,6 +9,7 @@ namespace FireBlazor.Platform.Wasm;
 internal sealed class FirebaseJsInterop : IAsyncDisposable
 {
     private readonly IJSRuntime _jsRuntime;
+    private readonly string? _appName;
     private readonly SemaphoreSlim _moduleLock = new(1, 1);
     private IJSObjectReference? _module;
 
@@ -18,9 +19,10 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         PropertyNameCaseInsensitive = true
     };
 
-    public FirebaseJsInterop(IJSRuntime jsRuntime)
+    public FirebaseJsInterop(IJSRuntime jsRuntime, string? appName = null)
     {
         _jsRuntime = jsRuntime;
+        _appName = appName;
     }
 
     private async ValueTask<IJSObjectReference> GetModuleAsync()
@@ -50,87 +52,202 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
             storageBucket = options.StorageBucket ?? $"{options.ProjectId}.appspot.com",
             databaseURL = options.DatabaseUrl,
             appId = options.AppId,
-            messagingSenderId = options.MessagingSenderId
+            messagingSenderId = options.MessagingSenderId,
+            appName = _appName,
+            subscriptionWarningAgeMs = options.SubscriptionWarningAge?.TotalMilliseconds,
+            sdk = options.SdkOptions == null ? null : new
+            {
+                baseUrl = options.SdkOptions.BaseUrl,
+                version = options.SdkOptions.Version
+            }
         };
         await module.InvokeVoidAsync("initialize", config);
     }
 
+    public async Task<JsResult<JsAppStatus>> GetServiceStatusAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsAppStatus>>("getServiceStatus", _appName);
+    }
+
+    public async Task<JsResult<List<JsSubscriptionInfo>>> ListSubscriptionsAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<List<JsSubscriptionInfo>>>("listSubscriptions", _appName);
+    }
+
+    public async Task<JsResult<object>> TerminateAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<object>>("terminate", _appName);
+    }
+
     // Auth
-    public async Task InitializeAuthAsync(string? emulatorHost = null)
+    /// <summary>
+    /// Initializes Auth and returns the outcome of a redirect sign-in that returned to this page,
+    /// with no data if there was none.
+    /// </summary>
+    public async Task<JsResult<JsRedirectResult>> InitializeAuthAsync(
+        AuthSignInMode signInMode = AuthSignInMode.Popup,
+        string? emulatorHost = null)
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("initializeAuth", emulatorHost);
+        return await module.InvokeAsync<JsResult<JsRedirectResult>>(
+            "initializeAuth", emulatorHost, signInMode.ToJsMode(), _appName);
     }
 
     public async Task<JsResult<JsUser>> SignInWithEmailAsync(string email, string password)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsUser>>("signInWithEmail", email, password);
+        return await module.InvokeAsync<JsResult<JsUser>>("signInWithEmail", email, password, _appName);
     }
 
     public async Task<JsResult<JsUser>> CreateUserWithEmailAsync(string email, string password)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsUser>>("createUserWithEmail", email, password);
+        return await module.InvokeAsync<JsResult<JsUser>>("createUserWithEmail", email, password, _appName);
     }
 
     public async Task<JsResult<JsUser>> SignInWithGoogleAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsUser>>("signInWithGoogle");
+        return await module.InvokeAsync<JsResult<JsUser>>("signInWithGoogle", _appName);
     }
 
     public async Task<JsResult<JsUser>> SignInWithGitHubAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsUser>>("signInWithGitHub");
+        return await module.InvokeAsync<JsResult<JsUser>>("signInWithGitHub", _appName);
     }
 
     public async Task<JsResult<JsUser>> SignInWithMicrosoftAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsUser>>("signInWithMicrosoft");
+        return await module.InvokeAsync<JsResult<JsUser>>("signInWithMicrosoft", _appName);
+    }
+
+    public async Task<JsResult<JsUser>> SignInWithAppleAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsUser>>("signInWithApple", _appName);
+    }
+
+    public async Task<JsResult<JsUser>> SignInWithFacebookAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsUser>>("signInWithFacebook", _appName);
+    }
+
+    public async Task<JsResult<JsProviderSignInResult>> SignInWithProviderAsync(AuthProviderOptions options)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsProviderSignInResult>>("signInWithProvider", ToJsProvider(options), _appName);
+    }
+
+    public async Task<JsResult<JsProviderSignInResult>> SignInWithCredentialAsync(OAuthCredential credential)
+    {
+        var module = await GetModuleAsync();
+        var jsCredential = new
+        {
+            providerId = credential.ProviderId,
+            signInMethod = credential.SignInMethod,
+            accessToken = credential.AccessToken,
+            idToken = credential.IdToken,
+            secret = credential.Secret,
+            json = credential.Json
+        };
+        return await module.InvokeAsync<JsResult<JsProviderSignInResult>>("signInWithCredential", jsCredential, _appName);
+    }
+
+    public async Task<JsResult<JsUser>> SignInAnonymouslyAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsUser>>("signInAnonymously", _appName);
+    }
+
+    public async Task<JsResult<JsUser>> LinkWithEmailAsync(string email, string password)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsUser>>("linkWithEmail", email, password, _appName);
+    }
+
+    public async Task<JsResult<JsAccountLinkResult>> LinkWithProviderAsync(AuthProviderOptions options)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsAccountLinkResult>>("linkWithProvider", ToJsProvider(options), _appName);
     }
 
+    public async Task<JsResult<JsPhoneVerification>> SignInWithPhoneNumberAsync(string phoneNumber, PhoneSignInOptions options)
+    {
+        var module = await GetModuleAsync();
+        var jsOptions = new { containerId = options.ContainerId, size = options.Size.ToJsSize() };
+        return await module.InvokeAsync<JsResult<JsPhoneVerification>>("signInWithPhoneNumber", phoneNumber, jsOptions, _appName);
+    }
+
+    public async Task<JsResult<JsUser>> ConfirmPhoneCodeAsync(string verificationId, string code)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsUser>>("confirmPhoneCode", verificationId, code, _appName);
+    }
+
+    public async Task<JsResult<JsPhoneVerification>> ResendPhoneCodeAsync(string verificationId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsPhoneVerification>>("resendPhoneCode", verificationId, _appName);
+    }
+
+    public async Task<JsResult<object>> ResetPhoneVerifierAsync(string containerId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<object>>("resetPhoneVerifier", containerId, _appName);
+    }
+
+    private static object ToJsProvider(AuthProviderOptions options) => new
+    {
+        providerId = options.ProviderId,
+        scopes = options.Scopes,
+        customParameters = options.CustomParameters
+    };
+
     public async Task<JsResult<object>> SignOutAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("signOut");
+        return await module.InvokeAsync<JsResult<object>>("signOut", _appName);
     }
 
     public async Task<JsResult<string>> GetIdTokenAsync(bool forceRefresh = false)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<string>>("getIdToken", forceRefresh);
+        return await module.InvokeAsync<JsResult<string>>("getIdToken", forceRefresh, _appName);
     }
 
     public async Task<JsResult<object>> SendPasswordResetEmailAsync(string email)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("sendPasswordResetEmail", email);
+        return await module.InvokeAsync<JsResult<object>>("sendPasswordResetEmail", email, _appName);
     }
 
     public async Task<JsUser?> GetCurrentUserAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsUser?>("getCurrentUser");
+        return await module.InvokeAsync<JsUser?>("getCurrentUser", _appName);
     }
 
     // Firestore
-    public async Task InitializeFirestoreAsync(FirestoreOptions? options, string? emulatorHost = null)
+    public async Task<JsResult<object>> InitializeFirestoreAsync(FirestoreOptions? options, string? emulatorHost = null)
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("initializeFirestore", new
+        return await module.InvokeAsync<JsResult<object>>("initializeFirestore", new
         {
             enableOfflinePersistence = options?.OfflinePersistenceEnabled ?? false,
             emulatorHost
-        });
+        }, _appName);
     }
 
     public async Task<JsResult<JsonElement>> FirestoreGetAsync(string path)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsonElement>>("firestoreGet", path);
+        return await module.InvokeAsync<JsResult<JsonElement>>("firestoreGet", path, _appName);
     }
 
     public async Task<JsResult<JsDocRef>> FirestoreAddAsync(string path, object data)
@@ -138,7 +255,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with FieldValueConverter to properly handle FieldValue sentinels
         var jsonData = JsonSerializer.SerializeToElement(data, FirestoreJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<JsDocRef>>("firestoreAdd", path, jsonData);
+        return await module.InvokeAsync<JsResult<JsDocRef>>("firestoreAdd", path, jsonData, _appName);
     }
 
     public async Task<JsResult<object>> FirestoreSetAsync(string path, object data, bool merge)
@@ -146,7 +263,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with FieldValueConverter to properly handle FieldValue sentinels
         var jsonData = JsonSerializer.SerializeToElement(data, FirestoreJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object>>("firestoreSet", path, jsonData, merge);
+        return await module.InvokeAsync<JsResult<object>>("firestoreSet", path, jsonData, merge, _appName);
     }
 
     public async Task<JsResult<object>> FirestoreUpdateAsync(string path, object data)
@@ -154,19 +271,19 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with FieldValueConverter to properly handle FieldValue sentinels
         var jsonData = JsonSerializer.SerializeToElement(data, FirestoreJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object>>("firestoreUpdate", path, jsonData);
+        return await module.InvokeAsync<JsResult<object>>("firestoreUpdate", path, jsonData, _appName);
     }
 
     public async Task<JsResult<object>> FirestoreDeleteAsync(string path)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("firestoreDelete", path);
+        return await module.InvokeAsync<JsResult<object>>("firestoreDelete", path, _appName);
     }
 
     public async Task<JsResult<JsonElement>> FirestoreQueryAsync(string path, object queryParams)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsonElement>>("firestoreQuery", path, queryParams);
+        return await module.InvokeAsync<JsResult<JsonElement>>("firestoreQuery", path, SerializeQueryParams(queryParams), _appName);
     }
 
     // Firestore Real-time Subscriptions
@@ -176,7 +293,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsSubscriptionResult>>(
-            "firestoreSubscribeDocument", path, callbackRef);
+            "firestoreSubscribeDocument", path, callbackRef, _appName);
     }
 
     public async Task<JsResult<JsSubscriptionResult>> FirestoreSubscribeCollectionAsync(
@@ -186,7 +303,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsSubscriptionResult>>(
-            "firestoreSubscribeCollection", path, queryParams, callbackRef);
+            "firestoreSubscribeCollection", path, SerializeQueryParams(queryParams), callbackRef, _appName);
     }
 
     public async Task<JsResult<object>> FirestoreUnsubscribeAsync(int subscriptionId)
@@ -200,7 +317,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with FieldValueConverter to properly handle FieldValue sentinels in operation data
         var jsonOperations = JsonSerializer.SerializeToElement(operations, FirestoreJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object?>>("firestoreBatchWrite", jsonOperations);
+        return await module.InvokeAsync<JsResult<object?>>("firestoreBatchWrite", jsonOperations, _appName);
     }
 
     public async Task<JsResult<List<TransactionResult>>> FirestoreRunTransactionAsync(
@@ -210,7 +327,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         // Serialize with FieldValueConverter to properly handle FieldValue sentinels in operation data
         var jsonOperations = JsonSerializer.SerializeToElement(operations, FirestoreJsonOptions.Default);
         return await module.InvokeAsync<JsResult<List<TransactionResult>>>(
-            "firestoreRunTransaction", jsonOperations);
+            "firestoreRunTransaction", jsonOperations, _appName);
     }
 
     public async Task<JsResult<JsonElement>> FirestoreRunTransactionWithCallbackAsync<TCallback>(
@@ -219,53 +336,52 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsonElement>>(
-            "firestoreRunTransactionWithCallback", readPaths, callbackRef);
+            "firestoreRunTransactionWithCallback", readPaths, callbackRef, _appName);
     }
 
     // Firestore Aggregate Queries
     public async Task<JsResult<long>> FirestoreCountAsync(string path, object? queryParams)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<long>>("firestoreCount", path, queryParams);
+        return await module.InvokeAsync<JsResult<long>>("firestoreCount", path, SerializeQueryParams(queryParams), _appName);
     }
 
     public async Task<JsResult<double>> FirestoreSumAsync(string path, string field, object? queryParams)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<double>>("firestoreSum", path, field, queryParams);
+        return await module.InvokeAsync<JsResult<double>>("firestoreSum", path, field, SerializeQueryParams(queryParams), _appName);
     }
 
     public async Task<JsResult<double?>> FirestoreAverageAsync(string path, string field, object? queryParams)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<double?>>("firestoreAverage", path, field, queryParams);
+        return await module.InvokeAsync<JsResult<double?>>("firestoreAverage", path, field, SerializeQueryParams(queryParams), _appName);
     }
 
+    // Filter and cursor values use the same typed encoding as written data so that
+    // a DateTime compares against a stored Timestamp rather than a string
+    private static JsonElement? SerializeQueryParams(object? queryParams) =>
+        queryParams == null ? null : JsonSerializer.SerializeToElement(queryParams, FirestoreJsonOptions.Default);
+
     // Storage
-    public async Task InitializeStorageAsync(string? emulatorHost = null)
+    public async Task<JsResult<object>> InitializeStorageAsync(string? bucket, string? emulatorHost = null)
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("initializeStorage", emulatorHost);
+        return await module.InvokeAsync<JsResult<object>>("initializeStorage", emulatorHost, bucket, _appName);
     }
 
     public async Task<JsResult<JsUploadResult>> StorageUploadAsync(
         string path,
+        string? bucket,
         byte[] data,
         StorageMetadata? metadata,
-        Action<UploadProgress>? onProgress = null)
+        Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
+        UploadHashAlgorithm? integrity = null)
     {
         var module = await GetModuleAsync();
-
-        // Convert metadata to JS-compatible object
-        var jsMetadata = metadata == null ? null : new
-        {
-            contentType = metadata.ContentType,
-            cacheControl = metadata.CacheControl,
-            contentDisposition = metadata.ContentDisposition,
-            contentEncoding = metadata.ContentEncoding,
-            contentLanguage = metadata.ContentLanguage,
-            customMetadata = metadata.CustomMetadata
-        };
+        var jsMetadata = ToJsMetadata(metadata);
+        var jsIntegrity = UploadIntegrity.ToJsAlgorithm(integrity);
 
         if (onProgress != null)
         {
@@ -273,7 +389,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
             try
             {
                 return await module.InvokeAsync<JsResult<JsUploadResult>>(
-                    "storageUpload", path, data, jsMetadata, callbackRef);
+                    "storageUpload", path, data, jsMetadata, callbackRef, taskId, jsIntegrity, bucket, _appName);
             }
             finally
             {
@@ -282,84 +398,351 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         }
 
         return await module.InvokeAsync<JsResult<JsUploadResult>>(
-            "storageUpload", path, data, jsMetadata, null);
+            "storageUpload", path, data, jsMetadata, null, taskId, jsIntegrity, bucket, _appName);
+    }
+
+    /// <summary>
+    /// Uploads from a stream that JavaScript pulls in chunks, so the payload is never
+    /// buffered in .NET or sent as a single interop argument.
+    /// </summary>
+    /// <param name="taskId">Id under which the upload is registered for pause, resume and cancel.</param>
+    public async Task<JsResult<JsUploadResult>> StorageUploadStreamAsync(
+        string path,
+        string? bucket,
+        Stream data,
+        StorageMetadata? metadata,
+        Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
+        UploadHashAlgorithm? integrity = null)
+    {
+        var module = await GetModuleAsync();
+        using var streamRef = new DotNetStreamReference(data, leaveOpen: true);
+        var callbackRef = onProgress != null
+            ? DotNetObjectReference.Create(new StorageUploadCallback(onProgress))
+            : null;
+
+        try
+        {
+            return await module.InvokeAsync<JsResult<JsUploadResult>>(
+                "storageUploadStream", path, streamRef, ToJsMetadata(metadata), callbackRef, taskId,
+                UploadIntegrity.ToJsAlgorithm(integrity), bucket, _appName);
+        }
+        finally
+        {
+            callbackRef?.Dispose();
+        }
+    }
+
+    public async Task<JsResult<JsImageUploadResult>> StorageUploadImageAsync(
+        string path,
+        string? bucket,
+        Stream data,
+        ImageUploadOptions options,
+        StorageMetadata? metadata,
+        Action<UploadProgress>? onProgress,
+        string taskId)
+    {
+        var module = await GetModuleAsync();
+        using var streamRef = new DotNetStreamReference(data, leaveOpen: true);
+        var callbackRef = onProgress != null
+            ? DotNetObjectReference.Create(new StorageUploadCallback(onProgress))
+            : null;
+        var jsOptions = new
+        {
+            maxDimension = options.MaxDimension,
+            format = options.Format == ImageUploadFormat.WebP ? "webp" : "jpeg",
+            quality = options.Quality,
+            thumbnails = options.Thumbnails
+                .Select(t => new { path = t.GetPath(path, options.Format), maxDimension = t.MaxDimension })
+                .ToList()
+        };
+
+        try
+        {
+            return await module.InvokeAsync<JsResult<JsImageUploadResult>>(
+                "storageUploadImage", path, streamRef, jsOptions, ToJsMetadata(metadata), callbackRef, taskId, bucket, _appName);
+        }
+        finally
+        {
+            callbackRef?.Dispose();
+        }
+    }
+
+    public async Task<JsResult<List<JsBatchUploadResult>>> StorageUploadBatchAsync(
+        IReadOnlyList<BatchUploadFile> files,
+        IReadOnlyList<string> taskIds,
+        int maxConcurrency,
+        Action<UploadProgress>? onFileProgress,
+        Action<BatchUploadProgress>? onProgress,
+        UploadHashAlgorithm? integrity = null)
+    {
+        var module = await GetModuleAsync();
+        var streamRefs = files.Select(f => new DotNetStreamReference(f.Data, leaveOpen: true)).ToList();
+        var callbackRef = onFileProgress != null || onProgress != null
+            ? DotNetObjectReference.Create(new StorageBatchUploadCallback(onFileProgress, onProgress))
+            : null;
+
+        try
+        {
+            var jsFiles = files.Select((f, i) => new
+            {
+                path = f.Path,
+                bucket = f.Bucket,
+                data = streamRefs[i],
+                metadata = ToJsMetadata(f.Metadata),
+                taskId = taskIds[i],
+                size = f.Size ?? (f.Data.CanSeek ? f.Data.Length - f.Data.Position : (long?)null),
+                integrity = UploadIntegrity.ToJsAlgorithm(integrity)
+            }).ToList();
+
+            return await module.InvokeAsync<JsResult<List<JsBatchUploadResult>>>(
+                "storageUploadBatch", jsFiles, maxConcurrency, callbackRef, _appName);
+        }
+        finally
+        {
+            callbackRef?.Dispose();
+            foreach (var streamRef in streamRefs)
+            {
+                streamRef.Dispose();
+            }
+        }
+    }
+
+    public async Task<JsResult<bool>> StoragePauseUploadAsync(string taskId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<bool>>("storagePauseUpload", taskId);
+    }
+
+    public async Task<JsResult<bool>> StorageResumeUploadAsync(string taskId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<bool>>("storageResumeUpload", taskId);
+    }
+
+    public async Task<JsResult<bool>> StorageCancelUploadAsync(string taskId)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<bool>>("storageCancelUpload", taskId);
+    }
+
+    public async Task<JsResult<List<JsQueuedUpload>>> StorageQueueStartAsync(
+        DotNetObjectReference<UploadQueueCallbackHandler> callbackRef,
+        UploadQueueOptions options)
+    {
+        var module = await GetModuleAsync();
+        var jsOptions = new
+        {
+            maxAttempts = options.MaxAttempts,
+            initialBackoffMs = (long)options.InitialBackoff.TotalMilliseconds,
+            maxBackoffMs = (long)options.MaxBackoff.TotalMilliseconds
+        };
+        return await module.InvokeAsync<JsResult<List<JsQueuedUpload>>>("storageQueueStart", callbackRef, jsOptions, _appName);
+    }
+
+    public async Task<JsResult<JsQueuedUpload>> StorageQueueUploadAsync(string path, string? bucket, Stream data, StorageMetadata? metadata)
+    {
+        var module = await GetModuleAsync();
+        using var streamRef = new DotNetStreamReference(data, leaveOpen: true);
+        return await module.InvokeAsync<JsResult<JsQueuedUpload>>(
+            "storageQueueUpload", path, streamRef, ToJsMetadata(metadata), bucket, _appName);
+    }
+
+    public async Task<JsResult<List<JsQueuedUpload>>> StorageQueueListAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<List<JsQueuedUpload>>>("storageQueueList", _appName);
+    }
+
+    public async Task<JsResult<object>> StorageQueueRemoveAsync(string id)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<object>>("storageQueueRemove", id, _appName);
+    }
+
+    public async Task<JsResult<JsQueuedUpload>> StorageQueueRetryAsync(string id)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsQueuedUpload>>("storageQueueRetry", id, _appName);
+    }
+
+    public async Task<JsResult<object>> StorageQueueStopAsync()
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<object>>("storageQueueStop", _appName);
+    }
+
+    // Convert metadata to JS-compatible object
+    private static object? ToJsMetadata(StorageMetadata? metadata) => metadata == null ? null : new
+    {
+        contentType = metadata.ContentType,
+        cacheControl = metadata.CacheControl,
+        contentDisposition = metadata.ContentDisposition,
+        contentEncoding = metadata.ContentEncoding,
+        contentLanguage = metadata.ContentLanguage,
+        customMetadata = metadata.CustomMetadata
+    };
+
+    public async Task<JsResult<string>> StorageGetDownloadUrlAsync(string path, string? bucket)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<string>>("storageGetDownloadUrl", path, bucket, _appName);
+    }
+
+    public async Task<JsResult<object>> StorageDeleteAsync(string path, string? bucket)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<object>>("storageDelete", path, bucket, _appName);
+    }
+
+    public async Task<JsResult<JsDownloadResult>> StorageGetBytesAsync(string path, string? bucket, long maxSize, long? chunkThreshold)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsDownloadResult>>("storageGetBytes", path, maxSize, chunkThreshold, bucket, _appName);
+    }
+
+    public async Task<JsResult<JsDownloadResult>> StorageGetStreamAsync(string path, string? bucket, long maxSize)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsDownloadResult>>("storageGetStream", path, maxSize, bucket, _appName);
+    }
+
+    public async Task<JsResult<JsDownloadResult>> StorageDownloadAsync(
+        string path,
+        string? bucket,
+        long maxSize,
+        long? chunkThreshold,
+        Action<DownloadProgress>? onProgress,
+        string downloadId)
+    {
+        var module = await GetModuleAsync();
+        var callbackRef = onProgress != null
+            ? DotNetObjectReference.Create(new StorageDownloadCallback(onProgress))
+            : null;
+
+        try
+        {
+            return await module.InvokeAsync<JsResult<JsDownloadResult>>(
+                "storageDownload", path, maxSize, chunkThreshold, callbackRef, downloadId, bucket, _appName);
+        }
+        finally
+        {
+            callbackRef?.Dispose();
+        }
     }
 
-    public async Task<JsResult<string>> StorageGetDownloadUrlAsync(string path)
+    public async Task<JsResult<bool>> StorageAbortDownloadAsync(string downloadId)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<string>>("storageGetDownloadUrl", path);
+        return await module.InvokeAsync<JsResult<bool>>("storageAbortDownload", downloadId);
     }
 
-    public async Task<JsResult<object>> StorageDeleteAsync(string path)
+    public async Task<JsResult<JsObjectUrl>> StorageCreateObjectUrlAsync(string path, string? bucket, long maxSize, bool autoRevoke)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("storageDelete", path);
+        return await module.InvokeAsync<JsResult<JsObjectUrl>>("storageCreateObjectUrl", path, maxSize, autoRevoke, bucket, _appName);
     }
 
-    public async Task<JsResult<byte[]>> StorageGetBytesAsync(string path, long maxSize)
+    public async Task<JsResult<bool>> StorageRevokeObjectUrlAsync(string url)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<byte[]>>("storageGetBytes", path, maxSize);
+        return await module.InvokeAsync<JsResult<bool>>("storageRevokeObjectUrl", url);
     }
 
-    public async Task<JsResult<StorageMetadata>> StorageGetMetadataAsync(string path)
+    public async Task<JsResult<StorageMetadata>> StorageGetMetadataAsync(string path, string? bucket)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<StorageMetadata>>("storageGetMetadata", path);
+        return await module.InvokeAsync<JsResult<StorageMetadata>>("storageGetMetadata", path, bucket, _appName);
     }
 
-    public async Task<JsResult<JsListResult>> StorageListAllAsync(string path)
+    public async Task<JsResult<JsListResult>> StorageListAllAsync(string path, string? bucket)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsListResult>>("storageListAll", path);
+        return await module.InvokeAsync<JsResult<JsListResult>>("storageListAll", path, bucket, _appName);
     }
 
     public async Task<JsResult<JsUploadResult>> StorageUploadStringAsync(
         string path,
+        string? bucket,
         string data,
         int format,
         StorageMetadata? metadata)
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsUploadResult>>(
-            "storageUploadString", path, data, format, metadata);
+            "storageUploadString", path, data, format, metadata, null, bucket, _appName);
     }
 
     public async Task<JsResult<StorageMetadata>> StorageUpdateMetadataAsync(
         string path,
+        string? bucket,
         StorageMetadata metadata)
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<StorageMetadata>>(
-            "storageUpdateMetadata", path, metadata);
+            "storageUpdateMetadata", path, metadata, bucket, _appName);
+    }
+
+    public async Task<JsResult<JsMetadataListResult>> StorageListWithMetadataAsync(
+        string path,
+        string? bucket,
+        int? maxResults,
+        string? pageToken,
+        int maxConcurrency)
+    {
+        var module = await GetModuleAsync();
+        return await module.InvokeAsync<JsResult<JsMetadataListResult>>(
+            "storageListWithMetadata", path, maxResults, pageToken, maxConcurrency, bucket, _appName);
+    }
+
+    public async Task<JsResult<JsDeleteFolderResult>> StorageDeleteFolderAsync(
+        string path,
+        string? bucket,
+        int maxConcurrency,
+        Action<DeleteFolderProgress>? onProgress)
+    {
+        var module = await GetModuleAsync();
+        var callbackRef = onProgress != null
+            ? DotNetObjectReference.Create(new StorageDeleteFolderCallback(onProgress))
+            : null;
+
+        try
+        {
+            return await module.InvokeAsync<JsResult<JsDeleteFolderResult>>(
+                "storageDeleteFolder", path, maxConcurrency, callbackRef, bucket, _appName);
+        }
+        finally
+        {
+            callbackRef?.Dispose();
+        }
     }
 
     public async Task<JsResult<JsPagedListResult>> StorageListAsync(
         string path,
+        string? bucket,
         int maxResults,
         string? pageToken)
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsPagedListResult>>(
-            "storageList", path, maxResults, pageToken);
+            "storageList", path, maxResults, pageToken, bucket, _appName);
     }
 
     // Realtime Database
-    public async Task InitializeDatabaseAsync(string? url, string? emulatorHost = null)
+    public async Task<JsResult<object>> InitializeDatabaseAsync(string? url, string? emulatorHost = null)
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("initializeDatabase", new
+        return await module.InvokeAsync<JsResult<object>>("initializeDatabase", new
         {
             url,
             emulatorHost
-        });
+        }, _appName);
     }
 
     public async Task<JsResult<JsDataSnapshot>> DatabaseGetAsync(string path)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsDataSnapshot>>("databaseGet", path);
+        return await module.InvokeAsync<JsResult<JsDataSnapshot>>("databaseGet", path, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseSetAsync(string path, object value)
@@ -367,7 +750,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with ServerValueConverter to properly handle ServerValue sentinels
         var jsonData = JsonSerializer.SerializeToElement(value, DatabaseJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object>>("databaseSet", path, jsonData);
+        return await module.InvokeAsync<JsResult<object>>("databaseSet", path, jsonData, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseUpdateAsync(string path, object value)
@@ -375,7 +758,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with ServerValueConverter to properly handle ServerValue sentinels
         var jsonData = JsonSerializer.SerializeToElement(value, DatabaseJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object>>("databaseUpdate", path, jsonData);
+        return await module.InvokeAsync<JsResult<object>>("databaseUpdate", path, jsonData, _appName);
     }
 
     public async Task<JsResult<JsPushResult>> DatabasePushAsync(string path, object value)
@@ -383,19 +766,19 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         var module = await GetModuleAsync();
         // Serialize with ServerValueConverter to properly handle ServerValue sentinels
         var jsonData = JsonSerializer.SerializeToElement(value, DatabaseJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<JsPushResult>>("databasePush", path, jsonData);
+        return await module.InvokeAsync<JsResult<JsPushResult>>("databasePush", path, jsonData, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseRemoveAsync(string path)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("databaseRemove", path);
+        return await module.InvokeAsync<JsResult<object>>("databaseRemove", path, _appName);
     }
 
     public async Task<JsResult<JsDataSnapshot>> DatabaseQueryAsync(string path, object queryParams)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsDataSnapshot>>("databaseQuery", path, queryParams);
+        return await module.InvokeAsync<JsResult<JsDataSnapshot>>("databaseQuery", path, queryParams, _appName);
     }
 
     public async Task<JsResult<JsSubscriptionResult>> DatabaseSubscribeValueAsync(
@@ -405,7 +788,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsSubscriptionResult>>(
-            "databaseSubscribeValue", path, queryParams, callbackRef);
+            "databaseSubscribeValue", path, queryParams, callbackRef, _appName);
     }
 
     public async Task<JsResult<JsSubscriptionResult>> DatabaseSubscribeChildAsync(
@@ -416,7 +799,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsSubscriptionResult>>(
-            "databaseSubscribeChild", path, eventType, queryParams, callbackRef);
+            "databaseSubscribeChild", path, eventType, queryParams, callbackRef, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseUnsubscribeAsync(int subscriptionId)
@@ -431,33 +814,33 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsTransactionResult>>(
-            "databaseRunTransaction", path, callbackRef);
+            "databaseRunTransaction", path, callbackRef, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseOnDisconnectSetAsync(string path, object value)
     {
         var module = await GetModuleAsync();
         var jsonData = JsonSerializer.SerializeToElement(value, DatabaseJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectSet", path, jsonData);
+        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectSet", path, jsonData, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseOnDisconnectRemoveAsync(string path)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectRemove", path);
+        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectRemove", path, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseOnDisconnectUpdateAsync(string path, object value)
     {
         var module = await GetModuleAsync();
         var jsonData = JsonSerializer.SerializeToElement(value, DatabaseJsonOptions.Default);
-        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectUpdate", path, jsonData);
+        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectUpdate", path, jsonData, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseOnDisconnectCancelAsync(string path)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectCancel", path);
+        return await module.InvokeAsync<JsResult<object>>("databaseOnDisconnectCancel", path, _appName);
     }
 
     public async Task<JsResult<JsSubscriptionResult>> DatabaseSubscribeConnectionStateAsync<TCallback>(
@@ -465,26 +848,26 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     {
         var module = await GetModuleAsync();
         return await module.InvokeAsync<JsResult<JsSubscriptionResult>>(
-            "databaseSubscribeConnectionState", callbackRef);
+            "databaseSubscribeConnectionState", callbackRef, _appName);
     }
 
     public async Task<JsResult<object>> DatabaseGoOfflineAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("databaseGoOffline");
+        return await module.InvokeAsync<JsResult<object>>("databaseGoOffline", _appName);
     }
 
     public async Task<JsResult<object>> DatabaseGoOnlineAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("databaseGoOnline");
+        return await module.InvokeAsync<JsResult<object>>("databaseGoOnline", _appName);
     }
 
     // App Check
-    public async Task InitializeAppCheckAsync(AppCheckOptions? options)
+    public async Task<JsResult<object>> InitializeAppCheckAsync(AppCheckOptions? options)
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("initializeAppCheck", new
+        return await module.InvokeAsync<JsResult<object>>("initializeAppCheck", new
         {
             reCaptchaSiteKey = options?.ReCaptchaSiteKey,
             reCaptchaEnterpriseSiteKey = options?.ReCaptchaEnterpriseSiteKey,
@@ -492,26 +875,26 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
             debugToken = options?.DebugToken,
             autoDetectDebugMode = options?.AutoDetectDebugMode ?? false,
             isTokenAutoRefreshEnabled = options?.IsTokenAutoRefreshEnabled ?? true
-        });
+        }, _appName);
     }
 
     public async Task<JsResult<object>> AppCheckActivateAsync()
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("appCheckActivate");
+        return await module.InvokeAsync<JsResult<object>>("appCheckActivate", _appName);
     }
 
     public async Task<JsResult<JsAppCheckToken>> AppCheckGetTokenAsync(bool forceRefresh)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsAppCheckToken>>("appCheckGetToken", forceRefresh);
+        return await module.InvokeAsync<JsResult<JsAppCheckToken>>("appCheckGetToken", forceRefresh, _appName);
     }
 
     public async Task<JsResult<JsSubscriptionResult>> AppCheckSubscribeTokenChangedAsync<TCallback>(
         DotNetObjectReference<TCallback> callbackRef) where TCallback : class
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsSubscriptionResult>>("appCheckOnTokenChanged", callbackRef);
+        return await module.InvokeAsync<JsResult<JsSubscriptionResult>>("appCheckOnTokenChanged", callbackRef, _appName);
     }
 
     public async Task<JsResult<object>> AppCheckUnsubscribeTokenChangedAsync(int subscriptionId)
@@ -524,32 +907,32 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     public async Task<JsResult<object>> AppCheckSetTokenAutoRefreshEnabledAsync(bool enabled)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<object>>("appCheckSetTokenAutoRefreshEnabled", enabled);
+        return await module.InvokeAsync<JsResult<object>>("appCheckSetTokenAutoRefreshEnabled", enabled, _appName);
     }
 
     // AI Logic
-    public async Task InitializeAIAsync(string backend)
+    public async Task<JsResult<object>> InitializeAIAsync(string backend)
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("initializeAI", backend);
+        return await module.InvokeAsync<JsResult<object>>("initializeAI", backend, _appName);
     }
 
     public async Task<JsResult<JsModelRef>> AIGetGenerativeModelAsync(string modelName, object? config)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsModelRef>>("aiGetGenerativeModel", modelName, config);
+        return await module.InvokeAsync<JsResult<JsModelRef>>("aiGetGenerativeModel", modelName, config, _appName);
     }
 
     public async Task<JsResult<JsGenerateContentResult>> AIGenerateContentAsync(string modelName, string prompt)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsGenerateContentResult>>("aiGenerateContent", modelName, prompt);
+        return await module.InvokeAsync<JsResult<JsGenerateContentResult>>("aiGenerateContent", modelName, prompt, _appName);
     }
 
     public async Task<JsResult<JsGenerateContentResult>> AIGenerateContentWithPartsAsync(string modelName, object[] parts)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsGenerateContentResult>>("generateContentWithParts", modelName, parts);
+        return await module.InvokeAsync<JsResult<JsGenerateContentResult>>("generateContentWithParts", modelName, parts, _appName);
     }
 
     public async Task AIGenerateContentStreamAsync<TCallback>(
@@ -559,7 +942,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         string callbackMethod) where TCallback : class
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("aiGenerateContentStream", modelName, prompt, callbackRef, callbackMethod);
+        await module.InvokeVoidAsync("aiGenerateContentStream", modelName, prompt, callbackRef, callbackMethod, _appName);
     }
 
     public async Task AIGenerateContentStreamWithPartsAsync<TCallback>(
@@ -569,13 +952,13 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         string callbackMethod) where TCallback : class
     {
         var module = await GetModuleAsync();
-        await module.InvokeVoidAsync("generateContentStreamWithParts", modelName, parts, callbackRef, callbackMethod);
+        await module.InvokeVoidAsync("generateContentStreamWithParts", modelName, parts, callbackRef, callbackMethod, _appName);
     }
 
     public async Task<JsResult<JsChatSessionRef>> AIStartChatAsync(string modelName, string? historyJson)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsChatSessionRef>>("aiStartChat", modelName, historyJson);
+        return await module.InvokeAsync<JsResult<JsChatSessionRef>>("aiStartChat", modelName, historyJson, _appName);
     }
 
     public async Task<JsResult<JsGenerateContentResult>> AISendChatMessageAsync(int sessionId, string message)
@@ -619,20 +1002,20 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
     public async Task<JsResult<JsTokenCount>> AICountTokensAsync(string modelName, string text)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsTokenCount>>("countTokens", modelName, text);
+        return await module.InvokeAsync<JsResult<JsTokenCount>>("countTokens", modelName, text, _appName);
     }
 
     public async Task<JsResult<JsTokenCount>> AICountTokensWithPartsAsync(string modelName, object[] parts)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsTokenCount>>("countTokens", modelName, parts);
+        return await module.InvokeAsync<JsResult<JsTokenCount>>("countTokens", modelName, parts, _appName);
     }
 
     // AI Logic - Image Generation (Imagen)
     public async Task<JsResult<JsModelRef>> AIGetImageModelAsync(string modelName)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsModelRef>>("aiGetImageModel", modelName);
+        return await module.InvokeAsync<JsResult<JsModelRef>>("aiGetImageModel", modelName, _appName);
     }
 
     public async Task<JsResult<JsImageGenerationResponse>> AIGenerateImagesAsync(
@@ -641,7 +1024,7 @@ internal sealed class FirebaseJsInterop : IAsyncDisposable
         object? config)
     {
         var module = await GetModuleAsync();
-        return await module.InvokeAsync<JsResult<JsImageGenerationResponse>>("aiGenerateImages", modelName, prompt, config);
+        return await module.InvokeAsync<JsResult<JsImageGenerationResponse>>("aiGenerateImages", modelName, prompt, config, _appName);
     }
 
     public async ValueTask DisposeAsync()
@@ -668,12 +1051,86 @@ internal sealed class JsError
     public string Message { get; set; } = "";
 }
 
+internal sealed class JsAppStatus
+{
+    public string AppName { get; set; } = "";
+    public bool Initialized { get; set; }
+    public Dictionary<string, JsServiceStatus>? Services { get; set; }
+
+    public FirebaseAppStatus ToAppStatus() => new(
+        AppName,
+        Initialized,
+        GetService("auth"),
+        GetService("firestore"),
+        GetService("storage"),
+        GetService("database"),
+        GetService("appCheck"),
+        GetService("ai"));
+
+    private FirebaseServiceStatus GetService(string name) =>
+        Services != null && Services.TryGetValue(name, out var status)
+            ? status.ToServiceStatus()
+            : FirebaseServiceStatus.NotInitialized;
+}
+
+internal sealed class JsSubscriptionInfo
+{
+    public int Id { get; set; }
+    public string Service { get; set; } = "";
+    public string Kind { get; set; } = "";
+    public string? Path { get; set; }
+    public JsonElement? QueryParams { get; set; }
+    public string AppName { get; set; } = "";
+    public DateTimeOffset CreatedAt { get; set; }
+    public double AgeMs { get; set; }
+    public int SnapshotCount { get; set; }
+    public DateTimeOffset? LastSnapshotAt { get; set; }
+
+    public FirebaseSubscriptionInfo ToSubscriptionInfo() => new(
+        Id,
+        Service,
+        Kind,
+        Path,
+        QueryParams is { ValueKind: not JsonValueKind.Null } query ? query.GetRawText() : null,
+        AppName,
+        CreatedAt,
+        TimeSpan.FromMilliseconds(AgeMs),
+        SnapshotCount,
+        LastSnapshotAt);
+}
+
+internal sealed class JsServiceStatus
+{
+    public bool Initialized { get; set; }
+    public string? EmulatorHost { get; set; }
+    public Dictionary<string, JsonElement>? Options { get; set; }
+
+    public FirebaseServiceStatus ToServiceStatus()
+    {
+        var options = new Dictionary<string, string?>();
+        if (Options != null)
+        {
+            foreach (var (key, value) in Options)
+            {
+                options[key] = value.ValueKind switch
+                {
+                    JsonValueKind.String => value.GetString(),
+                    JsonValueKind.Null or JsonValueKind.Undefined => null,
+                    _ => value.GetRawText()
+                };
+            }
+        }
+        return new FirebaseServiceStatus(Initialized, EmulatorHost, options);
+    }
+}
+
 internal sealed class JsUser
 {
     public string Uid { get; set; } = "";
     public string? Email { get; set; }
     public string? DisplayName { get; set; }
     public string? PhotoUrl { get; set; }
+    public string? PhoneNumber { get; set; }
     public bool IsEmailVerified { get; set; }
     public bool IsAnonymous { get; set; }
     public List<string> Providers { get; set; } = [];
@@ -681,6 +1138,45 @@ internal sealed class JsUser
     public string? LastSignInAt { get; set; }
 }
 
+internal sealed class JsProviderSignInResult
+{
+    public JsUser? User { get; set; }
+    public JsOAuthCredential? Credential { get; set; }
+}
+
+internal sealed class JsOAuthCredential
+{
+    public string ProviderId { get; set; } = "";
+    public string? SignInMethod { get; set; }
+    public string? AccessToken { get; set; }
+    public string? IdToken { get; set; }
+    public string? Secret { get; set; }
+    public string? Json { get; set; }
+}
+
+internal sealed class JsAccountLinkResult
+{
+    public JsUser? User { get; set; }
+    public JsOAuthCredential? Credential { get; set; }
+    public JsOAuthCredential? ConflictingCredential { get; set; }
+}
+
+internal sealed class JsRedirectResult
+{
+    public JsUser? User { get; set; }
+    public JsOAuthCredential? Credential { get; set; }
+    public JsOAuthCredential? ConflictingCredential { get; set; }
+
+    /// <summary>"signIn" or "link"; see completeRedirectSignIn in fireblazor.js.</summary>
+    public string? OperationType { get; set; }
+}
+
+internal sealed class JsPhoneVerification
+{
+    public string VerificationId { get; set; } = "";
+    public string PhoneNumber { get; set; } = "";
+}
+
 internal sealed class JsDocRef
 {
     public string Id { get; set; } = "";
@@ -692,6 +1188,56 @@ internal sealed class JsUploadResult
     public string DownloadUrl { get; set; } = "";
     public string FullPath { get; set; } = "";
     public long BytesTransferred { get; set; }
+    public string? ContentHash { get; set; }
+}
+
+internal sealed class JsImageUploadResult
+{
+    public string DownloadUrl { get; set; } = "";
+    public string FullPath { get; set; } = "";
+    public long BytesTransferred { get; set; }
+    public string? ContentType { get; set; }
+    public long OriginalSize { get; set; }
+    public long FinalSize { get; set; }
+    public int? OriginalWidth { get; set; }
+    public int? OriginalHeight { get; set; }
+    public int? Width { get; set; }
+    public int? Height { get; set; }
+    public List<JsUploadedThumbnail> Thumbnails { get; set; } = [];
+    public List<JsFailedThumbnail> FailedThumbnails { get; set; } = [];
+}
+
+internal sealed class JsUploadedThumbnail
+{
+    public string FullPath { get; set; } = "";
+    public string DownloadUrl { get; set; } = "";
+    public long Size { get; set; }
+    public int? Width { get; set; }
+    public int? Height { get; set; }
+}
+
+internal sealed class JsFailedThumbnail
+{
+    public string Path { get; set; } = "";
+    public string Code { get; set; } = "";
+    public string Message { get; set; } = "";
+}
+
+internal sealed class JsObjectUrl
+{
+    public string Url { get; set; } = "";
+    public long Size { get; set; }
+    public string? ContentType { get; set; }
+}
+
+/// <summary>
+/// A download returned either inline as bytes or as a stream reference read in chunks.
+/// </summary>
+internal sealed class JsDownloadResult
+{
+    public long Size { get; set; }
+    public byte[]? Bytes { get; set; }
+    public IJSStreamReference? Stream { get; set; }
 }
 
 internal sealed class JsDataSnapshot
@@ -771,12 +1317,31 @@ internal interface IAppCheckTokenCallback
     void OnTokenChanged(JsAppCheckToken token);
 }
 
+/// <summary>
+/// Interface for upload queue callback handlers.
+/// </summary>
+internal interface IUploadQueueCallback
+{
+    [JSInvokable]
+    void OnQueueItemStatus(JsQueuedUpload item);
+
+    [JSInvokable]
+    void OnProgress(JsUploadProgress progress);
+}
+
 internal sealed class JsListResult
 {
     public List<string> Items { get; set; } = [];
     public List<string> Prefixes { get; set; } = [];
 }
 
+internal sealed class JsMetadataListResult
+{
+    public List<StorageMetadata> Items { get; set; } = [];
+    public List<string> Prefixes { get; set; } = [];
+    public string? NextPageToken { get; set; }
+}
+
 internal sealed class JsPagedListResult
 {
     public List<string> Items { get; set; } = [];
@@ -802,15 +1367,175 @@ internal sealed class StorageUploadCallback
         _onProgress(new UploadProgress
         {
             BytesTransferred = progress.BytesTransferred,
+            TotalBytes = progress.TotalBytes,
+            TaskId = progress.TaskId,
+            State = ParseState(progress.State)
+        });
+    }
+
+    internal static UploadTaskState ParseState(string? state) => state switch
+    {
+        "paused" => UploadTaskState.Paused,
+        "success" => UploadTaskState.Success,
+        "canceled" => UploadTaskState.Canceled,
+        "error" => UploadTaskState.Error,
+        _ => UploadTaskState.Running
+    };
+}
+
+/// <summary>
+/// Callback handler for batch upload progress, per file and for the whole batch.
+/// </summary>
+internal sealed class StorageBatchUploadCallback
+{
+    private readonly Action<UploadProgress>? _onFileProgress;
+    private readonly Action<BatchUploadProgress>? _onProgress;
+
+    public StorageBatchUploadCallback(Action<UploadProgress>? onFileProgress, Action<BatchUploadProgress>? onProgress)
+    {
+        _onFileProgress = onFileProgress;
+        _onProgress = onProgress;
+    }
+
+    [JSInvokable]
+    public void OnProgress(JsUploadProgress progress)
+    {
+        _onFileProgress?.Invoke(new UploadProgress
+        {
+            BytesTransferred = progress.BytesTransferred,
+            TotalBytes = progress.TotalBytes,
+            TaskId = progress.TaskId,
+            State = StorageUploadCallback.ParseState(progress.State)
+        });
+    }
+
+    [JSInvokable]
+    public void OnBatchProgress(JsBatchUploadProgress progress)
+    {
+        _onProgress?.Invoke(new BatchUploadProgress
+        {
+            TotalFiles = progress.TotalFiles,
+            CompletedFiles = progress.CompletedFiles,
+            FailedFiles = progress.FailedFiles,
+            BytesTransferred = progress.BytesTransferred,
+            TotalBytes = progress.TotalBytes
+        });
+    }
+}
+
+internal sealed class JsBatchUploadProgress
+{
+    public int TotalFiles { get; set; }
+    public int CompletedFiles { get; set; }
+    public int FailedFiles { get; set; }
+    public long BytesTransferred { get; set; }
+    public long TotalBytes { get; set; }
+}
+
+internal sealed class JsBatchUploadResult
+{
+    public string Path { get; set; } = "";
+    public string TaskId { get; set; } = "";
+    public bool Success { get; set; }
+    public JsUploadResult? Data { get; set; }
+    public JsError? Error { get; set; }
+}
+
+/// <summary>
+/// Callback handler for download progress.
+/// </summary>
+internal sealed class StorageDownloadCallback
+{
+    private readonly Action<DownloadProgress> _onProgress;
+
+    public StorageDownloadCallback(Action<DownloadProgress> onProgress)
+    {
+        _onProgress = onProgress;
+    }
+
+    [JSInvokable]
+    public void OnDownloadProgress(JsDownloadProgress progress)
+    {
+        _onProgress(new DownloadProgress
+        {
+            DownloadId = progress.DownloadId,
+            BytesReceived = progress.BytesReceived,
             TotalBytes = progress.TotalBytes
         });
     }
 }
 
+internal sealed class JsDownloadProgress
+{
+    public string? DownloadId { get; set; }
+    public long BytesReceived { get; set; }
+    public long? TotalBytes { get; set; }
+}
+
+/// <summary>
+/// Callback handler for recursive folder delete progress.
+/// </summary>
+internal sealed class StorageDeleteFolderCallback
+{
+    private readonly Action<DeleteFolderProgress> _onProgress;
+
+    public StorageDeleteFolderCallback(Action<DeleteFolderProgress> onProgress)
+    {
+        _onProgress = onProgress;
+    }
+
+    [JSInvokable]
+    public void OnDeleteProgress(JsDeleteFolderProgress progress)
+    {
+        _onProgress(new DeleteFolderProgress
+        {
+            Found = progress.Found,
+            Deleted = progress.Deleted,
+            Failed = progress.Failed
+        });
+    }
+}
+
+internal sealed class JsDeleteFolderProgress
+{
+    public int Found { get; set; }
+    public int Deleted { get; set; }
+    public int Failed { get; set; }
+}
+
+internal sealed class JsDeleteFolderResult
+{
+    public List<string> Deleted { get; set; } = [];
+    public List<JsDeleteFolderFailure> Failed { get; set; } = [];
+}
+
+internal sealed class JsDeleteFolderFailure
+{
+    public string Path { get; set; } = "";
+    public string Code { get; set; } = "";
+    public string Message { get; set; } = "";
+}
+
 internal sealed class JsUploadProgress
 {
+    public string? TaskId { get; set; }
     public long BytesTransferred { get; set; }
     public long TotalBytes { get; set; }
+    public string? State { get; set; }
+}
+
+internal sealed class JsQueuedUpload
+{
+    public string Id { get; set; } = "";
+    public string Path { get; set; } = "";
+    public string? Bucket { get; set; }
+    public string? Status { get; set; }
+    public int Attempts { get; set; }
+    public long TotalBytes { get; set; }
+    public JsError? LastError { get; set; }
+    public DateTimeOffset CreatedAt { get; set; }
+    public DateTimeOffset? NextAttemptAt { get; set; }
+    public string? DownloadUrl { get; set; }
 }
 
 internal sealed class JsAppCheckToken
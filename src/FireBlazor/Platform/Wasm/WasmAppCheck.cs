@@ -60,7 +60,14 @@ internal sealed class WasmAppCheck : IAppCheck, IAsyncDisposable
             {
                 SetStatus(AppCheckStatus.Initializing);
 
-                await _jsInterop.InitializeAppCheckAsync(_options);
+                var init = await _jsInterop.InitializeAppCheckAsync(_options);
+                if (!init.Success)
+                {
+                    var jsError = init.Error ?? new JsError { Code = "appCheck/unknown", Message = "Unknown error" };
+                    var initError = new FirebaseError(jsError.Code, jsError.Message);
+                    SetStatus(AppCheckStatus.Failed, initError);
+                    return Result<Unit>.Failure(initError);
+                }
                 _initialized = true;
 
                 // Set up the JS subscription for token changes
@@ -18,13 +18,28 @@ internal sealed class WasmFirebaseAI : IFirebaseAI
     /// Initializes the Firebase AI service with the specified backend.
     /// </summary>
     /// <param name="backend">The backend to use ("google" or "vertex").</param>
-    internal async Task InitializeAsync(string backend = "google")
+    /// <returns>A failure if the AI service could not be created; initialization is then retried on the next call.</returns>
+    internal async Task<Result<Unit>> InitializeAsync(string backend = "google")
     {
         if (_initialized)
-            return;
+            return Result<Unit>.Success(Unit.Value);
 
-        await _jsInterop.InitializeAIAsync(backend);
-        _initialized = true;
+        try
+        {
+            var result = await _jsInterop.InitializeAIAsync(backend);
+            if (result.Success)
+            {
+                _initialized = true;
+                return Result<Unit>.Success(Unit.Value);
+            }
+
+            var error = result.Error ?? new JsError { Code = "ai/unknown", Message = "Unknown error" };
+            return Result<Unit>.Failure(new FirebaseError(error.Code, error.Message));
+        }
+        catch (Exception ex)
+        {
+            return Result<Unit>.Failure(new FirebaseError("ai/unknown", ex.Message));
+        }
     }
 
     public IGenerativeModel GetModel(string modelName, GenerationConfig? config = null)
@@ -11,6 +11,8 @@ internal sealed class WasmFirebaseAuth : IFirebaseAuth
     public FirebaseUser? CurrentUser => _currentUser;
     public bool IsAuthenticated => _currentUser != null;
     public event Action<FirebaseUser?>? OnAuthStateChanged;
+    public Result<ProviderSignInResult>? RedirectResult { get; private set; }
+    public Result<AccountLinkResult>? RedirectLinkResult { get; private set; }
 
     public WasmFirebaseAuth(FirebaseJsInterop jsInterop)
     {
@@ -56,14 +58,185 @@ internal sealed class WasmFirebaseAuth : IFirebaseAuth
         return ProcessAuthResult(result);
     }
 
-    public Task<Result<FirebaseUser>> SignInWithAppleAsync()
+    public async Task<Result<FirebaseUser>> SignInWithAppleAsync()
     {
-        throw new NotImplementedException("SignInWithAppleAsync is not yet supported in WebAssembly.");
+        var result = await _jsInterop.SignInWithAppleAsync();
+        return ProcessAuthResult(result);
+    }
+
+    public async Task<Result<FirebaseUser>> SignInWithFacebookAsync()
+    {
+        var result = await _jsInterop.SignInWithFacebookAsync();
+        return ProcessAuthResult(result);
     }
 
-    public Task<Result<FirebaseUser>> SignInWithFacebookAsync()
+    public async Task<Result<ProviderSignInResult>> SignInWithProviderAsync(AuthProviderOptions options)
     {
-        throw new NotImplementedException("SignInWithFacebookAsync is not yet supported in WebAssembly.");
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate();
+
+        var result = await _jsInterop.SignInWithProviderAsync(options);
+        return ProcessProviderResult(result);
+    }
+
+    public async Task<Result<ProviderSignInResult>> SignInWithCredentialAsync(OAuthCredential credential)
+    {
+        ArgumentNullException.ThrowIfNull(credential);
+
+        var result = await _jsInterop.SignInWithCredentialAsync(credential);
+        return ProcessProviderResult(result);
+    }
+
+    public async Task<Result<FirebaseUser>> SignInAnonymouslyAsync()
+    {
+        var result = await _jsInterop.SignInAnonymouslyAsync();
+        return ProcessAuthResult(result);
+    }
+
+    public async Task<Result<FirebaseUser>> LinkWithEmailAsync(string email, string password)
+    {
+        var result = await _jsInterop.LinkWithEmailAsync(email, password);
+        return ProcessAuthResult(result);
+    }
+
+    public async Task<Result<AccountLinkResult>> LinkWithProviderAsync(AuthProviderOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate();
+
+        var result = await _jsInterop.LinkWithProviderAsync(options);
+        return ProcessLinkResult(result);
+    }
+
+    public async Task<Result<PhoneVerification>> SignInWithPhoneNumberAsync(string phoneNumber, PhoneSignInOptions options)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(phoneNumber);
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate();
+
+        var result = await _jsInterop.SignInWithPhoneNumberAsync(phoneNumber, options);
+        return MapPhoneVerification(result);
+    }
+
+    public async Task<Result<FirebaseUser>> ConfirmPhoneCodeAsync(string verificationId, string code)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(verificationId);
+        ArgumentException.ThrowIfNullOrWhiteSpace(code);
+
+        var result = await _jsInterop.ConfirmPhoneCodeAsync(verificationId, code);
+        return ProcessAuthResult(result);
+    }
+
+    public async Task<Result<PhoneVerification>> ResendPhoneCodeAsync(string verificationId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(verificationId);
+
+        var result = await _jsInterop.ResendPhoneCodeAsync(verificationId);
+        return MapPhoneVerification(result);
+    }
+
+    public async Task<Result<Unit>> ResetPhoneVerifierAsync(string containerId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(containerId);
+
+        var result = await _jsInterop.ResetPhoneVerifierAsync(containerId);
+        if (!result.Success)
+            return Result<Unit>.Failure(new FirebaseError(result.Error!.Code, result.Error.Message));
+
+        return Unit.Value;
+    }
+
+    internal static Result<PhoneVerification> MapPhoneVerification(JsResult<JsPhoneVerification> result)
+    {
+        if (!result.Success)
+            return Result<PhoneVerification>.Failure(new FirebaseError(result.Error?.Code ?? "auth/unknown", result.Error?.Message ?? "Unknown authentication error"));
+
+        if (result.Data is null)
+            return Result<PhoneVerification>.Failure(new FirebaseError("auth/unknown", "No verification returned from phone sign-in"));
+
+        return new PhoneVerification
+        {
+            VerificationId = result.Data.VerificationId,
+            PhoneNumber = result.Data.PhoneNumber
+        };
+    }
+
+    internal Result<AccountLinkResult> ProcessLinkResult(JsResult<JsAccountLinkResult> result)
+    {
+        if (!result.Success)
+            return Result<AccountLinkResult>.Failure(new FirebaseError(result.Error?.Code ?? "auth/unknown", result.Error?.Message ?? "Unknown authentication error"));
+
+        // The provider belongs to another account; the signed-in user stays as it was
+        if (result.Data?.ConflictingCredential is { } conflicting)
+        {
+            return new AccountLinkResult
+            {
+                Status = AccountLinkStatus.CredentialAlreadyInUse,
+                ConflictingCredential = MapCredential(conflicting)
+            };
+        }
+
+        if (result.Data?.User is null)
+            return Result<AccountLinkResult>.Failure(new FirebaseError("auth/unknown", "No user data returned from authentication"));
+
+        _currentUser = MapUser(result.Data.User);
+        OnAuthStateChanged?.Invoke(_currentUser);
+        return new AccountLinkResult
+        {
+            Status = AccountLinkStatus.Linked,
+            User = _currentUser,
+            Credential = MapCredential(result.Data.Credential)
+        };
+    }
+
+    /// <summary>
+    /// Records the redirect outcome returned by Auth initialization. A successful sign-in redirect
+    /// signs the user in like any other sign-in; a link redirect, including one whose provider
+    /// belongs to another account, is recorded as an <see cref="AccountLinkResult"/>.
+    /// </summary>
+    internal void HandleRedirectResult(JsResult<JsRedirectResult> result)
+    {
+        if (result.Success && result.Data == null)
+            return;
+
+        if (result.Data is { } data && (data.OperationType == "link" || data.ConflictingCredential != null))
+        {
+            RedirectLinkResult = ProcessLinkResult(new JsResult<JsAccountLinkResult>
+            {
+                Success = true,
+                Data = new JsAccountLinkResult
+                {
+                    User = data.User,
+                    Credential = data.Credential,
+                    ConflictingCredential = data.ConflictingCredential
+                }
+            });
+            return;
+        }
+
+        RedirectResult = ProcessProviderResult(new JsResult<JsProviderSignInResult>
+        {
+            Success = result.Success,
+            Error = result.Error,
+            Data = result.Data == null ? null : new JsProviderSignInResult { User = result.Data.User, Credential = result.Data.Credential }
+        });
+    }
+
+    private Result<ProviderSignInResult> ProcessProviderResult(JsResult<JsProviderSignInResult> result)
+    {
+        if (!result.Success)
+            return Result<ProviderSignInResult>.Failure(new FirebaseError(result.Error?.Code ?? "auth/unknown", result.Error?.Message ?? "Unknown authentication error"));
+
+        if (result.Data?.User is null)
+            return Result<ProviderSignInResult>.Failure(new FirebaseError("auth/unknown", "No user data returned from authentication"));
+
+        _currentUser = MapUser(result.Data.User);
+        OnAuthStateChanged?.Invoke(_currentUser);
+        return new ProviderSignInResult
+        {
+            User = _currentUser,
+            Credential = MapCredential(result.Data.Credential)
+        };
     }
 
     public async Task<Result<Unit>> SignOutAsync()
@@ -105,6 +278,7 @@ internal sealed class WasmFirebaseAuth : IFirebaseAuth
         Email = jsUser.Email,
         DisplayName = jsUser.DisplayName,
         PhotoUrl = jsUser.PhotoUrl,
+        PhoneNumber = jsUser.PhoneNumber,
         IsEmailVerified = jsUser.IsEmailVerified,
         IsAnonymous = jsUser.IsAnonymous,
         Providers = jsUser.Providers,
@@ -112,6 +286,16 @@ internal sealed class WasmFirebaseAuth : IFirebaseAuth
         LastSignInAt = ParseDateTime(jsUser.LastSignInAt)
     };
 
+    internal static OAuthCredential? MapCredential(JsOAuthCredential? credential) => credential == null ? null : new()
+    {
+        ProviderId = credential.ProviderId,
+        SignInMethod = credential.SignInMethod,
+        AccessToken = credential.AccessToken,
+        IdToken = credential.IdToken,
+        Secret = credential.Secret,
+        Json = credential.Json
+    };
+
     private static DateTimeOffset? ParseDateTime(string? dateStr)
     {
         if (string.IsNullOrEmpty(dateStr))
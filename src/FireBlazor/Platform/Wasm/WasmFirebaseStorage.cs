@@ -3,20 +3,142 @@ namespace FireBlazor.Platform.Wasm;
 /// <summary>
 /// WebAssembly implementation of IFirebaseStorage using JavaScript interop.
 /// </summary>
-internal sealed class WasmFirebaseStorage : IFirebaseStorage
+internal sealed class WasmFirebaseStorage : IFirebaseStorage, IAsyncDisposable
 {
     private readonly FirebaseJsInterop _jsInterop;
-    private readonly long _maxBrowserFileSize;
+    private readonly StorageOptions _options;
+    private WasmUploadQueue? _uploadQueue;
 
     public WasmFirebaseStorage(FirebaseJsInterop jsInterop, StorageOptions? options = null)
     {
         _jsInterop = jsInterop ?? throw new ArgumentNullException(nameof(jsInterop));
-        _maxBrowserFileSize = options?.MaxBrowserFileSize ?? StorageOptions.DefaultMaxBrowserFileSize;
+        _options = options ?? new StorageOptions();
     }
 
     public IStorageReference Ref(string path)
     {
         ArgumentException.ThrowIfNullOrWhiteSpace(path);
-        return new WasmStorageReference(_jsInterop, path, _maxBrowserFileSize);
+        return new WasmStorageReference(_jsInterop, path, _options);
+    }
+
+    public IStorageReference Ref(string path, string bucket)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(path);
+        return new WasmStorageReference(_jsInterop, path, _options, StorageBucket.Normalize(bucket, nameof(bucket)));
+    }
+
+    public IUploadQueue UploadQueue => _uploadQueue ??= new WasmUploadQueue(_jsInterop, _options.UploadQueue);
+
+    public async Task<Result<IReadOnlyList<BatchUploadFileResult>>> UploadBatchAsync(
+        IEnumerable<BatchUploadFile> files,
+        int maxConcurrency = 4,
+        Action<UploadProgress>? onFileProgress = null,
+        Action<BatchUploadProgress>? onProgress = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(files);
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        var batch = files.ToList();
+        foreach (var file in batch)
+        {
+            PathValidation.ValidatePath(file.Path, nameof(files));
+        }
+
+        if (batch.Count == 0)
+            return Result<IReadOnlyList<BatchUploadFileResult>>.Success([]);
+
+        try
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Task ids are assigned here so the token can cancel files that have not started yet
+            var taskIds = batch.Select(file => file.TaskId ?? Guid.NewGuid().ToString("N")).ToList();
+            await using var registration = cancellationToken.Register(() =>
+            {
+                foreach (var taskId in taskIds)
+                {
+                    _ = _jsInterop.StorageCancelUploadAsync(taskId);
+                }
+            });
+
+            var result = await _jsInterop.StorageUploadBatchAsync(
+                batch, taskIds, maxConcurrency, onFileProgress, onProgress, _options.UploadIntegrity);
+            if (!result.Success || result.Data == null)
+            {
+                var code = StorageErrorCodeExtensions.FromFirebaseCode(result.Error?.Code ?? "storage/unknown");
+                return Result<IReadOnlyList<BatchUploadFileResult>>.Failure(
+                    new FirebaseError(code.ToFirebaseCode(), result.Error?.Message ?? "Unknown error"));
+            }
+
+            IReadOnlyList<BatchUploadFileResult> results = result.Data.Select(ToBatchUploadFileResult).ToList();
+            return Result<IReadOnlyList<BatchUploadFileResult>>.Success(results);
+        }
+        catch (OperationCanceledException)
+        {
+            return Result<IReadOnlyList<BatchUploadFileResult>>.Failure(new FirebaseError("storage/canceled", "Upload was canceled"));
+        }
+        catch (Exception ex)
+        {
+            return Result<IReadOnlyList<BatchUploadFileResult>>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    internal static BatchUploadFileResult ToBatchUploadFileResult(JsBatchUploadResult file)
+    {
+        Result<UploadResult> result;
+        if (file.Success && file.Data != null)
+        {
+            result = Result<UploadResult>.Success(new UploadResult
+            {
+                DownloadUrl = file.Data.DownloadUrl,
+                FullPath = file.Data.FullPath,
+                BytesTransferred = file.Data.BytesTransferred,
+                ContentHash = file.Data.ContentHash
+            });
+        }
+        else
+        {
+            var code = StorageErrorCodeExtensions.FromFirebaseCode(file.Error?.Code ?? "storage/unknown");
+            result = Result<UploadResult>.Failure(new FirebaseError(code.ToFirebaseCode(), file.Error?.Message ?? "Unknown error"));
+        }
+
+        return new BatchUploadFileResult { Path = file.Path, TaskId = file.TaskId, Result = result };
+    }
+
+    public Task<Result<bool>> PauseUploadAsync(string taskId) =>
+        ControlUploadAsync(taskId, _jsInterop.StoragePauseUploadAsync);
+
+    public Task<Result<bool>> ResumeUploadAsync(string taskId) =>
+        ControlUploadAsync(taskId, _jsInterop.StorageResumeUploadAsync);
+
+    public Task<Result<bool>> CancelUploadAsync(string taskId) =>
+        ControlUploadAsync(taskId, _jsInterop.StorageCancelUploadAsync);
+
+    private static async Task<Result<bool>> ControlUploadAsync(string taskId, Func<string, Task<JsResult<bool>>> control)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(taskId);
+
+        try
+        {
+            var result = await control(taskId);
+            if (result.Success)
+                return Result<bool>.Success(result.Data);
+
+            var code = StorageErrorCodeExtensions.FromFirebaseCode(result.Error?.Code ?? "storage/unknown");
+            return Result<bool>.Failure(new FirebaseError(code.ToFirebaseCode(), result.Error?.Message ?? "Unknown error"));
+        }
+        catch (Exception ex)
+        {
+            return Result<bool>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_uploadQueue != null)
+        {
+            await _uploadQueue.DisposeAsync();
+        }
     }
 }
@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Components.Forms;
+using Microsoft.JSInterop;
 
 namespace FireBlazor.Platform.Wasm;
 
@@ -9,26 +10,30 @@ internal sealed class WasmStorageReference : IStorageReference
 {
     private readonly FirebaseJsInterop _jsInterop;
     private readonly string _path;
-    private readonly long _maxBrowserFileSize;
+    private readonly StorageOptions _options;
+    private readonly string? _bucket;
 
-    public WasmStorageReference(FirebaseJsInterop jsInterop, string path, long maxBrowserFileSize = StorageOptions.DefaultMaxBrowserFileSize)
+    public WasmStorageReference(FirebaseJsInterop jsInterop, string path, StorageOptions? options = null, string? bucket = null)
     {
         ArgumentNullException.ThrowIfNull(jsInterop);
         ArgumentException.ThrowIfNullOrWhiteSpace(path);
         _jsInterop = jsInterop;
         _path = path;
-        _maxBrowserFileSize = maxBrowserFileSize;
+        _options = options ?? new StorageOptions();
+        _bucket = bucket;
     }
 
     public string Name => _path.Split('/').Last();
 
     public string FullPath => _path;
 
+    public string? Bucket => _bucket;
+
     public IStorageReference Child(string path)
     {
         PathValidation.ValidatePath(path, nameof(path));
         var combinedPath = $"{_path.TrimEnd('/')}/{path.Trim('/')}";
-        return new WasmStorageReference(_jsInterop, combinedPath, _maxBrowserFileSize);
+        return new WasmStorageReference(_jsInterop, combinedPath, _options, _bucket);
     }
 
     public IStorageReference? Parent
@@ -40,7 +45,7 @@ internal sealed class WasmStorageReference : IStorageReference
                 return null;
 
             var parentPath = _path[..lastSlash];
-            return new WasmStorageReference(_jsInterop, parentPath, _maxBrowserFileSize);
+            return new WasmStorageReference(_jsInterop, parentPath, _options, _bucket);
         }
     }
 
@@ -48,6 +53,7 @@ internal sealed class WasmStorageReference : IStorageReference
         Stream data,
         StorageMetadata? metadata = null,
         Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
         CancellationToken cancellationToken = default)
     {
         ArgumentNullException.ThrowIfNull(data);
@@ -56,13 +62,7 @@ internal sealed class WasmStorageReference : IStorageReference
         {
             cancellationToken.ThrowIfCancellationRequested();
 
-            using var ms = new MemoryStream();
-            await data.CopyToAsync(ms, cancellationToken);
-            var bytes = ms.ToArray();
-
-            cancellationToken.ThrowIfCancellationRequested();
-
-            return await UploadBytesAsync(bytes, metadata, onProgress, cancellationToken);
+            return await UploadStreamAsync(data, metadata, onProgress, taskId, cancellationToken);
         }
         catch (OperationCanceledException)
         {
@@ -78,6 +78,7 @@ internal sealed class WasmStorageReference : IStorageReference
         IBrowserFile file,
         StorageMetadata? metadata = null,
         Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
         CancellationToken cancellationToken = default)
     {
         ArgumentNullException.ThrowIfNull(file);
@@ -92,14 +93,9 @@ internal sealed class WasmStorageReference : IStorageReference
                 effectiveMetadata.ContentType = file.ContentType;
             }
 
-            await using var stream = file.OpenReadStream(_maxBrowserFileSize);
-            using var ms = new MemoryStream();
-            await stream.CopyToAsync(ms, cancellationToken);
-            var bytes = ms.ToArray();
-
-            cancellationToken.ThrowIfCancellationRequested();
+            await using var stream = file.OpenReadStream(_options.MaxBrowserFileSize, cancellationToken);
 
-            return await UploadBytesAsync(bytes, effectiveMetadata, onProgress, cancellationToken);
+            return await UploadStreamAsync(stream, effectiveMetadata, onProgress, taskId, cancellationToken);
         }
         catch (OperationCanceledException)
         {
@@ -111,17 +107,24 @@ internal sealed class WasmStorageReference : IStorageReference
         }
     }
 
-    private async Task<Result<UploadResult>> UploadBytesAsync(
-        byte[] bytes,
+    private async Task<Result<UploadResult>> UploadStreamAsync(
+        Stream data,
         StorageMetadata? metadata,
         Action<UploadProgress>? onProgress,
+        string? taskId,
         CancellationToken cancellationToken = default)
     {
         try
         {
             cancellationToken.ThrowIfCancellationRequested();
 
-            var result = await _jsInterop.StorageUploadAsync(_path, bytes, metadata, onProgress);
+            // Cancelling the token cancels the browser upload; the call then completes with storage/canceled
+            var id = string.IsNullOrEmpty(taskId) ? Guid.NewGuid().ToString("N") : taskId;
+            await using var registration = cancellationToken.Register(
+                () => _ = _jsInterop.StorageCancelUploadAsync(id));
+
+            var result = await _jsInterop.StorageUploadStreamAsync(
+                _path, _bucket, data, metadata, onProgress, id, _options.UploadIntegrity);
 
             if (result.Success && result.Data != null)
             {
@@ -129,7 +132,8 @@ internal sealed class WasmStorageReference : IStorageReference
                 {
                     DownloadUrl = result.Data.DownloadUrl,
                     FullPath = result.Data.FullPath,
-                    BytesTransferred = result.Data.BytesTransferred
+                    BytesTransferred = result.Data.BytesTransferred,
+                    ContentHash = result.Data.ContentHash
                 });
             }
 
@@ -145,22 +149,207 @@ internal sealed class WasmStorageReference : IStorageReference
         }
     }
 
+    public async Task<Result<ImageUploadResult>> PutImageAsync(
+        Stream data,
+        ImageUploadOptions options,
+        StorageMetadata? metadata = null,
+        Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(data);
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate(_path);
+
+        return await UploadImageAsync(data, options, metadata, onProgress, taskId, cancellationToken);
+    }
+
+    public async Task<Result<ImageUploadResult>> PutImageAsync(
+        IBrowserFile file,
+        ImageUploadOptions options,
+        StorageMetadata? metadata = null,
+        Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(file);
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate(_path);
+
+        try
+        {
+            // The browser file's type tells JavaScript whether the original can be kept as is
+            var effectiveMetadata = metadata ?? new StorageMetadata();
+            if (string.IsNullOrEmpty(effectiveMetadata.ContentType))
+            {
+                effectiveMetadata.ContentType = file.ContentType;
+            }
+
+            await using var stream = file.OpenReadStream(_options.MaxBrowserFileSize, cancellationToken);
+
+            return await UploadImageAsync(stream, options, effectiveMetadata, onProgress, taskId, cancellationToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return CreateFailureResult<ImageUploadResult>("storage/canceled", "Upload was canceled");
+        }
+        catch (Exception ex)
+        {
+            return CreateFailureResult<ImageUploadResult>("storage/unknown", ex.Message);
+        }
+    }
+
+    private async Task<Result<ImageUploadResult>> UploadImageAsync(
+        Stream data,
+        ImageUploadOptions options,
+        StorageMetadata? metadata,
+        Action<UploadProgress>? onProgress,
+        string? taskId,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            var id = string.IsNullOrEmpty(taskId) ? Guid.NewGuid().ToString("N") : taskId;
+            await using var registration = cancellationToken.Register(
+                () => _ = _jsInterop.StorageCancelUploadAsync(id));
+
+            var result = await _jsInterop.StorageUploadImageAsync(_path, _bucket, data, options, metadata, onProgress, id);
+
+            return result.Success && result.Data != null
+                ? Result<ImageUploadResult>.Success(ToImageUploadResult(result.Data))
+                : CreateFailureFromJsError<ImageUploadResult>(result.Error);
+        }
+        catch (OperationCanceledException)
+        {
+            return CreateFailureResult<ImageUploadResult>("storage/canceled", "Upload was canceled");
+        }
+        catch (Exception ex)
+        {
+            return CreateFailureResult<ImageUploadResult>("storage/unknown", ex.Message);
+        }
+    }
+
+    internal static ImageUploadResult ToImageUploadResult(JsImageUploadResult result) => new()
+    {
+        DownloadUrl = result.DownloadUrl,
+        FullPath = result.FullPath,
+        BytesTransferred = result.BytesTransferred,
+        ContentType = result.ContentType,
+        OriginalSize = result.OriginalSize,
+        FinalSize = result.FinalSize,
+        OriginalWidth = result.OriginalWidth,
+        OriginalHeight = result.OriginalHeight,
+        Width = result.Width,
+        Height = result.Height,
+        Thumbnails = result.Thumbnails
+            .Select(t => new UploadedThumbnail
+            {
+                FullPath = t.FullPath,
+                DownloadUrl = t.DownloadUrl,
+                Size = t.Size,
+                Width = t.Width,
+                Height = t.Height
+            })
+            .ToList(),
+        FailedThumbnails = result.FailedThumbnails
+            .Select(f => new FailedThumbnail(
+                f.Path,
+                new FirebaseError(StorageErrorCodeExtensions.FromFirebaseCode(f.Code).ToFirebaseCode(), f.Message)))
+            .ToList()
+    };
+
     public async Task<Result<byte[]>> GetBytesAsync(long maxSize = 10 * 1024 * 1024)
     {
         try
         {
-            var result = await _jsInterop.StorageGetBytesAsync(_path, maxSize);
+            var result = await _jsInterop.StorageGetBytesAsync(_path, _bucket, maxSize, _options.DownloadChunkThreshold);
+            return await ReadDownloadAsync(result, maxSize);
+        }
+        catch (Exception ex)
+        {
+            return CreateFailureResult<byte[]>("storage/unknown", ex.Message);
+        }
+    }
+
+    public async Task<Result<byte[]>> DownloadAsync(
+        long maxSize = 10 * 1024 * 1024,
+        Action<DownloadProgress>? onProgress = null,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Cancelling the token aborts the browser fetch; the call then completes with storage/canceled
+            var downloadId = Guid.NewGuid().ToString("N");
+            await using var registration = cancellationToken.Register(
+                () => _ = _jsInterop.StorageAbortDownloadAsync(downloadId));
+
+            var result = await _jsInterop.StorageDownloadAsync(
+                _path, _bucket, maxSize, _options.DownloadChunkThreshold, onProgress, downloadId);
+            return await ReadDownloadAsync(result, maxSize);
+        }
+        catch (OperationCanceledException)
+        {
+            return CreateFailureResult<byte[]>("storage/canceled", "Download was canceled");
+        }
+        catch (Exception ex)
+        {
+            return CreateFailureResult<byte[]>("storage/unknown", ex.Message);
+        }
+    }
+
+    private static async Task<Result<byte[]>> ReadDownloadAsync(JsResult<JsDownloadResult> result, long maxSize)
+    {
+        if (result.Success && result.Data != null)
+        {
+            if (result.Data.Bytes != null)
+                return Result<byte[]>.Success(result.Data.Bytes);
+
+            if (result.Data.Stream != null)
+            {
+                // Large object: read the chunked stream straight into a buffer of the known size
+                await using var stream = new JsDownloadStream(result.Data.Stream, await result.Data.Stream.OpenReadStreamAsync(maxSize));
+                var bytes = new byte[result.Data.Size];
+                await stream.ReadExactlyAsync(bytes);
+                return Result<byte[]>.Success(bytes);
+            }
+        }
+
+        return CreateFailureFromJsError<byte[]>(result.Error);
+    }
+
+    public async Task<Result<ObjectUrlHandle>> GetObjectUrlAsync(long maxSize = 10 * 1024 * 1024, bool autoRevoke = false)
+    {
+        try
+        {
+            var result = await _jsInterop.StorageCreateObjectUrlAsync(_path, _bucket, maxSize, autoRevoke);
 
             if (result.Success && result.Data != null)
             {
-                return Result<byte[]>.Success(result.Data);
+                return Result<ObjectUrlHandle>.Success(new ObjectUrlHandle(
+                    result.Data.Url, result.Data.Size, result.Data.ContentType, RevokeObjectUrlAsync));
             }
 
-            return CreateFailureFromJsError<byte[]>(result.Error);
+            return CreateFailureFromJsError<ObjectUrlHandle>(result.Error);
         }
         catch (Exception ex)
         {
-            return CreateFailureResult<byte[]>("storage/unknown", ex.Message);
+            return CreateFailureResult<ObjectUrlHandle>("storage/unknown", ex.Message);
+        }
+    }
+
+    private async Task RevokeObjectUrlAsync(string url)
+    {
+        try
+        {
+            await _jsInterop.StorageRevokeObjectUrlAsync(url);
+        }
+        catch (JSDisconnectedException)
+        {
+            // The page is gone, and its object URLs with it
         }
     }
 
@@ -168,7 +357,7 @@ internal sealed class WasmStorageReference : IStorageReference
     {
         try
         {
-            var result = await _jsInterop.StorageGetDownloadUrlAsync(_path);
+            var result = await _jsInterop.StorageGetDownloadUrlAsync(_path, _bucket);
 
             if (result.Success && result.Data != null)
             {
@@ -187,7 +376,7 @@ internal sealed class WasmStorageReference : IStorageReference
     {
         try
         {
-            var result = await _jsInterop.StorageGetMetadataAsync(_path);
+            var result = await _jsInterop.StorageGetMetadataAsync(_path, _bucket);
 
             if (result.Success && result.Data != null)
             {
@@ -206,7 +395,7 @@ internal sealed class WasmStorageReference : IStorageReference
     {
         try
         {
-            var result = await _jsInterop.StorageDeleteAsync(_path);
+            var result = await _jsInterop.StorageDeleteAsync(_path, _bucket);
 
             if (result.Success)
             {
@@ -221,20 +410,93 @@ internal sealed class WasmStorageReference : IStorageReference
         }
     }
 
+    public Task<Result<MetadataListResult>> ListAllWithMetadataAsync(int maxConcurrency = 8) =>
+        ListWithMetadataAsync(null, null, maxConcurrency);
+
+    public Task<Result<MetadataListResult>> ListWithMetadataAsync(ListOptions? options = null, int maxConcurrency = 8) =>
+        ListWithMetadataAsync(options?.MaxResults ?? 1000, options?.PageToken, maxConcurrency);
+
+    private async Task<Result<MetadataListResult>> ListWithMetadataAsync(int? maxResults, string? pageToken, int maxConcurrency)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        try
+        {
+            var result = await _jsInterop.StorageListWithMetadataAsync(_path, _bucket, maxResults, pageToken, maxConcurrency);
+
+            if (result.Success && result.Data != null)
+            {
+                var items = result.Data.Items
+                    .Select(metadata => new StorageListItem
+                    {
+                        Reference = new WasmStorageReference(_jsInterop, metadata.FullPath!, _options, _bucket),
+                        Metadata = metadata
+                    })
+                    .ToList();
+
+                var prefixes = result.Data.Prefixes
+                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _options, _bucket))
+                    .ToList();
+
+                return Result<MetadataListResult>.Success(new MetadataListResult
+                {
+                    Items = items,
+                    Prefixes = prefixes,
+                    NextPageToken = result.Data.NextPageToken
+                });
+            }
+
+            return CreateFailureFromJsError<MetadataListResult>(result.Error);
+        }
+        catch (Exception ex)
+        {
+            return CreateFailureResult<MetadataListResult>("storage/unknown", ex.Message);
+        }
+    }
+
+    public async Task<Result<DeleteFolderResult>> DeleteFolderAsync(int maxConcurrency = 8, Action<DeleteFolderProgress>? onProgress = null)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        try
+        {
+            var result = await _jsInterop.StorageDeleteFolderAsync(_path, _bucket, maxConcurrency, onProgress);
+
+            if (result.Success && result.Data != null)
+            {
+                return Result<DeleteFolderResult>.Success(new DeleteFolderResult
+                {
+                    Deleted = result.Data.Deleted,
+                    Failed = result.Data.Failed
+                        .Select(f => new DeleteFolderFailure(
+                            f.Path,
+                            new FirebaseError(StorageErrorCodeExtensions.FromFirebaseCode(f.Code).ToFirebaseCode(), f.Message)))
+                        .ToList()
+                });
+            }
+
+            return CreateFailureFromJsError<DeleteFolderResult>(result.Error);
+        }
+        catch (Exception ex)
+        {
+            return CreateFailureResult<DeleteFolderResult>("storage/unknown", ex.Message);
+        }
+    }
+
     public async Task<Result<ListResult>> ListAllAsync()
     {
         try
         {
-            var result = await _jsInterop.StorageListAllAsync(_path);
+            var result = await _jsInterop.StorageListAllAsync(_path, _bucket);
 
             if (result.Success && result.Data != null)
             {
                 var items = result.Data.Items
-                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path))
+                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _options, _bucket))
                     .ToList();
 
                 var prefixes = result.Data.Prefixes
-                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path))
+                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _options, _bucket))
                     .ToList();
 
                 return Result<ListResult>.Success(new ListResult
@@ -265,7 +527,7 @@ internal sealed class WasmStorageReference : IStorageReference
         {
             cancellationToken.ThrowIfCancellationRequested();
 
-            var result = await _jsInterop.StorageUploadStringAsync(_path, data, (int)format, metadata);
+            var result = await _jsInterop.StorageUploadStringAsync(_path, _bucket, data, (int)format, metadata);
 
             if (result.Success && result.Data != null)
             {
@@ -301,7 +563,7 @@ internal sealed class WasmStorageReference : IStorageReference
 
         try
         {
-            var result = await _jsInterop.StorageUpdateMetadataAsync(_path, metadata);
+            var result = await _jsInterop.StorageUpdateMetadataAsync(_path, _bucket, metadata);
 
             if (result.Success && result.Data != null)
             {
@@ -323,16 +585,16 @@ internal sealed class WasmStorageReference : IStorageReference
             var maxResults = options?.MaxResults ?? 1000;
             var pageToken = options?.PageToken;
 
-            var result = await _jsInterop.StorageListAsync(_path, maxResults, pageToken);
+            var result = await _jsInterop.StorageListAsync(_path, _bucket, maxResults, pageToken);
 
             if (result.Success && result.Data != null)
             {
                 var items = result.Data.Items
-                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _maxBrowserFileSize))
+                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _options, _bucket))
                     .ToList();
 
                 var prefixes = result.Data.Prefixes
-                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _maxBrowserFileSize))
+                    .Select(path => (IStorageReference)new WasmStorageReference(_jsInterop, path, _options, _bucket))
                     .ToList();
 
                 return Result<PagedListResult>.Success(new PagedListResult
@@ -355,14 +617,15 @@ internal sealed class WasmStorageReference : IStorageReference
     {
         try
         {
-            var bytesResult = await GetBytesAsync(maxSize);
+            var result = await _jsInterop.StorageGetStreamAsync(_path, _bucket, maxSize);
 
-            if (bytesResult.IsSuccess)
+            if (result.Success && result.Data?.Stream != null)
             {
-                return Result<Stream>.Success(new MemoryStream(bytesResult.Value));
+                var stream = await result.Data.Stream.OpenReadStreamAsync(maxSize);
+                return Result<Stream>.Success(new JsDownloadStream(result.Data.Stream, stream));
             }
 
-            return Result<Stream>.Failure(bytesResult.Error!);
+            return CreateFailureFromJsError<Stream>(result.Error);
         }
         catch (Exception ex)
         {
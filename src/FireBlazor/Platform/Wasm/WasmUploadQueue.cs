@@ -0,0 +1,221 @@
+using Microsoft.JSInterop;
+
+namespace FireBlazor.Platform.Wasm;
+
+/// <summary>
+/// WASM implementation of the persistent upload queue. Items are stored and uploaded by the
+/// JavaScript bridge, which reports status changes and progress back through a callback handler.
+/// </summary>
+internal sealed class WasmUploadQueue : IUploadQueue, IAsyncDisposable
+{
+    private readonly FirebaseJsInterop _jsInterop;
+    private readonly UploadQueueOptions _options;
+    private DotNetObjectReference<UploadQueueCallbackHandler>? _callbackRef;
+    private bool _started;
+    private bool _disposed;
+
+    public WasmUploadQueue(FirebaseJsInterop jsInterop, UploadQueueOptions? options = null)
+    {
+        _jsInterop = jsInterop ?? throw new ArgumentNullException(nameof(jsInterop));
+        _options = options ?? new UploadQueueOptions();
+    }
+
+    public event Action<QueuedUpload>? OnStatusChanged;
+
+    public event Action<UploadProgress>? OnProgress;
+
+    public async Task<Result<IReadOnlyList<QueuedUpload>>> StartAsync()
+    {
+        ObjectDisposedException.ThrowIf(_disposed, this);
+
+        try
+        {
+            _callbackRef ??= DotNetObjectReference.Create(new UploadQueueCallbackHandler(this));
+
+            var result = await _jsInterop.StorageQueueStartAsync(_callbackRef, _options);
+            if (!result.Success)
+                return Failure<IReadOnlyList<QueuedUpload>>(result.Error);
+
+            _started = true;
+            return Result<IReadOnlyList<QueuedUpload>>.Success(ToQueuedUploads(result.Data));
+        }
+        catch (Exception ex)
+        {
+            return Result<IReadOnlyList<QueuedUpload>>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    public async Task<Result<QueuedUpload>> EnqueueAsync(string path, Stream data, StorageMetadata? metadata = null, string? bucket = null)
+    {
+        PathValidation.ValidatePath(path, nameof(path));
+        ArgumentNullException.ThrowIfNull(data);
+        var bucketUrl = bucket != null ? StorageBucket.Normalize(bucket, nameof(bucket)) : null;
+
+        var started = await EnsureStartedAsync();
+        if (started.IsFailure)
+            return Result<QueuedUpload>.Failure(started.Error!);
+
+        try
+        {
+            var result = await _jsInterop.StorageQueueUploadAsync(path, bucketUrl, data, metadata);
+            return result.Success && result.Data != null
+                ? Result<QueuedUpload>.Success(ToQueuedUpload(result.Data))
+                : Failure<QueuedUpload>(result.Error);
+        }
+        catch (Exception ex)
+        {
+            return Result<QueuedUpload>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    public async Task<Result<IReadOnlyList<QueuedUpload>>> GetItemsAsync()
+    {
+        try
+        {
+            var result = await _jsInterop.StorageQueueListAsync();
+            return result.Success
+                ? Result<IReadOnlyList<QueuedUpload>>.Success(ToQueuedUploads(result.Data))
+                : Failure<IReadOnlyList<QueuedUpload>>(result.Error);
+        }
+        catch (Exception ex)
+        {
+            return Result<IReadOnlyList<QueuedUpload>>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    public async Task<Result<Unit>> RemoveAsync(string id)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(id);
+
+        try
+        {
+            var result = await _jsInterop.StorageQueueRemoveAsync(id);
+            return result.Success
+                ? Result<Unit>.Success(Unit.Value)
+                : Failure<Unit>(result.Error);
+        }
+        catch (Exception ex)
+        {
+            return Result<Unit>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    public async Task<Result<QueuedUpload>> RetryAsync(string id)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(id);
+
+        var started = await EnsureStartedAsync();
+        if (started.IsFailure)
+            return Result<QueuedUpload>.Failure(started.Error!);
+
+        try
+        {
+            var result = await _jsInterop.StorageQueueRetryAsync(id);
+            return result.Success && result.Data != null
+                ? Result<QueuedUpload>.Success(ToQueuedUpload(result.Data))
+                : Failure<QueuedUpload>(result.Error);
+        }
+        catch (Exception ex)
+        {
+            return Result<QueuedUpload>.Failure(new FirebaseError("storage/unknown", ex.Message));
+        }
+    }
+
+    private async Task<Result<Unit>> EnsureStartedAsync()
+    {
+        if (_started)
+            return Result<Unit>.Success(Unit.Value);
+
+        var result = await StartAsync();
+        return result.IsSuccess
+            ? Result<Unit>.Success(Unit.Value)
+            : Result<Unit>.Failure(result.Error!);
+    }
+
+    internal void HandleStatusChanged(JsQueuedUpload item) => OnStatusChanged?.Invoke(ToQueuedUpload(item));
+
+    internal void HandleProgress(JsUploadProgress progress) => OnProgress?.Invoke(new UploadProgress
+    {
+        BytesTransferred = progress.BytesTransferred,
+        TotalBytes = progress.TotalBytes,
+        TaskId = progress.TaskId,
+        State = StorageUploadCallback.ParseState(progress.State)
+    });
+
+    internal static QueuedUpload ToQueuedUpload(JsQueuedUpload item) => new()
+    {
+        Id = item.Id,
+        Path = item.Path,
+        Bucket = item.Bucket,
+        Status = ParseStatus(item.Status),
+        Attempts = item.Attempts,
+        TotalBytes = item.TotalBytes,
+        LastError = item.LastError != null ? new FirebaseError(item.LastError.Code, item.LastError.Message) : null,
+        CreatedAt = item.CreatedAt,
+        NextAttemptAt = item.NextAttemptAt,
+        DownloadUrl = item.DownloadUrl
+    };
+
+    internal static QueuedUploadStatus ParseStatus(string? status) => status switch
+    {
+        "uploading" => QueuedUploadStatus.Uploading,
+        "failed" => QueuedUploadStatus.Failed,
+        "completed" => QueuedUploadStatus.Completed,
+        _ => QueuedUploadStatus.Pending
+    };
+
+    private static IReadOnlyList<QueuedUpload> ToQueuedUploads(List<JsQueuedUpload>? items) =>
+        items?.Select(ToQueuedUpload).ToList() ?? [];
+
+    private static Result<T> Failure<T>(JsError? error)
+    {
+        var code = StorageErrorCodeExtensions.FromFirebaseCode(error?.Code ?? "storage/unknown");
+        return Result<T>.Failure(new FirebaseError(code.ToFirebaseCode(), error?.Message ?? "Unknown error"));
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_disposed) return;
+        _disposed = true;
+
+        // Stop processing in this session; queued items stay in browser storage for the next one
+        if (_started)
+        {
+            try
+            {
+                await _jsInterop.StorageQueueStopAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+                // Circuit already gone
+            }
+        }
+
+        _callbackRef?.Dispose();
+    }
+}
+
+/// <summary>
+/// Callback handler for upload queue status and progress from JavaScript.
+/// </summary>
+internal sealed class UploadQueueCallbackHandler : IUploadQueueCallback
+{
+    private readonly WasmUploadQueue _queue;
+
+    public UploadQueueCallbackHandler(WasmUploadQueue queue)
+    {
+        _queue = queue;
+    }
+
+    [JSInvokable]
+    public void OnQueueItemStatus(JsQueuedUpload item)
+    {
+        _queue.HandleStatusChanged(item);
+    }
+
+    [JSInvokable]
+    public void OnProgress(JsUploadProgress progress)
+    {
+        _queue.HandleProgress(progress);
+    }
+}
@@ -16,7 +16,8 @@ public enum DatabaseErrorCode
     OverriddenBySet,
     Unavailable,
     UserCodeException,
-    WriteCanceled
+    WriteCanceled,
+    NotInitialized
 }
 
 public static class DatabaseErrorCodeExtensions
@@ -34,6 +35,7 @@ public static class DatabaseErrorCodeExtensions
         "UNAVAILABLE" or "database/unavailable" => DatabaseErrorCode.Unavailable,
         "USER_CODE_EXCEPTION" or "database/user-code-exception" => DatabaseErrorCode.UserCodeException,
         "WRITE_CANCELED" or "database/write-canceled" => DatabaseErrorCode.WriteCanceled,
+        "database/not-initialized" => DatabaseErrorCode.NotInitialized,
         _ => DatabaseErrorCode.Unknown
     };
 
@@ -50,6 +52,7 @@ public static class DatabaseErrorCodeExtensions
         DatabaseErrorCode.Unavailable => "database/unavailable",
         DatabaseErrorCode.UserCodeException => "database/user-code-exception",
         DatabaseErrorCode.WriteCanceled => "database/write-canceled",
+        DatabaseErrorCode.NotInitialized => "database/not-initialized",
         _ => "database/unknown"
     };
 }
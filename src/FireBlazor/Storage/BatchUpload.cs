@@ -0,0 +1,88 @@
+using Microsoft.AspNetCore.Components.Forms;
+
+namespace FireBlazor;
+
+/// <summary>
+/// A file to upload with <see cref="IFirebaseStorage.UploadBatchAsync"/>.
+/// </summary>
+public sealed class BatchUploadFile
+{
+    private readonly string? _bucket;
+
+    /// <summary>Destination path in the storage bucket.</summary>
+    public required string Path { get; init; }
+
+    /// <summary>
+    /// Bucket to upload to, as "gs://bucket-name" or "bucket-name". Defaults to the default bucket.
+    /// </summary>
+    public string? Bucket
+    {
+        get => _bucket;
+        init => _bucket = value == null ? null : StorageBucket.Normalize(value, nameof(Bucket));
+    }
+
+    /// <summary>The data to upload. Left open after the upload.</summary>
+    public required Stream Data { get; init; }
+
+    public StorageMetadata? Metadata { get; init; }
+
+    /// <summary>
+    /// Size in bytes, used for overall progress before the file starts uploading.
+    /// Defaults to the remaining length of seekable streams.
+    /// </summary>
+    public long? Size { get; init; }
+
+    /// <summary>
+    /// Id for the file's upload task, so it can be paused or canceled before its first progress report.
+    /// Defaults to a new unique id. Ids must be unique within the batch.
+    /// </summary>
+    public string? TaskId { get; init; }
+
+    /// <summary>
+    /// Creates a batch entry for a browser file, using its size and content type.
+    /// </summary>
+    /// <param name="file">The browser file.</param>
+    /// <param name="path">Destination path in the storage bucket.</param>
+    /// <param name="maxSize">Maximum file size in bytes. Defaults to <see cref="StorageOptions.DefaultMaxBrowserFileSize"/>.</param>
+    public static BatchUploadFile FromBrowserFile(IBrowserFile file, string path, long maxSize = StorageOptions.DefaultMaxBrowserFileSize)
+    {
+        ArgumentNullException.ThrowIfNull(file);
+
+        return new BatchUploadFile
+        {
+            Path = path,
+            Data = file.OpenReadStream(maxSize),
+            Metadata = new StorageMetadata { ContentType = file.ContentType },
+            Size = file.Size
+        };
+    }
+}
+
+/// <summary>
+/// Overall progress of a batch upload.
+/// </summary>
+public sealed class BatchUploadProgress
+{
+    public required int TotalFiles { get; init; }
+    public required int CompletedFiles { get; init; }
+    public required int FailedFiles { get; init; }
+    public required long BytesTransferred { get; init; }
+
+    /// <summary>Total bytes across all files; grows if a file's size was not known up front.</summary>
+    public required long TotalBytes { get; init; }
+
+    public double Percentage => TotalBytes > 0 ? (double)BytesTransferred / TotalBytes * 100 : 0;
+}
+
+/// <summary>
+/// Outcome of one file in a batch upload.
+/// </summary>
+public sealed class BatchUploadFileResult
+{
+    public required string Path { get; init; }
+
+    /// <summary>Id of the file's upload task, as reported in <see cref="UploadProgress.TaskId"/>.</summary>
+    public required string TaskId { get; init; }
+
+    public required Result<UploadResult> Result { get; init; }
+}
@@ -0,0 +1,34 @@
+namespace FireBlazor;
+
+/// <summary>
+/// Progress of <see cref="IStorageReference.DeleteFolderAsync"/>.
+/// </summary>
+public sealed class DeleteFolderProgress
+{
+    /// <summary>Objects found so far. Grows as nested folders are listed.</summary>
+    public required int Found { get; init; }
+
+    public required int Deleted { get; init; }
+
+    public required int Failed { get; init; }
+}
+
+/// <summary>
+/// Summary of a recursive folder delete.
+/// </summary>
+public sealed class DeleteFolderResult
+{
+    /// <summary>Full paths of the deleted objects.</summary>
+    public IReadOnlyList<string> Deleted { get; init; } = [];
+
+    /// <summary>Objects that could not be deleted, and folders that could not be listed.</summary>
+    public IReadOnlyList<DeleteFolderFailure> Failed { get; init; } = [];
+
+    /// <summary>Whether everything under the folder was deleted.</summary>
+    public bool IsComplete => Failed.Count == 0;
+}
+
+/// <summary>
+/// A path that could not be deleted or listed, and why.
+/// </summary>
+public sealed record DeleteFolderFailure(string Path, FirebaseError Error);
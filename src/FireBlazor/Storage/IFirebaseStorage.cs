@@ -11,6 +11,56 @@ public interface IFirebaseStorage
     /// <param name="path">Path to the storage location (e.g., "images/photo.jpg").</param>
     /// <returns>A reference to the storage location.</returns>
     IStorageReference Ref(string path);
+
+    /// <summary>
+    /// Gets a reference to a storage location in another bucket of the same project.
+    /// </summary>
+    /// <param name="path">Path to the storage location (e.g., "images/photo.jpg").</param>
+    /// <param name="bucket">The bucket, as "gs://bucket-name" or "bucket-name".</param>
+    /// <returns>A reference to the storage location. Child, parent and listed references stay in the same bucket.</returns>
+    IStorageReference Ref(string path, string bucket);
+
+    /// <summary>
+    /// Uploads many files with a limited number in flight at once. Each file is a separate
+    /// upload task that can be paused, resumed or canceled by its task id; a failed file
+    /// does not stop the others.
+    /// </summary>
+    /// <param name="files">The files to upload and their destination paths.</param>
+    /// <param name="maxConcurrency">Maximum number of files uploading at the same time. Defaults to 4.</param>
+    /// <param name="onFileProgress">Optional callback for each file's progress, identified by <see cref="UploadProgress.TaskId"/>.</param>
+    /// <param name="onProgress">Optional callback for the progress of the whole batch.</param>
+    /// <param name="cancellationToken">Cancels every upload in the batch that has not finished.</param>
+    /// <returns>One result per file, in input order.</returns>
+    Task<Result<IReadOnlyList<BatchUploadFileResult>>> UploadBatchAsync(
+        IEnumerable<BatchUploadFile> files,
+        int maxConcurrency = 4,
+        Action<UploadProgress>? onFileProgress = null,
+        Action<BatchUploadProgress>? onProgress = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// The persistent upload queue, for uploads that should survive reloads and offline periods.
+    /// </summary>
+    IUploadQueue UploadQueue { get; }
+
+    /// <summary>
+    /// Pauses an upload. The task id is the one passed to <c>PutAsync</c>, or the one reported in
+    /// <see cref="UploadProgress.TaskId"/>. An upload still reading its data starts paused.
+    /// </summary>
+    /// <returns>True if the upload was paused; false if it was not running.</returns>
+    Task<Result<bool>> PauseUploadAsync(string taskId);
+
+    /// <summary>
+    /// Resumes a paused upload.
+    /// </summary>
+    /// <returns>True if the upload was resumed; false if it was not paused.</returns>
+    Task<Result<bool>> ResumeUploadAsync(string taskId);
+
+    /// <summary>
+    /// Cancels an in-flight upload. The pending <c>PutAsync</c> call fails with storage/canceled.
+    /// </summary>
+    /// <returns>True if the upload was canceled; false if it had already finished canceling.</returns>
+    Task<Result<bool>> CancelUploadAsync(string taskId);
 }
 
 /// <summary>
@@ -28,6 +78,11 @@ public interface IStorageReference
     /// </summary>
     string FullPath { get; }
 
+    /// <summary>
+    /// Gets the bucket of this reference as a gs:// URL, or null for the default bucket.
+    /// </summary>
+    string? Bucket { get; }
+
     /// <summary>
     /// Gets a reference to a child location.
     /// </summary>
@@ -46,9 +101,13 @@ public interface IStorageReference
     /// <param name="data">The data to upload.</param>
     /// <param name="metadata">Optional metadata for the uploaded file.</param>
     /// <param name="onProgress">Optional callback for upload progress updates.</param>
+    /// <param name="taskId">
+    /// Optional id for the upload task, for <see cref="IFirebaseStorage.PauseUploadAsync"/> and the other controls.
+    /// Pass one to pause or cancel before the first progress report; defaults to a new unique id.
+    /// </param>
     /// <param name="cancellationToken">Optional cancellation token to cancel the upload.</param>
     /// <returns>The result of the upload operation.</returns>
-    Task<Result<UploadResult>> PutAsync(Stream data, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, CancellationToken cancellationToken = default);
+    Task<Result<UploadResult>> PutAsync(Stream data, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, string? taskId = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Uploads a browser file to this reference.
@@ -56,9 +115,36 @@ public interface IStorageReference
     /// <param name="file">The browser file to upload.</param>
     /// <param name="metadata">Optional metadata for the uploaded file.</param>
     /// <param name="onProgress">Optional callback for upload progress updates.</param>
+    /// <param name="taskId">Optional id for the upload task; see <see cref="PutAsync(Stream, StorageMetadata, Action{UploadProgress}, string, CancellationToken)"/>.</param>
     /// <param name="cancellationToken">Optional cancellation token to cancel the upload.</param>
     /// <returns>The result of the upload operation.</returns>
-    Task<Result<UploadResult>> PutAsync(IBrowserFile file, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, CancellationToken cancellationToken = default);
+    Task<Result<UploadResult>> PutAsync(IBrowserFile file, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, string? taskId = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Uploads an image after scaling and re-encoding it in the browser, optionally with thumbnails
+    /// stored next to it. Fails with storage/image-processing-failed if the browser cannot decode the image.
+    /// </summary>
+    /// <param name="data">The image data.</param>
+    /// <param name="options">How to process the image.</param>
+    /// <param name="metadata">Optional metadata, applied to the image and its thumbnails. The content type is set from the output format.</param>
+    /// <param name="onProgress">Optional callback for upload progress of the main image.</param>
+    /// <param name="taskId">
+    /// Optional id for the upload task, for <see cref="IFirebaseStorage.PauseUploadAsync"/> and the other controls.
+    /// The controls act on the main image and its thumbnails together. Defaults to a new unique id.
+    /// </param>
+    /// <param name="cancellationToken">Optional cancellation token to cancel the upload, including thumbnails not yet uploaded.</param>
+    /// <returns>
+    /// The upload result with the original and final sizes and the uploaded thumbnails. Once the main image
+    /// is stored the result is a success; thumbnails that failed or were canceled are in
+    /// <see cref="ImageUploadResult.FailedThumbnails"/>.
+    /// </returns>
+    Task<Result<ImageUploadResult>> PutImageAsync(Stream data, ImageUploadOptions options, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, string? taskId = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Uploads an image from a browser file after scaling and re-encoding it in the browser.
+    /// </summary>
+    /// <inheritdoc cref="PutImageAsync(Stream, ImageUploadOptions, StorageMetadata, Action{UploadProgress}, string, CancellationToken)"/>
+    Task<Result<ImageUploadResult>> PutImageAsync(IBrowserFile file, ImageUploadOptions options, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, string? taskId = null, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Uploads a string to this reference.
@@ -83,6 +169,18 @@ public interface IStorageReference
     /// <returns>The file contents as a byte array.</returns>
     Task<Result<byte[]>> GetBytesAsync(long maxSize = 10 * 1024 * 1024);
 
+    /// <summary>
+    /// Downloads the file as a byte array, reporting progress as the data arrives.
+    /// </summary>
+    /// <param name="maxSize">Maximum size in bytes to download. Larger files fail with storage/download-size-exceeded. Defaults to 10 MB.</param>
+    /// <param name="onProgress">Optional callback for download progress updates.</param>
+    /// <param name="cancellationToken">Optional cancellation token to abort the download.</param>
+    /// <returns>The file contents as a byte array.</returns>
+    Task<Result<byte[]>> DownloadAsync(
+        long maxSize = 10 * 1024 * 1024,
+        Action<DownloadProgress>? onProgress = null,
+        CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Downloads the file as a stream.
     /// </summary>
@@ -90,6 +188,18 @@ public interface IStorageReference
     /// <returns>A stream containing the file data.</returns>
     Task<Result<Stream>> GetStreamAsync(long maxSize = 10 * 1024 * 1024);
 
+    /// <summary>
+    /// Downloads the file into browser memory and returns an object URL for it, for use in
+    /// img, video or a elements without moving the data through .NET.
+    /// </summary>
+    /// <param name="maxSize">Maximum size in bytes to download. Defaults to 10 MB.</param>
+    /// <param name="autoRevoke">
+    /// Also revoke the URL once no src, href, poster or srcset attribute in the main document references it.
+    /// Off by default; see <see cref="ObjectUrlHandle"/> for the references this misses.
+    /// </param>
+    /// <returns>A handle that revokes the URL when disposed.</returns>
+    Task<Result<ObjectUrlHandle>> GetObjectUrlAsync(long maxSize = 10 * 1024 * 1024, bool autoRevoke = false);
+
     /// <summary>
     /// Gets a public download URL for this file.
     /// </summary>
@@ -115,6 +225,16 @@ public interface IStorageReference
     /// <returns>The result of the delete operation.</returns>
     Task<Result<Unit>> DeleteAsync();
 
+    /// <summary>
+    /// Deletes every file under this reference, including nested folders. Storage has no folder
+    /// delete, so files are listed page by page and deleted individually, a limited number at a time.
+    /// A file that fails to delete is recorded in the result and does not stop the rest.
+    /// </summary>
+    /// <param name="maxConcurrency">Maximum number of deletes in flight at once. Defaults to 8.</param>
+    /// <param name="onProgress">Optional callback for progress updates.</param>
+    /// <returns>The deleted paths and the failures.</returns>
+    Task<Result<DeleteFolderResult>> DeleteFolderAsync(int maxConcurrency = 8, Action<DeleteFolderProgress>? onProgress = null);
+
     /// <summary>
     /// Lists all files and subdirectories under this reference.
     /// </summary>
@@ -127,6 +247,21 @@ public interface IStorageReference
     /// <param name="options">Options for pagination.</param>
     /// <returns>A page of files and subdirectories.</returns>
     Task<Result<PagedListResult>> ListAsync(ListOptions? options = null);
+
+    /// <summary>
+    /// Lists all files and subdirectories under this reference, with the full metadata of each file.
+    /// </summary>
+    /// <param name="maxConcurrency">Maximum number of metadata requests in flight at once. Defaults to 8.</param>
+    /// <returns>The files with their metadata, and the subdirectories.</returns>
+    Task<Result<MetadataListResult>> ListAllWithMetadataAsync(int maxConcurrency = 8);
+
+    /// <summary>
+    /// Lists a page of files and subdirectories under this reference, with the full metadata of each file.
+    /// </summary>
+    /// <param name="options">Options for pagination.</param>
+    /// <param name="maxConcurrency">Maximum number of metadata requests in flight at once. Defaults to 8.</param>
+    /// <returns>A page of files with their metadata, and the subdirectories.</returns>
+    Task<Result<MetadataListResult>> ListWithMetadataAsync(ListOptions? options = null, int maxConcurrency = 8);
 }
 
 public sealed class StorageMetadata
@@ -137,6 +272,58 @@ public sealed class StorageMetadata
     public string? ContentEncoding { get; set; }
     public string? ContentLanguage { get; set; }
     public Dictionary<string, string>? CustomMetadata { get; set; }
+
+    // Maintained by Storage: filled in on metadata reads and ignored on upload and update
+
+    /// <summary>Bucket the object is stored in.</summary>
+    public string? Bucket { get; init; }
+
+    /// <summary>Object name, the last segment of <see cref="FullPath"/>.</summary>
+    public string? Name { get; init; }
+
+    /// <summary>Full path of the object, not including the bucket.</summary>
+    public string? FullPath { get; init; }
+
+    /// <summary>Object size in bytes.</summary>
+    public long? Size { get; init; }
+
+    public DateTimeOffset? TimeCreated { get; init; }
+
+    /// <summary>When the object or its metadata was last modified.</summary>
+    public DateTimeOffset? Updated { get; init; }
+
+    /// <summary>Base64-encoded MD5 hash of the object data, when Storage provides one.</summary>
+    public string? Md5Hash { get; init; }
+
+    /// <summary>Object version; changes whenever the data is overwritten.</summary>
+    public string? Generation { get; init; }
+
+    /// <summary>Metadata version for the current generation; changes whenever the metadata is updated.</summary>
+    public string? Metageneration { get; init; }
+}
+
+/// <summary>
+/// A listed file together with its metadata.
+/// </summary>
+public sealed class StorageListItem
+{
+    public required IStorageReference Reference { get; init; }
+    public required StorageMetadata Metadata { get; init; }
+}
+
+/// <summary>
+/// Result of <see cref="IStorageReference.ListWithMetadataAsync"/> and <see cref="IStorageReference.ListAllWithMetadataAsync"/>.
+/// </summary>
+public sealed class MetadataListResult
+{
+    /// <summary>Files with their metadata.</summary>
+    public IReadOnlyList<StorageListItem> Items { get; init; } = [];
+
+    /// <summary>Subdirectories (prefixes).</summary>
+    public IReadOnlyList<IStorageReference> Prefixes { get; init; } = [];
+
+    /// <summary>Token to get the next page, or null if there are no more pages or all items were listed.</summary>
+    public string? NextPageToken { get; init; }
 }
 
 public sealed class UploadResult
@@ -144,6 +331,12 @@ public sealed class UploadResult
     public required string DownloadUrl { get; init; }
     public required string FullPath { get; init; }
     public required long BytesTransferred { get; init; }
+
+    /// <summary>
+    /// Base64 hash of the uploaded data, stored in custom metadata and verified against the stored
+    /// object. Null unless <see cref="StorageOptions.WithUploadIntegrity"/> is enabled.
+    /// </summary>
+    public string? ContentHash { get; init; }
 }
 
 public sealed class UploadProgress
@@ -151,6 +344,40 @@ public sealed class UploadProgress
     public required long BytesTransferred { get; init; }
     public required long TotalBytes { get; init; }
     public double Percentage => TotalBytes > 0 ? (double)BytesTransferred / TotalBytes * 100 : 0;
+
+    /// <summary>
+    /// Id of the upload task, for use with <see cref="IFirebaseStorage.PauseUploadAsync"/>,
+    /// <see cref="IFirebaseStorage.ResumeUploadAsync"/> and <see cref="IFirebaseStorage.CancelUploadAsync"/>.
+    /// </summary>
+    public string? TaskId { get; init; }
+
+    /// <summary>Current state of the upload task.</summary>
+    public UploadTaskState State { get; init; } = UploadTaskState.Running;
+}
+
+public sealed class DownloadProgress
+{
+    /// <summary>Id of the download, unique per <see cref="IStorageReference.DownloadAsync"/> call.</summary>
+    public string? DownloadId { get; init; }
+
+    public required long BytesReceived { get; init; }
+
+    /// <summary>Total size in bytes, or null if the server did not report it.</summary>
+    public long? TotalBytes { get; init; }
+
+    public double Percentage => TotalBytes > 0 ? (double)BytesReceived / TotalBytes.Value * 100 : 0;
+}
+
+/// <summary>
+/// State of an upload task, as reported by Firebase Storage.
+/// </summary>
+public enum UploadTaskState
+{
+    Running,
+    Paused,
+    Success,
+    Canceled,
+    Error
 }
 
 public sealed class ListResult
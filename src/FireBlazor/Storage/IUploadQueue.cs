@@ -0,0 +1,107 @@
+namespace FireBlazor;
+
+/// <summary>
+/// A persistent upload queue. Queued files and their metadata are stored in the browser's
+/// IndexedDB, so they survive page reloads and loss of connectivity. Items are uploaded one
+/// at a time; failed attempts are retried with exponential backoff, and immediately when the
+/// browser comes back online.
+/// </summary>
+public interface IUploadQueue
+{
+    /// <summary>
+    /// Raised when a queued item changes status: when it is queued, when an attempt starts,
+    /// fails or is scheduled for retry, and when it completes.
+    /// </summary>
+    event Action<QueuedUpload>? OnStatusChanged;
+
+    /// <summary>
+    /// Raised with upload progress for the item being uploaded.
+    /// <see cref="UploadProgress.TaskId"/> is the <see cref="QueuedUpload.Id"/>, so an
+    /// attempt in flight can be paused or resumed through <see cref="IFirebaseStorage"/>.
+    /// </summary>
+    event Action<UploadProgress>? OnProgress;
+
+    /// <summary>
+    /// Starts processing the queue, resuming items persisted by a previous session.
+    /// Called during initialization when the queue is enabled with
+    /// <see cref="StorageOptions.WithUploadQueue"/>; otherwise the queue starts on first use.
+    /// </summary>
+    /// <returns>The items found in the queue.</returns>
+    Task<Result<IReadOnlyList<QueuedUpload>>> StartAsync();
+
+    /// <summary>
+    /// Adds a file to the queue. The data is copied into browser storage before this returns,
+    /// so the stream can be disposed afterwards.
+    /// </summary>
+    /// <param name="path">Destination path in the storage bucket.</param>
+    /// <param name="data">The data to upload.</param>
+    /// <param name="metadata">Optional metadata for the uploaded file.</param>
+    /// <param name="bucket">Optional bucket to upload to, as "gs://bucket-name" or "bucket-name". Defaults to the default bucket.</param>
+    /// <returns>The queued item.</returns>
+    Task<Result<QueuedUpload>> EnqueueAsync(string path, Stream data, StorageMetadata? metadata = null, string? bucket = null);
+
+    /// <summary>
+    /// Gets the items still in the queue (pending, uploading or failed), oldest first.
+    /// Completed items are removed from the queue.
+    /// </summary>
+    Task<Result<IReadOnlyList<QueuedUpload>>> GetItemsAsync();
+
+    /// <summary>
+    /// Removes an item from the queue, canceling its upload if one is in flight.
+    /// </summary>
+    Task<Result<Unit>> RemoveAsync(string id);
+
+    /// <summary>
+    /// Queues a failed item again with a fresh attempt budget, skipping any remaining backoff.
+    /// </summary>
+    Task<Result<QueuedUpload>> RetryAsync(string id);
+}
+
+/// <summary>
+/// An item in the <see cref="IUploadQueue"/>.
+/// </summary>
+public sealed class QueuedUpload
+{
+    /// <summary>Id of the queued item, also used as the upload task id.</summary>
+    public required string Id { get; init; }
+
+    /// <summary>Destination path in the storage bucket.</summary>
+    public required string Path { get; init; }
+
+    /// <summary>Destination bucket as a gs:// URL, or null for the default bucket.</summary>
+    public string? Bucket { get; init; }
+
+    public QueuedUploadStatus Status { get; init; }
+
+    /// <summary>Number of upload attempts made so far.</summary>
+    public int Attempts { get; init; }
+
+    /// <summary>Size of the queued data in bytes.</summary>
+    public long TotalBytes { get; init; }
+
+    /// <summary>The error from the most recent failed attempt, if any.</summary>
+    public FirebaseError? LastError { get; init; }
+
+    public DateTimeOffset CreatedAt { get; init; }
+
+    /// <summary>When the next attempt is due, while a pending item is backing off.</summary>
+    public DateTimeOffset? NextAttemptAt { get; init; }
+
+    /// <summary>Download URL of the uploaded file, once <see cref="Status"/> is Completed.</summary>
+    public string? DownloadUrl { get; init; }
+}
+
+/// <summary>
+/// Status of a <see cref="QueuedUpload"/>.
+/// </summary>
+public enum QueuedUploadStatus
+{
+    /// <summary>Waiting to be uploaded, or waiting for its next retry.</summary>
+    Pending,
+    /// <summary>An upload attempt is in flight.</summary>
+    Uploading,
+    /// <summary>All attempts failed, or the error cannot be fixed by retrying. Use <see cref="IUploadQueue.RetryAsync"/> to try again.</summary>
+    Failed,
+    /// <summary>Uploaded and removed from the queue.</summary>
+    Completed
+}
@@ -0,0 +1,135 @@
+namespace FireBlazor;
+
+/// <summary>
+/// Output format for <see cref="IStorageReference.PutImageAsync(Stream, ImageUploadOptions, StorageMetadata, Action{UploadProgress}, string, CancellationToken)"/>.
+/// </summary>
+public enum ImageUploadFormat
+{
+    Jpeg,
+
+    /// <summary>WebP. Browsers that cannot encode WebP upload JPEG instead; see <see cref="ImageUploadResult.ContentType"/>.</summary>
+    WebP
+}
+
+/// <summary>
+/// How an image is processed in the browser before it is uploaded.
+/// </summary>
+public sealed class ImageUploadOptions
+{
+    /// <summary>
+    /// Maximum width or height in pixels. Larger images are scaled down to fit, keeping
+    /// their aspect ratio; smaller ones are never scaled up. Null keeps the original dimensions.
+    /// </summary>
+    public int? MaxDimension { get; init; }
+
+    public ImageUploadFormat Format { get; init; } = ImageUploadFormat.Jpeg;
+
+    /// <summary>Encoder quality from 0 (smallest) to 1 (best). Defaults to 0.85.</summary>
+    public double Quality { get; init; } = 0.85;
+
+    /// <summary>Smaller versions of the image to upload next to it.</summary>
+    public IReadOnlyList<ImageThumbnail> Thumbnails { get; init; } = [];
+
+    internal void Validate(string path)
+    {
+        if (MaxDimension is <= 0)
+            throw new ArgumentOutOfRangeException(nameof(MaxDimension), MaxDimension, "Must be greater than zero.");
+        if (Quality is <= 0 or > 1)
+            throw new ArgumentOutOfRangeException(nameof(Quality), Quality, "Must be greater than 0 and at most 1.");
+
+        var paths = new HashSet<string> { path };
+        foreach (var thumbnail in Thumbnails)
+        {
+            ArgumentNullException.ThrowIfNull(thumbnail, nameof(Thumbnails));
+            if (thumbnail.MaxDimension <= 0)
+                throw new ArgumentOutOfRangeException(nameof(Thumbnails), thumbnail.MaxDimension, "Thumbnail MaxDimension must be greater than zero.");
+            var thumbnailPath = thumbnail.GetPath(path, Format);
+            if (!paths.Add(thumbnailPath))
+                throw new ArgumentException($"Thumbnail path \"{thumbnailPath}\" is used more than once.", nameof(Thumbnails));
+        }
+    }
+}
+
+/// <summary>
+/// A thumbnail generated from an uploaded image and stored next to it.
+/// </summary>
+public sealed class ImageThumbnail
+{
+    /// <summary>Maximum width or height of the thumbnail in pixels.</summary>
+    public required int MaxDimension { get; init; }
+
+    /// <summary>
+    /// Appended to the file name to form the thumbnail path. Defaults to "_{MaxDimension}", so a
+    /// 200 px thumbnail of "photos/beach.jpg" is stored at "photos/beach_200.jpg". The extension
+    /// follows <see cref="ImageUploadOptions.Format"/>.
+    /// </summary>
+    public string? Suffix { get; init; }
+
+    internal string GetPath(string path, ImageUploadFormat format)
+    {
+        var suffix = Suffix ?? $"_{MaxDimension}";
+        if (suffix.Contains('/'))
+            throw new ArgumentException($"Thumbnail suffix \"{suffix}\" must not contain '/'.", nameof(Suffix));
+
+        var slash = path.LastIndexOf('/');
+        var directory = path[..(slash + 1)];
+        var name = path[(slash + 1)..];
+        var dot = name.LastIndexOf('.');
+        var baseName = dot > 0 ? name[..dot] : name;
+        var extension = format == ImageUploadFormat.WebP ? ".webp" : ".jpg";
+
+        return $"{directory}{baseName}{suffix}{extension}";
+    }
+}
+
+/// <summary>
+/// Result of an image upload, with the sizes before and after processing.
+/// </summary>
+public sealed class ImageUploadResult
+{
+    public required string DownloadUrl { get; init; }
+    public required string FullPath { get; init; }
+    public required long BytesTransferred { get; init; }
+
+    /// <summary>Content type of the uploaded image.</summary>
+    public string? ContentType { get; init; }
+
+    /// <summary>Size of the image before processing, in bytes.</summary>
+    public required long OriginalSize { get; init; }
+
+    /// <summary>Size of the uploaded image, in bytes.</summary>
+    public required long FinalSize { get; init; }
+
+    public int? OriginalWidth { get; init; }
+    public int? OriginalHeight { get; init; }
+    public int? Width { get; init; }
+    public int? Height { get; init; }
+
+    public IReadOnlyList<UploadedThumbnail> Thumbnails { get; init; } = [];
+
+    /// <summary>
+    /// Thumbnails that could not be uploaded, including ones canceled with the upload.
+    /// The main image stays stored either way.
+    /// </summary>
+    public IReadOnlyList<FailedThumbnail> FailedThumbnails { get; init; } = [];
+}
+
+/// <summary>
+/// A thumbnail uploaded with an image.
+/// </summary>
+public sealed class UploadedThumbnail
+{
+    public required string FullPath { get; init; }
+    public required string DownloadUrl { get; init; }
+
+    /// <summary>Size in bytes.</summary>
+    public required long Size { get; init; }
+
+    public int? Width { get; init; }
+    public int? Height { get; init; }
+}
+
+/// <summary>
+/// A thumbnail that could not be uploaded, and why.
+/// </summary>
+public sealed record FailedThumbnail(string Path, FirebaseError Error);
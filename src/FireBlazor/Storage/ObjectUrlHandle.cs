@@ -0,0 +1,51 @@
+namespace FireBlazor;
+
+/// <summary>
+/// A browser object URL for a downloaded Storage object, returned by
+/// <see cref="IStorageReference.GetObjectUrlAsync"/>. Bind <see cref="Url"/> to the src or href of
+/// an img, video or a element. The object stays in browser memory until the handle is disposed.
+/// </summary>
+/// <remarks>
+/// Dispose the handle when the URL is no longer shown, e.g. in a component's DisposeAsync; until
+/// then the URL stays valid. Handles created with autoRevoke are also revoked by the browser bridge
+/// once no src, href, poster or srcset attribute in the main document has referenced the URL for
+/// about 30 seconds. That check does not see elements inside shadow roots or iframes, CSS
+/// <c>url(...)</c> values, or URLs held only in script, so a URL used that way is revoked while
+/// still in use. Leave autoRevoke off for such URLs.
+/// </remarks>
+public sealed class ObjectUrlHandle : IAsyncDisposable
+{
+    private readonly Func<string, Task> _revoke;
+
+    internal ObjectUrlHandle(string url, long size, string? contentType, Func<string, Task> revoke)
+    {
+        Url = url;
+        Size = size;
+        ContentType = contentType;
+        _revoke = revoke;
+    }
+
+    /// <summary>The object URL (blob:...).</summary>
+    public string Url { get; }
+
+    /// <summary>Size of the object in bytes.</summary>
+    public long Size { get; }
+
+    public string? ContentType { get; }
+
+    /// <summary>Whether <see cref="DisposeAsync"/> has been called.</summary>
+    public bool IsRevoked { get; private set; }
+
+    /// <summary>
+    /// Revokes the object URL and releases the object from browser memory.
+    /// Elements still showing the URL keep their current content.
+    /// </summary>
+    public async ValueTask DisposeAsync()
+    {
+        if (IsRevoked) return;
+        IsRevoked = true;
+        await _revoke(Url);
+    }
+
+    public override string ToString() => Url;
+}
@@ -0,0 +1,29 @@
+namespace FireBlazor;
+
+/// <summary>
+/// Bucket name handling shared by the storage implementations.
+/// </summary>
+internal static class StorageBucket
+{
+    private const string Scheme = "gs://";
+
+    /// <summary>
+    /// Returns the bucket as a gs:// URL, the form the JS SDK expects.
+    /// Accepts "gs://my-bucket" or a bare "my-bucket".
+    /// </summary>
+    /// <exception cref="ArgumentException">The bucket is empty or includes a path.</exception>
+    public static string Normalize(string bucket, string paramName)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(bucket, paramName);
+
+        var name = bucket.Trim();
+        if (name.StartsWith(Scheme, StringComparison.OrdinalIgnoreCase))
+            name = name[Scheme.Length..];
+        name = name.TrimEnd('/');
+
+        if (name.Length == 0 || name.Contains('/') || name.Contains(':') || name.Any(char.IsWhiteSpace))
+            throw new ArgumentException($"Invalid storage bucket \"{bucket}\". Expected \"gs://bucket-name\" or \"bucket-name\".", paramName);
+
+        return Scheme + name;
+    }
+}
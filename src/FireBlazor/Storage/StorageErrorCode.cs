@@ -19,7 +19,14 @@ public enum StorageErrorCode
     InvalidArgument,
     NoDefaultBucket,
     CannotSliceBlob,
-    ServerFileWrongSize
+    ServerFileWrongSize,
+    NotInitialized,
+    UploadNotFound,
+    QueueNotStarted,
+    DownloadNotFound,
+    DownloadSizeExceeded,
+    ImageProcessingFailed,
+    IntegrityMismatch
 }
 
 public static class StorageErrorCodeExtensions
@@ -40,6 +47,13 @@ public static class StorageErrorCodeExtensions
         "storage/no-default-bucket" => StorageErrorCode.NoDefaultBucket,
         "storage/cannot-slice-blob" => StorageErrorCode.CannotSliceBlob,
         "storage/server-file-wrong-size" => StorageErrorCode.ServerFileWrongSize,
+        "storage/not-initialized" => StorageErrorCode.NotInitialized,
+        "storage/upload-not-found" => StorageErrorCode.UploadNotFound,
+        "storage/queue-not-started" => StorageErrorCode.QueueNotStarted,
+        "storage/download-not-found" => StorageErrorCode.DownloadNotFound,
+        "storage/download-size-exceeded" => StorageErrorCode.DownloadSizeExceeded,
+        "storage/image-processing-failed" => StorageErrorCode.ImageProcessingFailed,
+        "storage/integrity-mismatch" => StorageErrorCode.IntegrityMismatch,
         _ => StorageErrorCode.Unknown
     };
 
@@ -59,6 +73,13 @@ public static class StorageErrorCodeExtensions
         StorageErrorCode.NoDefaultBucket => "storage/no-default-bucket",
         StorageErrorCode.CannotSliceBlob => "storage/cannot-slice-blob",
         StorageErrorCode.ServerFileWrongSize => "storage/server-file-wrong-size",
+        StorageErrorCode.NotInitialized => "storage/not-initialized",
+        StorageErrorCode.UploadNotFound => "storage/upload-not-found",
+        StorageErrorCode.QueueNotStarted => "storage/queue-not-started",
+        StorageErrorCode.DownloadNotFound => "storage/download-not-found",
+        StorageErrorCode.DownloadSizeExceeded => "storage/download-size-exceeded",
+        StorageErrorCode.ImageProcessingFailed => "storage/image-processing-failed",
+        StorageErrorCode.IntegrityMismatch => "storage/integrity-mismatch",
         _ => "storage/unknown"
     };
 }
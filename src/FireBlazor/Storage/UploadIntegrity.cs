@@ -0,0 +1,47 @@
+namespace FireBlazor;
+
+/// <summary>
+/// Hash recorded for uploads when <see cref="StorageOptions.WithUploadIntegrity"/> is enabled.
+/// </summary>
+public enum UploadHashAlgorithm
+{
+    /// <summary>MD5, the same hash Storage reports as <see cref="StorageMetadata.Md5Hash"/>, which it is verified against.</summary>
+    Md5,
+
+    /// <summary>
+    /// SHA-256, for checking downloads against a stronger hash later. Storage does not report it,
+    /// so the upload itself is only checked by size.
+    /// </summary>
+    Sha256
+}
+
+/// <summary>
+/// Custom metadata keys for the hashes stored by integrity-checked uploads.
+/// </summary>
+public static class UploadIntegrity
+{
+    /// <summary>Custom metadata key holding the base64 MD5 of the uploaded data.</summary>
+    public const string Md5MetadataKey = "contentMd5";
+
+    /// <summary>Custom metadata key holding the base64 SHA-256 of the uploaded data.</summary>
+    public const string Sha256MetadataKey = "contentSha256";
+
+    /// <summary>The custom metadata key the given algorithm's hash is stored under.</summary>
+    public static string GetMetadataKey(UploadHashAlgorithm algorithm) => algorithm switch
+    {
+        UploadHashAlgorithm.Md5 => Md5MetadataKey,
+        UploadHashAlgorithm.Sha256 => Sha256MetadataKey,
+        _ => throw new ArgumentOutOfRangeException(nameof(algorithm), algorithm, null)
+    };
+
+    /// <summary>
+    /// The algorithm name passed to JavaScript, or null when integrity checks are off.
+    /// </summary>
+    internal static string? ToJsAlgorithm(UploadHashAlgorithm? algorithm) => algorithm switch
+    {
+        null => null,
+        UploadHashAlgorithm.Md5 => "md5",
+        UploadHashAlgorithm.Sha256 => "sha256",
+        _ => throw new ArgumentOutOfRangeException(nameof(algorithm), algorithm, null)
+    };
+}
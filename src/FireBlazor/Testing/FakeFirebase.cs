@@ -83,6 +83,34 @@ public sealed class FakeFirebase : IFirebase
         return Task.CompletedTask;
     }
 
+    /// <summary>
+    /// Reports every fake service as initialized without emulators.
+    /// </summary>
+    public Task<Result<FirebaseAppStatus>> GetServiceStatusAsync()
+    {
+        var initialized = new FirebaseServiceStatus(true, null, new Dictionary<string, string?>());
+        var status = new FirebaseAppStatus(
+            "[DEFAULT]", true, initialized, initialized, initialized, initialized, initialized, initialized);
+        return Task.FromResult(Result<FirebaseAppStatus>.Success(status));
+    }
+
+    /// <summary>
+    /// Reports no active listeners; fake services do not go through the JS subscription registry.
+    /// </summary>
+    public Task<Result<IReadOnlyList<FirebaseSubscriptionInfo>>> GetSubscriptionsAsync()
+    {
+        return Task.FromResult(Result<IReadOnlyList<FirebaseSubscriptionInfo>>.Success([]));
+    }
+
+    /// <summary>
+    /// Resets all fake services, mirroring the released state of a terminated app.
+    /// </summary>
+    public Task<Result<Unit>> TerminateAsync()
+    {
+        Reset();
+        return Task.FromResult(Result<Unit>.Success(Unit.Value));
+    }
+
     /// <summary>
     /// Resets all fake services to their initial state.
     /// </summary>
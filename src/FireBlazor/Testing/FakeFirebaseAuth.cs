@@ -10,8 +10,16 @@ namespace FireBlazor.Testing;
 /// </remarks>
 public sealed class FakeFirebaseAuth : IFirebaseAuth
 {
+    /// <summary>
+    /// The SMS code accepted for phone numbers without a code set by <see cref="ConfigurePhoneNumber"/>.
+    /// </summary>
+    public const string DefaultPhoneVerificationCode = "123456";
+
     private readonly Dictionary<string, (string Password, FirebaseUser User)> _users = new();
     private readonly Dictionary<string, FirebaseUser> _oauthProviders = new();
+    private readonly Dictionary<string, OAuthCredential> _oauthCredentials = new();
+    private readonly Dictionary<string, (string Code, FirebaseUser? User)> _phoneNumbers = new();
+    private readonly Dictionary<string, string> _phoneVerifications = new();
     private FirebaseUser? _currentUser;
     private FirebaseError? _simulatedError;
     private Func<FirebaseUser, string>? _tokenGenerator;
@@ -21,6 +29,9 @@ public sealed class FakeFirebaseAuth : IFirebaseAuth
 
     public event Action<FirebaseUser?>? OnAuthStateChanged;
 
+    public Result<ProviderSignInResult>? RedirectResult { get; private set; }
+    public Result<AccountLinkResult>? RedirectLinkResult { get; private set; }
+
     /// <summary>
     /// Adds a user to the fake auth store.
     /// </summary>
@@ -43,6 +54,25 @@ public sealed class FakeFirebaseAuth : IFirebaseAuth
         _oauthProviders[provider.ToLowerInvariant()] = user;
     }
 
+    /// <summary>
+    /// Configures a provider for <see cref="SignInWithProviderAsync"/> to return a specific user and credential.
+    /// Without a credential, non-SAML providers return one with a fake access token.
+    /// </summary>
+    public void ConfigureOAuthProvider(string providerId, FirebaseUser user, OAuthCredential credential)
+    {
+        ConfigureOAuthProvider(providerId, user);
+        _oauthCredentials[providerId.ToLowerInvariant()] = credential;
+    }
+
+    /// <summary>
+    /// Configures the SMS code <see cref="ConfirmPhoneCodeAsync"/> accepts for a phone number, like a
+    /// test phone number in the Firebase console, and optionally the user it signs in.
+    /// </summary>
+    public void ConfigurePhoneNumber(string phoneNumber, string verificationCode, FirebaseUser? user = null)
+    {
+        _phoneNumbers[phoneNumber] = (verificationCode, user);
+    }
+
     /// <summary>
     /// Simulates an error for the next operation.
     /// </summary>
@@ -60,6 +90,28 @@ public sealed class FakeFirebaseAuth : IFirebaseAuth
         _tokenGenerator = generator;
     }
 
+    /// <summary>
+    /// Simulates returning from a redirect sign-in: sets <see cref="RedirectResult"/> and, on success,
+    /// signs in its user.
+    /// </summary>
+    public void SetRedirectResult(Result<ProviderSignInResult>? result)
+    {
+        RedirectResult = result;
+        if (result is { IsSuccess: true } redirect)
+            SetCurrentUser(redirect.Value.User);
+    }
+
+    /// <summary>
+    /// Simulates returning from a link redirect: sets <see cref="RedirectLinkResult"/> and, when the
+    /// provider was linked, makes its user the current user.
+    /// </summary>
+    public void SetRedirectLinkResult(Result<AccountLinkResult>? result)
+    {
+        RedirectLinkResult = result;
+        if (result is { IsSuccess: true, Value.User: { } user })
+            SetCurrentUser(user);
+    }
+
     /// <summary>
     /// Directly sets the current user (for testing scenarios).
     /// </summary>
@@ -123,6 +175,215 @@ public sealed class FakeFirebaseAuth : IFirebaseAuth
     public Task<Result<FirebaseUser>> SignInWithAppleAsync() => SignInWithOAuthAsync("apple");
     public Task<Result<FirebaseUser>> SignInWithFacebookAsync() => SignInWithOAuthAsync("facebook");
 
+    public async Task<Result<ProviderSignInResult>> SignInWithProviderAsync(AuthProviderOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate();
+
+        var result = await SignInWithOAuthAsync(options.ProviderId);
+        if (result.IsFailure)
+            return Result<ProviderSignInResult>.Failure(result.Error!);
+
+        if (!_oauthCredentials.TryGetValue(options.ProviderId.ToLowerInvariant(), out var credential) && !options.IsSaml)
+        {
+            credential = new OAuthCredential
+            {
+                ProviderId = options.ProviderId,
+                SignInMethod = options.ProviderId,
+                AccessToken = $"fake-access-token-{options.ProviderId}"
+            };
+        }
+
+        return new ProviderSignInResult { User = result.Value, Credential = credential };
+    }
+
+    public async Task<Result<ProviderSignInResult>> SignInWithCredentialAsync(OAuthCredential credential)
+    {
+        ArgumentNullException.ThrowIfNull(credential);
+
+        if (TryConsumeSimulatedError(out var error))
+            return Result<ProviderSignInResult>.Failure(error!);
+
+        if (!_oauthProviders.ContainsKey(credential.ProviderId.ToLowerInvariant()))
+            return Result<ProviderSignInResult>.Failure(new FirebaseError("auth/invalid-credential", "No account for this credential"));
+
+        var result = await SignInWithOAuthAsync(credential.ProviderId);
+        return new ProviderSignInResult { User = result.Value, Credential = credential };
+    }
+
+    public Task<Result<FirebaseUser>> SignInAnonymouslyAsync()
+    {
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<FirebaseUser>.Failure(error!));
+
+        var user = new FirebaseUser
+        {
+            Uid = Guid.NewGuid().ToString(),
+            IsAnonymous = true,
+            CreatedAt = DateTimeOffset.UtcNow
+        };
+        SetCurrentUser(user);
+        return Task.FromResult(Result<FirebaseUser>.Success(user));
+    }
+
+    public Task<Result<FirebaseUser>> LinkWithEmailAsync(string email, string password)
+    {
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<FirebaseUser>.Failure(error!));
+
+        if (_currentUser == null)
+            return Task.FromResult(Result<FirebaseUser>.Failure(new FirebaseError("auth/no-user", "No user is currently signed in")));
+
+        var key = email.ToLowerInvariant();
+        if (_users.ContainsKey(key))
+            return Task.FromResult(Result<FirebaseUser>.Failure(new FirebaseError("auth/email-already-in-use", "Email already in use")));
+
+        var user = Link(_currentUser, "password", email);
+        _users[key] = (password, user);
+        return Task.FromResult(Result<FirebaseUser>.Success(user));
+    }
+
+    /// <remarks>
+    /// A provider configured with <see cref="ConfigureOAuthProvider(string, FirebaseUser)"/> for another
+    /// user is treated as already in use. Otherwise the provider is linked, and later sign-ins with it
+    /// return the linked user.
+    /// </remarks>
+    public Task<Result<AccountLinkResult>> LinkWithProviderAsync(AuthProviderOptions options)
+    {
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate();
+
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<AccountLinkResult>.Failure(error!));
+
+        if (_currentUser == null)
+            return Task.FromResult(Result<AccountLinkResult>.Failure(new FirebaseError("auth/no-user", "No user is currently signed in")));
+
+        var key = options.ProviderId.ToLowerInvariant();
+        var credential = _oauthCredentials.GetValueOrDefault(key) ?? new OAuthCredential
+        {
+            ProviderId = options.ProviderId,
+            SignInMethod = options.ProviderId,
+            AccessToken = $"fake-access-token-{options.ProviderId}"
+        };
+
+        if (_oauthProviders.TryGetValue(key, out var owner) && owner.Uid != _currentUser.Uid)
+        {
+            return Task.FromResult(Result<AccountLinkResult>.Success(new AccountLinkResult
+            {
+                Status = AccountLinkStatus.CredentialAlreadyInUse,
+                ConflictingCredential = credential
+            }));
+        }
+
+        var user = Link(_currentUser, options.ProviderId, _currentUser.Email);
+        _oauthProviders[key] = user;
+        return Task.FromResult(Result<AccountLinkResult>.Success(new AccountLinkResult
+        {
+            Status = AccountLinkStatus.Linked,
+            User = user,
+            Credential = credential
+        }));
+    }
+
+    // Same uid, no longer anonymous, with the provider added
+    private FirebaseUser Link(FirebaseUser user, string providerId, string? email)
+    {
+        var linked = new FirebaseUser
+        {
+            Uid = user.Uid,
+            Email = email ?? user.Email,
+            DisplayName = user.DisplayName,
+            PhotoUrl = user.PhotoUrl,
+            PhoneNumber = user.PhoneNumber,
+            IsEmailVerified = user.IsEmailVerified,
+            IsAnonymous = false,
+            Providers = [.. user.Providers, providerId],
+            CreatedAt = user.CreatedAt,
+            LastSignInAt = user.LastSignInAt
+        };
+        SetCurrentUser(linked);
+        return linked;
+    }
+
+    public Task<Result<PhoneVerification>> SignInWithPhoneNumberAsync(string phoneNumber, PhoneSignInOptions options)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(phoneNumber);
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate();
+
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<PhoneVerification>.Failure(error!));
+
+        if (phoneNumber.Length < 2 || phoneNumber[0] != '+' || !phoneNumber.Skip(1).All(char.IsAsciiDigit))
+            return Task.FromResult(Result<PhoneVerification>.Failure(new FirebaseError("auth/invalid-phone-number", "Phone number must be in E.164 format")));
+
+        return Task.FromResult(Result<PhoneVerification>.Success(StartPhoneVerification(phoneNumber)));
+    }
+
+    /// <remarks>
+    /// Accepts the code set with <see cref="ConfigurePhoneNumber"/>, or <see cref="DefaultPhoneVerificationCode"/>.
+    /// A number without a configured user signs in the same new user every time.
+    /// </remarks>
+    public Task<Result<FirebaseUser>> ConfirmPhoneCodeAsync(string verificationId, string code)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(verificationId);
+        ArgumentException.ThrowIfNullOrWhiteSpace(code);
+
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<FirebaseUser>.Failure(error!));
+
+        if (!_phoneVerifications.TryGetValue(verificationId, out var phoneNumber))
+            return Task.FromResult(Result<FirebaseUser>.Failure(new FirebaseError("auth/invalid-verification-id", "No pending phone sign-in for this verification id")));
+
+        var configured = _phoneNumbers.GetValueOrDefault(phoneNumber, (DefaultPhoneVerificationCode, null));
+        if (code != configured.Code)
+            return Task.FromResult(Result<FirebaseUser>.Failure(new FirebaseError("auth/invalid-verification-code", "Invalid verification code")));
+
+        _phoneVerifications.Remove(verificationId);
+        var user = configured.User ?? new FirebaseUser
+        {
+            Uid = Guid.NewGuid().ToString(),
+            PhoneNumber = phoneNumber,
+            Providers = ["phone"],
+            CreatedAt = DateTimeOffset.UtcNow
+        };
+        _phoneNumbers[phoneNumber] = (configured.Code, user);
+        SetCurrentUser(user);
+        return Task.FromResult(Result<FirebaseUser>.Success(user));
+    }
+
+    public Task<Result<PhoneVerification>> ResendPhoneCodeAsync(string verificationId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(verificationId);
+
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<PhoneVerification>.Failure(error!));
+
+        if (!_phoneVerifications.Remove(verificationId, out var phoneNumber))
+            return Task.FromResult(Result<PhoneVerification>.Failure(new FirebaseError("auth/invalid-verification-id", "No pending phone sign-in for this verification id")));
+
+        return Task.FromResult(Result<PhoneVerification>.Success(StartPhoneVerification(phoneNumber)));
+    }
+
+    public Task<Result<Unit>> ResetPhoneVerifierAsync(string containerId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(containerId);
+
+        if (TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<Unit>.Failure(error!));
+
+        // No reCAPTCHA widget to remove
+        return Task.FromResult(Result<Unit>.Success(Unit.Value));
+    }
+
+    private PhoneVerification StartPhoneVerification(string phoneNumber)
+    {
+        var verificationId = Guid.NewGuid().ToString();
+        _phoneVerifications[verificationId] = phoneNumber;
+        return new PhoneVerification { VerificationId = verificationId, PhoneNumber = phoneNumber };
+    }
+
     private Task<Result<FirebaseUser>> SignInWithOAuthAsync(string provider)
     {
         if (TryConsumeSimulatedError(out var error))
@@ -188,6 +449,11 @@ public sealed class FakeFirebaseAuth : IFirebaseAuth
     {
         _users.Clear();
         _oauthProviders.Clear();
+        _oauthCredentials.Clear();
+        _phoneNumbers.Clear();
+        _phoneVerifications.Clear();
+        RedirectResult = null;
+        RedirectLinkResult = null;
         _currentUser = null;
         _simulatedError = null;
         _tokenGenerator = null;
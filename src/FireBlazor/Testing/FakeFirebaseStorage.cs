@@ -1,3 +1,4 @@
+using System.Security.Cryptography;
 using Microsoft.AspNetCore.Components.Forms;
 
 namespace FireBlazor.Testing;
@@ -12,19 +13,129 @@ namespace FireBlazor.Testing;
 public sealed class FakeFirebaseStorage : IFirebaseStorage
 {
     private readonly Dictionary<string, (byte[] Data, StorageMetadata? Metadata)> _files = new();
+    private readonly Dictionary<string, (DateTimeOffset Created, DateTimeOffset Updated, long Generation, long Metageneration)> _versions = new();
+    private long _generation;
     private FirebaseError? _simulatedError;
+    private readonly FakeUploadQueue _uploadQueue;
+    // Non-default buckets keep their files in their own instance; only the root instance has entries
+    private readonly Dictionary<string, FakeFirebaseStorage> _buckets = new();
+    private readonly FakeFirebaseStorage? _root;
+    private UploadHashAlgorithm? _uploadIntegrity;
+
+    public FakeFirebaseStorage()
+    {
+        _uploadQueue = new FakeUploadQueue(this);
+    }
+
+    private FakeFirebaseStorage(FakeFirebaseStorage root, string bucket)
+    {
+        _root = root;
+        _uploadQueue = root._uploadQueue;
+        Bucket = bucket;
+    }
+
+    /// <summary>Bucket of this instance's files as a gs:// URL, or null for the default bucket.</summary>
+    internal string? Bucket { get; }
+
+    /// <summary>
+    /// Mirrors <see cref="StorageOptions.WithUploadIntegrity"/>: when set, stream uploads and batch uploads
+    /// store the data's hash in custom metadata and return it as <see cref="UploadResult.ContentHash"/>.
+    /// Stored data always matches, so use <see cref="SimulateError"/> to test storage/integrity-mismatch.
+    /// </summary>
+    public UploadHashAlgorithm? UploadIntegrity
+    {
+        get => _root != null ? _root.UploadIntegrity : _uploadIntegrity;
+        set
+        {
+            if (_root != null)
+                _root.UploadIntegrity = value;
+            else
+                _uploadIntegrity = value;
+        }
+    }
 
     public IStorageReference Ref(string path)
     {
         return new FakeStorageReference(this, path);
     }
 
+    public IStorageReference Ref(string path, string bucket)
+    {
+        var bucketUrl = StorageBucket.Normalize(bucket, nameof(bucket));
+        var root = _root ?? this;
+        if (!root._buckets.TryGetValue(bucketUrl, out var storage))
+        {
+            storage = new FakeFirebaseStorage(root, bucketUrl);
+            root._buckets[bucketUrl] = storage;
+        }
+        return storage.Ref(path);
+    }
+
+    public IUploadQueue UploadQueue => _uploadQueue;
+
+    public async Task<Result<IReadOnlyList<BatchUploadFileResult>>> UploadBatchAsync(
+        IEnumerable<BatchUploadFile> files,
+        int maxConcurrency = 4,
+        Action<UploadProgress>? onFileProgress = null,
+        Action<BatchUploadProgress>? onProgress = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(files);
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        // Files are uploaded one after another; a simulated error fails only the next file
+        var batch = files.ToList();
+        var totalBytes = batch.Sum(f => f.Size ?? (f.Data.CanSeek ? f.Data.Length - f.Data.Position : 0));
+        long bytesTransferred = 0;
+        int completed = 0, failed = 0;
+        var results = new List<BatchUploadFileResult>(batch.Count);
+
+        foreach (var file in batch)
+        {
+            var taskId = file.TaskId ?? Guid.NewGuid().ToString("N");
+            var reference = file.Bucket != null ? Ref(file.Path, file.Bucket) : Ref(file.Path);
+            var result = await reference.PutAsync(file.Data, file.Metadata, onFileProgress, taskId, cancellationToken);
+
+            if (result.IsSuccess)
+            {
+                completed++;
+                bytesTransferred += result.Value.BytesTransferred;
+            }
+            else
+            {
+                failed++;
+            }
+
+            results.Add(new BatchUploadFileResult { Path = file.Path, TaskId = taskId, Result = result });
+            onProgress?.Invoke(new BatchUploadProgress
+            {
+                TotalFiles = batch.Count,
+                CompletedFiles = completed,
+                FailedFiles = failed,
+                BytesTransferred = bytesTransferred,
+                TotalBytes = Math.Max(totalBytes, bytesTransferred)
+            });
+        }
+
+        return Result<IReadOnlyList<BatchUploadFileResult>>.Success(results);
+    }
+
+    // Fake uploads complete synchronously, so there is never an in-flight task to control
+    public Task<Result<bool>> PauseUploadAsync(string taskId) => UploadNotFound(taskId);
+
+    public Task<Result<bool>> ResumeUploadAsync(string taskId) => UploadNotFound(taskId);
+
+    public Task<Result<bool>> CancelUploadAsync(string taskId) => UploadNotFound(taskId);
+
+    private static Task<Result<bool>> UploadNotFound(string taskId) =>
+        Task.FromResult(Result<bool>.Failure(new FirebaseError("storage/upload-not-found", $"No active upload with id {taskId}")));
+
     /// <summary>
     /// Simulates an error for the next operation.
     /// </summary>
     public void SimulateError(FirebaseError error)
     {
-        _simulatedError = error;
+        (_root ?? this)._simulatedError = error;
     }
 
     /// <summary>
@@ -33,11 +144,18 @@ public sealed class FakeFirebaseStorage : IFirebaseStorage
     public void Reset()
     {
         _files.Clear();
+        _versions.Clear();
+        _buckets.Clear();
         _simulatedError = null;
+        _uploadIntegrity = null;
+        _uploadQueue.Reset();
     }
 
     internal bool TryConsumeSimulatedError(out FirebaseError? error)
     {
+        if (_root != null)
+            return _root.TryConsumeSimulatedError(out error);
+
         error = _simulatedError;
         _simulatedError = null;
         return error != null;
@@ -46,6 +164,42 @@ public sealed class FakeFirebaseStorage : IFirebaseStorage
     internal void StoreFile(string path, byte[] data, StorageMetadata? metadata)
     {
         _files[path] = (data, metadata);
+        var now = DateTimeOffset.UtcNow;
+        _versions[path] = (now, now, ++_generation, 1);
+    }
+
+    internal void UpdateFileMetadata(string path, StorageMetadata metadata)
+    {
+        _files[path] = (_files[path].Data, metadata);
+        var version = _versions[path];
+        _versions[path] = (version.Created, DateTimeOffset.UtcNow, version.Generation, version.Metageneration + 1);
+    }
+
+    // Writable fields as stored, plus the fields Storage maintains
+    internal StorageMetadata? GetFullMetadata(string path)
+    {
+        if (!_files.TryGetValue(path, out var file))
+            return null;
+
+        var version = _versions[path];
+        return new StorageMetadata
+        {
+            ContentType = file.Metadata?.ContentType,
+            CacheControl = file.Metadata?.CacheControl,
+            ContentDisposition = file.Metadata?.ContentDisposition,
+            ContentEncoding = file.Metadata?.ContentEncoding,
+            ContentLanguage = file.Metadata?.ContentLanguage,
+            CustomMetadata = file.Metadata?.CustomMetadata,
+            Bucket = Bucket?["gs://".Length..] ?? "fake-bucket",
+            Name = path.Split('/').Last(),
+            FullPath = path,
+            Size = file.Data.Length,
+            TimeCreated = version.Created,
+            Updated = version.Updated,
+            Md5Hash = Convert.ToBase64String(MD5.HashData(file.Data)),
+            Generation = version.Generation.ToString(),
+            Metageneration = version.Metageneration.ToString()
+        };
     }
 
     internal (byte[] Data, StorageMetadata? Metadata)? GetFile(string path)
@@ -55,7 +209,11 @@ public sealed class FakeFirebaseStorage : IFirebaseStorage
 
     internal bool FileExists(string path) => _files.ContainsKey(path);
 
-    internal void DeleteFile(string path) => _files.Remove(path);
+    internal void DeleteFile(string path)
+    {
+        _files.Remove(path);
+        _versions.Remove(path);
+    }
 
     internal IEnumerable<string> ListFiles(string prefix)
     {
@@ -77,6 +235,7 @@ internal sealed class FakeStorageReference : IStorageReference
 
     public string Name => _path.Contains('/') ? _path.Split('/').Last() : _path;
     public string FullPath => _path;
+    public string? Bucket => _storage.Bucket;
 
     public IStorageReference Child(string path)
     {
@@ -95,7 +254,17 @@ internal sealed class FakeStorageReference : IStorageReference
         }
     }
 
-    public async Task<Result<UploadResult>> PutAsync(Stream data, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, CancellationToken cancellationToken = default)
+    public Task<Result<UploadResult>> PutAsync(Stream data, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, string? taskId = null, CancellationToken cancellationToken = default) =>
+        UploadAsync(data, metadata, onProgress, _storage.UploadIntegrity, taskId, cancellationToken);
+
+    // Image and queued uploads are not integrity-checked by the real implementation, so they upload through here without it
+    internal async Task<Result<UploadResult>> UploadAsync(
+        Stream data,
+        StorageMetadata? metadata,
+        Action<UploadProgress>? onProgress,
+        UploadHashAlgorithm? integrity,
+        string? taskId = null,
+        CancellationToken cancellationToken = default)
     {
         if (_storage.TryConsumeSimulatedError(out var error))
             return Result<UploadResult>.Failure(error!);
@@ -111,8 +280,28 @@ internal sealed class FakeStorageReference : IStorageReference
         // Report progress
         if (onProgress != null)
         {
-            onProgress(new UploadProgress { BytesTransferred = bytes.Length / 2, TotalBytes = bytes.Length });
-            onProgress(new UploadProgress { BytesTransferred = bytes.Length, TotalBytes = bytes.Length });
+            var id = taskId ?? Guid.NewGuid().ToString("N");
+            onProgress(new UploadProgress { BytesTransferred = bytes.Length / 2, TotalBytes = bytes.Length, TaskId = id });
+            onProgress(new UploadProgress { BytesTransferred = bytes.Length, TotalBytes = bytes.Length, TaskId = id });
+        }
+
+        string? contentHash = null;
+        if (integrity is { } algorithm)
+        {
+            contentHash = Convert.ToBase64String(algorithm == UploadHashAlgorithm.Sha256 ? SHA256.HashData(bytes) : MD5.HashData(bytes));
+            var customMetadata = metadata?.CustomMetadata != null
+                ? new Dictionary<string, string>(metadata.CustomMetadata)
+                : new Dictionary<string, string>();
+            customMetadata[FireBlazor.UploadIntegrity.GetMetadataKey(algorithm)] = contentHash;
+            metadata = new StorageMetadata
+            {
+                ContentType = metadata?.ContentType,
+                CacheControl = metadata?.CacheControl,
+                ContentDisposition = metadata?.ContentDisposition,
+                ContentEncoding = metadata?.ContentEncoding,
+                ContentLanguage = metadata?.ContentLanguage,
+                CustomMetadata = customMetadata
+            };
         }
 
         _storage.StoreFile(_path, bytes, metadata);
@@ -121,11 +310,12 @@ internal sealed class FakeStorageReference : IStorageReference
         {
             DownloadUrl = $"https://fake-storage.example.com/{_path}",
             FullPath = _path,
-            BytesTransferred = bytes.Length
+            BytesTransferred = bytes.Length,
+            ContentHash = contentHash
         });
     }
 
-    public Task<Result<UploadResult>> PutAsync(IBrowserFile file, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, CancellationToken cancellationToken = default)
+    public Task<Result<UploadResult>> PutAsync(IBrowserFile file, StorageMetadata? metadata = null, Action<UploadProgress>? onProgress = null, string? taskId = null, CancellationToken cancellationToken = default)
     {
         // For testing, we can't easily use IBrowserFile, so return a mock result
         if (_storage.TryConsumeSimulatedError(out var error))
@@ -141,6 +331,75 @@ internal sealed class FakeStorageReference : IStorageReference
         }));
     }
 
+    // No image processing happens here: the data is stored unchanged at the path and at each thumbnail
+    // path, with the content type of the requested format, and the result reports no dimensions
+    public async Task<Result<ImageUploadResult>> PutImageAsync(
+        Stream data,
+        ImageUploadOptions options,
+        StorageMetadata? metadata = null,
+        Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(data);
+        ArgumentNullException.ThrowIfNull(options);
+        options.Validate(_path);
+
+        var contentType = options.Format == ImageUploadFormat.WebP ? "image/webp" : "image/jpeg";
+        var imageMetadata = new StorageMetadata
+        {
+            ContentType = contentType,
+            CacheControl = metadata?.CacheControl,
+            ContentDisposition = metadata?.ContentDisposition,
+            ContentEncoding = metadata?.ContentEncoding,
+            ContentLanguage = metadata?.ContentLanguage,
+            CustomMetadata = metadata?.CustomMetadata
+        };
+
+        var upload = await UploadAsync(data, imageMetadata, onProgress, integrity: null, taskId, cancellationToken);
+        if (upload.IsFailure)
+            return Result<ImageUploadResult>.Failure(upload.Error!);
+
+        var bytes = _storage.GetFile(_path)!.Value.Data;
+        var thumbnails = new List<UploadedThumbnail>();
+        foreach (var thumbnail in options.Thumbnails)
+        {
+            var thumbnailPath = thumbnail.GetPath(_path, options.Format);
+            _storage.StoreFile(thumbnailPath, bytes, imageMetadata);
+            thumbnails.Add(new UploadedThumbnail
+            {
+                FullPath = thumbnailPath,
+                DownloadUrl = $"https://fake-storage.example.com/{thumbnailPath}",
+                Size = bytes.Length
+            });
+        }
+
+        return Result<ImageUploadResult>.Success(new ImageUploadResult
+        {
+            DownloadUrl = upload.Value.DownloadUrl,
+            FullPath = upload.Value.FullPath,
+            BytesTransferred = upload.Value.BytesTransferred,
+            ContentType = contentType,
+            OriginalSize = bytes.Length,
+            FinalSize = bytes.Length,
+            Thumbnails = thumbnails
+        });
+    }
+
+    public async Task<Result<ImageUploadResult>> PutImageAsync(
+        IBrowserFile file,
+        ImageUploadOptions options,
+        StorageMetadata? metadata = null,
+        Action<UploadProgress>? onProgress = null,
+        string? taskId = null,
+        CancellationToken cancellationToken = default)
+    {
+        ArgumentNullException.ThrowIfNull(file);
+
+        await using var stream = file.OpenReadStream(file.Size, cancellationToken);
+        return await PutImageAsync(stream, options, metadata, onProgress, taskId, cancellationToken);
+    }
+
     public Task<Result<byte[]>> GetBytesAsync(long maxSize = 10 * 1024 * 1024)
     {
         if (_storage.TryConsumeSimulatedError(out var error))
@@ -156,6 +415,51 @@ internal sealed class FakeStorageReference : IStorageReference
         return Task.FromResult(Result<byte[]>.Success(file.Value.Data));
     }
 
+    public Task<Result<byte[]>> DownloadAsync(
+        long maxSize = 10 * 1024 * 1024,
+        Action<DownloadProgress>? onProgress = null,
+        CancellationToken cancellationToken = default)
+    {
+        cancellationToken.ThrowIfCancellationRequested();
+
+        if (_storage.TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<byte[]>.Failure(error!));
+
+        var file = _storage.GetFile(_path);
+        if (file == null)
+            return Task.FromResult(Result<byte[]>.Failure(new FirebaseError("storage/object-not-found", "Object not found")));
+
+        var data = file.Value.Data;
+        if (data.Length > maxSize)
+            return Task.FromResult(Result<byte[]>.Failure(new FirebaseError("storage/download-size-exceeded", "File too large")));
+
+        if (onProgress != null)
+        {
+            var downloadId = Guid.NewGuid().ToString("N");
+            onProgress(new DownloadProgress { DownloadId = downloadId, BytesReceived = 0, TotalBytes = data.Length });
+            onProgress(new DownloadProgress { DownloadId = downloadId, BytesReceived = data.Length, TotalBytes = data.Length });
+        }
+
+        return Task.FromResult(Result<byte[]>.Success(data));
+    }
+
+    public Task<Result<ObjectUrlHandle>> GetObjectUrlAsync(long maxSize = 10 * 1024 * 1024, bool autoRevoke = false)
+    {
+        if (_storage.TryConsumeSimulatedError(out var error))
+            return Task.FromResult(Result<ObjectUrlHandle>.Failure(error!));
+
+        var file = _storage.GetFile(_path);
+        if (file == null)
+            return Task.FromResult(Result<ObjectUrlHandle>.Failure(new FirebaseError("storage/object-not-found", "Object not found")));
+
+        var handle = new ObjectUrlHandle(
+            $"blob:https://fake-storage.example.com/{Guid.NewGuid():N}",
+            file.Value.Data.Length,
+            file.Value.Metadata?.ContentType,
+            _ => Task.CompletedTask);
+        return Task.FromResult(Result<ObjectUrlHandle>.Success(handle));
+    }
+
     public Task<Result<string>> GetDownloadUrlAsync()
     {
         if (_storage.TryConsumeSimulatedError(out var error))
@@ -172,11 +476,11 @@ internal sealed class FakeStorageReference : IStorageReference
         if (_storage.TryConsumeSimulatedError(out var error))
             return Task.FromResult(Result<StorageMetadata>.Failure(error!));
 
-        var file = _storage.GetFile(_path);
-        if (file == null)
+        var metadata = _storage.GetFullMetadata(_path);
+        if (metadata == null)
             return Task.FromResult(Result<StorageMetadata>.Failure(new FirebaseError("storage/object-not-found", "Object not found")));
 
-        return Task.FromResult(Result<StorageMetadata>.Success(file.Value.Metadata ?? new StorageMetadata()));
+        return Task.FromResult(Result<StorageMetadata>.Success(metadata));
     }
 
     public Task<Result<Unit>> DeleteAsync()
@@ -188,6 +492,32 @@ internal sealed class FakeStorageReference : IStorageReference
         return Task.FromResult(Result<Unit>.Success(Unit.Value));
     }
 
+    public Task<Result<DeleteFolderResult>> DeleteFolderAsync(int maxConcurrency = 8, Action<DeleteFolderProgress>? onProgress = null)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        // A simulated error fails the first file only, like a single failed delete in a real folder
+        var files = _storage.ListFiles(_path).OrderBy(f => f, StringComparer.Ordinal).ToList();
+        var deleted = new List<string>();
+        var failed = new List<DeleteFolderFailure>();
+
+        foreach (var file in files)
+        {
+            if (_storage.TryConsumeSimulatedError(out var error))
+            {
+                failed.Add(new DeleteFolderFailure(file, error!));
+            }
+            else
+            {
+                _storage.DeleteFile(file);
+                deleted.Add(file);
+            }
+            onProgress?.Invoke(new DeleteFolderProgress { Found = files.Count, Deleted = deleted.Count, Failed = failed.Count });
+        }
+
+        return Task.FromResult(Result<DeleteFolderResult>.Success(new DeleteFolderResult { Deleted = deleted, Failed = failed }));
+    }
+
     public Task<Result<ListResult>> ListAllAsync()
     {
         if (_storage.TryConsumeSimulatedError(out var error))
@@ -245,9 +575,9 @@ internal sealed class FakeStorageReference : IStorageReference
             return Task.FromResult(Result<StorageMetadata>.Failure(
                 new FirebaseError("storage/object-not-found", "Object not found")));
 
-        _storage.StoreFile(_path, file.Value.Data, metadata);
+        _storage.UpdateFileMetadata(_path, metadata);
 
-        return Task.FromResult(Result<StorageMetadata>.Success(metadata));
+        return Task.FromResult(Result<StorageMetadata>.Success(_storage.GetFullMetadata(_path)!));
     }
 
     public Task<Result<PagedListResult>> ListAsync(ListOptions? options = null)
@@ -277,6 +607,38 @@ internal sealed class FakeStorageReference : IStorageReference
         }));
     }
 
+    public async Task<Result<MetadataListResult>> ListAllWithMetadataAsync(int maxConcurrency = 8)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        var result = await ListAllAsync();
+        return result.IsSuccess
+            ? Result<MetadataListResult>.Success(WithMetadata(result.Value.Items, result.Value.Prefixes, null))
+            : Result<MetadataListResult>.Failure(result.Error!);
+    }
+
+    public async Task<Result<MetadataListResult>> ListWithMetadataAsync(ListOptions? options = null, int maxConcurrency = 8)
+    {
+        ArgumentOutOfRangeException.ThrowIfNegativeOrZero(maxConcurrency);
+
+        var result = await ListAsync(options);
+        return result.IsSuccess
+            ? Result<MetadataListResult>.Success(WithMetadata(result.Value.Items, result.Value.Prefixes, result.Value.NextPageToken))
+            : Result<MetadataListResult>.Failure(result.Error!);
+    }
+
+    private MetadataListResult WithMetadata(
+        IReadOnlyList<IStorageReference> items,
+        IReadOnlyList<IStorageReference> prefixes,
+        string? nextPageToken) => new()
+    {
+        Items = items
+            .Select(item => new StorageListItem { Reference = item, Metadata = _storage.GetFullMetadata(item.FullPath)! })
+            .ToList(),
+        Prefixes = prefixes,
+        NextPageToken = nextPageToken
+    };
+
     public async Task<Result<Stream>> GetStreamAsync(long maxSize = 10 * 1024 * 1024)
     {
         var bytesResult = await GetBytesAsync(maxSize);
@@ -0,0 +1,138 @@
+namespace FireBlazor.Testing;
+
+/// <summary>
+/// In-memory fake implementation of IUploadQueue for testing.
+/// </summary>
+/// <remarks>
+/// Items are uploaded to the owning <see cref="FakeFirebaseStorage"/> as soon as they are queued,
+/// raising the same status sequence as the real queue (Pending, Uploading, then Completed or Failed).
+/// An error set with <see cref="FakeFirebaseStorage.SimulateError"/> fails the attempt and leaves
+/// the item in the queue as Failed, without backoff.
+/// </remarks>
+public sealed class FakeUploadQueue : IUploadQueue
+{
+    private readonly FakeFirebaseStorage _storage;
+    private readonly Dictionary<string, (QueuedUpload Item, byte[] Data, StorageMetadata? Metadata)> _items = new();
+
+    internal FakeUploadQueue(FakeFirebaseStorage storage)
+    {
+        _storage = storage;
+    }
+
+    public event Action<QueuedUpload>? OnStatusChanged;
+
+    public event Action<UploadProgress>? OnProgress;
+
+    public Task<Result<IReadOnlyList<QueuedUpload>>> StartAsync() => GetItemsAsync();
+
+    public async Task<Result<QueuedUpload>> EnqueueAsync(string path, Stream data, StorageMetadata? metadata = null, string? bucket = null)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(path);
+        ArgumentNullException.ThrowIfNull(data);
+        var bucketUrl = bucket != null ? StorageBucket.Normalize(bucket, nameof(bucket)) : null;
+
+        using var ms = new MemoryStream();
+        await data.CopyToAsync(ms);
+        var bytes = ms.ToArray();
+
+        var item = new QueuedUpload
+        {
+            Id = Guid.NewGuid().ToString("N"),
+            Path = path,
+            Bucket = bucketUrl,
+            Status = QueuedUploadStatus.Pending,
+            TotalBytes = bytes.Length,
+            CreatedAt = DateTimeOffset.UtcNow
+        };
+        Update(item, bytes, metadata);
+
+        await AttemptAsync(item.Id);
+        return Result<QueuedUpload>.Success(item);
+    }
+
+    public Task<Result<IReadOnlyList<QueuedUpload>>> GetItemsAsync()
+    {
+        IReadOnlyList<QueuedUpload> items = _items.Values
+            .Select(entry => entry.Item)
+            .OrderBy(item => item.CreatedAt)
+            .ToList();
+        return Task.FromResult(Result<IReadOnlyList<QueuedUpload>>.Success(items));
+    }
+
+    public Task<Result<Unit>> RemoveAsync(string id)
+    {
+        return Task.FromResult(_items.Remove(id)
+            ? Result<Unit>.Success(Unit.Value)
+            : Result<Unit>.Failure(NotFound(id)));
+    }
+
+    public async Task<Result<QueuedUpload>> RetryAsync(string id)
+    {
+        if (!_items.TryGetValue(id, out var entry))
+            return Result<QueuedUpload>.Failure(NotFound(id));
+
+        var item = With(entry.Item, QueuedUploadStatus.Pending, attempts: 0);
+        Update(item, entry.Data, entry.Metadata);
+
+        await AttemptAsync(id);
+        return Result<QueuedUpload>.Success(item);
+    }
+
+    /// <summary>
+    /// Removes all items without raising events.
+    /// </summary>
+    public void Reset() => _items.Clear();
+
+    private async Task AttemptAsync(string id)
+    {
+        var entry = _items[id];
+        var uploading = With(entry.Item, QueuedUploadStatus.Uploading, entry.Item.Attempts + 1);
+        Update(uploading, entry.Data, entry.Metadata);
+
+        var reference = uploading.Bucket != null ? _storage.Ref(uploading.Path, uploading.Bucket) : _storage.Ref(uploading.Path);
+        var result = await ((FakeStorageReference)reference)
+            .UploadAsync(new MemoryStream(entry.Data), entry.Metadata, progress => OnProgress?.Invoke(new UploadProgress
+            {
+                BytesTransferred = progress.BytesTransferred,
+                TotalBytes = progress.TotalBytes,
+                TaskId = id
+            }), integrity: null);
+
+        if (result.IsSuccess)
+        {
+            _items.Remove(id);
+            OnStatusChanged?.Invoke(With(uploading, QueuedUploadStatus.Completed, uploading.Attempts, downloadUrl: result.Value.DownloadUrl));
+        }
+        else
+        {
+            Update(With(uploading, QueuedUploadStatus.Failed, uploading.Attempts, result.Error), entry.Data, entry.Metadata);
+        }
+    }
+
+    private void Update(QueuedUpload item, byte[] data, StorageMetadata? metadata)
+    {
+        _items[item.Id] = (item, data, metadata);
+        OnStatusChanged?.Invoke(item);
+    }
+
+    private static QueuedUpload With(
+        QueuedUpload item,
+        QueuedUploadStatus status,
+        int attempts,
+        FirebaseError? lastError = null,
+        string? downloadUrl = null) => new()
+    {
+        Id = item.Id,
+        Path = item.Path,
+        Bucket = item.Bucket,
+        Status = status,
+        Attempts = attempts,
+        TotalBytes = item.TotalBytes,
+        LastError = status == QueuedUploadStatus.Completed ? null : lastError ?? item.LastError,
+        CreatedAt = item.CreatedAt,
+        DownloadUrl = downloadUrl
+    };
+
+    private static FirebaseError NotFound(string id) =>
+        new("storage/upload-not-found", $"No queued upload with id {id}");
+}
@@ -1,24 +1,92 @@
 // FireBlazor JS Interop Bridge
-// Firebase SDK 12.7.0
+// Firebase SDK 12.7.0 (default, configurable via initialize(config.sdk))
 
-let firebaseApp = null;
-let firebaseAuth = null;
-let firebaseFirestore = null;
-let firebaseStorage = null;
-let firebaseDatabase = null;
+// Name Firebase uses for the app created without an explicit name
+const DEFAULT_APP_NAME = '[DEFAULT]';
 
-// Transform C# FieldValue sentinels to Firebase FieldValue calls
-async function transformFieldValues(data) {
+// Initialized Firebase apps and their service instances, keyed by app name
+const firebaseApps = new Map();
+
+function getAppInstance(appName) {
+    return firebaseApps.get(appName || DEFAULT_APP_NAME) || null;
+}
+
+// Get a service instance ('auth', 'firestore', 'storage', 'database', 'appCheck', 'ai') for the named app
+function getService(appName, service) {
+    return getAppInstance(appName)?.[service] ?? null;
+}
+
+const SERVICE_NAMES = {
+    auth: 'Auth',
+    firestore: 'Firestore',
+    storage: 'Storage',
+    database: 'Realtime Database',
+    appCheck: 'App Check',
+    ai: 'AI Logic'
+};
+
+// Structured error for calls made before the app or the service has been initialized.
+// The code carries the service prefix (e.g. "storage/not-initialized") so .NET maps it like any other error.
+function notInitializedError(service, appName) {
+    const name = appName || DEFAULT_APP_NAME;
+    const message = getAppInstance(appName)
+        ? `${SERVICE_NAMES[service]} is not initialized for Firebase app "${name}"`
+        : `Firebase app "${name}" is not initialized. Call initialize first.`;
+    return { code: `${service}/not-initialized`, message };
+}
+
+// ============ SDK LOADER ============
+
+const DEFAULT_SDK_BASE_URL = 'https://www.gstatic.com/firebasejs';
+const DEFAULT_SDK_VERSION = '12.7.0';
+
+let sdkBaseUrl = DEFAULT_SDK_BASE_URL;
+let sdkVersion = DEFAULT_SDK_VERSION;
+
+// Resolved module promises keyed by URL, so each SDK module is fetched once
+const sdkModules = new Map();
+
+// Configure where SDK modules are loaded from. Relative base URLs (e.g. "js/firebase")
+// are resolved against the document base URI so they work with self-hosted files.
+function configureSdk(sdk) {
+    sdkBaseUrl = (sdk?.baseUrl || DEFAULT_SDK_BASE_URL).replace(/\/+$/, '');
+    sdkVersion = sdk?.version === undefined || sdk?.version === null ? DEFAULT_SDK_VERSION : sdk.version;
+}
+
+function resolveSdkUrl(moduleName) {
+    const fileName = `firebase-${moduleName}.js`;
+    const path = sdkVersion ? `${sdkBaseUrl}/${sdkVersion}/${fileName}` : `${sdkBaseUrl}/${fileName}`;
+    return new URL(path, document.baseURI).href;
+}
+
+// Load a Firebase SDK module by name ("app", "auth", "firestore", "storage", "database", "app-check", "ai")
+function loadSdk(moduleName) {
+    const url = resolveSdkUrl(moduleName);
+    let modulePromise = sdkModules.get(url);
+    if (!modulePromise) {
+        modulePromise = import(url).catch((error) => {
+            // Don't cache failures so a later call can retry
+            sdkModules.delete(url);
+            throw new Error(`[FireBlazor] Failed to load Firebase SDK module "${moduleName}" from ${url}: ${error.message}`);
+        });
+        sdkModules.set(url, modulePromise);
+    }
+    return modulePromise;
+}
+
+// Transform C# FieldValue sentinels and typed values ({__type__: ...}) to Firebase SDK values.
+// The firestore instance is needed to resolve document references by path.
+async function transformFieldValues(data, firestore) {
     if (data === null || data === undefined) return data;
     if (typeof data !== 'object') return data;
     if (Array.isArray(data)) {
-        return Promise.all(data.map(item => transformFieldValues(item)));
+        return Promise.all(data.map(item => transformFieldValues(item, firestore)));
     }
 
     // Check if this is a FieldValue sentinel
     if (data.__fieldValue__) {
         const { serverTimestamp, increment, arrayUnion, arrayRemove, deleteField } =
-            await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+            await loadSdk('firestore');
 
         switch (data.__fieldValue__) {
             case 'serverTimestamp':
@@ -32,12 +100,12 @@ async function transformFieldValues(data) {
                 if (!Array.isArray(data.elements)) {
                     throw new Error('arrayUnion requires an elements array');
                 }
-                return arrayUnion(...data.elements);
+                return arrayUnion(...await transformFieldValues(data.elements, firestore));
             case 'arrayRemove':
                 if (!Array.isArray(data.elements)) {
                     throw new Error('arrayRemove requires an elements array');
                 }
-                return arrayRemove(...data.elements);
+                return arrayRemove(...await transformFieldValues(data.elements, firestore));
             case 'delete':
                 return deleteField();
             default:
@@ -45,14 +113,71 @@ async function transformFieldValues(data) {
         }
     }
 
+    // Check if this is a typed value sentinel (the write-side mirror of loadFirestoreEncoder)
+    if (data.__type__) {
+        return decodeTypedValue(data, firestore);
+    }
+
     // Recursively transform nested objects
     const result = {};
     for (const [key, value] of Object.entries(data)) {
-        result[key] = await transformFieldValues(value);
+        result[key] = await transformFieldValues(value, firestore);
     }
     return result;
 }
 
+// Decode typed values in query filters and cursors, which C# encodes the same way as written data
+async function decodeQueryParams(queryParams, firestore) {
+    if (!queryParams) return queryParams;
+    const decoded = { ...queryParams };
+    if (queryParams.where) {
+        decoded.where = await Promise.all(queryParams.where.map(async w => ({
+            ...w,
+            value: await transformFieldValues(w.value, firestore)
+        })));
+    }
+    for (const cursor of ['startAt', 'startAfter', 'endAt', 'endBefore']) {
+        if (queryParams[cursor]) {
+            decoded[cursor] = await transformFieldValues(queryParams[cursor], firestore);
+        }
+    }
+    return decoded;
+}
+
+async function decodeTypedValue(data, firestore) {
+    const { Timestamp, GeoPoint, Bytes, doc, vector } = await loadSdk('firestore');
+
+    switch (data.__type__) {
+        case 'timestamp':
+            if (typeof data.seconds !== 'number') {
+                throw new Error('timestamp requires numeric seconds');
+            }
+            return new Timestamp(data.seconds, data.nanoseconds || 0);
+        case 'geopoint':
+            if (typeof data.latitude !== 'number' || typeof data.longitude !== 'number') {
+                throw new Error('geopoint requires numeric latitude and longitude');
+            }
+            return new GeoPoint(data.latitude, data.longitude);
+        case 'reference':
+            if (!data.path || typeof data.path !== 'string') {
+                throw new Error('reference requires a document path');
+            }
+            return doc(firestore, data.path);
+        case 'bytes':
+            if (typeof data.base64 !== 'string') {
+                throw new Error('bytes requires a base64 string');
+            }
+            return Bytes.fromBase64String(data.base64);
+        case 'vector':
+            if (!Array.isArray(data.values) || data.values.some(v => typeof v !== 'number')) {
+                throw new Error('vector requires a numeric values array');
+            }
+            return vector(data.values);
+        default:
+            throw new Error(`Unknown typed value: ${data.__type__}`);
+    }
+}
+
 // Helper to parse and validate emulator host string
 function parseEmulatorHost(hostPort) {
     if (!hostPort) return null;
@@ -73,8 +198,31 @@ function parseEmulatorHost(hostPort) {
 export function initialize(config) {
     return new Promise(async (resolve, reject) => {
         try {
-            const { initializeApp } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-app.js');
-            firebaseApp = initializeApp(config);
+            const { sdk, appName, subscriptionWarningAgeMs, ...appConfig } = config || {};
+            configureSdk(sdk);
+
+            const { initializeApp } = await loadSdk('app');
+            const name = appName || DEFAULT_APP_NAME;
+            firebaseApps.set(name, {
+                app: initializeApp(appConfig, name),
+                auth: null,
+                firestore: null,
+                storage: null,
+                // Storage instances for buckets other than the default, keyed by gs:// URL
+                storageBuckets: new Map(),
+                database: null,
+                appCheck: null,
+                ai: null,
+                generativeModels: new Map(),
+                imageModels: new Map(),
+                // Listeners older than this are reported as possible leaks (null disables the check)
+                subscriptionWarningAgeMs: subscriptionWarningAgeMs || null,
+                // Emulator host and options each service was initialized with, reported by getServiceStatus
+                serviceConfig: {}
+            });
+            if (subscriptionWarningAgeMs) {
+                scheduleSubscriptionAgeCheck();
+            }
             resolve(true);
         } catch (error) {
             reject(error.message);
@@ -82,17 +230,147 @@ export function initialize(config) {
     });
 }
 
+// Report which services of an app are initialized, which emulator each uses and the options it was given
+export function getServiceStatus(appName) {
+    const instance = getAppInstance(appName);
+    const services = {};
+    for (const service of Object.keys(SERVICE_NAMES)) {
+        const config = instance?.serviceConfig[service];
+        services[service] = {
+            initialized: !!instance?.[service],
+            emulatorHost: config?.emulatorHost ?? null,
+            options: config?.options ?? null
+        };
+    }
+    return {
+        success: true,
+        data: {
+            appName: appName || DEFAULT_APP_NAME,
+            initialized: !!instance,
+            services
+        }
+    };
+}
+
+// ============ SUBSCRIPTION REGISTRY ============
+
+// Every real-time listener across services, keyed by subscription id
+const subscriptions = new Map();
+let subscriptionIdCounter = 0;
+
+const SUBSCRIPTION_AGE_CHECK_INTERVAL_MS = 30000;
+let subscriptionAgeTimer = null;
+
+// Describe a listener before it is attached, so snapshot callbacks can count against it
+function createSubscription(service, kind, path, queryParams, appName) {
+    return {
+        id: ++subscriptionIdCounter,
+        service,
+        kind,
+        path,
+        queryParams: queryParams ?? null,
+        appName: appName || DEFAULT_APP_NAME,
+        createdAt: Date.now(),
+        snapshotCount: 0,
+        lastSnapshotAt: null,
+        warned: false,
+        unsubscribe: null
+    };
+}
+
+function recordSnapshot(subscription) {
+    subscription.snapshotCount++;
+    subscription.lastSnapshotAt = Date.now();
+}
+
+// Register a listener once the SDK has attached it
+function trackSubscription(subscription, unsubscribe) {
+    subscription.unsubscribe = unsubscribe;
+    subscriptions.set(subscription.id, subscription);
+    return subscription.id;
+}
+
+// Detach and forget a listener. The service must match so one service cannot release another's listener.
+function releaseSubscription(subscriptionId, service) {
+    const subscription = subscriptions.get(subscriptionId);
+    if (!subscription || subscription.service !== service) {
+        return false;
+    }
+    subscriptions.delete(subscriptionId);
+    subscription.unsubscribe();
+    return true;
+}
+
+function scheduleSubscriptionAgeCheck() {
+    if (!subscriptionAgeTimer) {
+        subscriptionAgeTimer = setInterval(checkSubscriptionAges, SUBSCRIPTION_AGE_CHECK_INTERVAL_MS);
+    }
+}
+
+// Warn once per listener that outlives its app's configured age; usually a component that never disposed it
+function checkSubscriptionAges() {
+    const now = Date.now();
+    for (const subscription of subscriptions.values()) {
+        const maxAge = getAppInstance(subscription.appName)?.subscriptionWarningAgeMs;
+        if (!maxAge || subscription.warned || now - subscription.createdAt < maxAge) {
+            continue;
+        }
+        subscription.warned = true;
+        const ageSeconds = Math.round((now - subscription.createdAt) / 1000);
+        console.warn(`[FireBlazor] ${subscription.service} ${subscription.kind} listener ${subscription.id}` +
+            `${subscription.path ? ` on "${subscription.path}"` : ''} (app "${subscription.appName}") has been active for ` +
+            `${ageSeconds}s with ${subscription.snapshotCount} snapshots. Dispose it when its component is disposed.`);
+    }
+}
+
+// List active listeners, optionally only those of one app
+export function listSubscriptions(appName) {
+    const name = appName || DEFAULT_APP_NAME;
+    const now = Date.now();
+    const data = [];
+    for (const subscription of subscriptions.values()) {
+        if (!isOwnedBy(subscription, name)) {
+            continue;
+        }
+        data.push({
+            id: subscription.id,
+            service: subscription.service,
+            kind: subscription.kind,
+            path: subscription.path,
+            queryParams: subscription.queryParams,
+            appName: subscription.appName || DEFAULT_APP_NAME,
+            createdAt: new Date(subscription.createdAt).toISOString(),
+            ageMs: now - subscription.createdAt,
+            snapshotCount: subscription.snapshotCount,
+            lastSnapshotAt: subscription.lastSnapshotAt ? new Date(subscription.lastSnapshotAt).toISOString() : null
+        });
+    }
+    return { success: true, data };
+}
+
 // ============ AUTH ============
 
-export async function initializeAuth(emulatorHost) {
-    const { getAuth, connectAuthEmulator } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
-    firebaseAuth = getAuth(firebaseApp);
+// signInMode: 'popup', 'redirect' or 'popupWithRedirectFallback'; see signInInteractive.
+// Returns the outcome of a redirect sign-in that brought the browser back to this page, with
+// data null when the page was not loaded from a redirect.
+export async function initializeAuth(emulatorHost, signInMode, appName) {
+    const instance = getAppInstance(appName);
+    if (!instance) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { getAuth, connectAuthEmulator } = await loadSdk('auth');
+    const auth = getAuth(instance.app);
+    instance.auth = auth;
+    instance.serviceConfig.auth = { emulatorHost: null, options: { signInMode: signInMode || 'popup' } };
 
     if (emulatorHost) {
         const parsed = parseEmulatorHost(emulatorHost);
         if (parsed) {
             try {
-                connectAuthEmulator(firebaseAuth, `http://${parsed.host}:${parsed.port}`, { disableWarnings: true });
+                connectAuthEmulator(auth, `http://${parsed.host}:${parsed.port}`, { disableWarnings: true });
+                // The emulator accepts phone sign-ins without a reCAPTCHA token
+                auth.settings.appVerificationDisabledForTesting = true;
+                instance.serviceConfig.auth.emulatorHost = emulatorHost;
                 console.log(`[FireBlazor] Connected to Auth emulator at ${emulatorHost}`);
             } catch (error) {
                 console.error(`[FireBlazor] Failed to connect to Auth emulator: ${error.message}`);
@@ -101,106 +379,509 @@ export async function initializeAuth(emulatorHost) {
         }
     }
 
-    return true;
+    return await completeRedirectSignIn(auth);
+}
+
+// operationType tells a sign-in redirect ('signIn') from a link redirect ('link'). A link redirect whose
+// provider account belongs to another user returns its conflictingCredential, as linkWithProvider does.
+async function completeRedirectSignIn(auth) {
+    const sdk = await loadSdk('auth');
+    try {
+        const result = await sdk.getRedirectResult(auth);
+        if (!result) {
+            return { success: true, data: null };
+        }
+        const credential = getAuthProviderClass(sdk, result.providerId)?.credentialFromResult(result);
+        return {
+            success: true,
+            data: { user: mapUser(result.user), credential: mapCredential(credential), operationType: result.operationType }
+        };
+    } catch (error) {
+        if (error.code === 'auth/credential-already-in-use') {
+            const providerId = error.customData?._tokenResponse?.providerId ?? error.customData?.providerId;
+            const conflictingCredential = mapCredential(getAuthProviderClass(sdk, providerId)?.credentialFromError(error));
+            if (conflictingCredential) {
+                return { success: true, data: { user: null, credential: null, conflictingCredential, operationType: 'link' } };
+            }
+        }
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+const REDIRECT_FALLBACK_CODES = new Set(['auth/popup-blocked', 'auth/operation-not-supported-in-this-environment']);
+
+// Runs an OAuth operation in the app's sign-in mode. 'popupWithRedirectFallback' switches to a
+// redirect when the popup cannot be opened. A redirect navigates away from the page, so its
+// promise never settles; the result is picked up by initializeAuth when the app loads again.
+async function runInteractive(appName, popup, redirect) {
+    const signInMode = getAppInstance(appName)?.serviceConfig.auth?.options.signInMode;
+    if (signInMode === 'redirect') {
+        return redirect();
+    }
+    try {
+        return await popup();
+    } catch (error) {
+        if (signInMode === 'popupWithRedirectFallback' && REDIRECT_FALLBACK_CODES.has(error.code)) {
+            return redirect();
+        }
+        throw error;
+    }
+}
+
+async function signInInteractive(auth, provider, appName) {
+    const { signInWithPopup, signInWithRedirect } = await loadSdk('auth');
+    return runInteractive(appName, () => signInWithPopup(auth, provider), () => signInWithRedirect(auth, provider));
+}
+
+async function linkInteractive(user, provider, appName) {
+    const { linkWithPopup, linkWithRedirect } = await loadSdk('auth');
+    return runInteractive(appName, () => linkWithPopup(user, provider), () => linkWithRedirect(user, provider));
 }
 
-export async function subscribeToAuthState(dotnetHelper) {
-    const { onAuthStateChanged } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
-    const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
+export async function subscribeToAuthState(dotnetHelper, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { onAuthStateChanged } = await loadSdk('auth');
+    const subscription = createSubscription('auth', 'authState', null, null, appName);
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+        recordSnapshot(subscription);
         const userData = user ? mapUser(user) : null;
         dotnetHelper.invokeMethodAsync('OnAuthStateChanged', userData);
     });
-    return unsubscribe;
+    const subscriptionId = trackSubscription(subscription, unsubscribe);
+    return { success: true, data: { subscriptionId } };
+}
+
+export function unsubscribeFromAuthState(subscriptionId) {
+    if (releaseSubscription(subscriptionId, 'auth')) {
+        return { success: true };
+    }
+    return { success: false, error: { code: 'auth/not-found', message: 'Subscription not found' } };
 }
 
-export async function signInWithEmail(email, password) {
-    const { signInWithEmailAndPassword } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+export async function signInWithEmail(email, password, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { signInWithEmailAndPassword } = await loadSdk('auth');
     try {
-        const result = await signInWithEmailAndPassword(firebaseAuth, email, password);
+        const result = await signInWithEmailAndPassword(auth, email, password);
         return { success: true, data: mapUser(result.user) };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function createUserWithEmail(email, password) {
-    const { createUserWithEmailAndPassword } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+export async function createUserWithEmail(email, password, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { createUserWithEmailAndPassword } = await loadSdk('auth');
     try {
-        const result = await createUserWithEmailAndPassword(firebaseAuth, email, password);
+        const result = await createUserWithEmailAndPassword(auth, email, password);
         return { success: true, data: mapUser(result.user) };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function signInWithGoogle() {
-    const { signInWithPopup, GoogleAuthProvider } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+export async function signInWithGoogle(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { GoogleAuthProvider } = await loadSdk('auth');
     try {
         const provider = new GoogleAuthProvider();
-        const result = await signInWithPopup(firebaseAuth, provider);
+        const result = await signInInteractive(auth, provider, appName);
         return { success: true, data: mapUser(result.user) };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function signInWithGitHub() {
-    const { signInWithPopup, GithubAuthProvider } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+export async function signInWithGitHub(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { GithubAuthProvider } = await loadSdk('auth');
     try {
         const provider = new GithubAuthProvider();
-        const result = await signInWithPopup(firebaseAuth, provider);
+        const result = await signInInteractive(auth, provider, appName);
         return { success: true, data: mapUser(result.user) };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function signInWithMicrosoft() {
-    const { signInWithPopup, OAuthProvider } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+export async function signInWithMicrosoft(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { OAuthProvider } = await loadSdk('auth');
     try {
         const provider = new OAuthProvider('microsoft.com');
-        const result = await signInWithPopup(firebaseAuth, provider);
+        const result = await signInInteractive(auth, provider, appName);
+        return { success: true, data: mapUser(result.user) };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+export async function signInWithApple(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { OAuthProvider } = await loadSdk('auth');
+    try {
+        const provider = new OAuthProvider('apple.com');
+        // Apple only shares the email and name when asked, and only on the first sign-in
+        provider.addScope('email');
+        provider.addScope('name');
+        const result = await signInInteractive(auth, provider, appName);
+        return { success: true, data: mapUser(result.user) };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+export async function signInWithFacebook(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { FacebookAuthProvider } = await loadSdk('auth');
+    try {
+        const provider = new FacebookAuthProvider();
+        const result = await signInInteractive(auth, provider, appName);
+        return { success: true, data: mapUser(result.user) };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+// SDK classes for providers that have their own; any other id (microsoft.com, apple.com,
+// yahoo.com, oidc.*) uses OAuthProvider, and saml.* uses SAMLAuthProvider
+const AUTH_PROVIDER_CLASSES = {
+    'google.com': 'GoogleAuthProvider',
+    'github.com': 'GithubAuthProvider',
+    'facebook.com': 'FacebookAuthProvider',
+    'twitter.com': 'TwitterAuthProvider'
+};
+
+// The SDK class for a provider id; credentialFromResult has to be called on the class that signed in
+function getAuthProviderClass(sdk, providerId) {
+    if (!providerId) {
+        return null;
+    }
+    return sdk[AUTH_PROVIDER_CLASSES[providerId] ?? (providerId.startsWith('saml.') ? 'SAMLAuthProvider' : 'OAuthProvider')];
+}
+
+// Builds a provider from { providerId, scopes, customParameters }, returned with its class
+function createAuthProvider(sdk, options) {
+    const providerId = options.providerId;
+    const providerClass = getAuthProviderClass(sdk, providerId);
+    const provider = AUTH_PROVIDER_CLASSES[providerId] ? new providerClass() : new providerClass(providerId);
+    for (const scope of options.scopes ?? []) {
+        provider.addScope(scope);
+    }
+    if (options.customParameters && Object.keys(options.customParameters).length > 0) {
+        provider.setCustomParameters(options.customParameters);
+    }
+    return { provider, providerClass };
+}
+
+// json is the SDK's own serialization, kept so the credential can be restored exactly
+// (nonce, SAML pending token) when .NET passes it back to signInWithCredential
+function mapCredential(credential) {
+    return credential ? {
+        providerId: credential.providerId,
+        signInMethod: credential.signInMethod,
+        accessToken: credential.accessToken ?? null,
+        idToken: credential.idToken ?? null,
+        secret: credential.secret ?? null,
+        json: JSON.stringify(credential.toJSON())
+    } : null;
+}
+
+// Restores a credential from mapCredential's shape, or from its token fields when it was built in .NET
+function toAuthCredential(sdk, credential) {
+    const json = credential.json ?? {
+        providerId: credential.providerId,
+        signInMethod: credential.signInMethod || credential.providerId,
+        idToken: credential.idToken ?? undefined,
+        accessToken: credential.accessToken ?? undefined,
+        secret: credential.secret ?? undefined
+    };
+    return credential.providerId.startsWith('saml.')
+        ? sdk.SAMLAuthProvider.credentialFromJSON(json)
+        : sdk.OAuthProvider.credentialFromJSON(json);
+}
+
+// Signs in with any provider by id, including OpenID Connect (oidc.*) and SAML (saml.*)
+// providers. Returns the user with the provider's credential, whose access token can call
+// the provider's own APIs; SAML credentials carry no tokens.
+export async function signInWithProvider(options, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const sdk = await loadSdk('auth');
+    try {
+        const { provider, providerClass } = createAuthProvider(sdk, options);
+        const result = await signInInteractive(auth, provider, appName);
+        return {
+            success: true,
+            data: { user: mapUser(result.user), credential: mapCredential(providerClass.credentialFromResult(result)) }
+        };
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+export async function signInAnonymously(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { signInAnonymously: fbSignInAnonymously } = await loadSdk('auth');
+    try {
+        const result = await fbSignInAnonymously(auth);
+        return { success: true, data: mapUser(result.user) };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+// Signs in with a provider credential, such as the conflicting credential returned by linkWithProvider
+export async function signInWithCredential(credential, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const sdk = await loadSdk('auth');
+    try {
+        const authCredential = toAuthCredential(sdk, credential);
+        if (!authCredential) {
+            return { success: false, error: { code: 'auth/invalid-credential', message: 'The credential could not be restored' } };
+        }
+        const result = await sdk.signInWithCredential(auth, authCredential);
+        return { success: true, data: { user: mapUser(result.user), credential } };
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+// Adds an email and password to the signed-in user, upgrading an anonymous user in place (same uid)
+export async function linkWithEmail(email, password, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    if (!auth.currentUser) {
+        return { success: false, error: { code: 'auth/no-user', message: 'No user is currently signed in' } };
+    }
+    const { EmailAuthProvider, linkWithCredential } = await loadSdk('auth');
+    try {
+        const result = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
         return { success: true, data: mapUser(result.user) };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function signOut() {
-    const { signOut: fbSignOut } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+// Links a provider ({ providerId, scopes, customParameters }) to the signed-in user in the app's
+// sign-in mode, upgrading an anonymous user in place. If the provider account already belongs to
+// another user (auth/credential-already-in-use), data.conflictingCredential holds its credential
+// instead, so the app can sign in to that account with signInWithCredential and merge its data.
+export async function linkWithProvider(options, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    if (!auth.currentUser) {
+        return { success: false, error: { code: 'auth/no-user', message: 'No user is currently signed in' } };
+    }
+    const sdk = await loadSdk('auth');
+    let providerClass = null;
+    try {
+        const created = createAuthProvider(sdk, options);
+        providerClass = created.providerClass;
+        const result = await linkInteractive(auth.currentUser, created.provider, appName);
+        return {
+            success: true,
+            data: { user: mapUser(result.user), credential: mapCredential(providerClass.credentialFromResult(result)) }
+        };
+    } catch (error) {
+        if (error.code === 'auth/credential-already-in-use' && providerClass) {
+            const conflictingCredential = mapCredential(providerClass.credentialFromError(error));
+            if (conflictingCredential) {
+                return { success: true, data: { user: null, credential: null, conflictingCredential } };
+            }
+        }
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+// ---- Phone sign-in ----
+
+// reCAPTCHA verifiers by `${appName}:${containerId}`, reused for every code requested through that element
+const recaptchaVerifiers = new Map();
+// Pending phone sign-ins by verification id, so the SMS code can be confirmed or resent in a later call
+const phoneConfirmations = new Map();
+
+function recaptchaVerifierKey(appName, containerId) {
+    return `${appName || DEFAULT_APP_NAME}:${containerId}`;
+}
+
+function clearRecaptchaVerifier(key) {
+    const entry = recaptchaVerifiers.get(key);
+    if (!entry) {
+        return;
+    }
+    recaptchaVerifiers.delete(key);
+    try {
+        entry.verifier.clear();
+    } catch (error) {
+        console.warn(`[FireBlazor] Failed to clear reCAPTCHA verifier: ${error.message}`);
+    }
+}
+
+// Renders the verifier into the element on first use. A verifier that failed is cleared so the
+// next request renders a fresh widget instead of reusing a spent token.
+async function requestPhoneCode(auth, phoneNumber, options, appName) {
+    const { RecaptchaVerifier, signInWithPhoneNumber: fbSignInWithPhoneNumber } = await loadSdk('auth');
+    const key = recaptchaVerifierKey(appName, options.containerId);
+    let entry = recaptchaVerifiers.get(key);
+    if (!entry) {
+        entry = {
+            verifier: new RecaptchaVerifier(auth, options.containerId, { size: options.size || 'invisible' }),
+            appName
+        };
+        recaptchaVerifiers.set(key, entry);
+    }
+    try {
+        const confirmation = await fbSignInWithPhoneNumber(auth, phoneNumber, entry.verifier);
+        phoneConfirmations.set(confirmation.verificationId, { confirmation, phoneNumber, options, appName });
+        return { success: true, data: { verificationId: confirmation.verificationId, phoneNumber } };
+    } catch (error) {
+        clearRecaptchaVerifier(key);
+        throw error;
+    }
+}
+
+// Sends an SMS code to phoneNumber (E.164, e.g. +15555550100) after the reCAPTCHA check in
+// options.containerId. options.size: 'invisible' (default), 'normal' or 'compact'. Returns the
+// verification id to pass to confirmPhoneCode. Against the Auth emulator the reCAPTCHA check is
+// skipped and no SMS is sent; the code is printed in the emulator log.
+export async function signInWithPhoneNumber(phoneNumber, options, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    try {
+        return await requestPhoneCode(auth, phoneNumber, options, appName);
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+// Signs in with the SMS code. A wrong code keeps the verification so the user can try again.
+export async function confirmPhoneCode(verificationId, code, appName) {
+    const pending = phoneConfirmations.get(verificationId);
+    if (!pending || !isOwnedBy(pending, appName || DEFAULT_APP_NAME)) {
+        return { success: false, error: { code: 'auth/invalid-verification-id', message: 'No pending phone sign-in for this verification id' } };
+    }
+    try {
+        const result = await pending.confirmation.confirm(code);
+        phoneConfirmations.delete(verificationId);
+        return { success: true, data: mapUser(result.user) };
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+// Sends a new code to the same number, replacing the verification; the old id stops working
+export async function resendPhoneCode(verificationId, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const pending = phoneConfirmations.get(verificationId);
+    if (!pending || !isOwnedBy(pending, appName || DEFAULT_APP_NAME)) {
+        return { success: false, error: { code: 'auth/invalid-verification-id', message: 'No pending phone sign-in for this verification id' } };
+    }
+    try {
+        const result = await requestPhoneCode(auth, pending.phoneNumber, pending.options, appName);
+        phoneConfirmations.delete(verificationId);
+        return result;
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'auth/unknown', message: error.message } };
+    }
+}
+
+// Removes the reCAPTCHA widget from the element, e.g. when the sign-in form is disposed. Pending
+// verifications stay valid; a resend renders a new widget.
+export function resetPhoneVerifier(containerId, appName) {
+    clearRecaptchaVerifier(recaptchaVerifierKey(appName, containerId));
+    return { success: true };
+}
+
+export async function signOut(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { signOut: fbSignOut } = await loadSdk('auth');
     try {
-        await fbSignOut(firebaseAuth);
+        await fbSignOut(auth);
         return { success: true };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function getIdToken(forceRefresh = false) {
-    if (!firebaseAuth?.currentUser) {
+export async function getIdToken(forceRefresh = false, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    if (!auth.currentUser) {
         return { success: false, error: { code: 'auth/no-user', message: 'No user is currently signed in' } };
     }
     try {
-        const token = await firebaseAuth.currentUser.getIdToken(forceRefresh);
+        const token = await auth.currentUser.getIdToken(forceRefresh);
         return { success: true, data: token };
     } catch (error) {
         return { success: false, error: { code: error.code || 'auth/token-error', message: error.message } };
     }
 }
 
-export async function sendPasswordResetEmail(email) {
-    const { sendPasswordResetEmail: fbSendReset } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-auth.js');
+export async function sendPasswordResetEmail(email, appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth) {
+        return { success: false, error: notInitializedError('auth', appName) };
+    }
+    const { sendPasswordResetEmail: fbSendReset } = await loadSdk('auth');
     try {
-        await fbSendReset(firebaseAuth, email);
+        await fbSendReset(auth, email);
         return { success: true };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export function getCurrentUser() {
-    if (!firebaseAuth || !firebaseAuth.currentUser) return null;
-    return mapUser(firebaseAuth.currentUser);
+export function getCurrentUser(appName) {
+    const auth = getService(appName, 'auth');
+    if (!auth || !auth.currentUser) return null;
+    return mapUser(auth.currentUser);
 }
 
 function mapUser(user) {
@@ -209,6 +890,7 @@ function mapUser(user) {
         email: user.email,
         displayName: user.displayName,
         photoUrl: user.photoURL,
+        phoneNumber: user.phoneNumber,
         isEmailVerified: user.emailVerified,
         isAnonymous: user.isAnonymous,
         providers: user.providerData.map(p => p.providerId),
@@ -219,15 +901,25 @@ function mapUser(user) {
 
 // ============ FIRESTORE ============
 
-export async function initializeFirestore(options) {
-    const { getFirestore, enableIndexedDbPersistence, connectFirestoreEmulator } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
-    firebaseFirestore = getFirestore(firebaseApp);
+export async function initializeFirestore(options, appName) {
+    const instance = getAppInstance(appName);
+    if (!instance) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { getFirestore, enableIndexedDbPersistence, connectFirestoreEmulator } = await loadSdk('firestore');
+    const firestore = getFirestore(instance.app);
+    instance.firestore = firestore;
+    instance.serviceConfig.firestore = {
+        emulatorHost: null,
+        options: { enableOfflinePersistence: !!options?.enableOfflinePersistence, persistenceEnabled: false }
+    };
 
     if (options?.emulatorHost) {
         const parsed = parseEmulatorHost(options.emulatorHost);
         if (parsed) {
             try {
-                connectFirestoreEmulator(firebaseFirestore, parsed.host, parsed.port);
+                connectFirestoreEmulator(firestore, parsed.host, parsed.port);
+                instance.serviceConfig.firestore.emulatorHost = options.emulatorHost;
                 console.log(`[FireBlazor] Connected to Firestore emulator at ${options.emulatorHost}`);
             } catch (error) {
                 console.error(`[FireBlazor] Failed to connect to Firestore emulator: ${error.message}`);
@@ -238,22 +930,62 @@ export async function initializeFirestore(options) {
 
     if (options?.enableOfflinePersistence && !options?.emulatorHost) {
         try {
-            await enableIndexedDbPersistence(firebaseFirestore);
+            await enableIndexedDbPersistence(firestore);
+            instance.serviceConfig.firestore.options.persistenceEnabled = true;
         } catch (err) {
             console.warn('Firestore persistence failed:', err);
         }
     }
-    return true;
+    return { success: true };
+}
+
+// Firestore types that JSON serialization to .NET cannot carry (References are circular, Bytes are opaque)
+// are encoded as objects tagged with __type__, which the C# converters in FireBlazor.Firestore read back.
+async function loadFirestoreEncoder() {
+    const { Timestamp, GeoPoint, DocumentReference, Bytes, VectorValue } = await loadSdk('firestore');
+
+    const encode = (value) => {
+        if (value === null || typeof value !== 'object') return value;
+        if (value instanceof Timestamp) {
+            return { __type__: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+        }
+        if (value instanceof GeoPoint) {
+            return { __type__: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+        }
+        if (value instanceof DocumentReference) {
+            return { __type__: 'reference', path: value.path };
+        }
+        if (value instanceof Bytes) {
+            return { __type__: 'bytes', base64: value.toBase64() };
+        }
+        if (value instanceof VectorValue) {
+            return { __type__: 'vector', values: value.toArray() };
+        }
+        if (Array.isArray(value)) {
+            return value.map(encode);
+        }
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = encode(item);
+        }
+        return result;
+    };
+    return encode;
 }
 
-export async function firestoreGet(path) {
-    const { collection, getDocs, doc, getDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreGet(path, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { collection, getDocs, doc, getDoc } = await loadSdk('firestore');
+    const encode = await loadFirestoreEncoder();
     try {
         // Check if path is a document or collection
         const segments = path.split('/');
         if (segments.length % 2 === 0) {
             // Document path
-            const docRef = doc(firebaseFirestore, path);
+            const docRef = doc(firestore, path);
             const snapshot = await getDoc(docRef);
             return {
                 success: true,
@@ -261,7 +993,7 @@ export async function firestoreGet(path) {
                     id: snapshot.id,
                     path: snapshot.ref.path,
                     exists: true,
-                    data: snapshot.data(),
+                    data: encode(snapshot.data()),
                     metadata: {
                         isFromCache: snapshot.metadata.fromCache,
                         hasPendingWrites: snapshot.metadata.hasPendingWrites
@@ -270,7 +1002,7 @@ export async function firestoreGet(path) {
             };
         } else {
             // Collection path
-            const colRef = collection(firebaseFirestore, path);
+            const colRef = collection(firestore, path);
             const snapshot = await getDocs(colRef);
             return {
                 success: true,
@@ -278,7 +1010,7 @@ export async function firestoreGet(path) {
                     id: d.id,
                     path: d.ref.path,
                     exists: true,
-                    data: d.data(),
+                    data: encode(d.data()),
                     metadata: {
                         isFromCache: d.metadata.fromCache,
                         hasPendingWrites: d.metadata.hasPendingWrites
@@ -291,11 +1023,15 @@ export async function firestoreGet(path) {
     }
 }
 
-export async function firestoreAdd(path, data) {
-    const { collection, addDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreAdd(path, data, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { collection, addDoc } = await loadSdk('firestore');
     try {
-        const transformedData = await transformFieldValues(data);
-        const colRef = collection(firebaseFirestore, path);
+        const transformedData = await transformFieldValues(data, firestore);
+        const colRef = collection(firestore, path);
         const docRef = await addDoc(colRef, transformedData);
         return { success: true, data: { id: docRef.id } };
     } catch (error) {
@@ -303,11 +1039,15 @@ export async function firestoreAdd(path, data) {
     }
 }
 
-export async function firestoreSet(path, data, merge = false) {
-    const { doc, setDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreSet(path, data, merge = false, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { doc, setDoc } = await loadSdk('firestore');
     try {
-        const transformedData = await transformFieldValues(data);
-        const docRef = doc(firebaseFirestore, path);
+        const transformedData = await transformFieldValues(data, firestore);
+        const docRef = doc(firestore, path);
         await setDoc(docRef, transformedData, { merge });
         return { success: true, data: null };
     } catch (error) {
@@ -315,11 +1055,15 @@ export async function firestoreSet(path, data, merge = false) {
     }
 }
 
-export async function firestoreUpdate(path, data) {
-    const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreUpdate(path, data, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { doc, updateDoc } = await loadSdk('firestore');
     try {
-        const transformedData = await transformFieldValues(data);
-        const docRef = doc(firebaseFirestore, path);
+        const transformedData = await transformFieldValues(data, firestore);
+        const docRef = doc(firestore, path);
         await updateDoc(docRef, transformedData);
         return { success: true, data: null };
     } catch (error) {
@@ -327,10 +1071,14 @@ export async function firestoreUpdate(path, data) {
     }
 }
 
-export async function firestoreDelete(path) {
-    const { doc, deleteDoc } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreDelete(path, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { doc, deleteDoc } = await loadSdk('firestore');
     try {
-        const docRef = doc(firebaseFirestore, path);
+        const docRef = doc(firestore, path);
         await deleteDoc(docRef);
         return { success: true };
     } catch (error) {
@@ -338,16 +1086,20 @@ export async function firestoreDelete(path) {
     }
 }
 
-export async function firestoreBatchWrite(operations) {
+export async function firestoreBatchWrite(operations, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
     if (!operations || !Array.isArray(operations) || operations.length === 0) {
         return { success: false, error: { code: 'firestore/invalid-argument', message: 'Operations array is required and must not be empty' } };
     }
 
     const { writeBatch, doc } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+        await loadSdk('firestore');
 
     try {
-        const batch = writeBatch(firebaseFirestore);
+        const batch = writeBatch(firestore);
 
         for (const op of operations) {
             if (!op.path || typeof op.path !== 'string') {
@@ -357,16 +1109,16 @@ export async function firestoreBatchWrite(operations) {
                 throw new Error(`${op.type} operation requires data`);
             }
 
-            const docRef = doc(firebaseFirestore, op.path);
+            const docRef = doc(firestore, op.path);
 
             switch (op.type) {
                 case 'set': {
-                    const transformedData = await transformFieldValues(op.data);
+                    const transformedData = await transformFieldValues(op.data, firestore);
                     batch.set(docRef, transformedData, { merge: op.merge || false });
                     break;
                 }
                 case 'update': {
-                    const transformedData = await transformFieldValues(op.data);
+                    const transformedData = await transformFieldValues(op.data, firestore);
                     batch.update(docRef, transformedData);
                     break;
                 }
@@ -385,9 +1137,14 @@ export async function firestoreBatchWrite(operations) {
     }
 }
 
-export async function firestoreRunTransaction(operations) {
+export async function firestoreRunTransaction(operations, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
     const { runTransaction, doc } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+        await loadSdk('firestore');
+    const encode = await loadFirestoreEncoder();
 
     try {
         // Validate operations
@@ -395,7 +1152,7 @@ export async function firestoreRunTransaction(operations) {
             return { success: false, error: { code: 'firestore/invalid-argument', message: 'Operations array is required and must not be empty' } };
         }
 
-        const result = await runTransaction(firebaseFirestore, async (transaction) => {
+        const result = await runTransaction(firestore, async (transaction) => {
             const results = [];
 
             for (const op of operations) {
@@ -403,7 +1160,7 @@ export async function firestoreRunTransaction(operations) {
                     throw new Error('Operation missing valid path');
                 }
 
-                const docRef = doc(firebaseFirestore, op.path);
+                const docRef = doc(firestore, op.path);
 
                 switch (op.type) {
                     case 'get': {
@@ -412,7 +1169,7 @@ export async function firestoreRunTransaction(operations) {
                             type: 'get',
                             path: op.path,
                             exists: snapshot.exists(),
-                            data: snapshot.exists() ? snapshot.data() : null,
+                            data: snapshot.exists() ? encode(snapshot.data()) : null,
                             id: snapshot.id
                         });
                         break;
@@ -421,7 +1178,7 @@ export async function firestoreRunTransaction(operations) {
                         if (!op.data) {
                             throw new Error('set operation requires data');
                         }
-                        const setData = await transformFieldValues(op.data);
+                        const setData = await transformFieldValues(op.data, firestore);
                         transaction.set(docRef, setData, { merge: op.merge || false });
                         results.push({ type: 'set', path: op.path, success: true });
                         break;
@@ -430,7 +1187,7 @@ export async function firestoreRunTransaction(operations) {
                         if (!op.data) {
                             throw new Error('update operation requires data');
                         }
-                        const updateData = await transformFieldValues(op.data);
+                        const updateData = await transformFieldValues(op.data, firestore);
                         transaction.update(docRef, updateData);
                         results.push({ type: 'update', path: op.path, success: true });
                         break;
@@ -455,22 +1212,27 @@ export async function firestoreRunTransaction(operations) {
 }
 
 // Callback-based transaction that allows C# to process read data and return write operations
-export async function firestoreRunTransactionWithCallback(readPaths, dotnetCallback) {
+export async function firestoreRunTransactionWithCallback(readPaths, dotnetCallback, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
     const { runTransaction, doc } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+        await loadSdk('firestore');
+    const encode = await loadFirestoreEncoder();
 
     try {
-        const result = await runTransaction(firebaseFirestore, async (transaction) => {
+        const result = await runTransaction(firestore, async (transaction) => {
             // Read all requested documents inside the transaction
             const readResults = {};
             for (const path of readPaths) {
-                const docRef = doc(firebaseFirestore, path);
+                const docRef = doc(firestore, path);
                 const snapshot = await transaction.get(docRef);
                 readResults[path] = {
                     path: path,
                     id: snapshot.id,
                     exists: snapshot.exists(),
-                    data: snapshot.exists() ? snapshot.data() : null
+                    data: snapshot.exists() ? encode(snapshot.data()) : null
                 };
             }
 
@@ -483,15 +1245,15 @@ export async function firestoreRunTransactionWithCallback(readPaths, dotnetCallb
 
             // Execute write operations
             for (const op of writeOpsResult.operations) {
-                const docRef = doc(firebaseFirestore, op.path);
+                const docRef = doc(firestore, op.path);
                 switch (op.type) {
                     case 'set': {
-                        const setData = await transformFieldValues(op.data);
+                        const setData = await transformFieldValues(op.data, firestore);
                         transaction.set(docRef, setData, { merge: op.merge || false });
                         break;
                     }
                     case 'update': {
-                        const updateData = await transformFieldValues(op.data);
+                        const updateData = await transformFieldValues(op.data, firestore);
                         transaction.update(docRef, updateData);
                         break;
                     }
@@ -511,10 +1273,16 @@ export async function firestoreRunTransactionWithCallback(readPaths, dotnetCallb
     }
 }
 
-export async function firestoreQuery(path, queryParams) {
-    const { collection, query, where, orderBy, limit, startAt, startAfter, endAt, endBefore, getDocs } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreQuery(path, queryParams, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { collection, query, where, orderBy, limit, startAt, startAfter, endAt, endBefore, getDocs } = await loadSdk('firestore');
+    const encode = await loadFirestoreEncoder();
     try {
-        let q = collection(firebaseFirestore, path);
+        queryParams = await decodeQueryParams(queryParams, firestore);
+        let q = collection(firestore, path);
         const constraints = [];
 
         if (queryParams.where) {
@@ -555,7 +1323,7 @@ export async function firestoreQuery(path, queryParams) {
                 id: d.id,
                 path: d.ref.path,
                 exists: true,
-                data: d.data(),
+                data: encode(d.data()),
                 metadata: {
                     isFromCache: d.metadata.fromCache,
                     hasPendingWrites: d.metadata.hasPendingWrites
@@ -569,13 +1337,18 @@ export async function firestoreQuery(path, queryParams) {
 
 // ============ FIRESTORE AGGREGATE QUERIES ============
 
-export async function firestoreCount(path, queryParams) {
+export async function firestoreCount(path, queryParams, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
     const { collection, query, where, getCountFromServer } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+        await loadSdk('firestore');
 
     try {
-        const collRef = collection(firebaseFirestore, ...path.split('/'));
+        const collRef = collection(firestore, ...path.split('/'));
         let q = collRef;
+        queryParams = await decodeQueryParams(queryParams, firestore);
 
         if (queryParams?.where) {
             const constraints = queryParams.where.map(w => where(w.field, w.op, w.value));
@@ -589,13 +1362,18 @@ export async function firestoreCount(path, queryParams) {
     }
 }
 
-export async function firestoreSum(path, field, queryParams) {
+export async function firestoreSum(path, field, queryParams, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
     const { collection, query, where, getAggregateFromServer, sum } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+        await loadSdk('firestore');
 
     try {
-        const collRef = collection(firebaseFirestore, ...path.split('/'));
+        const collRef = collection(firestore, ...path.split('/'));
         let q = collRef;
+        queryParams = await decodeQueryParams(queryParams, firestore);
 
         if (queryParams?.where) {
             const constraints = queryParams.where.map(w => where(w.field, w.op, w.value));
@@ -609,13 +1387,18 @@ export async function firestoreSum(path, field, queryParams) {
     }
 }
 
-export async function firestoreAverage(path, field, queryParams) {
+export async function firestoreAverage(path, field, queryParams, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
     const { collection, query, where, getAggregateFromServer, average } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+        await loadSdk('firestore');
 
     try {
-        const collRef = collection(firebaseFirestore, ...path.split('/'));
+        const collRef = collection(firestore, ...path.split('/'));
         let q = collRef;
+        queryParams = await decodeQueryParams(queryParams, firestore);
 
         if (queryParams?.where) {
             const constraints = queryParams.where.map(w => where(w.field, w.op, w.value));
@@ -631,23 +1414,25 @@ export async function firestoreAverage(path, field, queryParams) {
 
 // ============ FIRESTORE REAL-TIME LISTENERS ============
 
-// Map to track active subscriptions for cleanup
-const firestoreSubscriptions = new Map();
-let subscriptionIdCounter = 0;
-
-export async function firestoreSubscribeDocument(path, dotnetHelper) {
-    const { doc, onSnapshot } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreSubscribeDocument(path, dotnetHelper, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { doc, onSnapshot } = await loadSdk('firestore');
+    const encode = await loadFirestoreEncoder();
     try {
-        const docRef = doc(firebaseFirestore, path);
-        const subscriptionId = ++subscriptionIdCounter;
+        const docRef = doc(firestore, path);
+        const subscription = createSubscription('firestore', 'document', path, null, appName);
 
         const unsubscribe = onSnapshot(docRef,
             (snapshot) => {
+                recordSnapshot(subscription);
                 const data = snapshot.exists() ? {
                     id: snapshot.id,
                     path: snapshot.ref.path,
                     exists: true,
-                    data: snapshot.data(),
+                    data: encode(snapshot.data()),
                     metadata: {
                         isFromCache: snapshot.metadata.fromCache,
                         hasPendingWrites: snapshot.metadata.hasPendingWrites
@@ -664,33 +1449,39 @@ export async function firestoreSubscribeDocument(path, dotnetHelper) {
             }
         );
 
-        firestoreSubscriptions.set(subscriptionId, unsubscribe);
+        const subscriptionId = trackSubscription(subscription, unsubscribe);
         return { success: true, data: { subscriptionId } };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function firestoreSubscribeCollection(path, queryParams, dotnetHelper) {
-    const { collection, query, where, orderBy, limit, onSnapshot } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-firestore.js');
+export async function firestoreSubscribeCollection(path, queryParams, dotnetHelper, appName) {
+    const firestore = getService(appName, 'firestore');
+    if (!firestore) {
+        return { success: false, error: notInitializedError('firestore', appName) };
+    }
+    const { collection, query, where, orderBy, limit, onSnapshot } = await loadSdk('firestore');
+    const encode = await loadFirestoreEncoder();
     try {
-        let q = collection(firebaseFirestore, path);
+        let q = collection(firestore, path);
+        const constraintParams = await decodeQueryParams(queryParams, firestore);
 
-        if (queryParams) {
+        if (constraintParams) {
             const constraints = [];
 
-            if (queryParams.where) {
-                for (const w of queryParams.where) {
+            if (constraintParams.where) {
+                for (const w of constraintParams.where) {
                     constraints.push(where(w.field, w.op, w.value));
                 }
             }
-            if (queryParams.orderBy) {
-                for (const o of queryParams.orderBy) {
+            if (constraintParams.orderBy) {
+                for (const o of constraintParams.orderBy) {
                     constraints.push(orderBy(o.field, o.direction || 'asc'));
                 }
             }
-            if (queryParams.limit) {
-                constraints.push(limit(queryParams.limit));
+            if (constraintParams.limit) {
+                constraints.push(limit(constraintParams.limit));
             }
 
             if (constraints.length > 0) {
@@ -698,15 +1489,16 @@ export async function firestoreSubscribeCollection(path, queryParams, dotnetHelp
             }
         }
 
-        const subscriptionId = ++subscriptionIdCounter;
+        const subscription = createSubscription('firestore', 'collection', path, queryParams, appName);
 
         const unsubscribe = onSnapshot(q,
             (snapshot) => {
+                recordSnapshot(subscription);
                 const docs = snapshot.docs.map(d => ({
                     id: d.id,
                     path: d.ref.path,
                     exists: true,
-                    data: d.data(),
+                    data: encode(d.data()),
                     metadata: {
                         isFromCache: d.metadata.fromCache,
                         hasPendingWrites: d.metadata.hasPendingWrites
@@ -723,151 +1515,1446 @@ export async function firestoreSubscribeCollection(path, queryParams, dotnetHelp
             }
         );
 
-        firestoreSubscriptions.set(subscriptionId, unsubscribe);
-        return { success: true, data: { subscriptionId } };
+        const subscriptionId = trackSubscription(subscription, unsubscribe);
+        return { success: true, data: { subscriptionId } };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+export function firestoreUnsubscribe(subscriptionId) {
+    if (releaseSubscription(subscriptionId, 'firestore')) {
+        return { success: true };
+    }
+    return { success: false, error: { code: 'not-found', message: 'Subscription not found' } };
+}
+
+// ============ STORAGE ============
+
+// Runs fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
+
+// bucket ("gs://name"), when given, replaces the app's storageBucket as the default bucket
+export async function initializeStorage(emulatorHost, bucket, appName) {
+    const instance = getAppInstance(appName);
+    if (!instance) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { getStorage, connectStorageEmulator } = await loadSdk('storage');
+    const storage = bucket ? getStorage(instance.app, bucket) : getStorage(instance.app);
+    instance.storage = storage;
+    instance.storageBuckets.clear();
+    instance.serviceConfig.storage = {
+        emulatorHost: null,
+        options: { bucket: bucket ?? storage.app.options.storageBucket ?? null, buckets: null }
+    };
+
+    if (emulatorHost) {
+        const parsed = parseEmulatorHost(emulatorHost);
+        if (parsed) {
+            try {
+                connectStorageEmulator(storage, parsed.host, parsed.port);
+                instance.serviceConfig.storage.emulatorHost = emulatorHost;
+                console.log(`[FireBlazor] Connected to Storage emulator at ${emulatorHost}`);
+            } catch (error) {
+                console.error(`[FireBlazor] Failed to connect to Storage emulator: ${error.message}`);
+                throw error;
+            }
+        }
+    }
+
+    return { success: true };
+}
+
+// Storage instance for a bucket ("gs://name"), or the default instance when bucket is null.
+// Instances for other buckets are created on first use, cached per app and connected to the same
+// emulator as the default one, since the Storage emulator serves every bucket from one host.
+async function getBucketStorage(appName, bucket) {
+    const instance = getAppInstance(appName);
+    if (!instance?.storage || !bucket) {
+        return instance?.storage ?? null;
+    }
+    let storage = instance.storageBuckets.get(bucket);
+    if (!storage) {
+        const { getStorage, connectStorageEmulator } = await loadSdk('storage');
+        storage = instance.storageBuckets.get(bucket);
+        if (!storage) {
+            storage = getStorage(instance.app, bucket);
+            const emulator = parseEmulatorHost(instance.serviceConfig.storage.emulatorHost);
+            if (emulator) {
+                connectStorageEmulator(storage, emulator.host, emulator.port);
+            }
+            instance.storageBuckets.set(bucket, storage);
+            instance.serviceConfig.storage.options.buckets = [...instance.storageBuckets.keys()].join(', ');
+        }
+    }
+    return storage;
+}
+
+export async function storageGetDownloadUrl(path, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, getDownloadURL } = await loadSdk('storage');
+    try {
+        const storageRef = ref(storage, path);
+        const url = await getDownloadURL(storageRef);
+        return { success: true, data: url };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+export async function storageDelete(path, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, deleteObject } = await loadSdk('storage');
+    try {
+        const storageRef = ref(storage, path);
+        await deleteObject(storageRef);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: { code: error.code, message: error.message } };
+    }
+}
+
+export async function storageUpload(path, data, metadata, dotnetHelper, taskId, integrity, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, uploadBytesResumable } = await loadSdk('storage');
+    try {
+        const storageRef = ref(storage, path);
+        let prepared = null;
+        if (integrity) {
+            const hasher = createIntegrityHasher(integrity);
+            await hashInBlocks(data, hasher);
+            prepared = prepareUploadIntegrity(hasher, data.length, metadata, integrity);
+        }
+        const uploadTask = uploadBytesResumable(storageRef, data, prepared?.metadata ?? toUploadMetadata(metadata));
+        const result = await runUploadTask(uploadTask, dotnetHelper, taskId || nextUploadTaskId(), appName);
+        return prepared ? await verifyUploadIntegrity(storageRef, prepared, result) : result;
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    }
+}
+
+// Uploads from a .NET stream (DotNetStreamReference). The stream is pulled in chunks
+// and assembled into a Blob part by part, so the payload never crosses the interop
+// boundary as a single argument and is never duplicated on the .NET heap.
+export async function storageUploadStream(path, streamRef, metadata, dotnetHelper, taskId, integrity, bucket, appName) {
+    if (!getService(appName, 'storage')) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    // Registered before any await so a pause or cancel issued right after the call is not missed
+    const id = taskId || nextUploadTaskId();
+    registerPendingUpload(id);
+    return uploadPendingStream(id, path, bucket, streamRef, metadata, integrity, dotnetHelper, appName);
+}
+
+// Reads the stream into a Blob and uploads it with uploadBytesResumable, under an id already registered
+// in pendingUploads. A cancel requested before the upload task exists stops reading the stream, and a
+// pause starts the task paused. With integrity set ('md5' or 'sha256'), each chunk is hashed as it is read.
+async function uploadPendingStream(id, path, bucket, streamRef, metadata, integrity, dotnetHelper, appName, onSnapshot) {
+    try {
+        const { ref, uploadBytesResumable } = await loadSdk('storage');
+        let storageRef = null;
+        let uploadTask = null;
+        let prepared = null;
+        let pending;
+        try {
+            const storage = await getBucketStorage(appName, bucket);
+            if (storage && !pendingUploads.get(id)?.canceled) {
+                storageRef = ref(storage, path);
+                const hasher = integrity ? createIntegrityHasher(integrity) : null;
+                const blob = await readDotNetStreamToBlob(streamRef, metadata?.contentType, {
+                    isCanceled: () => pendingUploads.get(id)?.canceled,
+                    onChunk: hasher && (chunk => hasher.update(chunk))
+                });
+                if (!pendingUploads.get(id)?.canceled) {
+                    prepared = hasher && prepareUploadIntegrity(hasher, blob.size, metadata, integrity);
+                    uploadTask = uploadBytesResumable(storageRef, blob, prepared?.metadata ?? toUploadMetadata(metadata));
+                }
+            }
+        } finally {
+            pending = pendingUploads.get(id);
+            pendingUploads.delete(id);
+        }
+        if (pending?.canceled) {
+            uploadTask?.cancel();
+            return { success: false, error: { code: 'storage/canceled', message: 'Upload was canceled' } };
+        }
+        if (!uploadTask) {
+            return { success: false, error: notInitializedError('storage', appName) };
+        }
+        const result = await startPendingUploadTask(uploadTask, pending, dotnetHelper, id, appName, onSnapshot);
+        return prepared ? await verifyUploadIntegrity(storageRef, prepared, result) : result;
+    } catch (error) {
+        pendingUploads.delete(id);
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    }
+}
+
+const DEFAULT_UPLOAD_BATCH_CONCURRENCY = 4;
+
+// Uploads many files with at most `concurrency` in flight. files: [{ path, bucket, data (stream
+// reference), metadata, taskId, size, integrity }]. Each file is its own upload task, reported through OnProgress and
+// controllable by task id; OnBatchProgress reports the batch as a whole. A failed file does not
+// stop the others, and the result holds one entry per file in input order.
+export async function storageUploadBatch(files, concurrency, dotnetHelper, appName) {
+    const storage = getService(appName, 'storage');
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+
+    const entries = files.map((file) => ({
+        ...file,
+        id: file.taskId || nextUploadTaskId(),
+        transferred: 0,
+        total: file.size ?? 0
+    }));
+    // Every file can be paused or canceled from the start, including those still waiting for a slot
+    for (const entry of entries) {
+        registerPendingUpload(entry.id);
+    }
+
+    const counts = { totalFiles: entries.length, completedFiles: 0, failedFiles: 0 };
+    const reportBatchProgress = () => {
+        if (dotnetHelper) {
+            let bytesTransferred = 0;
+            let totalBytes = 0;
+            for (const entry of entries) {
+                bytesTransferred += entry.transferred;
+                totalBytes += entry.total;
+            }
+            dotnetHelper.invokeMethodAsync('OnBatchProgress', { ...counts, bytesTransferred, totalBytes });
+        }
+    };
+
+    const results = await mapWithConcurrency(entries, concurrency || DEFAULT_UPLOAD_BATCH_CONCURRENCY, async (entry) => {
+        if (getService(appName, 'storage') !== storage) {
+            // The app was terminated mid-batch; files not yet started are canceled
+            pendingUploads.get(entry.id).canceled = true;
+        }
+        const result = await uploadPendingStream(
+            entry.id, entry.path, entry.bucket, entry.data, entry.metadata, entry.integrity, dotnetHelper, appName,
+            (snapshot) => {
+                entry.transferred = snapshot.bytesTransferred;
+                entry.total = snapshot.totalBytes;
+                reportBatchProgress();
+            });
+        if (result.success) {
+            counts.completedFiles++;
+        } else {
+            counts.failedFiles++;
+        }
+        reportBatchProgress();
+        return { path: entry.path, taskId: entry.id, ...result };
+    });
+    return { success: true, data: results };
+}
+
+// Pulls a .NET stream reference chunk by chunk into a Blob. onChunk, if given, sees each chunk as it
+// is read. isCanceled, if given, is checked before each read; once it returns true the stream is
+// released and the Blob holds what was read so far.
+async function readDotNetStreamToBlob(streamRef, contentType, { isCanceled, onChunk } = {}) {
+    const reader = (await streamRef.stream()).getReader();
+    const parts = [];
+    for (;;) {
+        if (isCanceled?.()) {
+            await reader.cancel();
+            break;
+        }
+        const { done, value } = await reader.read();
+        if (done) break;
+        onChunk?.(value);
+        parts.push(value);
+    }
+    return new Blob(parts, contentType ? { type: contentType } : undefined);
+}
+
+function toUploadMetadata(metadata) {
+    return metadata ? {
+        contentType: metadata.contentType,
+        cacheControl: metadata.cacheControl,
+        contentDisposition: metadata.contentDisposition,
+        contentEncoding: metadata.contentEncoding,
+        contentLanguage: metadata.contentLanguage,
+        customMetadata: metadata.customMetadata
+    } : undefined;
+}
+
+// customMetadata keys the integrity hash is stored under, by algorithm
+const INTEGRITY_METADATA_KEYS = { md5: 'contentMd5', sha256: 'contentSha256' };
+
+// Hasher for an integrity-checked upload: 'md5' or 'sha256'. Only the requested hash is computed.
+function createIntegrityHasher(algorithm) {
+    if (algorithm === 'md5') return createMd5Hasher();
+    if (algorithm === 'sha256') return createSha256Hasher();
+    throw Object.assign(new Error(`Unsupported integrity algorithm: ${algorithm}`), { code: 'storage/invalid-argument' });
+}
+
+// Hashes in-memory upload data a block at a time, yielding to the event loop between blocks
+// so a large payload does not freeze the page.
+const INTEGRITY_HASH_BLOCK_SIZE = 1024 * 1024;
+
+async function hashInBlocks(bytes, hasher) {
+    for (let offset = 0; offset < bytes.length; offset += INTEGRITY_HASH_BLOCK_SIZE) {
+        hasher.update(bytes.subarray(offset, offset + INTEGRITY_HASH_BLOCK_SIZE));
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+// Adds the finished hash (base64, matching md5Hash) to the upload's customMetadata. The result
+// is what verifyUploadIntegrity checks the stored object against.
+function prepareUploadIntegrity(hasher, size, metadata, algorithm) {
+    const hash = bytesToBase64(hasher.digest());
+    const uploadMetadata = toUploadMetadata(metadata) ?? {};
+    uploadMetadata.customMetadata = { ...uploadMetadata.customMetadata, [INTEGRITY_METADATA_KEYS[algorithm]]: hash };
+    return { metadata: uploadMetadata, algorithm, hash, size };
+}
+
+// Checks the stored object against the data that was hashed. With MD5 the object's md5Hash must
+// match; Storage reports no SHA-256, so with SHA-256 the stored size must match instead. A mismatch
+// fails the upload with storage/integrity-mismatch; the object is left in place for the caller to inspect or delete.
+async function verifyUploadIntegrity(storageRef, prepared, result) {
+    if (!result.success) {
+        return result;
+    }
+    const { getMetadata } = await loadSdk('storage');
+    try {
+        const stored = await getMetadata(storageRef);
+        const mismatch = prepared.algorithm === 'md5'
+            ? stored.md5Hash !== prepared.hash && `has MD5 ${stored.md5Hash ?? '(none)'}, expected ${prepared.hash}`
+            : stored.size !== prepared.size && `has ${stored.size} bytes, expected ${prepared.size}`;
+        if (mismatch) {
+            return {
+                success: false,
+                error: { code: 'storage/integrity-mismatch', message: `Stored object ${storageRef.fullPath} ${mismatch}` }
+            };
+        }
+        return { success: true, data: { ...result.data, contentHash: prepared.hash } };
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+// Incremental hash over 64-byte blocks, for MD5 and SHA-256 (neither of which Web Crypto can hash
+// incrementally). update() processes full blocks in place and buffers only a partial block, so data
+// can be hashed chunk by chunk as it is read. compress(view, offset) processes one block; finish()
+// returns the digest once the padding blocks are processed. The bit length is little-endian for MD5.
+function createBlockHasher(compress, finish, littleEndianLength) {
+    const buffer = new Uint8Array(64);
+    const bufferView = new DataView(buffer.buffer);
+    let buffered = 0;
+    let length = 0;
+    return {
+        update(bytes) {
+            length += bytes.length;
+            let offset = 0;
+            if (buffered > 0) {
+                offset = Math.min(64 - buffered, bytes.length);
+                buffer.set(bytes.subarray(0, offset), buffered);
+                buffered += offset;
+                if (buffered < 64) return;
+                compress(bufferView, 0);
+                buffered = 0;
+            }
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            for (; offset + 64 <= bytes.length; offset += 64) {
+                compress(view, offset);
+            }
+            buffer.set(bytes.subarray(offset));
+            buffered = bytes.length - offset;
+        },
+        digest() {
+            const tail = new Uint8Array(buffered < 56 ? 64 : 128);
+            tail.set(buffer.subarray(0, buffered));
+            tail[buffered] = 0x80;
+            const tailView = new DataView(tail.buffer);
+            const low = (length * 8) >>> 0;
+            const high = Math.floor(length / 0x20000000);
+            tailView.setUint32(tail.length - 8, littleEndianLength ? low : high, littleEndianLength);
+            tailView.setUint32(tail.length - 4, littleEndianLength ? high : low, littleEndianLength);
+            for (let offset = 0; offset < tail.length; offset += 64) {
+                compress(tailView, offset);
+            }
+            return finish();
+        }
+    };
+}
+
+// MD5 (RFC 1321)
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0);
+
+function createMd5Hasher() {
+    const state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    const words = new Int32Array(16);
+    return createBlockHasher((view, offset) => md5Block(state, words, view, offset), () => {
+        const digest = new Uint8Array(16);
+        const digestView = new DataView(digest.buffer);
+        state.forEach((word, i) => digestView.setInt32(i * 4, word, true));
+        return digest;
+    }, true);
+}
+
+function md5Block(state, words, view, offset) {
+    for (let i = 0; i < 16; i++) {
+        words[i] = view.getInt32(offset + i * 4, true);
+    }
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+        let f;
+        let g;
+        if (i < 16) {
+            f = (b & c) | (~b & d);
+            g = i;
+        } else if (i < 32) {
+            f = (d & b) | (~d & c);
+            g = (5 * i + 1) % 16;
+        } else if (i < 48) {
+            f = b ^ c ^ d;
+            g = (3 * i + 5) % 16;
+        } else {
+            f = c ^ (b | ~d);
+            g = (7 * i) % 16;
+        }
+        const sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+        const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+}
+
+// SHA-256 (FIPS 180-4). The constants are the fractional parts of the square roots (initial state)
+// and cube roots (round constants) of the first primes.
+const SHA256_PRIMES = Array.from({ length: 312 }, (_, n) => n)
+    .filter(n => n > 1 && Array.from({ length: n - 2 }, (_, i) => i + 2).every(d => n % d !== 0))
+    .slice(0, 64);
+const SHA256_INITIAL_STATE = SHA256_PRIMES.slice(0, 8).map(p => Math.floor((Math.sqrt(p) % 1) * 2 ** 32) | 0);
+const SHA256_CONSTANTS = SHA256_PRIMES.map(p => Math.floor((Math.cbrt(p) % 1) * 2 ** 32) | 0);
+
+function createSha256Hasher() {
+    const state = new Int32Array(SHA256_INITIAL_STATE);
+    const words = new Int32Array(64);
+    return createBlockHasher((view, offset) => sha256Block(state, words, view, offset), () => {
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        state.forEach((word, i) => digestView.setInt32(i * 4, word));
+        return digest;
+    }, false);
+}
+
+function sha256Block(state, words, view, offset) {
+    const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let i = 0; i < 16; i++) {
+        words[i] = view.getInt32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+        const w15 = words[i - 15];
+        const w2 = words[i - 2];
+        const s0 = rotate(w15, 7) ^ rotate(w15, 18) ^ (w15 >>> 3);
+        const s1 = rotate(w2, 17) ^ rotate(w2, 19) ^ (w2 >>> 10);
+        words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i++) {
+        const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+        const t1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_CONSTANTS[i] + words[i]) | 0;
+        const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+        const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+}
+
+const IMAGE_UPLOAD_TYPES = { jpeg: 'image/jpeg', webp: 'image/webp' };
+const DEFAULT_IMAGE_QUALITY = 0.85;
+
+// Uploads an image after processing it in the browser: scaled down to fit options.maxDimension
+// (never up), re-encoded as options.format ('jpeg' or 'webp') at options.quality (0-1), and with
+// options.thumbnails ([{ path, maxDimension }]) uploaded after the main image. Progress covers the
+// main image; pause, resume and cancel by task id reach the main image and each thumbnail.
+// The result adds original and final sizes and dimensions to the usual upload result. Once the main
+// image is stored the call succeeds: a thumbnail that fails or is canceled is listed in
+// failedThumbnails, and the main image is kept.
+export async function storageUploadImage(path, streamRef, options, metadata, dotnetHelper, taskId, bucket, appName) {
+    if (!getService(appName, 'storage')) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    // Registered before any await so a pause or cancel issued right after the call is not missed
+    const id = taskId || nextUploadTaskId();
+    registerPendingUpload(id);
+
+    let processed;
+    let pending;
+    try {
+        if (!pendingUploads.get(id).canceled) {
+            processed = await processImage(await readDotNetStreamToBlob(streamRef, metadata?.contentType), options);
+        }
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    } finally {
+        pending = pendingUploads.get(id);
+        pendingUploads.delete(id);
+    }
+    if (pending.canceled) {
+        return { success: false, error: { code: 'storage/canceled', message: 'Upload was canceled' } };
+    }
+
+    // Registered without an await since the pending entry was removed, so controls keep reaching the upload
+    const group = createUploadTaskGroup(pending.paused);
+    uploadTasks.set(id, { task: group, appName: appName || DEFAULT_APP_NAME });
+    try {
+        const { ref, uploadBytesResumable, getDownloadURL } = await loadSdk('storage');
+        const storage = await getBucketStorage(appName, bucket);
+        if (!storage) {
+            return { success: false, error: notInitializedError('storage', appName) };
+        }
+        const { image, thumbnails } = processed;
+        const uploadMetadata = { ...toUploadMetadata(metadata), contentType: image.blob.type };
+        const uploadTask = group.add(uploadBytesResumable(ref(storage, path), image.blob, uploadMetadata));
+        const result = await observeUploadTask(uploadTask, dotnetHelper, id);
+        if (!result.success) {
+            return result;
+        }
+
+        const uploadedThumbnails = [];
+        const failedThumbnails = [];
+        for (const thumbnail of thumbnails) {
+            if (group.canceled) {
+                failedThumbnails.push({ path: thumbnail.path, code: 'storage/canceled', message: 'Upload was canceled' });
+                continue;
+            }
+            try {
+                const snapshot = await group.add(uploadBytesResumable(ref(storage, thumbnail.path), thumbnail.blob,
+                    { ...uploadMetadata, contentType: thumbnail.blob.type }));
+                uploadedThumbnails.push({
+                    fullPath: snapshot.ref.fullPath,
+                    downloadUrl: await getDownloadURL(snapshot.ref),
+                    size: thumbnail.blob.size,
+                    width: thumbnail.width,
+                    height: thumbnail.height
+                });
+            } catch (error) {
+                failedThumbnails.push({ path: thumbnail.path, code: error.code || 'storage/unknown', message: error.message });
+            }
+        }
+
+        return {
+            success: true,
+            data: {
+                ...result.data,
+                contentType: image.blob.type,
+                originalSize: processed.original.size,
+                finalSize: image.blob.size,
+                originalWidth: processed.originalWidth,
+                originalHeight: processed.originalHeight,
+                width: image.width,
+                height: image.height,
+                thumbnails: uploadedThumbnails,
+                failedThumbnails
+            }
+        };
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    } finally {
+        if (uploadTasks.get(id)?.task === group) {
+            uploadTasks.delete(id);
+        }
+    }
+}
+
+// Decodes the image once and encodes the main image and each thumbnail from it.
+// Failures carry storage/image-processing-failed.
+async function processImage(original, options) {
+    const type = IMAGE_UPLOAD_TYPES[options?.format] ?? IMAGE_UPLOAD_TYPES.jpeg;
+    const quality = options?.quality ?? DEFAULT_IMAGE_QUALITY;
+    let bitmap;
+    try {
+        // from-image applies the EXIF orientation, so phone photos are not stored sideways
+        bitmap = await createImageBitmap(original, { imageOrientation: 'from-image' });
+        let image = await encodeImage(bitmap, options?.maxDimension, type, quality);
+        if (image.width === bitmap.width && image.height === bitmap.height &&
+            image.blob.type === original.type && image.blob.size >= original.size) {
+            // Already small enough and in the requested format; re-encoding would only lose quality
+            image = { blob: original, width: bitmap.width, height: bitmap.height };
+        }
+
+        const thumbnails = [];
+        for (const thumbnail of options?.thumbnails ?? []) {
+            thumbnails.push({ path: thumbnail.path, ...await encodeImage(bitmap, thumbnail.maxDimension, type, quality) });
+        }
+        return { original, originalWidth: bitmap.width, originalHeight: bitmap.height, image, thumbnails };
+    } catch (error) {
+        const processingError = new Error(`Image could not be processed: ${error.message}`);
+        processingError.code = 'storage/image-processing-failed';
+        throw processingError;
+    } finally {
+        bitmap?.close();
+    }
+}
+
+// Scales a bitmap to fit within maxDimension and encodes it. Browsers that cannot encode the
+// requested type (Safari and WebP) return PNG instead, so that case falls back to JPEG.
+async function encodeImage(bitmap, maxDimension, type, quality) {
+    const scale = maxDimension ? Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height)) : 1;
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(width, height)
+        : Object.assign(document.createElement('canvas'), { width, height });
+    const context = canvas.getContext('2d');
+
+    const encode = (mimeType) => {
+        context.clearRect(0, 0, width, height);
+        if (mimeType === IMAGE_UPLOAD_TYPES.jpeg) {
+            // JPEG has no alpha channel; transparent areas would otherwise turn black
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, width, height);
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: mimeType, quality });
+        }
+        return new Promise((resolve, reject) => canvas.toBlob(
+            blob => blob ? resolve(blob) : reject(new Error('Canvas encoding failed')), mimeType, quality));
+    };
+
+    let blob = await encode(type);
+    if (blob.type !== type) {
+        blob = await encode(IMAGE_UPLOAD_TYPES.jpeg);
+    }
+    return { blob, width, height };
+}
+
+// Active uploads by task id, so they can be paused, resumed or canceled while in flight.
+// Ids come from .NET so a cancellation can be requested before the upload call returns.
+const uploadTasks = new Map();
+// Uploads still reading their .NET stream, before an upload task exists: id -> { canceled, paused }.
+// Pause, resume and cancel requested in that window are recorded here and applied once the task exists.
+const pendingUploads = new Map();
+let uploadTaskIdCounter = 0;
+
+function nextUploadTaskId() {
+    return `upload-${++uploadTaskIdCounter}`;
+}
+
+function registerPendingUpload(id) {
+    pendingUploads.set(id, { canceled: false, paused: false });
+}
+
+// Runs a task created for a pending upload, pausing it first if a pause was requested while pending.
+// The task is registered before it is paused, so the paused state is reported to .NET like any other.
+function startPendingUploadTask(uploadTask, pending, dotnetHelper, id, appName, onSnapshot) {
+    const running = runUploadTask(uploadTask, dotnetHelper, id, appName, onSnapshot);
+    if (pending?.paused) {
+        uploadTask.pause();
+    }
+    return running;
+}
+
+function reportUploadProgress(dotnetHelper, taskId, snapshot) {
+    if (dotnetHelper) {
+        dotnetHelper.invokeMethodAsync('OnProgress', {
+            taskId,
+            bytesTransferred: snapshot.bytesTransferred,
+            totalBytes: snapshot.totalBytes,
+            state: snapshot.state
+        });
+    }
+}
+
+// Registers the task under its id for pause, resume and cancel, and runs it (see observeUploadTask)
+async function runUploadTask(uploadTask, dotnetHelper, id, appName, onSnapshot) {
+    uploadTasks.set(id, { task: uploadTask, appName: appName || DEFAULT_APP_NAME });
+    try {
+        return await observeUploadTask(uploadTask, dotnetHelper, id, onSnapshot);
+    } finally {
+        if (uploadTasks.get(id)?.task === uploadTask) {
+            uploadTasks.delete(id);
+        }
+    }
+}
+
+// Reports progress and state to .NET (OnProgress) and resolves with the upload result.
+// onSnapshot, if given, also receives every progress snapshot.
+async function observeUploadTask(uploadTask, dotnetHelper, id, onSnapshot) {
+    const { getDownloadURL } = await loadSdk('storage');
+
+    return new Promise((resolve) => {
+        uploadTask.on('state_changed',
+            (snapshot) => {
+                reportUploadProgress(dotnetHelper, id, snapshot);
+                onSnapshot?.(snapshot);
+            },
+            (error) => {
+                reportUploadProgress(dotnetHelper, id, uploadTask.snapshot);
+                resolve({ success: false, error: { code: error.code, message: error.message } });
+            },
+            async () => {
+                try {
+                    const url = await getDownloadURL(uploadTask.snapshot.ref);
+                    resolve({
+                        success: true,
+                        data: {
+                            downloadUrl: url,
+                            fullPath: uploadTask.snapshot.ref.fullPath,
+                            bytesTransferred: uploadTask.snapshot.bytesTransferred
+                        }
+                    });
+                } catch (error) {
+                    resolve({ success: false, error: { code: error.code, message: error.message } });
+                }
+            }
+        );
+    });
+}
+
+// Stands in for several upload tasks that run one after another under one task id (an image and
+// its thumbnails), so pause, resume and cancel reach whichever is in flight. Tasks added while the
+// group is paused start paused; tasks added after a cancel are canceled straight away.
+function createUploadTaskGroup(paused) {
+    let current = null;
+    const group = {
+        paused: !!paused,
+        canceled: false,
+        add(task) {
+            current = task;
+            if (group.canceled) {
+                task.cancel();
+            } else if (group.paused) {
+                task.pause();
+            }
+            return task;
+        },
+        pause() {
+            if (group.canceled || group.paused) {
+                return false;
+            }
+            group.paused = true;
+            current?.pause();
+            return true;
+        },
+        resume() {
+            if (group.canceled || !group.paused) {
+                return false;
+            }
+            group.paused = false;
+            current?.resume();
+            return true;
+        },
+        cancel() {
+            if (group.canceled) {
+                return false;
+            }
+            group.canceled = true;
+            current?.cancel();
+            return true;
+        }
+    };
+    return group;
+}
+
+function controlUploadTask(taskId, action) {
+    const entry = uploadTasks.get(taskId);
+    if (!entry) {
+        return { success: false, error: { code: 'storage/upload-not-found', message: `No active upload with id ${taskId}` } };
+    }
+    return { success: true, data: entry.task[action]() };
+}
+
+// Pause, resume and cancel return whether the task changed state (false if it was already in that state)
+export function storagePauseUpload(taskId) {
+    const pending = pendingUploads.get(taskId);
+    if (pending) {
+        // Still reading the stream; the upload task starts paused
+        const changed = !pending.paused && !pending.canceled;
+        pending.paused = true;
+        return { success: true, data: changed };
+    }
+    return controlUploadTask(taskId, 'pause');
+}
+
+export function storageResumeUpload(taskId) {
+    const pending = pendingUploads.get(taskId);
+    if (pending) {
+        const changed = pending.paused && !pending.canceled;
+        pending.paused = false;
+        return { success: true, data: changed };
+    }
+    return controlUploadTask(taskId, 'resume');
+}
+
+export function storageCancelUpload(taskId) {
+    const pending = pendingUploads.get(taskId);
+    if (pending) {
+        // Still reading the stream; the upload is abandoned before it starts
+        const changed = !pending.canceled;
+        pending.canceled = true;
+        return { success: true, data: changed };
+    }
+    return controlUploadTask(taskId, 'cancel');
+}
+
+// ============ STORAGE UPLOAD QUEUE ============
+
+// Queued uploads are persisted in IndexedDB (blob and metadata) so they survive reloads and
+// going offline. Each app processes its queue one item at a time; failed attempts are retried
+// with exponential backoff, and immediately when the browser comes back online.
+// The database is shared by every tab of the origin, so processing runs under a Web Lock per
+// app: only one tab uploads at a time and the others wait for their turn.
+const UPLOAD_QUEUE_DB = 'fireblazor-upload-queue';
+const UPLOAD_QUEUE_LOCK_PREFIX = 'fireblazor-upload-queue:';
+const UPLOAD_QUEUE_STORE = 'uploads';
+const DEFAULT_UPLOAD_QUEUE_OPTIONS = { maxAttempts: 5, initialBackoffMs: 2000, maxBackoffMs: 300000 };
+// Errors that will fail the same way on every attempt; the item is marked failed straight away
+const NON_RETRYABLE_UPLOAD_ERRORS = new Set([
+    'storage/unauthorized',
+    'storage/unauthenticated',
+    'storage/invalid-argument',
+    'storage/invalid-format',
+    'storage/quota-exceeded',
+    'storage/canceled'
+]);
+
+// appName -> { dotnetHelper, options, processing, rerun, rerunIgnoresBackoff, timer, stopController }
+const uploadQueues = new Map();
+let uploadQueueDb = null;
+let uploadQueueOnlineListener = null;
+
+function openUploadQueueDb() {
+    if (!uploadQueueDb) {
+        uploadQueueDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(UPLOAD_QUEUE_DB, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(UPLOAD_QUEUE_STORE, { keyPath: 'id' });
+                store.createIndex('appName', 'appName');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                uploadQueueDb = null;
+                reject(request.error);
+            };
+        });
+    }
+    return uploadQueueDb;
+}
+
+async function uploadQueueTransaction(mode, action) {
+    const db = await openUploadQueueDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(UPLOAD_QUEUE_STORE, mode);
+        const request = action(tx.objectStore(UPLOAD_QUEUE_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function getQueuedUploads(name) {
+    return uploadQueueTransaction('readonly', store => store.index('appName').getAll(name));
+}
+
+function getQueuedUpload(id) {
+    return uploadQueueTransaction('readonly', store => store.get(id));
+}
+
+function putQueuedUpload(item) {
+    return uploadQueueTransaction('readwrite', store => store.put(item));
+}
+
+function deleteQueuedUpload(id) {
+    return uploadQueueTransaction('readwrite', store => store.delete(id));
+}
+
+// The status sent to .NET; the blob itself never crosses the interop boundary
+function toQueueItemStatus(item, downloadUrl = null) {
+    return {
+        id: item.id,
+        path: item.path,
+        bucket: item.bucket ?? null,
+        status: item.status,
+        attempts: item.attempts,
+        totalBytes: item.blob?.size ?? 0,
+        lastError: item.lastError,
+        createdAt: item.createdAt,
+        nextAttemptAt: item.nextAttemptAt,
+        downloadUrl
+    };
+}
+
+function notifyQueueItemStatus(queue, item, downloadUrl = null) {
+    queue.dotnetHelper.invokeMethodAsync('OnQueueItemStatus', toQueueItemStatus(item, downloadUrl));
+}
+
+function uploadQueueError(error) {
+    // IndexedDB errors are DOMExceptions, whose numeric code is not a Firebase error code
+    return { code: typeof error?.code === 'string' ? error.code : 'storage/unknown', message: error?.message ?? String(error) };
+}
+
+function uploadQueueBackoff(options, attempts) {
+    const delay = Math.min(options.maxBackoffMs, options.initialBackoffMs * 2 ** (attempts - 1));
+    // Jitter so queues in several tabs do not retry in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// Starts (or restarts) the app's queue: registers the .NET listener and resumes processing.
+// Returns the persisted items.
+export async function storageQueueStart(dotnetHelper, options, appName) {
+    const storage = getService(appName, 'storage');
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const name = appName || DEFAULT_APP_NAME;
+    const queueOptions = { ...DEFAULT_UPLOAD_QUEUE_OPTIONS, ...options };
+    const existing = uploadQueues.get(name);
+    if (existing) {
+        // Restarted while running: swap the listener and settings, keep the work in progress
+        existing.dotnetHelper = dotnetHelper;
+        existing.options = queueOptions;
+    } else {
+        uploadQueues.set(name, {
+            dotnetHelper, options: queueOptions, processing: false, rerun: false, rerunIgnoresBackoff: false,
+            timer: null, stopController: new AbortController()
+        });
+    }
+
+    if (!uploadQueueOnlineListener && typeof window !== 'undefined') {
+        uploadQueueOnlineListener = () => {
+            for (const queueName of uploadQueues.keys()) {
+                processUploadQueue(queueName, true);
+            }
+        };
+        window.addEventListener('online', uploadQueueOnlineListener);
+    }
+
+    try {
+        const items = await getQueuedUploads(name);
+        processUploadQueue(name);
+        return { success: true, data: items.map(item => toQueueItemStatus(item)) };
+    } catch (error) {
+        return { success: false, error: uploadQueueError(error) };
+    }
+}
+
+export async function storageQueueUpload(path, streamRef, metadata, bucket, appName) {
+    const name = appName || DEFAULT_APP_NAME;
+    const queue = uploadQueues.get(name);
+    if (!queue) {
+        return { success: false, error: { code: 'storage/queue-not-started', message: `Upload queue for app '${name}' has not been started` } };
+    }
+    try {
+        const blob = await readDotNetStreamToBlob(streamRef, metadata?.contentType);
+        const item = {
+            id: crypto.randomUUID(),
+            appName: name,
+            path,
+            bucket: bucket ?? null,
+            blob,
+            metadata: metadata ?? null,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: null
+        };
+        await putQueuedUpload(item);
+        notifyQueueItemStatus(queue, item);
+        processUploadQueue(name);
+        return { success: true, data: toQueueItemStatus(item) };
+    } catch (error) {
+        return { success: false, error: uploadQueueError(error) };
+    }
+}
+
+export async function storageQueueList(appName) {
+    try {
+        const items = await getQueuedUploads(appName || DEFAULT_APP_NAME);
+        items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        return { success: true, data: items.map(item => toQueueItemStatus(item)) };
+    } catch (error) {
+        return { success: false, error: uploadQueueError(error) };
+    }
+}
+
+// Removes an item from the queue, canceling its upload if one is in flight
+export async function storageQueueRemove(id, appName) {
+    try {
+        const item = await getQueuedUpload(id);
+        if (!item || item.appName !== (appName || DEFAULT_APP_NAME)) {
+            return { success: false, error: { code: 'storage/upload-not-found', message: `No queued upload with id ${id}` } };
+        }
+        // Deleted before canceling so the failed attempt is not recorded against the item
+        await deleteQueuedUpload(id);
+        uploadTasks.get(id)?.task.cancel();
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: uploadQueueError(error) };
+    }
+}
+
+// Puts a failed (or backing-off) item back at the front of the line with a fresh attempt budget
+export async function storageQueueRetry(id, appName) {
+    const name = appName || DEFAULT_APP_NAME;
+    const queue = uploadQueues.get(name);
+    if (!queue) {
+        return { success: false, error: { code: 'storage/queue-not-started', message: `Upload queue for app '${name}' has not been started` } };
+    }
+    try {
+        const item = await getQueuedUpload(id);
+        if (!item || item.appName !== name) {
+            return { success: false, error: { code: 'storage/upload-not-found', message: `No queued upload with id ${id}` } };
+        }
+        if (item.status !== 'uploading') {
+            item.status = 'pending';
+            item.attempts = 0;
+            item.nextAttemptAt = null;
+            await putQueuedUpload(item);
+            notifyQueueItemStatus(queue, item);
+            processUploadQueue(name);
+        }
+        return { success: true, data: toQueueItemStatus(item) };
     } catch (error) {
-        return { success: false, error: { code: error.code, message: error.message } };
+        return { success: false, error: uploadQueueError(error) };
     }
 }
 
-export function firestoreUnsubscribe(subscriptionId) {
-    const unsubscribe = firestoreSubscriptions.get(subscriptionId);
-    if (unsubscribe) {
-        unsubscribe();
-        firestoreSubscriptions.delete(subscriptionId);
-        return { success: true };
+// Runs a processing pass while holding the app's queue lock, waiting if another tab holds it.
+// Without Web Locks (insecure contexts, old browsers) the pass runs unguarded.
+function withUploadQueueLock(name, queue, action) {
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+        return action();
     }
-    return { success: false, error: { code: 'not-found', message: 'Subscription not found' } };
+    return navigator.locks.request(UPLOAD_QUEUE_LOCK_PREFIX + name, { signal: queue.stopController.signal }, action);
 }
 
-// ============ STORAGE ============
+// Puts items left 'uploading' back to 'pending'. Only called under the queue lock, so any such
+// item not uploading in this tab belongs to a tab that was closed or reloaded mid-upload.
+async function resetInterruptedUploads(name, queue) {
+    for (const item of await getQueuedUploads(name)) {
+        if (item.status === 'uploading' && !uploadTasks.has(item.id)) {
+            item.status = 'pending';
+            await putQueuedUpload(item);
+            notifyQueueItemStatus(queue, item);
+        }
+    }
+}
 
-export async function initializeStorage(emulatorHost) {
-    const { getStorage, connectStorageEmulator } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
-    firebaseStorage = getStorage(firebaseApp);
+// Uploads due items one at a time until none are left, then schedules a wake-up for the
+// earliest backoff. Stops while offline; the 'online' listener resumes it.
+async function processUploadQueue(name, ignoreBackoff = false) {
+    const queue = uploadQueues.get(name);
+    if (!queue || isOffline()) return;
+    if (queue.processing) {
+        // The pass in progress may already have read the queue, so it runs again once it finishes
+        queue.rerun = true;
+        queue.rerunIgnoresBackoff ||= ignoreBackoff;
+        return;
+    }
+    queue.processing = true;
 
-    if (emulatorHost) {
-        const parsed = parseEmulatorHost(emulatorHost);
-        if (parsed) {
+    try {
+        let passIgnoresBackoff = ignoreBackoff;
+        do {
+            queue.rerun = false;
+            queue.rerunIgnoresBackoff = false;
+            clearTimeout(queue.timer);
+            queue.timer = null;
             try {
-                connectStorageEmulator(firebaseStorage, parsed.host, parsed.port);
-                console.log(`[FireBlazor] Connected to Storage emulator at ${emulatorHost}`);
+                await withUploadQueueLock(name, queue, () => runUploadQueuePass(name, queue, passIgnoresBackoff));
             } catch (error) {
-                console.error(`[FireBlazor] Failed to connect to Storage emulator: ${error.message}`);
-                throw error;
+                if (error?.name !== 'AbortError') {
+                    console.warn(`[FireBlazor] Upload queue for app '${name}' stopped: ${error.message}`);
+                }
             }
+            passIgnoresBackoff = queue.rerunIgnoresBackoff;
+        } while (queue.rerun && uploadQueues.get(name) === queue && !isOffline());
+    } finally {
+        queue.processing = false;
+    }
+}
+
+async function runUploadQueuePass(name, queue, ignoreBackoff) {
+    if (uploadQueues.get(name) !== queue) return; // stopped while waiting for the lock
+    await resetInterruptedUploads(name, queue);
+
+    while (uploadQueues.get(name) === queue && !isOffline()) {
+        if (!getService(name, 'storage')) break;
+
+        const now = Date.now();
+        const pending = (await getQueuedUploads(name))
+            .filter(item => item.status === 'pending')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        const next = pending.find(item => ignoreBackoff || !item.nextAttemptAt || Date.parse(item.nextAttemptAt) <= now);
+        if (!next) {
+            const due = pending.map(item => Date.parse(item.nextAttemptAt)).filter(Number.isFinite);
+            if (due.length > 0) {
+                queue.timer = setTimeout(() => processUploadQueue(name), Math.max(0, Math.min(...due) - now));
+            }
+            break;
         }
+        await attemptQueuedUpload(name, queue, next);
     }
+}
 
-    return true;
+async function attemptQueuedUpload(name, queue, item) {
+    const { ref, uploadBytesResumable } = await loadSdk('storage');
+    item.status = 'uploading';
+    item.attempts += 1;
+    item.nextAttemptAt = null;
+    await putQueuedUpload(item);
+    notifyQueueItemStatus(queue, item);
+
+    // Progress is reported through the queue listener's OnProgress with the item id as task id,
+    // so queued uploads can be paused and resumed like any other upload task
+    let result;
+    try {
+        const storage = await getBucketStorage(name, item.bucket);
+        const uploadTask = uploadBytesResumable(ref(storage, item.path), item.blob, toUploadMetadata(item.metadata));
+        result = await runUploadTask(uploadTask, queue.dotnetHelper, item.id, name);
+    } catch (error) {
+        result = { success: false, error: uploadQueueError(error) };
+    }
+
+    if (!(await getQueuedUpload(item.id))) {
+        return; // removed while uploading
+    }
+    if (uploadQueues.get(name) !== queue) {
+        // The app was terminated mid-upload; leave the item for the next session
+        item.status = 'pending';
+        await putQueuedUpload(item);
+        return;
+    }
+
+    if (result.success) {
+        await deleteQueuedUpload(item.id);
+        item.status = 'completed';
+        item.lastError = null;
+        notifyQueueItemStatus(queue, item, result.data.downloadUrl);
+        return;
+    }
+
+    item.lastError = result.error;
+    if (NON_RETRYABLE_UPLOAD_ERRORS.has(result.error.code) || item.attempts >= queue.options.maxAttempts) {
+        item.status = 'failed';
+    } else {
+        item.status = 'pending';
+        item.nextAttemptAt = new Date(Date.now() + uploadQueueBackoff(queue.options, item.attempts)).toISOString();
+    }
+    await putQueuedUpload(item);
+    notifyQueueItemStatus(queue, item);
 }
 
-export async function storageGetDownloadUrl(path) {
-    const { ref, getDownloadURL } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+// Stops processing for an app; persisted items stay in IndexedDB and resume on the next start
+export function storageQueueStop(appName) {
+    const name = appName || DEFAULT_APP_NAME;
+    const queue = uploadQueues.get(name);
+    if (queue) {
+        clearTimeout(queue.timer);
+        queue.stopController.abort();
+        uploadQueues.delete(name);
+    }
+    if (uploadQueues.size === 0 && uploadQueueOnlineListener) {
+        window.removeEventListener('online', uploadQueueOnlineListener);
+        uploadQueueOnlineListener = null;
+    }
+    return { success: true };
+}
+
+// Downloads cross the interop boundary as binary rather than JSON number arrays:
+// a Uint8Array is marshalled to byte[] directly, and a JS stream reference is read
+// by .NET in chunks without holding the UI thread for the whole transfer.
+// Objects larger than chunkThreshold (when given) are returned as a stream reference.
+export async function storageGetBytes(path, maxSize, chunkThreshold, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, getBlob } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
-        const url = await getDownloadURL(storageRef);
-        return { success: true, data: url };
+        const storageRef = ref(storage, path);
+        const blob = await getBlob(storageRef, maxSize);
+        if (chunkThreshold && blob.size > chunkThreshold) {
+            return { success: true, data: { size: blob.size, stream: DotNet.createJSStreamReference(blob) } };
+        }
+        return { success: true, data: { size: blob.size, bytes: new Uint8Array(await blob.arrayBuffer()) } };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function storageDelete(path) {
-    const { ref, deleteObject } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+export async function storageGetStream(path, maxSize, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, getBlob } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
-        await deleteObject(storageRef);
-        return { success: true };
+        const storageRef = ref(storage, path);
+        const blob = await getBlob(storageRef, maxSize);
+        return { success: true, data: { size: blob.size, stream: DotNet.createJSStreamReference(blob) } };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function storageUpload(path, data, metadata, dotnetHelper) {
-    const { ref, uploadBytesResumable, getDownloadURL } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+// Downloads in flight by id, so they can be aborted. Ids come from .NET, like upload task ids.
+const downloads = new Map();
+let downloadIdCounter = 0;
+const DOWNLOAD_PROGRESS_INTERVAL_MS = 100;
+
+function downloadHttpError(response) {
+    const codes = { 401: 'storage/unauthenticated', 403: 'storage/unauthorized', 404: 'storage/object-not-found' };
+    return {
+        code: codes[response.status] ?? 'storage/unknown',
+        message: `Download failed with HTTP ${response.status} ${response.statusText}`.trim()
+    };
+}
+
+function downloadSizeExceededError(maxSize) {
+    return { code: 'storage/download-size-exceeded', message: `Object is larger than the maximum download size of ${maxSize} bytes` };
+}
+
+// Downloads with fetch so the body can be streamed: progress is reported to .NET
+// (OnDownloadProgress, at most every DOWNLOAD_PROGRESS_INTERVAL_MS) and the transfer can be
+// stopped with storageAbortDownload. Returns the same shape as storageGetBytes.
+export async function storageDownload(path, maxSize, chunkThreshold, dotnetHelper, downloadId, bucket, appName) {
+    if (!getService(appName, 'storage')) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    // Registered before any await so an abort issued right after the call is not missed
+    const id = downloadId || `download-${++downloadIdCounter}`;
+    const controller = new AbortController();
+    downloads.set(id, { controller, appName: appName || DEFAULT_APP_NAME });
+
     try {
-        const storageRef = ref(firebaseStorage, path);
+        const { ref, getDownloadURL } = await loadSdk('storage');
+        const storage = await getBucketStorage(appName, bucket);
+        const url = await getDownloadURL(ref(storage, path));
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            return { success: false, error: downloadHttpError(response) };
+        }
 
-        // Build metadata object from full metadata if provided
-        const uploadMetadata = metadata ? {
-            contentType: metadata.contentType,
-            cacheControl: metadata.cacheControl,
-            contentDisposition: metadata.contentDisposition,
-            contentEncoding: metadata.contentEncoding,
-            contentLanguage: metadata.contentLanguage,
-            customMetadata: metadata.customMetadata
-        } : undefined;
+        const contentLength = response.headers.get('Content-Length');
+        const totalBytes = contentLength !== null ? Number(contentLength) : null;
+        if (maxSize && totalBytes !== null && totalBytes > maxSize) {
+            controller.abort();
+            return { success: false, error: downloadSizeExceededError(maxSize) };
+        }
 
-        const uploadTask = uploadBytesResumable(storageRef, data, uploadMetadata);
+        let bytesReceived = 0;
+        let lastReport = 0;
+        const reportProgress = () => {
+            lastReport = Date.now();
+            dotnetHelper?.invokeMethodAsync('OnDownloadProgress', { downloadId: id, bytesReceived, totalBytes });
+        };
+        reportProgress();
+
+        const reader = response.body.getReader();
+        const parts = [];
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            bytesReceived += value.byteLength;
+            if (maxSize && bytesReceived > maxSize) {
+                controller.abort();
+                return { success: false, error: downloadSizeExceededError(maxSize) };
+            }
+            if (Date.now() - lastReport >= DOWNLOAD_PROGRESS_INTERVAL_MS) {
+                reportProgress();
+            }
+        }
+        reportProgress();
 
-        return new Promise((resolve) => {
-            uploadTask.on('state_changed',
-                (snapshot) => {
-                    if (dotnetHelper) {
-                        dotnetHelper.invokeMethodAsync('OnProgress', {
-                            bytesTransferred: snapshot.bytesTransferred,
-                            totalBytes: snapshot.totalBytes
-                        });
-                    }
-                },
-                (error) => {
-                    resolve({ success: false, error: { code: error.code, message: error.message } });
-                },
-                async () => {
-                    const url = await getDownloadURL(uploadTask.snapshot.ref);
-                    resolve({
-                        success: true,
-                        data: {
-                            downloadUrl: url,
-                            fullPath: uploadTask.snapshot.ref.fullPath,
-                            bytesTransferred: uploadTask.snapshot.bytesTransferred
-                        }
-                    });
-                }
-            );
-        });
+        const blob = new Blob(parts, { type: response.headers.get('Content-Type') ?? '' });
+        if (chunkThreshold && blob.size > chunkThreshold) {
+            return { success: true, data: { size: blob.size, stream: DotNet.createJSStreamReference(blob) } };
+        }
+        return { success: true, data: { size: blob.size, bytes: new Uint8Array(await blob.arrayBuffer()) } };
     } catch (error) {
-        return { success: false, error: { code: error.code, message: error.message } };
+        if (error.name === 'AbortError') {
+            return { success: false, error: { code: 'storage/canceled', message: 'Download was canceled' } };
+        }
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    } finally {
+        downloads.delete(id);
+    }
+}
+
+export function storageAbortDownload(downloadId) {
+    const entry = downloads.get(downloadId);
+    if (!entry) {
+        return { success: false, error: { code: 'storage/download-not-found', message: `No active download with id ${downloadId}` } };
+    }
+    entry.controller.abort();
+    return { success: true, data: true };
+}
+
+// Object URLs handed out for Blob downloads, keyed by URL. Each pins its Blob in browser memory
+// until revoked. Handles created with autoRevoke are revoked once no element attribute in the main
+// document has referenced them for a full sweep interval. Shadow roots, iframes and CSS url(...)
+// values are not searched, which is why autoRevoke is opt-in.
+const objectUrls = new Map();
+const OBJECT_URL_SWEEP_INTERVAL_MS = 30000;
+let objectUrlSweepTimer = null;
+
+function isObjectUrlInUse(url) {
+    if (typeof document === 'undefined') {
+        return true;
+    }
+    const value = CSS.escape(url);
+    return document.querySelector(`[src="${value}"], [href="${value}"], [poster="${value}"], [srcset*="${value}"]`) !== null;
+}
+
+function revokeObjectUrl(url) {
+    if (!objectUrls.delete(url)) {
+        return false;
+    }
+    URL.revokeObjectURL(url);
+    if (objectUrls.size === 0) {
+        clearInterval(objectUrlSweepTimer);
+        objectUrlSweepTimer = null;
+    }
+    return true;
+}
+
+function sweepObjectUrls() {
+    const now = Date.now();
+    for (const [url, entry] of objectUrls) {
+        if (!entry.autoRevoke) continue;
+        if (isObjectUrlInUse(url)) {
+            entry.unusedSince = null;
+        } else if (entry.unusedSince === null) {
+            // First sweep without a reference; revoked on the next one if still unused
+            entry.unusedSince = now;
+        } else {
+            revokeObjectUrl(url);
+        }
     }
 }
 
-export async function storageGetBytes(path, maxSize) {
-    const { ref, getBytes } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+// Downloads an object into a Blob and returns an object URL for it, to bind straight to
+// img, video or a elements without moving the bytes through .NET
+export async function storageCreateObjectUrl(path, maxSize, autoRevoke, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, getBlob } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
-        const bytes = await getBytes(storageRef, maxSize);
-        return { success: true, data: Array.from(new Uint8Array(bytes)) };
+        const blob = await getBlob(ref(storage, path), maxSize);
+        const url = URL.createObjectURL(blob);
+        objectUrls.set(url, { appName: appName || DEFAULT_APP_NAME, autoRevoke: !!autoRevoke, unusedSince: null });
+        if (autoRevoke && !objectUrlSweepTimer) {
+            objectUrlSweepTimer = setInterval(sweepObjectUrls, OBJECT_URL_SWEEP_INTERVAL_MS);
+        }
+        return { success: true, data: { url, size: blob.size, contentType: blob.type || null } };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function storageGetMetadata(path) {
-    const { ref, getMetadata } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+// Returns false if the URL was already revoked, including by the automatic sweep
+export function storageRevokeObjectUrl(url) {
+    return { success: true, data: revokeObjectUrl(url) };
+}
+
+// Full object metadata, including the read-only fields Storage maintains
+function mapStorageMetadata(metadata) {
+    return {
+        bucket: metadata.bucket,
+        name: metadata.name,
+        fullPath: metadata.fullPath,
+        size: metadata.size,
+        timeCreated: metadata.timeCreated,
+        updated: metadata.updated,
+        md5Hash: metadata.md5Hash ?? null,
+        generation: metadata.generation,
+        metageneration: metadata.metageneration,
+        contentType: metadata.contentType,
+        cacheControl: metadata.cacheControl,
+        contentDisposition: metadata.contentDisposition,
+        contentEncoding: metadata.contentEncoding,
+        contentLanguage: metadata.contentLanguage,
+        customMetadata: metadata.customMetadata
+    };
+}
+
+export async function storageGetMetadata(path, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, getMetadata } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
+        const storageRef = ref(storage, path);
         const metadata = await getMetadata(storageRef);
-        return {
-            success: true,
-            data: {
-                contentType: metadata.contentType,
-                cacheControl: metadata.cacheControl,
-                contentDisposition: metadata.contentDisposition,
-                contentEncoding: metadata.contentEncoding,
-                contentLanguage: metadata.contentLanguage,
-                customMetadata: metadata.customMetadata
-            }
-        };
+        return { success: true, data: mapStorageMetadata(metadata) };
     } catch (error) {
         return { success: false, error: { code: error.code, message: error.message } };
     }
 }
 
-export async function storageListAll(path) {
-    const { ref, listAll } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+export async function storageListAll(path, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, listAll } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
+        const storageRef = ref(storage, path);
         const result = await listAll(storageRef);
         return {
             success: true,
@@ -881,10 +2968,14 @@ export async function storageListAll(path) {
     }
 }
 
-export async function storageUploadString(path, data, format, metadata, dotnetHelper) {
-    const { ref, uploadString, getDownloadURL } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+export async function storageUploadString(path, data, format, metadata, dotnetHelper, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, uploadString, getDownloadURL } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
+        const storageRef = ref(storage, path);
 
         // Map format enum to Firebase format string
         const formatMap = {
@@ -920,10 +3011,14 @@ export async function storageUploadString(path, data, format, metadata, dotnetHe
     }
 }
 
-export async function storageUpdateMetadata(path, metadata) {
-    const { ref, updateMetadata } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+export async function storageUpdateMetadata(path, metadata, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, updateMetadata } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
+        const storageRef = ref(storage, path);
 
         const newMetadata = {
             contentType: metadata.contentType,
@@ -936,26 +3031,20 @@ export async function storageUpdateMetadata(path, metadata) {
 
         const updated = await updateMetadata(storageRef, newMetadata);
 
-        return {
-            success: true,
-            data: {
-                contentType: updated.contentType,
-                cacheControl: updated.cacheControl,
-                contentDisposition: updated.contentDisposition,
-                contentEncoding: updated.contentEncoding,
-                contentLanguage: updated.contentLanguage,
-                customMetadata: updated.customMetadata
-            }
-        };
+        return { success: true, data: mapStorageMetadata(updated) };
     } catch (error) {
         return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
     }
 }
 
-export async function storageList(path, maxResults, pageToken) {
-    const { ref, list } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-storage.js');
+export async function storageList(path, maxResults, pageToken, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, list } = await loadSdk('storage');
     try {
-        const storageRef = ref(firebaseStorage, path);
+        const storageRef = ref(storage, path);
 
         const options = { maxResults: maxResults || 1000 };
         if (pageToken) {
@@ -977,19 +3066,128 @@ export async function storageList(path, maxResults, pageToken) {
     }
 }
 
+const DEFAULT_METADATA_CONCURRENCY = 8;
+
+// Lists like storageList (one page) or, without maxResults, like storageListAll, and fetches the
+// metadata of every item with at most `concurrency` requests in flight. Items deleted between the
+// listing and the metadata request are left out.
+export async function storageListWithMetadata(path, maxResults, pageToken, concurrency, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, list, listAll, getMetadata } = await loadSdk('storage');
+    try {
+        const storageRef = ref(storage, path);
+        let result;
+        if (maxResults) {
+            result = await list(storageRef, pageToken ? { maxResults, pageToken } : { maxResults });
+        } else {
+            result = await listAll(storageRef);
+        }
+
+        const metadata = await mapWithConcurrency(result.items, concurrency || DEFAULT_METADATA_CONCURRENCY, async (item) => {
+            try {
+                return mapStorageMetadata(await getMetadata(item));
+            } catch (error) {
+                if (error.code === 'storage/object-not-found') {
+                    return null;
+                }
+                throw error;
+            }
+        });
+
+        return {
+            success: true,
+            data: {
+                items: metadata.filter(item => item !== null),
+                prefixes: result.prefixes.map(prefix => prefix.fullPath),
+                nextPageToken: result.nextPageToken || null
+            }
+        };
+    } catch (error) {
+        return { success: false, error: { code: error.code || 'storage/unknown', message: error.message } };
+    }
+}
+
+const DEFAULT_DELETE_FOLDER_CONCURRENCY = 8;
+const DELETE_PROGRESS_INTERVAL_MS = 100;
+
+// Deletes every object under a path, walking nested prefixes with paged list calls so no single
+// listing holds the whole tree. Objects are deleted with at most `concurrency` requests in flight,
+// progress goes to .NET (OnDeleteProgress) and a failure is recorded without stopping the rest.
+// A prefix that cannot be listed is reported as failed with the prefix path.
+export async function storageDeleteFolder(path, concurrency, dotnetHelper, bucket, appName) {
+    const storage = await getBucketStorage(appName, bucket);
+    if (!storage) {
+        return { success: false, error: notInitializedError('storage', appName) };
+    }
+    const { ref, list, deleteObject } = await loadSdk('storage');
+
+    const deleted = [];
+    const failed = [];
+    let found = 0;
+    let lastReport = 0;
+    const reportProgress = (force) => {
+        if (dotnetHelper && (force || Date.now() - lastReport >= DELETE_PROGRESS_INTERVAL_MS)) {
+            lastReport = Date.now();
+            dotnetHelper.invokeMethodAsync('OnDeleteProgress', { found, deleted: deleted.length, failed: failed.length });
+        }
+    };
+
+    const prefixes = [ref(storage, path)];
+    while (prefixes.length > 0) {
+        const prefix = prefixes.shift();
+        let pageToken;
+        do {
+            let page;
+            try {
+                page = await list(prefix, pageToken ? { maxResults: 1000, pageToken } : { maxResults: 1000 });
+            } catch (error) {
+                failed.push({ path: prefix.fullPath, code: error.code || 'storage/unknown', message: error.message });
+                break;
+            }
+            found += page.items.length;
+            prefixes.push(...page.prefixes);
+            reportProgress(false);
+
+            await mapWithConcurrency(page.items, concurrency || DEFAULT_DELETE_FOLDER_CONCURRENCY, async (item) => {
+                try {
+                    await deleteObject(item);
+                    deleted.push(item.fullPath);
+                } catch (error) {
+                    failed.push({ path: item.fullPath, code: error.code || 'storage/unknown', message: error.message });
+                }
+                reportProgress(false);
+            });
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+    }
+
+    reportProgress(true);
+    return { success: true, data: { deleted, failed } };
+}
+
 // ============ REALTIME DATABASE ============
 
-export async function initializeDatabase(options) {
-    const { getDatabase, connectDatabaseEmulator } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function initializeDatabase(options, appName) {
+    const instance = getAppInstance(appName);
+    if (!instance) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { getDatabase, connectDatabaseEmulator } = await loadSdk('database');
 
     const url = options?.url;
-    firebaseDatabase = url ? getDatabase(firebaseApp, url) : getDatabase(firebaseApp);
+    const database = url ? getDatabase(instance.app, url) : getDatabase(instance.app);
+    instance.database = database;
+    instance.serviceConfig.database = { emulatorHost: null, options: { url: url ?? null } };
 
     if (options?.emulatorHost) {
         const parsed = parseEmulatorHost(options.emulatorHost);
         if (parsed) {
             try {
-                connectDatabaseEmulator(firebaseDatabase, parsed.host, parsed.port);
+                connectDatabaseEmulator(database, parsed.host, parsed.port);
+                instance.serviceConfig.database.emulatorHost = options.emulatorHost;
                 console.log(`[FireBlazor] Connected to Realtime Database emulator at ${options.emulatorHost}`);
             } catch (error) {
                 console.error(`[FireBlazor] Failed to connect to Realtime Database emulator: ${error.message}`);
@@ -998,7 +3196,7 @@ export async function initializeDatabase(options) {
         }
     }
 
-    return true;
+    return { success: true };
 }
 
 // Transform C# ServerValue sentinels to Firebase ServerValue calls
@@ -1012,7 +3210,7 @@ async function transformDatabaseServerValues(data) {
     // Check if this is a ServerValue sentinel
     if (data.__serverValue__) {
         const { serverTimestamp, increment } =
-            await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+            await loadSdk('database');
 
         switch (data.__serverValue__) {
             case 'timestamp':
@@ -1035,10 +3233,14 @@ async function transformDatabaseServerValues(data) {
     return result;
 }
 
-export async function databaseGet(path) {
-    const { ref, get } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseGet(path, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, get } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         const snapshot = await get(dbRef);
         return {
             success: true,
@@ -1053,10 +3255,14 @@ export async function databaseGet(path) {
     }
 }
 
-export async function databaseSet(path, value) {
-    const { ref, set } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseSet(path, value, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, set } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         const transformedValue = await transformDatabaseServerValues(value);
         await set(dbRef, transformedValue);
         return { success: true };
@@ -1065,10 +3271,14 @@ export async function databaseSet(path, value) {
     }
 }
 
-export async function databaseUpdate(path, value) {
-    const { ref, update } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseUpdate(path, value, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, update } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         const transformedValue = await transformDatabaseServerValues(value);
         await update(dbRef, transformedValue);
         return { success: true };
@@ -1077,10 +3287,14 @@ export async function databaseUpdate(path, value) {
     }
 }
 
-export async function databasePush(path, value) {
-    const { ref, push, set } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databasePush(path, value, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, push, set } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         const newRef = push(dbRef);
         const transformedValue = await transformDatabaseServerValues(value);
         await set(newRef, transformedValue);
@@ -1090,10 +3304,14 @@ export async function databasePush(path, value) {
     }
 }
 
-export async function databaseRemove(path) {
-    const { ref, remove } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseRemove(path, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, remove } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         await remove(dbRef);
         return { success: true };
     } catch (error) {
@@ -1101,14 +3319,14 @@ export async function databaseRemove(path) {
     }
 }
 
-// Database subscription management
-let databaseSubscriptions = new Map();
-let databaseSubscriptionCounter = 0;
-
-export async function databaseQuery(path, queryParams) {
-    const { ref, get, query, orderByChild, orderByKey, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseQuery(path, queryParams, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, get, query, orderByChild, orderByKey, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo } = await loadSdk('database');
     try {
-        let dbRef = ref(firebaseDatabase, path);
+        let dbRef = ref(database, path);
         const constraints = [];
 
         if (queryParams) {
@@ -1153,10 +3371,14 @@ export async function databaseQuery(path, queryParams) {
     }
 }
 
-export async function databaseSubscribeValue(path, queryParams, dotnetHelper) {
-    const { ref, onValue, query, orderByChild, orderByKey, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo, off } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseSubscribeValue(path, queryParams, dotnetHelper, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onValue, query, orderByChild, orderByKey, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo, off } = await loadSdk('database');
     try {
-        let dbRef = ref(firebaseDatabase, path);
+        let dbRef = ref(database, path);
         const constraints = [];
 
         if (queryParams) {
@@ -1186,10 +3408,11 @@ export async function databaseSubscribeValue(path, queryParams, dotnetHelper) {
         }
 
         const queryRef = constraints.length > 0 ? query(dbRef, ...constraints) : dbRef;
-        const subscriptionId = ++databaseSubscriptionCounter;
+        const subscription = createSubscription('database', 'value', path, queryParams, appName);
 
         const unsubscribe = onValue(queryRef,
             (snapshot) => {
+                recordSnapshot(subscription);
                 dotnetHelper.invokeMethodAsync('OnDataSnapshot', {
                     key: snapshot.key,
                     exists: snapshot.exists(),
@@ -1204,17 +3427,21 @@ export async function databaseSubscribeValue(path, queryParams, dotnetHelper) {
             }
         );
 
-        databaseSubscriptions.set(subscriptionId, { unsubscribe, queryRef });
+        const subscriptionId = trackSubscription(subscription, unsubscribe);
         return { success: true, data: { subscriptionId } };
     } catch (error) {
         return { success: false, error: { code: error.code || 'database/unknown', message: error.message } };
     }
 }
 
-export async function databaseSubscribeChild(path, eventType, queryParams, dotnetHelper) {
-    const { ref, onChildAdded, onChildChanged, onChildRemoved, onChildMoved, query, orderByChild, orderByKey, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseSubscribeChild(path, eventType, queryParams, dotnetHelper, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onChildAdded, onChildChanged, onChildRemoved, onChildMoved, query, orderByChild, orderByKey, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo } = await loadSdk('database');
     try {
-        let dbRef = ref(firebaseDatabase, path);
+        let dbRef = ref(database, path);
         const constraints = [];
 
         if (queryParams) {
@@ -1244,7 +3471,7 @@ export async function databaseSubscribeChild(path, eventType, queryParams, dotne
         }
 
         const queryRef = constraints.length > 0 ? query(dbRef, ...constraints) : dbRef;
-        const subscriptionId = ++databaseSubscriptionCounter;
+        const subscription = createSubscription('database', eventType, path, queryParams, appName);
 
         let listenerFn;
         switch (eventType) {
@@ -1266,6 +3493,7 @@ export async function databaseSubscribeChild(path, eventType, queryParams, dotne
 
         const unsubscribe = listenerFn(queryRef,
             (snapshot) => {
+                recordSnapshot(subscription);
                 dotnetHelper.invokeMethodAsync('OnDataSnapshot', {
                     key: snapshot.key,
                     exists: snapshot.exists(),
@@ -1280,7 +3508,7 @@ export async function databaseSubscribeChild(path, eventType, queryParams, dotne
             }
         );
 
-        databaseSubscriptions.set(subscriptionId, { unsubscribe, queryRef });
+        const subscriptionId = trackSubscription(subscription, unsubscribe);
         return { success: true, data: { subscriptionId } };
     } catch (error) {
         return { success: false, error: { code: error.code || 'database/unknown', message: error.message } };
@@ -1288,19 +3516,20 @@ export async function databaseSubscribeChild(path, eventType, queryParams, dotne
 }
 
 export function databaseUnsubscribe(subscriptionId) {
-    const subscription = databaseSubscriptions.get(subscriptionId);
-    if (subscription) {
-        subscription.unsubscribe();
-        databaseSubscriptions.delete(subscriptionId);
+    if (releaseSubscription(subscriptionId, 'database')) {
         return { success: true };
     }
     return { success: false, error: { code: 'database/not-found', message: 'Subscription not found' } };
 }
 
-export async function databaseRunTransaction(path, dotnetHelper) {
-    const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseRunTransaction(path, dotnetHelper, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, runTransaction } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
 
         const result = await runTransaction(dbRef, async (currentData) => {
             // Call back to .NET with current value, get new value
@@ -1326,10 +3555,14 @@ export async function databaseRunTransaction(path, dotnetHelper) {
     }
 }
 
-export async function databaseOnDisconnectSet(path, value) {
-    const { ref, onDisconnect } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseOnDisconnectSet(path, value, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onDisconnect } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         const transformedValue = await transformDatabaseServerValues(value);
         await onDisconnect(dbRef).set(transformedValue);
         return { success: true };
@@ -1338,10 +3571,14 @@ export async function databaseOnDisconnectSet(path, value) {
     }
 }
 
-export async function databaseOnDisconnectRemove(path) {
-    const { ref, onDisconnect } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseOnDisconnectRemove(path, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onDisconnect } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         await onDisconnect(dbRef).remove();
         return { success: true };
     } catch (error) {
@@ -1349,10 +3586,14 @@ export async function databaseOnDisconnectRemove(path) {
     }
 }
 
-export async function databaseOnDisconnectUpdate(path, value) {
-    const { ref, onDisconnect } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseOnDisconnectUpdate(path, value, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onDisconnect } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         const transformedValue = await transformDatabaseServerValues(value);
         await onDisconnect(dbRef).update(transformedValue);
         return { success: true };
@@ -1361,10 +3602,14 @@ export async function databaseOnDisconnectUpdate(path, value) {
     }
 }
 
-export async function databaseOnDisconnectCancel(path) {
-    const { ref, onDisconnect } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseOnDisconnectCancel(path, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onDisconnect } = await loadSdk('database');
     try {
-        const dbRef = ref(firebaseDatabase, path);
+        const dbRef = ref(database, path);
         await onDisconnect(dbRef).cancel();
         return { success: true };
     } catch (error) {
@@ -1372,18 +3617,23 @@ export async function databaseOnDisconnectCancel(path) {
     }
 }
 
-export async function databaseSubscribeConnectionState(dotnetHelper) {
-    const { ref, onValue } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseSubscribeConnectionState(dotnetHelper, appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { ref, onValue } = await loadSdk('database');
     try {
-        const connectedRef = ref(firebaseDatabase, '.info/connected');
+        const connectedRef = ref(database, '.info/connected');
+        const subscription = createSubscription('database', 'connectionState', '.info/connected', null, appName);
 
         const unsubscribe = onValue(connectedRef, (snapshot) => {
+            recordSnapshot(subscription);
             const isConnected = snapshot.val() === true;
             dotnetHelper.invokeMethodAsync('OnConnectionStateChanged', isConnected);
         });
 
-        const subscriptionId = ++databaseSubscriptionCounter;
-        databaseSubscriptions.set(subscriptionId, { unsubscribe, queryRef: null });
+        const subscriptionId = trackSubscription(subscription, unsubscribe);
 
         return { success: true, data: { subscriptionId } };
     } catch (error) {
@@ -1391,20 +3641,28 @@ export async function databaseSubscribeConnectionState(dotnetHelper) {
     }
 }
 
-export async function databaseGoOffline() {
-    const { goOffline } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseGoOffline(appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { goOffline } = await loadSdk('database');
     try {
-        goOffline(firebaseDatabase);
+        goOffline(database);
         return { success: true };
     } catch (error) {
         return { success: false, error: { code: error.code || 'database/unknown', message: error.message } };
     }
 }
 
-export async function databaseGoOnline() {
-    const { goOnline } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-database.js');
+export async function databaseGoOnline(appName) {
+    const database = getService(appName, 'database');
+    if (!database) {
+        return { success: false, error: notInitializedError('database', appName) };
+    }
+    const { goOnline } = await loadSdk('database');
     try {
-        goOnline(firebaseDatabase);
+        goOnline(database);
         return { success: true };
     } catch (error) {
         return { success: false, error: { code: error.code || 'database/unknown', message: error.message } };
@@ -1413,8 +3671,6 @@ export async function databaseGoOnline() {
 
 // ============ APP CHECK ============
 
-let firebaseAppCheck = null;
-
 function isLocalDevelopment() {
     const hostname = window.location.hostname;
     return hostname === 'localhost'
@@ -1423,8 +3679,12 @@ function isLocalDevelopment() {
         || hostname.endsWith('.localhost');
 }
 
-export async function initializeAppCheck(options) {
-    const { initializeAppCheck, ReCaptchaV3Provider, ReCaptchaEnterpriseProvider, CustomProvider } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-app-check.js');
+export async function initializeAppCheck(options, appName) {
+    const instance = getAppInstance(appName);
+    if (!instance) {
+        return { success: false, error: notInitializedError('appCheck', appName) };
+    }
+    const { initializeAppCheck, ReCaptchaV3Provider, ReCaptchaEnterpriseProvider, CustomProvider } = await loadSdk('app-check');
     try {
         const appCheckOptions = {};
 
@@ -1458,30 +3718,42 @@ export async function initializeAppCheck(options) {
 
         appCheckOptions.isTokenAutoRefreshEnabled = options?.isTokenAutoRefreshEnabled ?? true;
 
-        firebaseAppCheck = initializeAppCheck(firebaseApp, appCheckOptions);
+        instance.appCheck = initializeAppCheck(instance.app, appCheckOptions);
+        // Site keys and debug tokens are deliberately not recorded
+        instance.serviceConfig.appCheck = {
+            emulatorHost: null,
+            options: {
+                provider: options.reCaptchaSiteKey ? 'reCaptchaV3'
+                    : options.reCaptchaEnterpriseSiteKey ? 'reCaptchaEnterprise'
+                    : 'custom',
+                isTokenAutoRefreshEnabled: appCheckOptions.isTokenAutoRefreshEnabled,
+                debugMode: !!shouldEnableDebug
+            }
+        };
         return { success: true };
     } catch (error) {
         return { success: false, error: { code: error.code || 'appCheck/unknown', message: error.message } };
     }
 }
 
-export async function appCheckActivate() {
+export async function appCheckActivate(appName) {
+    const appCheck = getService(appName, 'appCheck');
     // AppCheck is activated during initialization in Firebase v9+
     // This method exists for compatibility
-    if (firebaseAppCheck) {
+    if (appCheck) {
         return { success: true };
     }
-    return { success: false, error: { code: 'appCheck/not-initialized', message: 'App Check not initialized' } };
+    return { success: false, error: notInitializedError('appCheck', appName) };
 }
 
-export async function appCheckGetToken(forceRefresh) {
-    const { getToken } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-app-check.js');
+export async function appCheckGetToken(forceRefresh, appName) {
+    const appCheck = getService(appName, 'appCheck');
+    if (!appCheck) {
+        return { success: false, error: notInitializedError('appCheck', appName) };
+    }
     try {
-        if (!firebaseAppCheck) {
-            return { success: false, error: { code: 'appCheck/not-initialized', message: 'App Check not initialized' } };
-        }
-
-        const tokenResult = await getToken(firebaseAppCheck, forceRefresh);
+        const { getToken } = await loadSdk('app-check');
+        const tokenResult = await getToken(appCheck, forceRefresh);
         return {
             success: true,
             data: {
@@ -1495,26 +3767,23 @@ export async function appCheckGetToken(forceRefresh) {
     }
 }
 
-// App Check subscription management
-let appCheckSubscriptions = new Map();
-let appCheckSubscriptionCounter = 0;
-
-export async function appCheckOnTokenChanged(dotnetHelper) {
-    const { onTokenChanged } = await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-app-check.js');
+export async function appCheckOnTokenChanged(dotnetHelper, appName) {
+    const appCheck = getService(appName, 'appCheck');
+    if (!appCheck) {
+        return { success: false, error: notInitializedError('appCheck', appName) };
+    }
     try {
-        if (!firebaseAppCheck) {
-            return { success: false, error: { code: 'appCheck/not-initialized', message: 'App Check not initialized' } };
-        }
-
-        const subscriptionId = ++appCheckSubscriptionCounter;
-        const unsubscribe = onTokenChanged(firebaseAppCheck, (tokenResult) => {
+        const { onTokenChanged } = await loadSdk('app-check');
+        const subscription = createSubscription('appCheck', 'tokenChanged', null, null, appName);
+        const unsubscribe = onTokenChanged(appCheck, (tokenResult) => {
+            recordSnapshot(subscription);
             dotnetHelper.invokeMethodAsync('OnTokenChanged', {
                 token: tokenResult.token,
                 expireTimeMillis: tokenResult.expireTimeMillis || (Date.now() + (30 * 60 * 1000))
             });
         });
 
-        appCheckSubscriptions.set(subscriptionId, unsubscribe);
+        const subscriptionId = trackSubscription(subscription, unsubscribe);
         return { success: true, data: { subscriptionId } };
     } catch (error) {
         return { success: false, error: { code: error.code || 'appCheck/unknown', message: error.message } };
@@ -1522,50 +3791,62 @@ export async function appCheckOnTokenChanged(dotnetHelper) {
 }
 
 export function appCheckUnsubscribeTokenChanged(subscriptionId) {
-    const unsubscribe = appCheckSubscriptions.get(subscriptionId);
-    if (unsubscribe) {
-        unsubscribe();
-        appCheckSubscriptions.delete(subscriptionId);
+    if (releaseSubscription(subscriptionId, 'appCheck')) {
         return { success: true };
     }
     return { success: false, error: { code: 'appCheck/not-found', message: 'Subscription not found' } };
 }
 
-export function appCheckSetTokenAutoRefreshEnabled(enabled) {
-    if (firebaseAppCheck) {
+export function appCheckSetTokenAutoRefreshEnabled(enabled, appName) {
+    const appCheck = getService(appName, 'appCheck');
+    if (appCheck) {
         // Note: In Firebase v9+, this is set during initialization
         // and cannot be changed after. This is a no-op for compatibility.
         return { success: true };
     }
-    return { success: false, error: { code: 'appCheck/not-initialized', message: 'App Check not initialized' } };
+    return { success: false, error: notInitializedError('appCheck', appName) };
 }
 
 // ============ AI LOGIC ============
 
-let firebaseAI = null;
-const generativeModels = new Map();
+// Get the AI instance for an app, creating it with the Google AI backend on first use
+async function getOrCreateAI(instance) {
+    if (!instance.ai) {
+        const { getAI, GoogleAIBackend } = await loadSdk('ai');
+        instance.ai = getAI(instance.app, { backend: new GoogleAIBackend() });
+        instance.serviceConfig.ai = { emulatorHost: null, options: { backend: 'googleai' } };
+    }
+    return instance.ai;
+}
 
-export async function initializeAI(backend) {
+export async function initializeAI(backend, appName) {
+    const instance = getAppInstance(appName);
+    if (!instance) {
+        return { success: false, error: notInitializedError('ai', appName) };
+    }
     const { getAI, GoogleAIBackend, VertexAIBackend } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-ai.js');
+        await loadSdk('ai');
 
     const backendInstance = backend === 'vertex'
         ? new VertexAIBackend()
         : new GoogleAIBackend();
 
-    firebaseAI = getAI(firebaseApp, { backend: backendInstance });
+    instance.ai = getAI(instance.app, { backend: backendInstance });
+    instance.serviceConfig.ai = { emulatorHost: null, options: { backend: backend === 'vertex' ? 'vertex' : 'googleai' } };
     return { success: true, data: null };
 }
 
-export async function aiGetGenerativeModel(modelName, config) {
-    const { getGenerativeModel, getAI, GoogleAIBackend } =
-        await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-ai.js');
+export async function aiGetGenerativeModel(modelName, config, appName) {
+    const { getGenerativeModel } =
+        await loadSdk('ai');
 
     try {
         // Auto-initialize AI if not already done
-        if (!firebaseAI) {
-            firebaseAI = getAI(firebaseApp, { backend: new GoogleAIBackend() });
+        const instance = getAppInstance(appName);
+        if (!instance) {
+            return { success: false, error: notInitializedError('ai', appName) };
         }
+        const ai = await getOrCreateAI(instance);
 
         const modelConfig = { model: modelName };
         if (config) {
@@ -1625,17 +3906,17 @@ export async function aiGetGenerativeModel(modelName, config) {
             }
         }
 
-        const model = getGenerativeModel(firebaseAI, modelConfig);
-        generativeModels.set(modelName, model);
+        const model = getGenerativeModel(ai, modelConfig);
+        instance.generativeModels.set(modelName, model);
         return { success: true, data: { modelName } };
     } catch (error) {
         return { success: false, error: { code: mapAIErrorCode(error), message: error.message } };
     }
 }
 
-export async function aiGenerateContent(modelName, prompt) {
+export async function aiGenerateContent(modelName, prompt, appName) {
     try {
-        const model = generativeModels.get(modelName);
+        const model = getAppInstance(appName)?.generativeModels.get(modelName);
         if (!model) {
             return { success: false, error: { code: 'ai/model-not-found', message: `Model ${modelName} not initialized` } };
         }
@@ -1694,9 +3975,9 @@ export async function aiGenerateContent(modelName, prompt) {
     }
 }
 
-export async function aiGenerateContentStream(modelName, prompt, dotNetRef, callbackMethod) {
+export async function aiGenerateContentStream(modelName, prompt, dotNetRef, callbackMethod, appName) {
     try {
-        const model = generativeModels.get(modelName);
+        const model = getAppInstance(appName)?.generativeModels.get(modelName);
         if (!model) {
             await dotNetRef.invokeMethodAsync(callbackMethod, {
                 success: false,
@@ -1727,9 +4008,9 @@ export async function aiGenerateContentStream(modelName, prompt, dotNetRef, call
     }
 }
 
-export async function generateContentWithParts(modelName, parts) {
+export async function generateContentWithParts(modelName, parts, appName) {
     try {
-        const model = generativeModels.get(modelName);
+        const model = getAppInstance(appName)?.generativeModels.get(modelName);
         if (!model) {
             return { success: false, error: { code: 'ai/model-not-found', message: `Model ${modelName} not initialized` } };
         }
@@ -1786,9 +4067,9 @@ export async function generateContentWithParts(modelName, parts) {
     }
 }
 
-export async function generateContentStreamWithParts(modelName, parts, dotNetRef, callbackMethod) {
+export async function generateContentStreamWithParts(modelName, parts, dotNetRef, callbackMethod, appName) {
     try {
-        const model = generativeModels.get(modelName);
+        const model = getAppInstance(appName)?.generativeModels.get(modelName);
         if (!model) {
             await dotNetRef.invokeMethodAsync(callbackMethod, {
                 success: false,
@@ -1914,9 +4195,9 @@ function mapFunctionCallingMode(mode) {
     return modes[mode] || 'AUTO';
 }
 
-export async function countTokens(modelName, content) {
+export async function countTokens(modelName, content, appName) {
     try {
-        const model = generativeModels.get(modelName);
+        const model = getAppInstance(appName)?.generativeModels.get(modelName);
         if (!model) {
             return { success: false, error: { code: 'ai/model-not-found', message: `Model ${modelName} not initialized` } };
         }
@@ -1958,16 +4239,16 @@ export async function countTokens(modelName, content) {
 const chatSessions = new Map();
 let chatSessionCounter = 0;
 
-export async function aiStartChat(modelName, historyJson) {
+export async function aiStartChat(modelName, historyJson, appName) {
     try {
-        let model = generativeModels.get(modelName);
+        let model = getAppInstance(appName)?.generativeModels.get(modelName);
         if (!model) {
             // Auto-initialize the model if not found
-            const initResult = await aiGetGenerativeModel(modelName, null);
+            const initResult = await aiGetGenerativeModel(modelName, null, appName);
             if (!initResult.success) {
                 return initResult; // Return the initialization error
             }
-            model = generativeModels.get(modelName);
+            model = getAppInstance(appName).generativeModels.get(modelName);
         }
 
         const chatOptions = {};
@@ -1983,7 +4264,7 @@ export async function aiStartChat(modelName, historyJson) {
 
         const chat = model.startChat(chatOptions);
         const sessionId = ++chatSessionCounter;
-        chatSessions.set(sessionId, chat);
+        chatSessions.set(sessionId, { chat, appName });
 
         return { success: true, data: { sessionId } };
     } catch (error) {
@@ -1993,7 +4274,7 @@ export async function aiStartChat(modelName, historyJson) {
 
 export async function aiSendChatMessage(sessionId, message) {
     try {
-        const chat = chatSessions.get(sessionId);
+        const chat = chatSessions.get(sessionId)?.chat;
         if (!chat) {
             return { success: false, error: { code: 'ai/session-not-found', message: `Chat session ${sessionId} not found` } };
         }
@@ -2020,7 +4301,7 @@ export async function aiSendChatMessage(sessionId, message) {
 
 export async function aiSendChatMessageStream(sessionId, message, dotNetRef, callbackMethod) {
     try {
-        const chat = chatSessions.get(sessionId);
+        const chat = chatSessions.get(sessionId)?.chat;
         if (!chat) {
             await dotNetRef.invokeMethodAsync(callbackMethod, {
                 success: false,
@@ -2053,7 +4334,7 @@ export async function aiSendChatMessageStream(sessionId, message, dotNetRef, cal
 
 export async function aiSendChatMessageWithParts(sessionId, parts) {
     try {
-        const chat = chatSessions.get(sessionId);
+        const chat = chatSessions.get(sessionId)?.chat;
         if (!chat) {
             return { success: false, error: { code: 'ai/session-not-found', message: `Chat session ${sessionId} not found` } };
         }
@@ -2095,7 +4376,7 @@ export async function aiSendChatMessageWithParts(sessionId, parts) {
 
 export async function aiSendChatMessageStreamWithParts(sessionId, parts, dotNetRef, callbackMethod) {
     try {
-        const chat = chatSessions.get(sessionId);
+        const chat = chatSessions.get(sessionId)?.chat;
         if (!chat) {
             await dotNetRef.invokeMethodAsync(callbackMethod, {
                 success: false,
@@ -2151,20 +4432,20 @@ export function aiDisposeChatSession(sessionId) {
 
 // ============ AI LOGIC - IMAGE GENERATION ============
 
-const imageModels = new Map();
-
-export async function aiGetImageModel(modelName) {
+export async function aiGetImageModel(modelName, appName) {
     try {
-        const { getImagenModel, getAI, GoogleAIBackend } =
-            await import('https://www.gstatic.com/firebasejs/12.7.0/firebase-ai.js');
+        const { getImagenModel } =
+            await loadSdk('ai');
 
         // Auto-initialize AI if not already done
-        if (!firebaseAI) {
-            firebaseAI = getAI(firebaseApp, { backend: new GoogleAIBackend() });
+        const instance = getAppInstance(appName);
+        if (!instance) {
+            return { success: false, error: notInitializedError('ai', appName) };
         }
+        const ai = await getOrCreateAI(instance);
 
-        const model = getImagenModel(firebaseAI, { model: modelName });
-        imageModels.set(modelName, model);
+        const model = getImagenModel(ai, { model: modelName });
+        instance.imageModels.set(modelName, model);
 
         return { success: true, data: { modelName } };
     } catch (error) {
@@ -2175,9 +4456,9 @@ export async function aiGetImageModel(modelName) {
     }
 }
 
-export async function aiGenerateImages(modelName, prompt, config) {
+export async function aiGenerateImages(modelName, prompt, config, appName) {
     try {
-        const model = imageModels.get(modelName);
+        const model = getAppInstance(appName)?.imageModels.get(modelName);
         if (!model) {
             return {
                 success: false,
@@ -2217,3 +4498,123 @@ export async function aiGenerateImages(modelName, prompt, config) {
         };
     }
 }
+
+// ============ TEARDOWN ============
+
+function isOwnedBy(entry, name) {
+    return (entry.appName || DEFAULT_APP_NAME) === name;
+}
+
+function releaseAppSubscriptions(name) {
+    for (const [subscriptionId, subscription] of subscriptions) {
+        if (isOwnedBy(subscription, name)) {
+            subscriptions.delete(subscriptionId);
+            try {
+                subscription.unsubscribe();
+            } catch (error) {
+                console.warn(`[FireBlazor] Failed to release subscription ${subscriptionId}: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Shut an app down: release every listener, upload, download, object URL, chat session and reCAPTCHA verifier it owns,
+// terminate Firestore, take the Realtime Database offline and delete the Firebase app so the name can be initialized again
+export async function terminate(appName) {
+    const name = appName || DEFAULT_APP_NAME;
+    const instance = firebaseApps.get(name);
+    if (!instance) {
+        return { success: false, error: notInitializedError('app', appName) };
+    }
+
+    // Unregister first so calls racing the teardown get not-initialized errors instead of a dying instance
+    firebaseApps.delete(name);
+
+    releaseAppSubscriptions(name);
+
+    storageQueueStop(name);
+    for (const [taskId, upload] of uploadTasks) {
+        if (isOwnedBy(upload, name)) {
+            uploadTasks.delete(taskId);
+            upload.task.cancel();
+        }
+    }
+
+    for (const [key, entry] of recaptchaVerifiers) {
+        if (isOwnedBy(entry, name)) {
+            clearRecaptchaVerifier(key);
+        }
+    }
+    for (const [verificationId, pending] of phoneConfirmations) {
+        if (isOwnedBy(pending, name)) {
+            phoneConfirmations.delete(verificationId);
+        }
+    }
+
+    for (const [url, entry] of objectUrls) {
+        if (isOwnedBy(entry, name)) {
+            revokeObjectUrl(url);
+        }
+    }
+
+    for (const [downloadId, download] of downloads) {
+        if (isOwnedBy(download, name)) {
+            downloads.delete(downloadId);
+            download.controller.abort();
+        }
+    }
+
+    for (const [sessionId, session] of chatSessions) {
+        if (isOwnedBy(session, name)) {
+            chatSessions.delete(sessionId);
+        }
+    }
+    instance.generativeModels.clear();
+    instance.imageModels.clear();
+
+    const errors = [];
+    if (instance.firestore) {
+        try {
+            const { terminate: terminateFirestore } = await loadSdk('firestore');
+            await terminateFirestore(instance.firestore);
+        } catch (error) {
+            errors.push(error);
+        }
+    }
+    if (instance.database) {
+        try {
+            const { goOffline } = await loadSdk('database');
+            goOffline(instance.database);
+        } catch (error) {
+            errors.push(error);
+        }
+    }
+    try {
+        const { deleteApp } = await loadSdk('app');
+        await deleteApp(instance.app);
+    } catch (error) {
+        errors.push(error);
+    }
+
+    if (errors.length > 0) {
+        return {
+            success: false,
+            error: { code: errors[0].code || 'app/terminate-failed', message: errors.map(e => e.message).join('; ') }
+        };
+    }
+    return { success: true };
+}
+
+// Terminate every initialized app, e.g. before switching tenants or on hot reload
+export async function disposeAll() {
+    const results = [];
+    for (const name of [...firebaseApps.keys()]) {
+        results.push(await terminate(name));
+    }
+    // Anything left belonged to an app that no longer exists
+    subscriptions.clear();
+    chatSessions.clear();
+    clearInterval(subscriptionAgeTimer);
+    subscriptionAgeTimer = null;
+    return results.find(r => !r.success) ?? { success: true };
+}
@@ -11,6 +11,7 @@ public class AILogicErrorCodeTests
     [InlineData("ai/network-error", AILogicErrorCode.NetworkError)]
     [InlineData("ai/timeout", AILogicErrorCode.Timeout)]
     [InlineData("ai/service-unavailable", AILogicErrorCode.ServiceUnavailable)]
+    [InlineData("ai/not-initialized", AILogicErrorCode.NotInitialized)]
     [InlineData("ai/something-unknown", AILogicErrorCode.Unknown)]
     public void FromFirebaseCode_MapsCorrectly(string firebaseCode, AILogicErrorCode expected)
     {
@@ -21,6 +22,7 @@ public class AILogicErrorCodeTests
     [Theory]
     [InlineData(AILogicErrorCode.InvalidApiKey, "ai/invalid-api-key")]
     [InlineData(AILogicErrorCode.QuotaExceeded, "ai/quota-exceeded")]
+    [InlineData(AILogicErrorCode.NotInitialized, "ai/not-initialized")]
     [InlineData(AILogicErrorCode.Unknown, "ai/unknown")]
     public void ToFirebaseCode_MapsCorrectly(AILogicErrorCode code, string expected)
     {
@@ -75,6 +75,29 @@ public class WasmAppCheckTests
         Assert.Null(exception);
     }
 
+    [Fact]
+    public async Task WasmAppCheck_ActivateAsync_InitializationFails_ReturnsFailure()
+    {
+        var module = Substitute.For<IJSObjectReference>();
+        _jsRuntime.InvokeAsync<IJSObjectReference>("import", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<IJSObjectReference>(module));
+        module.InvokeAsync<JsResult<object>>("initializeAppCheck", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<JsResult<object>>(new JsResult<object>
+            {
+                Success = false,
+                Error = new JsError { Code = "appCheck/recaptcha-error", Message = "reCAPTCHA failed to load" }
+            }));
+        var appCheck = new WasmAppCheck(_jsInterop, new AppCheckOptions().ReCaptchaV3("test-site-key"));
+
+        var result = await appCheck.ActivateAsync();
+
+        Assert.True(result.IsFailure);
+        Assert.Equal("appCheck/recaptcha-error", result.Error!.Code);
+        Assert.False(appCheck.IsActivated);
+        Assert.Equal(AppCheckStatus.Failed, appCheck.Status);
+        await module.DidNotReceive().InvokeAsync<JsResult<object>>("appCheckActivate", Arg.Any<object?[]?>());
+    }
+
     [Fact]
     public void WasmAppCheck_OnTokenChanged_EventCanBeSubscribed()
     {
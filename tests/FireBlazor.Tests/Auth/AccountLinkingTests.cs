@@ -0,0 +1,124 @@
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Auth;
+
+public class AccountLinkingTests
+{
+    [Fact]
+    public void ProcessLinkResult_Conflict_ReturnsConflictingCredential()
+    {
+        var auth = new WasmFirebaseAuth(new FirebaseJsInterop(Substitute.For<IJSRuntime>()));
+
+        var result = auth.ProcessLinkResult(new JsResult<JsAccountLinkResult>
+        {
+            Success = true,
+            Data = new JsAccountLinkResult
+            {
+                ConflictingCredential = new JsOAuthCredential { ProviderId = "google.com", IdToken = "id", Json = "{\"providerId\":\"google.com\"}" }
+            }
+        });
+
+        Assert.Equal(AccountLinkStatus.CredentialAlreadyInUse, result.Value.Status);
+        Assert.Null(result.Value.User);
+        Assert.Equal("id", result.Value.ConflictingCredential!.IdToken);
+        Assert.Equal("{\"providerId\":\"google.com\"}", result.Value.ConflictingCredential.Json);
+        Assert.Null(auth.CurrentUser);
+    }
+
+    [Fact]
+    public void ProcessLinkResult_Linked_UpdatesCurrentUser()
+    {
+        var auth = new WasmFirebaseAuth(new FirebaseJsInterop(Substitute.For<IJSRuntime>()));
+
+        var result = auth.ProcessLinkResult(new JsResult<JsAccountLinkResult>
+        {
+            Success = true,
+            Data = new JsAccountLinkResult
+            {
+                User = new JsUser { Uid = "anon-1", IsAnonymous = false, Providers = ["google.com"] },
+                Credential = new JsOAuthCredential { ProviderId = "google.com", AccessToken = "token" }
+            }
+        });
+
+        Assert.Equal(AccountLinkStatus.Linked, result.Value.Status);
+        Assert.Equal("anon-1", auth.CurrentUser!.Uid);
+        Assert.Equal("token", result.Value.Credential!.AccessToken);
+    }
+
+    [Fact]
+    public async Task FakeAuth_LinkWithEmail_UpgradesAnonymousUserInPlace()
+    {
+        var auth = new FakeFirebaseAuth();
+        var anonymous = (await auth.SignInAnonymouslyAsync()).Value;
+
+        var linked = await auth.LinkWithEmailAsync("shopper@example.com", "secret123");
+        await auth.SignOutAsync();
+        var signedIn = await auth.SignInWithEmailAsync("shopper@example.com", "secret123");
+
+        Assert.True(anonymous.IsAnonymous);
+        Assert.Equal(anonymous.Uid, linked.Value.Uid);
+        Assert.False(linked.Value.IsAnonymous);
+        Assert.Contains("password", linked.Value.Providers);
+        Assert.Equal(anonymous.Uid, signedIn.Value.Uid);
+    }
+
+    [Fact]
+    public async Task FakeAuth_LinkWithEmail_EmailInUse_Fails()
+    {
+        var auth = new FakeFirebaseAuth();
+        auth.AddUser("taken@example.com", "password");
+        await auth.SignInAnonymouslyAsync();
+
+        var result = await auth.LinkWithEmailAsync("taken@example.com", "other");
+
+        Assert.Equal("auth/email-already-in-use", result.Error!.Code);
+        Assert.True(auth.CurrentUser!.IsAnonymous);
+    }
+
+    [Fact]
+    public async Task FakeAuth_LinkWithProvider_CredentialInUse_AllowsSwitchingAccounts()
+    {
+        var auth = new FakeFirebaseAuth();
+        var existing = new FirebaseUser { Uid = "existing", Providers = ["google.com"] };
+        auth.ConfigureOAuthProvider("google.com", existing);
+        var anonymous = (await auth.SignInAnonymouslyAsync()).Value;
+
+        var link = await auth.LinkWithProviderAsync(new AuthProviderOptions { ProviderId = "google.com" });
+
+        Assert.Equal(AccountLinkStatus.CredentialAlreadyInUse, link.Value.Status);
+        Assert.Equal(anonymous.Uid, auth.CurrentUser!.Uid);
+
+        var switched = await auth.SignInWithCredentialAsync(link.Value.ConflictingCredential!);
+
+        Assert.Equal("existing", switched.Value.User.Uid);
+        Assert.Same(existing, auth.CurrentUser);
+    }
+
+    [Fact]
+    public async Task FakeAuth_LinkWithProvider_UnusedProvider_Links()
+    {
+        var auth = new FakeFirebaseAuth();
+        var anonymous = (await auth.SignInAnonymouslyAsync()).Value;
+
+        var link = await auth.LinkWithProviderAsync(new AuthProviderOptions { ProviderId = "github.com" });
+        await auth.SignOutAsync();
+        var signedIn = await auth.SignInWithProviderAsync(new AuthProviderOptions { ProviderId = "github.com" });
+
+        Assert.Equal(AccountLinkStatus.Linked, link.Value.Status);
+        Assert.Equal(anonymous.Uid, link.Value.User!.Uid);
+        Assert.Equal(anonymous.Uid, signedIn.Value.User.Uid);
+    }
+
+    [Fact]
+    public async Task FakeAuth_LinkWithoutUser_Fails()
+    {
+        var auth = new FakeFirebaseAuth();
+
+        var result = await auth.LinkWithProviderAsync(new AuthProviderOptions { ProviderId = "github.com" });
+
+        Assert.Equal("auth/no-user", result.Error!.Code);
+    }
+}
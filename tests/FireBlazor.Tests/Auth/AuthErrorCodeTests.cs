@@ -10,6 +10,10 @@ public class AuthErrorCodeTests
     [InlineData("auth/email-already-in-use", AuthErrorCode.EmailAlreadyInUse)]
     [InlineData("auth/weak-password", AuthErrorCode.WeakPassword)]
     [InlineData("auth/too-many-requests", AuthErrorCode.TooManyRequests)]
+    [InlineData("auth/invalid-phone-number", AuthErrorCode.InvalidPhoneNumber)]
+    [InlineData("auth/code-expired", AuthErrorCode.CodeExpired)]
+    [InlineData("auth/captcha-check-failed", AuthErrorCode.CaptchaCheckFailed)]
+    [InlineData("auth/not-initialized", AuthErrorCode.NotInitialized)]
     [InlineData("auth/unknown-error", AuthErrorCode.Unknown)]
     public void FromFirebaseCode_MapsCorrectly(string firebaseCode, AuthErrorCode expected)
     {
@@ -17,6 +21,12 @@ public class AuthErrorCodeTests
         Assert.Equal(expected, result);
     }
 
+    [Fact]
+    public void ToFirebaseCode_NotInitialized()
+    {
+        Assert.Equal("auth/not-initialized", AuthErrorCode.NotInitialized.ToFirebaseCode());
+    }
+
     [Fact]
     public void FirebaseAuthException_ContainsCode()
     {
@@ -0,0 +1,123 @@
+using System.Security.Claims;
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace FireBlazor.Tests.Auth;
+
+public class PhoneSignInTests
+{
+    [Theory]
+    [InlineData(RecaptchaSize.Invisible, "invisible")]
+    [InlineData(RecaptchaSize.Normal, "normal")]
+    [InlineData(RecaptchaSize.Compact, "compact")]
+    public void ToJsSize_MapsSize(RecaptchaSize size, string expected)
+    {
+        Assert.Equal(expected, size.ToJsSize());
+    }
+
+    [Fact]
+    public void Validate_RequiresContainerId()
+    {
+        var options = new PhoneSignInOptions { ContainerId = " " };
+
+        Assert.Equal(RecaptchaSize.Invisible, options.Size);
+        Assert.Throws<ArgumentException>(options.Validate);
+    }
+
+    [Fact]
+    public void MapPhoneVerification_MapsResultAndError()
+    {
+        var success = WasmFirebaseAuth.MapPhoneVerification(new JsResult<JsPhoneVerification>
+        {
+            Success = true,
+            Data = new JsPhoneVerification { VerificationId = "v1", PhoneNumber = "+15555550100" }
+        });
+        var failure = WasmFirebaseAuth.MapPhoneVerification(new JsResult<JsPhoneVerification>
+        {
+            Success = false,
+            Error = new JsError { Code = "auth/captcha-check-failed", Message = "reCAPTCHA failed" }
+        });
+
+        Assert.Equal("v1", success.Value.VerificationId);
+        Assert.Equal("+15555550100", success.Value.PhoneNumber);
+        Assert.Equal("auth/captcha-check-failed", failure.Error!.Code);
+    }
+
+    [Fact]
+    public async Task FakeAuth_ConfirmPhoneCode_WrongCodeCanBeRetried()
+    {
+        var auth = new FakeFirebaseAuth();
+        var verification = (await auth.SignInWithPhoneNumberAsync("+15555550100", Options())).Value;
+
+        var wrong = await auth.ConfirmPhoneCodeAsync(verification.VerificationId, "000000");
+        var signedIn = await auth.ConfirmPhoneCodeAsync(verification.VerificationId, FakeFirebaseAuth.DefaultPhoneVerificationCode);
+
+        Assert.Equal("auth/invalid-verification-code", wrong.Error!.Code);
+        Assert.Equal("+15555550100", signedIn.Value.PhoneNumber);
+        Assert.Contains("phone", signedIn.Value.Providers);
+        Assert.Same(signedIn.Value, auth.CurrentUser);
+    }
+
+    [Fact]
+    public async Task FakeAuth_ConfirmPhoneCode_SameNumberSignsInSameUser()
+    {
+        var auth = new FakeFirebaseAuth();
+        auth.ConfigurePhoneNumber("+15555550101", "654321");
+
+        var first = await SignInAsync(auth, "+15555550101", "654321");
+        await auth.SignOutAsync();
+        var second = await SignInAsync(auth, "+15555550101", "654321");
+
+        Assert.Equal(first.Uid, second.Uid);
+    }
+
+    [Fact]
+    public async Task FakeAuth_ResendPhoneCode_ReplacesVerification()
+    {
+        var auth = new FakeFirebaseAuth();
+        var user = new FirebaseUser { Uid = "phone-user", PhoneNumber = "+15555550102" };
+        auth.ConfigurePhoneNumber("+15555550102", "111111", user);
+        var first = (await auth.SignInWithPhoneNumberAsync("+15555550102", Options())).Value;
+
+        var resent = await auth.ResendPhoneCodeAsync(first.VerificationId);
+        var stale = await auth.ConfirmPhoneCodeAsync(first.VerificationId, "111111");
+        var confirmed = await auth.ConfirmPhoneCodeAsync(resent.Value.VerificationId, "111111");
+
+        Assert.NotEqual(first.VerificationId, resent.Value.VerificationId);
+        Assert.Equal("auth/invalid-verification-id", stale.Error!.Code);
+        Assert.Same(user, confirmed.Value);
+    }
+
+    [Fact]
+    public async Task FakeAuth_SignInWithPhoneNumber_RejectsNonE164Number()
+    {
+        var auth = new FakeFirebaseAuth();
+
+        var result = await auth.SignInWithPhoneNumberAsync("555-0100", Options());
+
+        Assert.Equal("auth/invalid-phone-number", result.Error!.Code);
+    }
+
+    [Fact]
+    public async Task AuthenticationState_PhoneUser_HasMobilePhoneClaim()
+    {
+        var auth = new FakeFirebaseAuth();
+        await SignInAsync(auth, "+15555550103", FakeFirebaseAuth.DefaultPhoneVerificationCode);
+        var provider = new FirebaseAuthenticationStateProvider(
+            auth, new FirebaseAuthorizationOptions(), new NullLogger<FirebaseAuthenticationStateProvider>());
+
+        var state = await provider.GetAuthenticationStateAsync();
+
+        Assert.Equal("+15555550103", state.User.FindFirst(ClaimTypes.MobilePhone)?.Value);
+        Assert.Equal("+15555550103", state.User.Identity?.Name);
+    }
+
+    private static PhoneSignInOptions Options() => new() { ContainerId = "recaptcha-container" };
+
+    private static async Task<FirebaseUser> SignInAsync(FakeFirebaseAuth auth, string phoneNumber, string code)
+    {
+        var verification = await auth.SignInWithPhoneNumberAsync(phoneNumber, Options());
+        return (await auth.ConfirmPhoneCodeAsync(verification.Value.VerificationId, code)).Value;
+    }
+}
@@ -0,0 +1,91 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Auth;
+
+public class ProviderSignInTests
+{
+    [Theory]
+    [InlineData("oidc.")]
+    [InlineData("saml.")]
+    [InlineData(" ")]
+    public void Validate_RejectsIncompleteProviderIds(string providerId)
+    {
+        var options = new AuthProviderOptions { ProviderId = providerId };
+
+        Assert.Throws<ArgumentException>(options.Validate);
+    }
+
+    [Fact]
+    public void Validate_RejectsScopesForSaml()
+    {
+        var saml = new AuthProviderOptions { ProviderId = "saml.adfs", Scopes = ["email"] };
+        var oidc = new AuthProviderOptions { ProviderId = "oidc.okta", Scopes = ["email", "groups"] };
+
+        Assert.True(saml.IsSaml);
+        Assert.Throws<ArgumentException>(saml.Validate);
+        oidc.Validate();
+    }
+
+    [Fact]
+    public void MapCredential_MapsTokens()
+    {
+        var credential = WasmFirebaseAuth.MapCredential(new JsOAuthCredential
+        {
+            ProviderId = "oidc.okta",
+            SignInMethod = "oidc.okta",
+            AccessToken = "access",
+            IdToken = "id"
+        });
+
+        Assert.Equal("oidc.okta", credential!.ProviderId);
+        Assert.Equal("access", credential.AccessToken);
+        Assert.Equal("id", credential.IdToken);
+        Assert.Null(credential.Secret);
+        Assert.Null(WasmFirebaseAuth.MapCredential(null));
+    }
+
+    [Fact]
+    public async Task FakeAuth_SignInWithProviderAsync_ReturnsConfiguredCredential()
+    {
+        var auth = new FakeFirebaseAuth();
+        var user = new FirebaseUser { Uid = "okta-user", Providers = ["oidc.okta"] };
+        auth.ConfigureOAuthProvider("oidc.okta", user, new OAuthCredential { ProviderId = "oidc.okta", IdToken = "id-token" });
+
+        var result = await auth.SignInWithProviderAsync(new AuthProviderOptions
+        {
+            ProviderId = "oidc.okta",
+            Scopes = ["groups"],
+            CustomParameters = new Dictionary<string, string> { ["prompt"] = "login" }
+        });
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal("okta-user", result.Value.User.Uid);
+        Assert.Equal("id-token", result.Value.Credential!.IdToken);
+        Assert.Same(user, auth.CurrentUser);
+    }
+
+    [Fact]
+    public async Task FakeAuth_SignInWithProviderAsync_DefaultsCredentialExceptForSaml()
+    {
+        var auth = new FakeFirebaseAuth();
+        auth.ConfigureOAuthProvider("microsoft.com", new FirebaseUser { Uid = "ms-user" });
+        auth.ConfigureOAuthProvider("saml.adfs", new FirebaseUser { Uid = "adfs-user" });
+
+        var microsoft = await auth.SignInWithProviderAsync(new AuthProviderOptions { ProviderId = "microsoft.com" });
+        var saml = await auth.SignInWithProviderAsync(new AuthProviderOptions { ProviderId = "saml.adfs" });
+
+        Assert.NotNull(microsoft.Value.Credential!.AccessToken);
+        Assert.Null(saml.Value.Credential);
+    }
+
+    [Fact]
+    public async Task FakeAuth_SignInWithProviderAsync_UnconfiguredProviderFails()
+    {
+        var auth = new FakeFirebaseAuth();
+
+        var result = await auth.SignInWithProviderAsync(new AuthProviderOptions { ProviderId = "oidc.okta" });
+
+        Assert.Equal("auth/popup-closed-by-user", result.Error!.Code);
+    }
+}
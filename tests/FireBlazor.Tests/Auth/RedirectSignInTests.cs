@@ -0,0 +1,131 @@
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Auth;
+
+public class RedirectSignInTests
+{
+    [Theory]
+    [InlineData(AuthSignInMode.Popup, "popup")]
+    [InlineData(AuthSignInMode.Redirect, "redirect")]
+    [InlineData(AuthSignInMode.PopupWithRedirectFallback, "popupWithRedirectFallback")]
+    public void ToJsMode_MapsMode(AuthSignInMode mode, string expected)
+    {
+        Assert.Equal(expected, mode.ToJsMode());
+    }
+
+    [Fact]
+    public void WithSignInMode_DefaultsToPopup()
+    {
+        Assert.Equal(AuthSignInMode.Popup, new AuthOptions().SignInMode);
+        Assert.Equal(AuthSignInMode.Redirect, new AuthOptions().WithSignInMode(AuthSignInMode.Redirect).SignInMode);
+    }
+
+    [Fact]
+    public void HandleRedirectResult_NoRedirect_LeavesResultNull()
+    {
+        var auth = CreateAuth();
+
+        auth.HandleRedirectResult(new JsResult<JsRedirectResult> { Success = true });
+
+        Assert.Null(auth.RedirectResult);
+        Assert.Null(auth.CurrentUser);
+    }
+
+    [Fact]
+    public void HandleRedirectResult_Success_SignsInUser()
+    {
+        var auth = CreateAuth();
+        FirebaseUser? changed = null;
+        auth.OnAuthStateChanged += user => changed = user;
+
+        auth.HandleRedirectResult(new JsResult<JsRedirectResult>
+        {
+            Success = true,
+            Data = new JsRedirectResult
+            {
+                User = new JsUser { Uid = "u1", Providers = ["google.com"] },
+                Credential = new JsOAuthCredential { ProviderId = "google.com", AccessToken = "token" }
+            }
+        });
+
+        Assert.Equal("u1", auth.RedirectResult!.Value.Value.User.Uid);
+        Assert.Equal("token", auth.RedirectResult.Value.Value.Credential!.AccessToken);
+        Assert.Equal("u1", auth.CurrentUser!.Uid);
+        Assert.Same(auth.CurrentUser, changed);
+    }
+
+    [Fact]
+    public void HandleRedirectResult_Failure_KeepsError()
+    {
+        var auth = CreateAuth();
+
+        auth.HandleRedirectResult(new JsResult<JsRedirectResult>
+        {
+            Success = false,
+            Error = new JsError { Code = "auth/account-exists-with-different-credential", Message = "Exists" }
+        });
+
+        Assert.Equal("auth/account-exists-with-different-credential", auth.RedirectResult!.Value.Error!.Code);
+        Assert.Null(auth.CurrentUser);
+    }
+
+    [Fact]
+    public void HandleRedirectResult_Link_RecordsAccountLinkResult()
+    {
+        var auth = CreateAuth();
+
+        auth.HandleRedirectResult(new JsResult<JsRedirectResult>
+        {
+            Success = true,
+            Data = new JsRedirectResult
+            {
+                User = new JsUser { Uid = "anon", Providers = ["google.com"] },
+                Credential = new JsOAuthCredential { ProviderId = "google.com", AccessToken = "token" },
+                OperationType = "link"
+            }
+        });
+
+        Assert.Null(auth.RedirectResult);
+        Assert.Equal(AccountLinkStatus.Linked, auth.RedirectLinkResult!.Value.Value.Status);
+        Assert.Equal("anon", auth.CurrentUser!.Uid);
+    }
+
+    [Fact]
+    public void HandleRedirectResult_CredentialAlreadyInUse_CarriesConflictingCredential()
+    {
+        var auth = CreateAuth();
+
+        auth.HandleRedirectResult(new JsResult<JsRedirectResult>
+        {
+            Success = true,
+            Data = new JsRedirectResult
+            {
+                ConflictingCredential = new JsOAuthCredential { ProviderId = "google.com", IdToken = "id-token" },
+                OperationType = "link"
+            }
+        });
+
+        var link = auth.RedirectLinkResult!.Value.Value;
+        Assert.Equal(AccountLinkStatus.CredentialAlreadyInUse, link.Status);
+        Assert.Equal("id-token", link.ConflictingCredential!.IdToken);
+        Assert.Null(auth.RedirectResult);
+        Assert.Null(auth.CurrentUser);
+    }
+
+    [Fact]
+    public void FakeAuth_SetRedirectResult_SignsInUser()
+    {
+        var auth = new FakeFirebaseAuth();
+        var user = new FirebaseUser { Uid = "redirect-user" };
+
+        auth.SetRedirectResult(new ProviderSignInResult { User = user });
+
+        Assert.True(auth.RedirectResult!.Value.IsSuccess);
+        Assert.Same(user, auth.CurrentUser);
+    }
+
+    private static WasmFirebaseAuth CreateAuth() => new(new FirebaseJsInterop(Substitute.For<IJSRuntime>()));
+}
@@ -0,0 +1,88 @@
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+
+namespace FireBlazor.Tests.Core;
+
+public class FirebaseInitializationTests
+{
+    private readonly IJSObjectReference _module = Substitute.For<IJSObjectReference>();
+
+    private Firebase CreateFirebase(Action<FirebaseOptions> configure)
+    {
+        var jsRuntime = Substitute.For<IJSRuntime>();
+        jsRuntime.InvokeAsync<IJSObjectReference>("import", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<IJSObjectReference>(_module));
+        var options = new FirebaseOptions().WithProject("test-project").WithApiKey("test-key");
+        configure(options);
+        return new Firebase(options, NullLogger<Firebase>.Instance, jsRuntime);
+    }
+
+    private static ValueTask<JsResult<T>> NotInitialized<T>(string service) =>
+        new(new JsResult<T>
+        {
+            Success = false,
+            Error = new JsError { Code = $"{service}/not-initialized", Message = "Firebase app \"[DEFAULT]\" is not initialized. Call initialize first." }
+        });
+
+    [Fact]
+    public async Task InitializeAsync_AuthNotInitialized_ThrowsAuthException()
+    {
+        var firebase = CreateFirebase(o => o.UseAuth());
+        _module.InvokeAsync<JsResult<JsRedirectResult>>("initializeAuth", Arg.Any<object?[]?>())
+            .Returns(NotInitialized<JsRedirectResult>("auth"));
+
+        var ex = await Assert.ThrowsAsync<FirebaseAuthException>(firebase.InitializeAsync);
+
+        Assert.Equal(AuthErrorCode.NotInitialized, ex.AuthCode);
+    }
+
+    [Fact]
+    public async Task InitializeAsync_FirestoreNotInitialized_ThrowsFirestoreException()
+    {
+        var firebase = CreateFirebase(o => o.UseFirestore());
+        _module.InvokeAsync<JsResult<object>>("initializeFirestore", Arg.Any<object?[]?>())
+            .Returns(NotInitialized<object>("firestore"));
+
+        var ex = await Assert.ThrowsAsync<FirestoreException>(firebase.InitializeAsync);
+
+        Assert.Equal(FirestoreErrorCode.NotInitialized, ex.FirestoreCode);
+    }
+
+    [Fact]
+    public async Task InitializeAsync_StorageNotInitialized_ThrowsStorageException()
+    {
+        var firebase = CreateFirebase(o => o.UseStorage());
+        _module.InvokeAsync<JsResult<object>>("initializeStorage", Arg.Any<object?[]?>())
+            .Returns(NotInitialized<object>("storage"));
+
+        var ex = await Assert.ThrowsAsync<StorageException>(firebase.InitializeAsync);
+
+        Assert.Equal(StorageErrorCode.NotInitialized, ex.StorageCode);
+    }
+
+    [Fact]
+    public async Task InitializeAsync_DatabaseNotInitialized_ThrowsWithDatabaseCode()
+    {
+        var firebase = CreateFirebase(o => o.UseRealtimeDatabase());
+        _module.InvokeAsync<JsResult<object>>("initializeDatabase", Arg.Any<object?[]?>())
+            .Returns(NotInitialized<object>("database"));
+
+        var ex = await Assert.ThrowsAsync<FirebaseException>(firebase.InitializeAsync);
+
+        Assert.Equal("database/not-initialized", ex.Code);
+    }
+
+    [Fact]
+    public async Task InitializeAsync_ServicesReady_Succeeds()
+    {
+        var firebase = CreateFirebase(o => o.UseFirestore().UseStorage().UseRealtimeDatabase());
+        var ready = new ValueTask<JsResult<object>>(new JsResult<object> { Success = true });
+        _module.InvokeAsync<JsResult<object>>(Arg.Any<string>(), Arg.Any<object?[]?>()).Returns(ready);
+
+        await firebase.InitializeAsync();
+
+        await _module.Received().InvokeAsync<JsResult<object>>("initializeDatabase", Arg.Any<object?[]?>());
+    }
+}
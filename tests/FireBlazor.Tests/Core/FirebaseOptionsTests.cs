@@ -37,6 +37,65 @@ public class FirebaseOptionsTests
         Assert.Equal("https://test.firebaseio.com", options.DatabaseUrl);
     }
 
+    [Fact]
+    public void WithAppName_SetsAppName()
+    {
+        var options = new FirebaseOptions().WithAppName("staging");
+
+        Assert.Equal("staging", options.AppName);
+    }
+
+    [Fact]
+    public void WithAppName_ThrowsOnEmpty()
+    {
+        Assert.ThrowsAny<ArgumentException>(() => new FirebaseOptions().WithAppName(" "));
+    }
+
+    [Fact]
+    public void WithLogging_SetsSubscriptionWarningAge()
+    {
+        var options = new FirebaseOptions()
+            .WithLogging(logging => logging.SubscriptionWarningAge = TimeSpan.FromMinutes(10));
+
+        Assert.Equal(TimeSpan.FromMinutes(10), options.SubscriptionWarningAge);
+    }
+
+    [Fact]
+    public void UseStorage_DownloadChunkThreshold_DefaultsAndCanBeSet()
+    {
+        var defaults = new FirebaseOptions().UseStorage();
+        var custom = new FirebaseOptions().UseStorage(s => s.WithDownloadChunkThreshold(1024));
+
+        Assert.Equal(StorageOptions.DefaultDownloadChunkThreshold, defaults.StorageOptions!.DownloadChunkThreshold);
+        Assert.Equal(1024, custom.StorageOptions!.DownloadChunkThreshold);
+        Assert.Throws<ArgumentOutOfRangeException>(() => new StorageOptions().WithDownloadChunkThreshold(0));
+    }
+
+    [Fact]
+    public void UseSdk_DefaultsToGstaticCdn()
+    {
+        var options = new FirebaseOptions().UseSdk(_ => { });
+
+        Assert.Equal(SdkOptions.DefaultBaseUrl, options.SdkOptions!.BaseUrl);
+        Assert.Equal(SdkOptions.DefaultVersion, options.SdkOptions.Version);
+    }
+
+    [Fact]
+    public void UseSdk_FromBaseUrl_TrimsTrailingSlash()
+    {
+        var options = new FirebaseOptions()
+            .UseSdk(sdk => sdk.FromBaseUrl("/js/firebase/").WithVersion("12.8.0"));
+
+        Assert.Equal("/js/firebase", options.SdkOptions!.BaseUrl);
+        Assert.Equal("12.8.0", options.SdkOptions.Version);
+    }
+
+    [Fact]
+    public void UseSdk_FromBaseUrl_ThrowsOnEmpty()
+    {
+        Assert.ThrowsAny<ArgumentException>(() => new SdkOptions().FromBaseUrl(""));
+    }
+
     [Fact]
     public void Validate_ThrowsWhenProjectIdMissing()
     {
@@ -0,0 +1,33 @@
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+
+namespace FireBlazor.Tests.Core;
+
+public class FirebaseSubscriptionsTests
+{
+    [Fact]
+    public async Task GetSubscriptionsAsync_ListsOnlyTheAppsOwnListeners()
+    {
+        var module = Substitute.For<IJSObjectReference>();
+        var jsRuntime = Substitute.For<IJSRuntime>();
+        jsRuntime.InvokeAsync<IJSObjectReference>("import", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<IJSObjectReference>(module));
+        module.InvokeAsync<JsResult<List<JsSubscriptionInfo>>>("listSubscriptions", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<JsResult<List<JsSubscriptionInfo>>>(new JsResult<List<JsSubscriptionInfo>>
+            {
+                Success = true,
+                Data = [new JsSubscriptionInfo { Id = 1, Service = "firestore", Kind = "document", Path = "users/a", AppName = "tenant" }]
+            }));
+        var options = new FirebaseOptions().WithProject("test-project").WithApiKey("test-key").WithAppName("tenant");
+        var firebase = new Firebase(options, NullLogger<Firebase>.Instance, jsRuntime);
+
+        var result = await firebase.GetSubscriptionsAsync();
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal("tenant", Assert.Single(result.Value).AppName);
+        await module.Received().InvokeAsync<JsResult<List<JsSubscriptionInfo>>>(
+            "listSubscriptions", Arg.Is<object?[]?>(args => args!.Length == 1 && (string)args[0]! == "tenant"));
+    }
+}
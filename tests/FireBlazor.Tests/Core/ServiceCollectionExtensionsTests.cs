@@ -53,4 +53,23 @@ public class ServiceCollectionExtensionsTests
 
         Assert.Throws<InvalidOperationException>(() => provider.GetRequiredService<IFirebase>());
     }
+
+    [Fact]
+    public void AddFirebase_Named_RegistersKeyedIFirebaseAlongsideDefault()
+    {
+        var services = new ServiceCollection();
+        services.AddSingleton(Substitute.For<IJSRuntime>());
+
+        services.AddFirebase(options => options.WithProject("production"));
+        services.AddFirebase("staging", options => options.WithProject("staging-project"));
+
+        var provider = services.BuildServiceProvider();
+        var stagingOptions = provider.GetRequiredKeyedService<FirebaseOptions>("staging");
+
+        Assert.NotNull(provider.GetService<IFirebase>());
+        Assert.NotNull(provider.GetRequiredKeyedService<IFirebase>("staging"));
+        Assert.Equal("staging", stagingOptions.AppName);
+        Assert.Equal("staging-project", stagingOptions.ProjectId);
+        Assert.Null(provider.GetRequiredService<FirebaseOptions>().AppName);
+    }
 }
@@ -104,6 +104,35 @@ public class FirebaseDebugPanelTests
         Assert.Equal(5, state.ActiveSubscriptionCount);
     }
 
+    [Fact]
+    public void DebugState_TracksServiceStatus()
+    {
+        var state = new FirebaseDebugState();
+        var auth = new FirebaseServiceStatus(true, "127.0.0.1:9099", new Dictionary<string, string?>());
+        var missing = FirebaseServiceStatus.NotInitialized;
+        var status = new FirebaseAppStatus("[DEFAULT]", true, auth, missing, missing, missing, missing, missing);
+
+        state.UpdateServiceStatus(status);
+
+        Assert.Same(status, state.ServiceStatus);
+        Assert.True(state.ServiceStatus!.Auth.IsUsingEmulator);
+        Assert.False(state.ServiceStatus.Firestore.IsInitialized);
+    }
+
+    [Fact]
+    public void DebugState_UpdateSubscriptions_SetsListAndCount()
+    {
+        var state = new FirebaseDebugState();
+        var subscription = new FirebaseSubscriptionInfo(
+            1, "firestore", "collection", "users", null, "[DEFAULT]",
+            DateTimeOffset.UtcNow, TimeSpan.FromMinutes(10), 3, null);
+
+        state.UpdateSubscriptions([subscription]);
+
+        Assert.Equal(1, state.ActiveSubscriptionCount);
+        Assert.Equal("users", state.Subscriptions[0].Path);
+    }
+
     [Fact]
     public void DebugState_ClearsAllData()
     {
@@ -11,6 +11,7 @@ public class FirestoreErrorCodeTests
     [InlineData("unavailable", FirestoreErrorCode.Unavailable)]
     [InlineData("cancelled", FirestoreErrorCode.Cancelled)]
     [InlineData("invalid-argument", FirestoreErrorCode.InvalidArgument)]
+    [InlineData("firestore/not-initialized", FirestoreErrorCode.NotInitialized)]
     [InlineData("unknown-error", FirestoreErrorCode.Unknown)]
     public void FromFirebaseCode_MapsCorrectly(string firebaseCode, FirestoreErrorCode expected)
     {
@@ -24,6 +25,7 @@ public class FirestoreErrorCodeTests
         Assert.Equal("permission-denied", FirestoreErrorCode.PermissionDenied.ToFirebaseCode());
         Assert.Equal("not-found", FirestoreErrorCode.NotFound.ToFirebaseCode());
         Assert.Equal("already-exists", FirestoreErrorCode.AlreadyExists.ToFirebaseCode());
+        Assert.Equal("firestore/not-initialized", FirestoreErrorCode.NotInitialized.ToFirebaseCode());
     }
 
     [Fact]
@@ -0,0 +1,148 @@
+using System.Text.Json;
+using FireBlazor.Platform.Wasm;
+
+namespace FireBlazor.Tests.Firestore;
+
+public class FirestoreTypeConverterTests
+{
+    public class Place
+    {
+        public string? Name { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime? UpdatedAt { get; set; }
+        public DateTimeOffset VisitedAt { get; set; }
+        public GeoPoint Location { get; set; }
+        public DocumentReference? Owner { get; set; }
+        public byte[]? Thumbnail { get; set; }
+        public VectorValue? Embedding { get; set; }
+    }
+
+    private const string TaggedJson = """
+        {
+            "name": "Office",
+            "createdAt": { "__type__": "timestamp", "seconds": 1700000000, "nanoseconds": 500000000 },
+            "updatedAt": { "__type__": "timestamp", "seconds": 1700000060, "nanoseconds": 0 },
+            "visitedAt": { "__type__": "timestamp", "seconds": 1700000000, "nanoseconds": 0 },
+            "location": { "__type__": "geopoint", "latitude": 51.5, "longitude": -0.12 },
+            "owner": { "__type__": "reference", "path": "users/alice" },
+            "thumbnail": { "__type__": "bytes", "base64": "AQID" },
+            "embedding": { "__type__": "vector", "values": [0.1, 0.2, 0.3] }
+        }
+        """;
+
+    [Fact]
+    public void Deserialize_TaggedValues_MapsToDotNetTypes()
+    {
+        var place = JsonSerializer.Deserialize<Place>(TaggedJson, FirestoreJsonOptions.Default)!;
+
+        var expected = DateTime.UnixEpoch.AddSeconds(1700000000).AddMilliseconds(500);
+        Assert.Equal(expected, place.CreatedAt);
+        Assert.Equal(DateTime.UnixEpoch.AddSeconds(1700000060), place.UpdatedAt);
+        Assert.Equal(DateTimeOffset.FromUnixTimeSeconds(1700000000), place.VisitedAt);
+        Assert.Equal(new GeoPoint(51.5, -0.12), place.Location);
+        Assert.Equal("users/alice", place.Owner!.Path);
+        Assert.Equal("alice", place.Owner.Id);
+        Assert.Equal(new byte[] { 1, 2, 3 }, place.Thumbnail);
+        Assert.Equal(new[] { 0.1, 0.2, 0.3 }, place.Embedding!.Values);
+    }
+
+    [Fact]
+    public void Deserialize_UntaggedValues_StillSupported()
+    {
+        const string json = """
+            {
+                "createdAt": "2024-01-01T00:00:00Z",
+                "location": { "latitude": 1, "longitude": 2 },
+                "thumbnail": "AQID"
+            }
+            """;
+
+        var place = JsonSerializer.Deserialize<Place>(json, FirestoreJsonOptions.Default)!;
+
+        Assert.Equal(new GeoPoint(1, 2), place.Location);
+        Assert.Equal(new byte[] { 1, 2, 3 }, place.Thumbnail);
+    }
+
+    [Fact]
+    public void Deserialize_MismatchedTag_Throws()
+    {
+        const string json = """{ "location": { "__type__": "reference", "path": "users/alice" } }""";
+
+        Assert.Throws<JsonException>(() => JsonSerializer.Deserialize<Place>(json, FirestoreJsonOptions.Default));
+    }
+
+    [Fact]
+    public void Serialize_WritesTaggedValues()
+    {
+        var place = new Place
+        {
+            CreatedAt = new DateTime(2023, 11, 14, 22, 13, 20, 500, DateTimeKind.Utc),
+            UpdatedAt = null,
+            VisitedAt = new DateTimeOffset(2023, 11, 14, 23, 13, 20, TimeSpan.FromHours(1)),
+            Location = new GeoPoint(51.5, -0.12),
+            Owner = DocumentReference.FromPath("users/alice"),
+            Thumbnail = [1, 2, 3]
+        };
+
+        var json = JsonSerializer.SerializeToElement(place, FirestoreJsonOptions.Default);
+
+        var createdAt = json.GetProperty("createdAt");
+        Assert.Equal("timestamp", createdAt.GetProperty("__type__").GetString());
+        Assert.Equal(1700000000, createdAt.GetProperty("seconds").GetInt64());
+        Assert.Equal(500000000, createdAt.GetProperty("nanoseconds").GetInt64());
+        Assert.Equal(JsonValueKind.Null, json.GetProperty("updatedAt").ValueKind);
+        Assert.Equal(1700000000, json.GetProperty("visitedAt").GetProperty("seconds").GetInt64());
+
+        var location = json.GetProperty("location");
+        Assert.Equal("geopoint", location.GetProperty("__type__").GetString());
+        Assert.Equal(51.5, location.GetProperty("latitude").GetDouble());
+
+        var owner = json.GetProperty("owner");
+        Assert.Equal("reference", owner.GetProperty("__type__").GetString());
+        Assert.Equal("users/alice", owner.GetProperty("path").GetString());
+
+        var thumbnail = json.GetProperty("thumbnail");
+        Assert.Equal("bytes", thumbnail.GetProperty("__type__").GetString());
+        Assert.Equal("AQID", thumbnail.GetProperty("base64").GetString());
+    }
+
+    [Fact]
+    public void Serialize_VectorValue_WritesTaggedValues()
+    {
+        var json = JsonSerializer.SerializeToElement(new VectorValue([0.5, 1.5]), FirestoreJsonOptions.Default);
+
+        Assert.Equal("vector", json.GetProperty("__type__").GetString());
+        Assert.Equal(new[] { 0.5, 1.5 }, json.GetProperty("values").EnumerateArray().Select(v => v.GetDouble()));
+    }
+
+    [Fact]
+    public void Serialize_PreEpochTimestamp_UsesNonNegativeNanoseconds()
+    {
+        var value = DateTime.UnixEpoch.AddMilliseconds(-1500);
+
+        var json = JsonSerializer.SerializeToElement(value, FirestoreJsonOptions.Default);
+
+        Assert.Equal(-2, json.GetProperty("seconds").GetInt64());
+        Assert.Equal(500000000, json.GetProperty("nanoseconds").GetInt64());
+    }
+
+    [Fact]
+    public void Serialize_RoundTripsThroughRead()
+    {
+        var original = new Place
+        {
+            CreatedAt = new DateTime(2024, 5, 1, 12, 0, 0, DateTimeKind.Utc),
+            Location = new GeoPoint(1, 2),
+            Owner = DocumentReference.FromPath("teams/core/members/bob"),
+            Thumbnail = [9, 8, 7]
+        };
+
+        var json = JsonSerializer.Serialize(original, FirestoreJsonOptions.Default);
+        var place = JsonSerializer.Deserialize<Place>(json, FirestoreJsonOptions.Default)!;
+
+        Assert.Equal(original.CreatedAt, place.CreatedAt);
+        Assert.Equal(original.Location, place.Location);
+        Assert.Equal("bob", place.Owner!.Id);
+        Assert.Equal(original.Thumbnail, place.Thumbnail);
+    }
+}
@@ -14,6 +14,7 @@ public class DatabaseErrorCodeTests
     [InlineData("database/unavailable", DatabaseErrorCode.Unavailable)]
     [InlineData("database/user-code-exception", DatabaseErrorCode.UserCodeException)]
     [InlineData("database/write-canceled", DatabaseErrorCode.WriteCanceled)]
+    [InlineData("database/not-initialized", DatabaseErrorCode.NotInitialized)]
     public void FromFirebaseCode_ModernFormat_MapsCorrectly(string firebaseCode, DatabaseErrorCode expected)
     {
         var result = DatabaseErrorCodeExtensions.FromFirebaseCode(firebaseCode);
@@ -50,6 +51,7 @@ public class DatabaseErrorCodeTests
     [InlineData(DatabaseErrorCode.Unavailable, "database/unavailable")]
     [InlineData(DatabaseErrorCode.UserCodeException, "database/user-code-exception")]
     [InlineData(DatabaseErrorCode.WriteCanceled, "database/write-canceled")]
+    [InlineData(DatabaseErrorCode.NotInitialized, "database/not-initialized")]
     [InlineData(DatabaseErrorCode.Unknown, "database/unknown")]
     public void ToFirebaseCode_MapsCorrectly(DatabaseErrorCode code, string expected)
     {
@@ -0,0 +1,86 @@
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class BatchUploadTests
+{
+    [Fact]
+    public void ToBatchUploadFileResult_MapsSuccessAndFailure()
+    {
+        var uploaded = WasmFirebaseStorage.ToBatchUploadFileResult(new JsBatchUploadResult
+        {
+            Path = "photos/1.jpg",
+            TaskId = "t1",
+            Success = true,
+            Data = new JsUploadResult { DownloadUrl = "https://example.com/1.jpg", FullPath = "photos/1.jpg", BytesTransferred = 10 }
+        });
+        var failed = WasmFirebaseStorage.ToBatchUploadFileResult(new JsBatchUploadResult
+        {
+            Path = "photos/2.jpg",
+            TaskId = "t2",
+            Success = false,
+            Error = new JsError { Code = "storage/unauthorized", Message = "Denied" }
+        });
+
+        Assert.Equal("https://example.com/1.jpg", uploaded.Result.Value.DownloadUrl);
+        Assert.Equal("t1", uploaded.TaskId);
+        Assert.Equal("storage/unauthorized", failed.Result.Error!.Code);
+        Assert.Equal("photos/2.jpg", failed.Path);
+    }
+
+    [Fact]
+    public void OnBatchProgress_MapsOverallProgress()
+    {
+        BatchUploadProgress? reported = null;
+        var callback = new StorageBatchUploadCallback(null, p => reported = p);
+
+        callback.OnBatchProgress(new JsBatchUploadProgress
+        {
+            TotalFiles = 3, CompletedFiles = 1, FailedFiles = 1, BytesTransferred = 25, TotalBytes = 100
+        });
+
+        Assert.Equal(3, reported!.TotalFiles);
+        Assert.Equal(1, reported.FailedFiles);
+        Assert.Equal(25, reported.Percentage);
+    }
+
+    [Fact]
+    public async Task UploadBatchAsync_RejectsInvalidArguments()
+    {
+        var storage = new WasmFirebaseStorage(new FirebaseJsInterop(Substitute.For<IJSRuntime>()));
+        var traversal = new BatchUploadFile { Path = "../secret.txt", Data = new MemoryStream() };
+
+        await Assert.ThrowsAsync<ArgumentOutOfRangeException>(() => storage.UploadBatchAsync([], maxConcurrency: 0));
+        await Assert.ThrowsAsync<ArgumentException>(() => storage.UploadBatchAsync([traversal]));
+    }
+
+    [Fact]
+    public async Task FakeStorage_UploadBatchAsync_ContinuesAfterFailure()
+    {
+        var storage = new FakeFirebaseStorage();
+        storage.SimulateError(new FirebaseError("storage/quota-exceeded", "Quota exceeded"));
+        var progress = new List<BatchUploadProgress>();
+        var files = new[]
+        {
+            new BatchUploadFile { Path = "photos/1.jpg", Data = new MemoryStream([1, 2]) },
+            new BatchUploadFile { Path = "photos/2.jpg", Data = new MemoryStream([3, 4]) },
+            new BatchUploadFile { Path = "photos/3.jpg", Data = new MemoryStream([5, 6]) }
+        };
+
+        var result = await storage.UploadBatchAsync(files, onProgress: progress.Add);
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal(new[] { "photos/1.jpg", "photos/2.jpg", "photos/3.jpg" }, result.Value.Select(r => r.Path));
+        Assert.Equal("storage/quota-exceeded", result.Value[0].Result.Error!.Code);
+        Assert.True(result.Value[1].Result.IsSuccess);
+        Assert.True(result.Value[2].Result.IsSuccess);
+
+        var last = progress[^1];
+        Assert.Equal(2, last.CompletedFiles);
+        Assert.Equal(1, last.FailedFiles);
+        Assert.Equal(4, last.BytesTransferred);
+    }
+}
@@ -0,0 +1,55 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class DeleteFolderAsyncTests
+{
+    [Fact]
+    public async Task FakeStorage_DeleteFolderAsync_DeletesNestedFiles()
+    {
+        var storage = new FakeFirebaseStorage();
+        await storage.Ref("users/alice/a.txt").PutStringAsync("a");
+        await storage.Ref("users/alice/photos/b.jpg").PutStringAsync("b");
+        await storage.Ref("users/bob/c.txt").PutStringAsync("c");
+        var progress = new List<DeleteFolderProgress>();
+
+        var result = await storage.Ref("users/alice").DeleteFolderAsync(onProgress: progress.Add);
+
+        Assert.True(result.Value.IsComplete);
+        Assert.Equal(new[] { "users/alice/a.txt", "users/alice/photos/b.jpg" }, result.Value.Deleted);
+        Assert.Equal(2, progress[^1].Deleted);
+        Assert.True((await storage.Ref("users/bob/c.txt").GetBytesAsync()).IsSuccess);
+        Assert.False((await storage.Ref("users/alice/a.txt").GetBytesAsync()).IsSuccess);
+    }
+
+    [Fact]
+    public async Task FakeStorage_DeleteFolderAsync_RecordsFailureAndContinues()
+    {
+        var storage = new FakeFirebaseStorage();
+        await storage.Ref("tmp/1.txt").PutStringAsync("1");
+        await storage.Ref("tmp/2.txt").PutStringAsync("2");
+        storage.SimulateError(new FirebaseError("storage/unauthorized", "Denied"));
+
+        var result = await storage.Ref("tmp").DeleteFolderAsync();
+
+        Assert.False(result.Value.IsComplete);
+        var failure = Assert.Single(result.Value.Failed);
+        Assert.Equal("tmp/1.txt", failure.Path);
+        Assert.Equal("storage/unauthorized", failure.Error.Code);
+        Assert.Equal(new[] { "tmp/2.txt" }, result.Value.Deleted);
+    }
+
+    [Fact]
+    public void OnDeleteProgress_MapsCounts()
+    {
+        DeleteFolderProgress? reported = null;
+        var callback = new StorageDeleteFolderCallback(p => reported = p);
+
+        callback.OnDeleteProgress(new JsDeleteFolderProgress { Found = 10, Deleted = 7, Failed = 1 });
+
+        Assert.Equal(10, reported!.Found);
+        Assert.Equal(7, reported.Deleted);
+        Assert.Equal(1, reported.Failed);
+    }
+}
@@ -0,0 +1,55 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class DownloadAsyncTests
+{
+    [Fact]
+    public void OnDownloadProgress_MapsProgress()
+    {
+        DownloadProgress? reported = null;
+        var callback = new StorageDownloadCallback(p => reported = p);
+
+        callback.OnDownloadProgress(new JsDownloadProgress { DownloadId = "d1", BytesReceived = 30, TotalBytes = 120 });
+
+        Assert.Equal("d1", reported!.DownloadId);
+        Assert.Equal(30, reported.BytesReceived);
+        Assert.Equal(25, reported.Percentage);
+    }
+
+    [Fact]
+    public void DownloadProgress_UnknownTotal_ReportsZeroPercent()
+    {
+        var progress = new DownloadProgress { BytesReceived = 500, TotalBytes = null };
+
+        Assert.Equal(0, progress.Percentage);
+    }
+
+    [Fact]
+    public async Task FakeStorage_DownloadAsync_ReportsProgressAndReturnsData()
+    {
+        var storage = new FakeFirebaseStorage();
+        var reference = storage.Ref("files/report.pdf");
+        await reference.PutAsync(new MemoryStream([1, 2, 3, 4]));
+        var progress = new List<DownloadProgress>();
+
+        var result = await reference.DownloadAsync(onProgress: progress.Add);
+
+        Assert.Equal(new byte[] { 1, 2, 3, 4 }, result.Value);
+        Assert.Equal(4, progress[^1].BytesReceived);
+        Assert.Equal(100, progress[^1].Percentage);
+    }
+
+    [Fact]
+    public async Task FakeStorage_DownloadAsync_EnforcesMaxSize()
+    {
+        var storage = new FakeFirebaseStorage();
+        var reference = storage.Ref("files/big.bin");
+        await reference.PutAsync(new MemoryStream(new byte[100]));
+
+        var result = await reference.DownloadAsync(maxSize: 10);
+
+        Assert.Equal("storage/download-size-exceeded", result.Error!.Code);
+    }
+}
@@ -0,0 +1,137 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+using Microsoft.JSInterop;
+using NSubstitute;
+
+namespace FireBlazor.Tests.Storage;
+
+public class ImageUploadTests
+{
+    [Theory]
+    [InlineData("photos/beach.jpg", 200, null, ImageUploadFormat.Jpeg, "photos/beach_200.jpg")]
+    [InlineData("photos/beach.jpg", 200, null, ImageUploadFormat.WebP, "photos/beach_200.webp")]
+    [InlineData("avatar", 64, "-small", ImageUploadFormat.Jpeg, "avatar-small.jpg")]
+    [InlineData("users/u1/v1.2/me.png", 100, null, ImageUploadFormat.Jpeg, "users/u1/v1.2/me_100.jpg")]
+    public void ThumbnailPath_IsSiblingOfImage(string path, int maxDimension, string? suffix, ImageUploadFormat format, string expected)
+    {
+        var thumbnail = new ImageThumbnail { MaxDimension = maxDimension, Suffix = suffix };
+
+        Assert.Equal(expected, thumbnail.GetPath(path, format));
+    }
+
+    [Fact]
+    public void Validate_RejectsInvalidOptions()
+    {
+        Assert.Throws<ArgumentOutOfRangeException>(() => new ImageUploadOptions { MaxDimension = 0 }.Validate("a.jpg"));
+        Assert.Throws<ArgumentOutOfRangeException>(() => new ImageUploadOptions { Quality = 0 }.Validate("a.jpg"));
+        Assert.Throws<ArgumentOutOfRangeException>(() => new ImageUploadOptions { Quality = 1.5 }.Validate("a.jpg"));
+        Assert.Throws<ArgumentOutOfRangeException>(() => new ImageUploadOptions
+        {
+            Thumbnails = [new ImageThumbnail { MaxDimension = -1 }]
+        }.Validate("a.jpg"));
+        Assert.Throws<ArgumentException>(() => new ImageUploadOptions
+        {
+            Thumbnails = [new ImageThumbnail { MaxDimension = 100, Suffix = "" }]
+        }.Validate("a.jpg"));
+        Assert.Throws<ArgumentException>(() => new ImageUploadOptions
+        {
+            Thumbnails = [new ImageThumbnail { MaxDimension = 100, Suffix = "/thumb" }]
+        }.Validate("a.jpg"));
+    }
+
+    [Fact]
+    public void ToImageUploadResult_MapsSizesAndThumbnails()
+    {
+        var result = WasmStorageReference.ToImageUploadResult(new JsImageUploadResult
+        {
+            DownloadUrl = "https://example.com/a.webp",
+            FullPath = "photos/a.webp",
+            BytesTransferred = 180_000,
+            ContentType = "image/webp",
+            OriginalSize = 4_200_000,
+            FinalSize = 180_000,
+            OriginalWidth = 4032,
+            OriginalHeight = 3024,
+            Width = 1600,
+            Height = 1200,
+            Thumbnails = [new JsUploadedThumbnail { FullPath = "photos/a_200.webp", DownloadUrl = "https://example.com/t", Size = 9000, Width = 200, Height = 150 }]
+        });
+
+        Assert.Equal(4_200_000, result.OriginalSize);
+        Assert.Equal(180_000, result.FinalSize);
+        Assert.Equal(4032, result.OriginalWidth);
+        Assert.Equal(1600, result.Width);
+        var thumbnail = Assert.Single(result.Thumbnails);
+        Assert.Equal("photos/a_200.webp", thumbnail.FullPath);
+        Assert.Equal(150, thumbnail.Height);
+        Assert.Empty(result.FailedThumbnails);
+    }
+
+    [Fact]
+    public void ToImageUploadResult_MapsFailedThumbnails()
+    {
+        var result = WasmStorageReference.ToImageUploadResult(new JsImageUploadResult
+        {
+            DownloadUrl = "https://example.com/a.webp",
+            FullPath = "photos/a.webp",
+            BytesTransferred = 180_000,
+            OriginalSize = 4_200_000,
+            FinalSize = 180_000,
+            Thumbnails = [new JsUploadedThumbnail { FullPath = "photos/a_200.webp", DownloadUrl = "https://example.com/t", Size = 9000 }],
+            FailedThumbnails = [new JsFailedThumbnail { Path = "photos/a_800.webp", Code = "storage/canceled", Message = "User canceled the upload/download." }]
+        });
+
+        Assert.Equal("https://example.com/a.webp", result.DownloadUrl);
+        Assert.Single(result.Thumbnails);
+        var failed = Assert.Single(result.FailedThumbnails);
+        Assert.Equal("photos/a_800.webp", failed.Path);
+        Assert.Equal("storage/canceled", failed.Error.Code);
+    }
+
+    [Fact]
+    public async Task PutImageAsync_PassesTaskId()
+    {
+        object?[]? uploadArgs = null;
+        var module = Substitute.For<IJSObjectReference>();
+        var jsRuntime = Substitute.For<IJSRuntime>();
+        jsRuntime.InvokeAsync<IJSObjectReference>("import", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<IJSObjectReference>(module));
+        module.InvokeAsync<JsResult<JsImageUploadResult>>("storageUploadImage", Arg.Do<object?[]?>(args => uploadArgs = args))
+            .Returns(new ValueTask<JsResult<JsImageUploadResult>>(new JsResult<JsImageUploadResult>
+            {
+                Success = true,
+                Data = new JsImageUploadResult { DownloadUrl = "https://example.com/a.jpg", FullPath = "photos/a.jpg" }
+            }));
+        var reference = new WasmStorageReference(new FirebaseJsInterop(jsRuntime), "photos/a.jpg");
+
+        var result = await reference.PutImageAsync(new MemoryStream([1, 2, 3]), new ImageUploadOptions(), taskId: "avatar-upload");
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal("avatar-upload", uploadArgs![5]);
+    }
+
+    [Fact]
+    public async Task FakeStorage_PutImageAsync_StoresImageAndThumbnails()
+    {
+        var storage = new FakeFirebaseStorage();
+        var options = new ImageUploadOptions
+        {
+            MaxDimension = 1600,
+            Format = ImageUploadFormat.WebP,
+            Thumbnails = [new ImageThumbnail { MaxDimension = 200 }]
+        };
+
+        string? progressTaskId = null;
+
+        var result = await storage.Ref("photos/a.webp").PutImageAsync(
+            new MemoryStream([1, 2, 3]), options, onProgress: p => progressTaskId = p.TaskId, taskId: "photo-upload");
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal("photo-upload", progressTaskId);
+        Assert.Equal(3, result.Value.OriginalSize);
+        Assert.Equal("image/webp", result.Value.ContentType);
+        Assert.Equal("photos/a_200.webp", Assert.Single(result.Value.Thumbnails).FullPath);
+        Assert.True((await storage.Ref("photos/a_200.webp").GetBytesAsync()).IsSuccess);
+        Assert.Equal("image/webp", (await storage.Ref("photos/a.webp").GetMetadataAsync()).Value.ContentType);
+    }
+}
@@ -0,0 +1,49 @@
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+
+namespace FireBlazor.Tests.Storage;
+
+public class JsDownloadStreamTests
+{
+    private static (JsDownloadStream Stream, IJSStreamReference Reference) Create(byte[] data)
+    {
+        var reference = Substitute.For<IJSStreamReference>();
+        reference.Length.Returns(data.Length);
+        return (new JsDownloadStream(reference, new MemoryStream(data)), reference);
+    }
+
+    [Fact]
+    public async Task ReadAsync_ReadsDataAndTracksPosition()
+    {
+        var (stream, _) = Create([1, 2, 3, 4]);
+
+        var buffer = new byte[4];
+        await stream.ReadExactlyAsync(buffer);
+
+        Assert.Equal(new byte[] { 1, 2, 3, 4 }, buffer);
+        Assert.Equal(4, stream.Position);
+        Assert.Equal(4, stream.Length);
+    }
+
+    [Fact]
+    public void Stream_IsForwardOnly()
+    {
+        var (stream, _) = Create([1]);
+
+        Assert.False(stream.CanSeek);
+        Assert.False(stream.CanWrite);
+        Assert.Throws<NotSupportedException>(() => stream.Seek(0, SeekOrigin.Begin));
+    }
+
+    [Fact]
+    public async Task DisposeAsync_ReleasesJsReferenceOnce()
+    {
+        var (stream, reference) = Create([1]);
+
+        await stream.DisposeAsync();
+        await stream.DisposeAsync();
+
+        await reference.Received(1).DisposeAsync();
+    }
+}
@@ -0,0 +1,93 @@
+using System.Text.Json;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class ListWithMetadataTests
+{
+    [Fact]
+    public void StorageMetadata_DeserializesServerFields()
+    {
+        // Shape returned by mapStorageMetadata in fireblazor.js
+        const string json = """
+            {
+              "bucket": "demo.appspot.com",
+              "name": "a.txt",
+              "fullPath": "docs/a.txt",
+              "size": 42,
+              "timeCreated": "2024-05-01T10:00:00.000Z",
+              "updated": "2024-05-02T10:00:00.000Z",
+              "md5Hash": "XUFAKrxLKna5cZ2REBfFkg==",
+              "generation": "1714557600000000",
+              "metageneration": "2",
+              "contentType": "text/plain",
+              "customMetadata": { "owner": "alice" }
+            }
+            """;
+
+        var metadata = JsonSerializer.Deserialize<StorageMetadata>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web))!;
+
+        Assert.Equal("docs/a.txt", metadata.FullPath);
+        Assert.Equal(42, metadata.Size);
+        Assert.Equal(new DateTimeOffset(2024, 5, 1, 10, 0, 0, TimeSpan.Zero), metadata.TimeCreated);
+        Assert.Equal("2", metadata.Metageneration);
+        Assert.Equal("alice", metadata.CustomMetadata!["owner"]);
+    }
+
+    [Fact]
+    public async Task FakeStorage_GetMetadataAsync_ReturnsServerFields()
+    {
+        var storage = new FakeFirebaseStorage();
+        var reference = storage.Ref("docs/a.txt");
+        await reference.PutStringAsync("hello", metadata: new StorageMetadata { ContentType = "text/plain" });
+
+        var metadata = (await reference.GetMetadataAsync()).Value;
+
+        Assert.Equal("text/plain", metadata.ContentType);
+        Assert.Equal("a.txt", metadata.Name);
+        Assert.Equal(5, metadata.Size);
+        Assert.Equal("XUFAKrxLKna5cZ2REBfFkg==", metadata.Md5Hash);
+        Assert.Equal("1", metadata.Metageneration);
+    }
+
+    [Fact]
+    public async Task FakeStorage_UpdateMetadataAsync_KeepsGenerationAndBumpsMetageneration()
+    {
+        var storage = new FakeFirebaseStorage();
+        var reference = storage.Ref("docs/a.txt");
+        await reference.PutStringAsync("hello");
+        var before = (await reference.GetMetadataAsync()).Value;
+
+        var after = (await reference.UpdateMetadataAsync(new StorageMetadata { CacheControl = "no-cache" })).Value;
+
+        Assert.Equal(before.Generation, after.Generation);
+        Assert.Equal("2", after.Metageneration);
+        Assert.Equal(before.TimeCreated, after.TimeCreated);
+    }
+
+    [Fact]
+    public async Task FakeStorage_ListWithMetadataAsync_PagesItemsWithMetadata()
+    {
+        var storage = new FakeFirebaseStorage();
+        await storage.Ref("docs/a.txt").PutStringAsync("a");
+        await storage.Ref("docs/b.txt").PutStringAsync("bb");
+        await storage.Ref("docs/c.txt").PutStringAsync("ccc");
+
+        var first = await storage.Ref("docs").ListWithMetadataAsync(new ListOptions { MaxResults = 2 });
+        var all = await storage.Ref("docs").ListAllWithMetadataAsync();
+
+        Assert.Equal(2, first.Value.Items.Count);
+        Assert.NotNull(first.Value.NextPageToken);
+        Assert.Equal(new long?[] { 1, 2, 3 }, all.Value.Items.Select(i => i.Metadata.Size));
+        Assert.All(all.Value.Items, i => Assert.Equal(i.Reference.FullPath, i.Metadata.FullPath));
+        Assert.Null(all.Value.NextPageToken);
+    }
+
+    [Fact]
+    public async Task ListWithMetadataAsync_RejectsInvalidConcurrency()
+    {
+        var reference = new FakeFirebaseStorage().Ref("docs");
+
+        await Assert.ThrowsAsync<ArgumentOutOfRangeException>(() => reference.ListAllWithMetadataAsync(maxConcurrency: 0));
+    }
+}
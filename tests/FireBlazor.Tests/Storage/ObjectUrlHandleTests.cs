@@ -0,0 +1,72 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+using Microsoft.JSInterop;
+using NSubstitute;
+
+namespace FireBlazor.Tests.Storage;
+
+public class ObjectUrlHandleTests
+{
+    [Fact]
+    public async Task DisposeAsync_RevokesOnce()
+    {
+        var revoked = new List<string>();
+        var handle = new ObjectUrlHandle("blob:https://app.example.com/1", 10, "image/png", url =>
+        {
+            revoked.Add(url);
+            return Task.CompletedTask;
+        });
+
+        await handle.DisposeAsync();
+        await handle.DisposeAsync();
+
+        Assert.True(handle.IsRevoked);
+        Assert.Equal(new[] { "blob:https://app.example.com/1" }, revoked);
+    }
+
+    [Fact]
+    public async Task GetObjectUrlAsync_AutoRevokeIsOffByDefault()
+    {
+        object?[]? createArgs = null;
+        var module = Substitute.For<IJSObjectReference>();
+        var jsRuntime = Substitute.For<IJSRuntime>();
+        jsRuntime.InvokeAsync<IJSObjectReference>("import", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<IJSObjectReference>(module));
+        module.InvokeAsync<JsResult<JsObjectUrl>>("storageCreateObjectUrl", Arg.Do<object?[]?>(args => createArgs = args))
+            .Returns(new ValueTask<JsResult<JsObjectUrl>>(new JsResult<JsObjectUrl>
+            {
+                Success = true,
+                Data = new JsObjectUrl { Url = "blob:https://app.example.com/1", Size = 10 }
+            }));
+        var reference = new WasmStorageReference(new FirebaseJsInterop(jsRuntime), "images/a.png");
+
+        var result = await reference.GetObjectUrlAsync();
+
+        Assert.True(result.IsSuccess);
+        Assert.False((bool)createArgs![2]!);
+    }
+
+    [Fact]
+    public async Task FakeStorage_GetObjectUrlAsync_ReturnsHandleForStoredFile()
+    {
+        var storage = new FakeFirebaseStorage();
+        var reference = storage.Ref("images/avatar.png");
+        await reference.PutAsync(new MemoryStream([1, 2, 3]), new StorageMetadata { ContentType = "image/png" });
+
+        await using var handle = (await reference.GetObjectUrlAsync()).Value;
+
+        Assert.StartsWith("blob:", handle.Url);
+        Assert.Equal(3, handle.Size);
+        Assert.Equal("image/png", handle.ContentType);
+    }
+
+    [Fact]
+    public async Task FakeStorage_GetObjectUrlAsync_MissingFile_ReturnsNotFound()
+    {
+        var storage = new FakeFirebaseStorage();
+
+        var result = await storage.Ref("images/missing.png").GetObjectUrlAsync();
+
+        Assert.Equal("storage/object-not-found", result.Error!.Code);
+    }
+}
@@ -0,0 +1,83 @@
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class StorageBucketTests
+{
+    [Theory]
+    [InlineData("assets", "gs://assets")]
+    [InlineData("gs://assets", "gs://assets")]
+    [InlineData("GS://assets/", "gs://assets")]
+    [InlineData(" my-app-uploads.appspot.com ", "gs://my-app-uploads.appspot.com")]
+    public void Normalize_ReturnsGsUrl(string bucket, string expected)
+    {
+        Assert.Equal(expected, StorageBucket.Normalize(bucket, "bucket"));
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("gs://")]
+    [InlineData("gs://assets/images")]
+    [InlineData("https://assets")]
+    [InlineData("my bucket")]
+    public void Normalize_InvalidBucket_Throws(string bucket)
+    {
+        Assert.ThrowsAny<ArgumentException>(() => StorageBucket.Normalize(bucket, "bucket"));
+    }
+
+    [Fact]
+    public void WithBucket_StoresGsUrl()
+    {
+        var options = new StorageOptions().WithBucket("public-assets");
+
+        Assert.Equal("gs://public-assets", options.CustomBucket);
+    }
+
+    [Fact]
+    public void WasmStorage_Ref_KeepsBucketForRelatedReferences()
+    {
+        var storage = new WasmFirebaseStorage(new FirebaseJsInterop(Substitute.For<IJSRuntime>()));
+
+        var reference = storage.Ref("images/logo.png", "public-assets");
+
+        Assert.Null(storage.Ref("images/logo.png").Bucket);
+        Assert.Equal("gs://public-assets", reference.Bucket);
+        Assert.Equal("gs://public-assets", reference.Parent!.Bucket);
+        Assert.Equal("gs://public-assets", reference.Parent.Child("icon.png").Bucket);
+    }
+
+    [Fact]
+    public async Task FakeStorage_BucketsHoldSeparateFiles()
+    {
+        var storage = new FakeFirebaseStorage();
+        await storage.Ref("images/logo.png").PutStringAsync("default");
+        await storage.Ref("images/logo.png", "gs://public-assets").PutStringAsync("public");
+
+        var fromDefault = await storage.Ref("images/logo.png").GetBytesAsync();
+        var fromAssets = await storage.Ref("images/logo.png", "public-assets").GetBytesAsync();
+        var metadata = await storage.Ref("images/logo.png", "public-assets").GetMetadataAsync();
+        var listed = await storage.Ref("images", "public-assets").ListAllAsync();
+
+        Assert.Equal("default"u8.ToArray(), fromDefault.Value);
+        Assert.Equal("public"u8.ToArray(), fromAssets.Value);
+        Assert.Equal("public-assets", metadata.Value.Bucket);
+        Assert.Equal("gs://public-assets", Assert.Single(listed.Value.Items).Bucket);
+    }
+
+    [Fact]
+    public async Task FakeStorage_BatchAndQueue_UploadToFileBucket()
+    {
+        var storage = new FakeFirebaseStorage();
+
+        await storage.UploadBatchAsync([new BatchUploadFile { Path = "a.txt", Bucket = "public-assets", Data = new MemoryStream([1]) }]);
+        var queued = await storage.UploadQueue.EnqueueAsync("b.txt", new MemoryStream([2]), bucket: "public-assets");
+
+        Assert.Equal("gs://public-assets", queued.Value.Bucket);
+        Assert.True((await storage.Ref("a.txt", "public-assets").GetBytesAsync()).IsSuccess);
+        Assert.True((await storage.Ref("b.txt", "public-assets").GetBytesAsync()).IsSuccess);
+        Assert.True((await storage.Ref("a.txt").GetBytesAsync()).IsFailure);
+    }
+}
@@ -17,6 +17,13 @@ public class StorageErrorCodeTests
     [InlineData("storage/no-default-bucket", StorageErrorCode.NoDefaultBucket)]
     [InlineData("storage/cannot-slice-blob", StorageErrorCode.CannotSliceBlob)]
     [InlineData("storage/server-file-wrong-size", StorageErrorCode.ServerFileWrongSize)]
+    [InlineData("storage/not-initialized", StorageErrorCode.NotInitialized)]
+    [InlineData("storage/upload-not-found", StorageErrorCode.UploadNotFound)]
+    [InlineData("storage/queue-not-started", StorageErrorCode.QueueNotStarted)]
+    [InlineData("storage/download-not-found", StorageErrorCode.DownloadNotFound)]
+    [InlineData("storage/download-size-exceeded", StorageErrorCode.DownloadSizeExceeded)]
+    [InlineData("storage/image-processing-failed", StorageErrorCode.ImageProcessingFailed)]
+    [InlineData("storage/integrity-mismatch", StorageErrorCode.IntegrityMismatch)]
     [InlineData("storage/unknown-error", StorageErrorCode.Unknown)]
     public void FromFirebaseCode_MapsCorrectly(string firebaseCode, StorageErrorCode expected)
     {
@@ -39,6 +46,13 @@ public class StorageErrorCodeTests
     [InlineData(StorageErrorCode.NoDefaultBucket, "storage/no-default-bucket")]
     [InlineData(StorageErrorCode.CannotSliceBlob, "storage/cannot-slice-blob")]
     [InlineData(StorageErrorCode.ServerFileWrongSize, "storage/server-file-wrong-size")]
+    [InlineData(StorageErrorCode.NotInitialized, "storage/not-initialized")]
+    [InlineData(StorageErrorCode.UploadNotFound, "storage/upload-not-found")]
+    [InlineData(StorageErrorCode.QueueNotStarted, "storage/queue-not-started")]
+    [InlineData(StorageErrorCode.DownloadNotFound, "storage/download-not-found")]
+    [InlineData(StorageErrorCode.DownloadSizeExceeded, "storage/download-size-exceeded")]
+    [InlineData(StorageErrorCode.ImageProcessingFailed, "storage/image-processing-failed")]
+    [InlineData(StorageErrorCode.IntegrityMismatch, "storage/integrity-mismatch")]
     [InlineData(StorageErrorCode.Unknown, "storage/unknown")]
     public void ToFirebaseCode_MapsCorrectly(StorageErrorCode code, string expected)
     {
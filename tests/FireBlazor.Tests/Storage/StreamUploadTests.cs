@@ -0,0 +1,102 @@
+using System.IO.Compression;
+using Microsoft.JSInterop;
+using NSubstitute;
+using FireBlazor.Platform.Wasm;
+
+namespace FireBlazor.Tests.Storage;
+
+public class StreamUploadTests
+{
+    private readonly IJSObjectReference _module = Substitute.For<IJSObjectReference>();
+    private object?[]? _uploadArgs;
+
+    private WasmStorageReference CreateReference(ValueTask<JsResult<JsUploadResult>>? upload = null)
+    {
+        var jsRuntime = Substitute.For<IJSRuntime>();
+        jsRuntime.InvokeAsync<IJSObjectReference>("import", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<IJSObjectReference>(_module));
+        _module.InvokeAsync<JsResult<JsUploadResult>>("storageUploadStream", Arg.Do<object?[]?>(args => _uploadArgs = args))
+            .Returns(upload ?? new ValueTask<JsResult<JsUploadResult>>(new JsResult<JsUploadResult>
+            {
+                Success = true,
+                Data = new JsUploadResult { DownloadUrl = "https://example.com/a.mp4", FullPath = "videos/a.mp4", BytesTransferred = 6 }
+            }));
+        _module.InvokeAsync<JsResult<bool>>("storageCancelUpload", Arg.Any<object?[]?>())
+            .Returns(new ValueTask<JsResult<bool>>(new JsResult<bool> { Success = true, Data = true }));
+        return new WasmStorageReference(new FirebaseJsInterop(jsRuntime), "videos/a.mp4");
+    }
+
+    [Fact]
+    public async Task PutAsync_SeekableStream_PassesStreamReference()
+    {
+        var reference = CreateReference();
+        var stream = new MemoryStream(new byte[10]) { Position = 4 };
+
+        var result = await reference.PutAsync(stream);
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal("https://example.com/a.mp4", result.Value.DownloadUrl);
+        Assert.Equal(6L, result.Value.BytesTransferred);
+        Assert.IsType<DotNetStreamReference>(_uploadArgs![1]);
+        // The stream is read by JavaScript, not copied in .NET, and is left open
+        Assert.Equal(4, stream.Position);
+        Assert.True(stream.CanRead);
+    }
+
+    [Fact]
+    public async Task PutAsync_NonSeekableStream_PassesStreamReference()
+    {
+        var reference = CreateReference();
+        using var stream = new GZipStream(new MemoryStream(), CompressionMode.Decompress);
+
+        var result = await reference.PutAsync(stream);
+
+        Assert.True(result.IsSuccess);
+        Assert.IsType<DotNetStreamReference>(_uploadArgs![1]);
+    }
+
+    [Fact]
+    public async Task PutAsync_CallerTaskId_RegistersUploadUnderThatId()
+    {
+        var reference = CreateReference();
+
+        await reference.PutAsync(new MemoryStream([1, 2, 3]), taskId: "clip-upload");
+
+        Assert.Equal("clip-upload", _uploadArgs![4]);
+    }
+
+    [Fact]
+    public async Task PutAsync_Failure_MapsJsError()
+    {
+        var reference = CreateReference(new ValueTask<JsResult<JsUploadResult>>(new JsResult<JsUploadResult>
+        {
+            Success = false,
+            Error = new JsError { Code = "storage/retry-limit-exceeded", Message = "Upload request failed" }
+        }));
+
+        var result = await reference.PutAsync(new MemoryStream([1, 2, 3]));
+
+        Assert.Equal("storage/retry-limit-exceeded", result.Error!.Code);
+    }
+
+    [Fact]
+    public async Task PutAsync_CancellationToken_CancelsUploadTaskById()
+    {
+        var upload = new TaskCompletionSource<JsResult<JsUploadResult>>();
+        var reference = CreateReference(new ValueTask<JsResult<JsUploadResult>>(upload.Task));
+        using var cts = new CancellationTokenSource();
+
+        var put = reference.PutAsync(new MemoryStream([1, 2, 3]), cancellationToken: cts.Token);
+        cts.Cancel();
+        upload.SetResult(new JsResult<JsUploadResult>
+        {
+            Success = false,
+            Error = new JsError { Code = "storage/canceled", Message = "Upload was canceled" }
+        });
+        var result = await put;
+
+        var taskId = (string)_uploadArgs![4]!;
+        await _module.Received().InvokeAsync<JsResult<bool>>("storageCancelUpload", Arg.Is<object?[]?>(args => (string)args![0]! == taskId));
+        Assert.Equal("storage/canceled", result.Error!.Code);
+    }
+}
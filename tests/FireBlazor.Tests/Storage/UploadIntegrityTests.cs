@@ -0,0 +1,89 @@
+using System.Security.Cryptography;
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class UploadIntegrityTests
+{
+    [Fact]
+    public void WithUploadIntegrity_DefaultsToMd5()
+    {
+        Assert.Null(new StorageOptions().UploadIntegrity);
+        Assert.Equal(UploadHashAlgorithm.Md5, new StorageOptions().WithUploadIntegrity().UploadIntegrity);
+        Assert.Equal(UploadHashAlgorithm.Sha256, new StorageOptions().WithUploadIntegrity(UploadHashAlgorithm.Sha256).UploadIntegrity);
+    }
+
+    [Theory]
+    [InlineData(null, null)]
+    [InlineData(UploadHashAlgorithm.Md5, "md5")]
+    [InlineData(UploadHashAlgorithm.Sha256, "sha256")]
+    public void ToJsAlgorithm_MapsAlgorithm(UploadHashAlgorithm? algorithm, string? expected)
+    {
+        Assert.Equal(expected, UploadIntegrity.ToJsAlgorithm(algorithm));
+    }
+
+    [Fact]
+    public void GetMetadataKey_ReturnsKeyPerAlgorithm()
+    {
+        Assert.Equal("contentMd5", UploadIntegrity.GetMetadataKey(UploadHashAlgorithm.Md5));
+        Assert.Equal("contentSha256", UploadIntegrity.GetMetadataKey(UploadHashAlgorithm.Sha256));
+    }
+
+    [Fact]
+    public void ToBatchUploadFileResult_MapsContentHash()
+    {
+        var result = WasmFirebaseStorage.ToBatchUploadFileResult(new JsBatchUploadResult
+        {
+            Path = "docs/a.pdf",
+            TaskId = "t1",
+            Success = true,
+            Data = new JsUploadResult { DownloadUrl = "https://example.com/a.pdf", FullPath = "docs/a.pdf", ContentHash = "abc=" }
+        });
+
+        Assert.Equal("abc=", result.Result.Value.ContentHash);
+    }
+
+    [Fact]
+    public async Task FakeStorage_PutAsync_StoresSha256InCustomMetadata()
+    {
+        var storage = new FakeFirebaseStorage { UploadIntegrity = UploadHashAlgorithm.Sha256 };
+        byte[] data = [1, 2, 3];
+        var metadata = new StorageMetadata { CustomMetadata = new Dictionary<string, string> { ["owner"] = "u1" } };
+
+        var upload = await storage.Ref("docs/a.bin").PutAsync(new MemoryStream(data), metadata);
+        var stored = await storage.Ref("docs/a.bin").GetMetadataAsync();
+
+        var expected = Convert.ToBase64String(SHA256.HashData(data));
+        Assert.Equal(expected, upload.Value.ContentHash);
+        Assert.Equal(expected, stored.Value.CustomMetadata![UploadIntegrity.Sha256MetadataKey]);
+        Assert.Equal("u1", stored.Value.CustomMetadata["owner"]);
+        Assert.False(metadata.CustomMetadata.ContainsKey(UploadIntegrity.Sha256MetadataKey));
+    }
+
+    [Fact]
+    public async Task FakeStorage_PutAsync_WithoutIntegrity_ReturnsNoHash()
+    {
+        var storage = new FakeFirebaseStorage();
+
+        var upload = await storage.Ref("docs/a.bin").PutAsync(new MemoryStream([1]));
+
+        Assert.Null(upload.Value.ContentHash);
+    }
+
+    [Fact]
+    public async Task FakeStorage_BatchInOtherBucket_UsesRootSetting()
+    {
+        var storage = new FakeFirebaseStorage { UploadIntegrity = UploadHashAlgorithm.Md5 };
+        byte[] data = [4, 5];
+
+        var result = await storage.UploadBatchAsync([
+            new BatchUploadFile { Path = "a.bin", Bucket = "other-bucket", Data = new MemoryStream(data) }
+        ]);
+
+        var expected = Convert.ToBase64String(MD5.HashData(data));
+        Assert.Equal(expected, result.Value[0].Result.Value.ContentHash);
+        var stored = await storage.Ref("a.bin", "other-bucket").GetMetadataAsync();
+        Assert.Equal(stored.Value.Md5Hash, stored.Value.CustomMetadata![UploadIntegrity.Md5MetadataKey]);
+    }
+}
@@ -0,0 +1,102 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class UploadQueueTests
+{
+    [Theory]
+    [InlineData("pending", QueuedUploadStatus.Pending)]
+    [InlineData("uploading", QueuedUploadStatus.Uploading)]
+    [InlineData("failed", QueuedUploadStatus.Failed)]
+    [InlineData("completed", QueuedUploadStatus.Completed)]
+    [InlineData(null, QueuedUploadStatus.Pending)]
+    public void ParseStatus_MapsQueueStatus(string? status, QueuedUploadStatus expected)
+    {
+        Assert.Equal(expected, WasmUploadQueue.ParseStatus(status));
+    }
+
+    [Fact]
+    public void ToQueuedUpload_MapsErrorAndBackoff()
+    {
+        var nextAttempt = DateTimeOffset.UtcNow.AddSeconds(4);
+
+        var item = WasmUploadQueue.ToQueuedUpload(new JsQueuedUpload
+        {
+            Id = "q1",
+            Path = "photos/a.jpg",
+            Status = "pending",
+            Attempts = 2,
+            TotalBytes = 1024,
+            LastError = new JsError { Code = "storage/retry-limit-exceeded", Message = "offline" },
+            NextAttemptAt = nextAttempt
+        });
+
+        Assert.Equal("q1", item.Id);
+        Assert.Equal(2, item.Attempts);
+        Assert.Equal("storage/retry-limit-exceeded", item.LastError!.Code);
+        Assert.Equal(nextAttempt, item.NextAttemptAt);
+    }
+
+    [Fact]
+    public void UploadQueueOptions_DefaultsAndValidation()
+    {
+        var defaults = new StorageOptions().WithUploadQueue().UploadQueue!;
+        var custom = new StorageOptions()
+            .WithUploadQueue(q => q.WithMaxAttempts(3).WithBackoff(TimeSpan.FromSeconds(1), TimeSpan.FromSeconds(30)))
+            .UploadQueue!;
+
+        Assert.Null(new StorageOptions().UploadQueue);
+        Assert.Equal(5, defaults.MaxAttempts);
+        Assert.Equal(TimeSpan.FromSeconds(2), defaults.InitialBackoff);
+        Assert.Equal(3, custom.MaxAttempts);
+        Assert.Equal(TimeSpan.FromSeconds(30), custom.MaxBackoff);
+        Assert.Throws<ArgumentOutOfRangeException>(() => new UploadQueueOptions().WithMaxAttempts(0));
+        Assert.Throws<ArgumentOutOfRangeException>(() => new UploadQueueOptions().WithBackoff(TimeSpan.FromMinutes(1), TimeSpan.FromSeconds(1)));
+    }
+
+    [Fact]
+    public async Task FakeQueue_Enqueue_UploadsAndReportsStatuses()
+    {
+        var storage = new FakeFirebaseStorage();
+        var statuses = new List<QueuedUpload>();
+        storage.UploadQueue.OnStatusChanged += statuses.Add;
+
+        var result = await storage.UploadQueue.EnqueueAsync("files/a.txt", new MemoryStream([1, 2, 3]));
+
+        Assert.True(result.IsSuccess);
+        Assert.Equal(
+            new[] { QueuedUploadStatus.Pending, QueuedUploadStatus.Uploading, QueuedUploadStatus.Completed },
+            statuses.Select(s => s.Status));
+        Assert.NotNull(statuses[^1].DownloadUrl);
+        Assert.Empty((await storage.UploadQueue.GetItemsAsync()).Value);
+        Assert.True((await storage.Ref("files/a.txt").GetBytesAsync()).IsSuccess);
+    }
+
+    [Fact]
+    public async Task FakeQueue_FailedItem_StaysQueuedUntilRetried()
+    {
+        var storage = new FakeFirebaseStorage();
+        storage.SimulateError(new FirebaseError("storage/unauthorized", "Denied"));
+
+        var queued = await storage.UploadQueue.EnqueueAsync("files/b.txt", new MemoryStream([1]));
+        var failed = Assert.Single((await storage.UploadQueue.GetItemsAsync()).Value);
+
+        Assert.Equal(QueuedUploadStatus.Failed, failed.Status);
+        Assert.Equal("storage/unauthorized", failed.LastError!.Code);
+
+        await storage.UploadQueue.RetryAsync(queued.Value.Id);
+
+        Assert.Empty((await storage.UploadQueue.GetItemsAsync()).Value);
+    }
+
+    [Fact]
+    public async Task FakeQueue_RemoveUnknownItem_ReturnsUploadNotFound()
+    {
+        var storage = new FakeFirebaseStorage();
+
+        var result = await storage.UploadQueue.RemoveAsync("missing");
+
+        Assert.Equal("storage/upload-not-found", result.Error!.Code);
+    }
+}
@@ -0,0 +1,77 @@
+using FireBlazor.Platform.Wasm;
+using FireBlazor.Testing;
+
+namespace FireBlazor.Tests.Storage;
+
+public class UploadTaskTests
+{
+    [Theory]
+    [InlineData("running", UploadTaskState.Running)]
+    [InlineData("paused", UploadTaskState.Paused)]
+    [InlineData("success", UploadTaskState.Success)]
+    [InlineData("canceled", UploadTaskState.Canceled)]
+    [InlineData("error", UploadTaskState.Error)]
+    [InlineData(null, UploadTaskState.Running)]
+    public void OnProgress_MapsTaskState(string? state, UploadTaskState expected)
+    {
+        UploadProgress? reported = null;
+        var callback = new StorageUploadCallback(p => reported = p);
+
+        callback.OnProgress(new JsUploadProgress { TaskId = "t1", BytesTransferred = 5, TotalBytes = 10, State = state });
+
+        Assert.Equal(expected, reported!.State);
+        Assert.Equal("t1", reported.TaskId);
+        Assert.Equal(50, reported.Percentage);
+    }
+
+    [Fact]
+    public async Task FakeStorage_PutAsync_ReportsTaskId()
+    {
+        var storage = new FakeFirebaseStorage();
+        var progress = new List<UploadProgress>();
+
+        await storage.Ref("files/a.txt").PutAsync(new MemoryStream([1, 2, 3, 4]), onProgress: progress.Add);
+
+        Assert.NotEmpty(progress);
+        Assert.All(progress, p => Assert.Equal(progress[0].TaskId, p.TaskId));
+        Assert.NotNull(progress[0].TaskId);
+    }
+
+    [Fact]
+    public async Task FakeStorage_PutAsync_ReportsCallerTaskId()
+    {
+        var storage = new FakeFirebaseStorage();
+        var progress = new List<UploadProgress>();
+
+        await storage.Ref("files/a.txt").PutAsync(new MemoryStream([1, 2, 3, 4]), onProgress: progress.Add, taskId: "mine");
+
+        Assert.All(progress, p => Assert.Equal("mine", p.TaskId));
+    }
+
+    [Fact]
+    public async Task FakeStorage_UploadBatch_UsesFileTaskIds()
+    {
+        var storage = new FakeFirebaseStorage();
+
+        var result = await storage.UploadBatchAsync(
+        [
+            new BatchUploadFile { Path = "files/a.txt", Data = new MemoryStream([1]), TaskId = "first" },
+            new BatchUploadFile { Path = "files/b.txt", Data = new MemoryStream([2]) }
+        ]);
+
+        Assert.Equal("first", result.Value[0].TaskId);
+        Assert.False(string.IsNullOrEmpty(result.Value[1].TaskId));
+    }
+
+    [Fact]
+    public async Task FakeStorage_ControlUnknownTask_ReturnsUploadNotFound()
+    {
+        var storage = new FakeFirebaseStorage();
+
+        var pause = await storage.PauseUploadAsync("missing");
+        var resume = await storage.ResumeUploadAsync("missing");
+        var cancel = await storage.CancelUploadAsync("missing");
+
+        Assert.All(new[] { pause, resume, cancel }, r => Assert.Equal("storage/upload-not-found", r.Error!.Code));
+    }
+}
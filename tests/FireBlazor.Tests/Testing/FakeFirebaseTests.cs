@@ -112,6 +112,32 @@ public class FakeFirebaseTests
         Assert.False(firebase.Auth.IsAuthenticated);
     }
 
+    [Fact]
+    public async Task FakeFirebase_GetServiceStatus_ReportsAllServicesInitialized()
+    {
+        var firebase = new FakeFirebase();
+
+        var result = await firebase.GetServiceStatusAsync();
+
+        Assert.True(result.IsSuccess);
+        Assert.True(result.Value.IsInitialized);
+        Assert.All(result.Value.Services, s => Assert.True(s.Value.IsInitialized));
+        Assert.All(result.Value.Services, s => Assert.False(s.Value.IsUsingEmulator));
+    }
+
+    [Fact]
+    public async Task FakeFirebase_Terminate_ClearsAllState()
+    {
+        var firebase = new FakeFirebase();
+        firebase.FakeAuth.AddUser("test@example.com", "password");
+        await firebase.FakeAuth.SignInWithEmailAsync("test@example.com", "password");
+
+        var result = await firebase.TerminateAsync();
+
+        Assert.True(result.IsSuccess);
+        Assert.Null(firebase.Auth.CurrentUser);
+    }
+
     private class TestDoc
     {
         public string? Name { get; set; }